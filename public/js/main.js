@@ -8,7 +8,8 @@
 import { appState, guideState, UIElements, hasPermission } from './modules/state.js';
 import { apiFetch, fetchConfig } from './modules/api.js'; // IMPORTED fetchConfig
 import { checkAuthStatus, setupAuthEventListeners } from './modules/auth.js';
-import { handleGuideLoad, finalizeGuideLoad, setupGuideEventListeners } from './modules/guide.js';
+import { setupGuideEventListeners, syncGuideData } from './modules/guide.js';
+import { getCachedGuideVersion } from './modules/guide_data.js';
 //-- ENHANCEMENT: Import playChannel to handle the remote channel change event.
 import { setupPlayerEventListeners, playChannel, stopAndCleanupPlayer } from './modules/player.js';
 import { setupSettingsEventListeners, populateTimezoneSelector, updateUIFromSettings, addRecommendedChannel } from './modules/settings.js';
@@ -24,6 +25,13 @@ import { initPopularPage, updatePopularPage, updatePopularNowData } from './modu
 import { ICONS } from './modules/icons.js'; // MODIFIED: Import the new icon library
 //-- ENHANCEMENT: Import the new handler for channel selector clicks from the admin page.
 import { initActivityPage, setupAdminEventListeners, handleActivityUpdate, handleAdminChannelClick } from './modules/admin.js';
+import { setupEpgMappingEventListeners } from './modules/epg_mapping.js';
+import { setupChannelManagerEventListeners } from './modules/channel_manager.js';
+import { setupExportLinksEventListeners } from './modules/export_links.js';
+import { initVodPage, setupVodEventListeners } from './modules/vod.js';
+import { loadChannelHealth, setupChannelScannerEventListeners } from './modules/channel_health.js';
+import { setupSourceChangeLogEventListeners, handleSourceChangeAlert } from './modules/source_changes.js';
+import { setupEpgCoverageEventListeners } from './modules/epg_coverage.js';
 
 // The initializeCastApi function is no longer called directly from here,
 // but the cast.js module will handle its own initialization via the window callback.
@@ -149,6 +157,19 @@ function initializeSse() {
         const data = JSON.parse(event.data);
         updatePopularNowData(data.live || []);
     });
+
+    // NEW: Admins are told when a source refresh removes channels that are favorites or have recordings scheduled.
+    eventSource.addEventListener('source-change-alert', (event) => {
+        handleSourceChangeAlert(JSON.parse(event.data));
+    });
+
+    // NEW: A source refresh produced a new guide version. Fetch the delta and apply it to the cached guide.
+    eventSource.addEventListener('guide-updated', async () => {
+        const config = await fetchConfig(await getCachedGuideVersion());
+        if (!config) return;
+        Object.assign(guideState.settings, config.settings || {});
+        await syncGuideData(config);
+    });
 }
 
 
@@ -175,6 +196,13 @@ export async function initMainApp() {
     setupDvrEventListeners();
     setupDirectPlayerEventListeners();
     setupAdminEventListeners(); // NEW: Setup admin event listeners
+    setupEpgMappingEventListeners(); // NEW: EPG channel mapping editor
+    setupChannelManagerEventListeners(); // NEW: Channel Manager overrides
+    setupExportLinksEventListeners(); // NEW: Playlist & XMLTV export links
+    setupVodEventListeners(); // NEW: Movies & Series library and player
+    setupChannelScannerEventListeners(); // NEW: Channel scanner controls
+    setupSourceChangeLogEventListeners(); // NEW: Source change log viewer
+    setupEpgCoverageEventListeners(); // NEW: Guide coverage report
     // REMOVED: The direct call to initializeCastApi() is no longer needed here.
     // The cast.js module will now be initialized automatically by the Google Cast SDK callback.
     console.log('[MAIN] All event listeners set up.');
@@ -186,7 +214,7 @@ export async function initMainApp() {
     try {
         console.log('[MAIN] Fetching initial configuration from server via api.js...');
         // REFACTORED: Use the centralized fetchConfig from api.js
-        const config = await fetchConfig(); 
+        const config = await fetchConfig(await getCachedGuideVersion()); // MODIFIED: Asks for the guide changes since the cached version
         if (!config) {
             throw new Error(`Could not load configuration from server. Check logs for details.`);
         }
@@ -199,50 +227,20 @@ export async function initMainApp() {
         // Populate timezone selector and update other settings UI
         populateTimezoneSelector();
         updateUIFromSettings();
+        await loadChannelHealth(); // NEW: Health badges must be known before the guide renders
 
         // Show initial loading indicator for guide (if not already handled by auth.js)
         UIElements.initialLoadingIndicator.classList.remove('hidden');
         UIElements.guidePlaceholder.classList.remove('hidden');
 
-        // FIX: Cache Validation Logic
-        const serverTimestamp = config.settings.sourcesLastUpdated;
-        const localTimestamp = await loadDataFromDB('sourcesLastUpdated');
-        let useCache = false;
-
-        if (serverTimestamp && localTimestamp && serverTimestamp === localTimestamp) {
-            console.log('[MAIN_CACHE] Server and local timestamps match. Using local cache.');
-            useCache = true;
+        // MODIFIED: Cache validation by guide version. The config was requested with the cached version,
+        // so an outdated cache comes with the delta that brings it up to date.
+        if (await syncGuideData(config)) {
+            console.log(`[MAIN] Guide loaded at version ${config.guideVersion}.`);
         } else {
-            console.log(`[MAIN_CACHE] Timestamps differ or are missing. Server: ${serverTimestamp}, Local: ${localTimestamp}. Fetching fresh data.`);
-            useCache = false;
-        }
-
-        let loadedFromCache = false;
-        if (useCache) {
-            const cachedChannels = await loadDataFromDB('channels');
-            const cachedPrograms = await loadDataFromDB('programs');
-            if (cachedChannels?.length > 0 && cachedPrograms) {
-                console.log('[MAIN] Loaded guide data from cache. Finalizing guide load.');
-                guideState.channels = cachedChannels;
-                guideState.programs = cachedPrograms;
-                await finalizeGuideLoad(true); // true indicates first load
-                loadedFromCache = true;
-            }
-        }
-        
-        // If we didn't use the cache or the cache was incomplete, load from server config.
-        if (!loadedFromCache) {
-            if (config.m3uContent) {
-                console.log('[MAIN] Processing guide data from server config.');
-                await handleGuideLoad(config.m3uContent, config.epgContent);
-                // After successfully loading from server, update the local timestamp.
-                await saveDataToDB('sourcesLastUpdated', serverTimestamp);
-                console.log('[MAIN_CACHE] Updated local timestamp to match server.');
-            } else {
-                 console.log('[MAIN] No M3U content from server or cache. Displaying no data message.');
-                 UIElements.initialLoadingIndicator.classList.add('hidden');
-                 UIElements.noDataMessage.classList.remove('hidden');
-            }
+            console.log('[MAIN] No channels from server or cache. Displaying no data message.');
+            UIElements.initialLoadingIndicator.classList.add('hidden');
+            UIElements.noDataMessage.classList.remove('hidden');
         }
         
         const canAccessNotifications = hasPermission('notifications');
@@ -290,7 +288,7 @@ export async function initMainApp() {
  */
 function openDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('ViniPlayDB_v3', 1); // Increment version for schema changes
+        const request = indexedDB.open('ViniPlayDB_v3', 2); // Increment version for schema changes
         request.onerror = (event) => {
             console.error('[IndexedDB] Error opening database:', event.target.errorCode);
             reject("Error opening IndexedDB.");
@@ -307,69 +305,16 @@ function openDB() {
                 dbInstance.createObjectStore('guideData');
                 console.log('[IndexedDB] Created "guideData" object store.');
             }
+            // NEW (v2): Programme windows of the guide, keyed by block start and channel ID.
+            if (!dbInstance.objectStoreNames.contains('programWindows')) {
+                dbInstance.createObjectStore('programWindows');
+                console.log('[IndexedDB] Created "programWindows" object store.');
+            }
             // Add any future schema upgrades here
         };
     });
 }
 
-/**
- * Loads data from IndexedDB.
- */
-async function loadDataFromDB(key) {
-    if (!appState.db) {
-        console.warn('[IndexedDB] Cannot load data: DB instance is null.');
-        return null;
-    }
-    return new Promise((resolve, reject) => {
-        try {
-            const transaction = appState.db.transaction(['guideData'], 'readonly');
-            const store = transaction.objectStore('guideData');
-            const request = store.get(key);
-            request.onsuccess = () => {
-                if (request.result) {
-                    console.log(`[IndexedDB] Data for key "${key}" loaded from cache.`);
-                } else {
-                    console.log(`[IndexedDB] No data found for key "${key}" in cache.`);
-                }
-                resolve(request.result);
-            };
-            request.onerror = (event) => {
-                console.error(`[IndexedDB] Error loading data for key "${key}" from DB:`, event.target.error);
-                reject("Error loading data from DB.");
-            };
-        } catch (e) {
-            console.error(`[IndexedDB] Unexpected error during loadDataFromDB for key "${key}":`, e);
-            reject(e);
-        }
-    });
-}
-
-// FIX: New function to save data to IndexedDB
-async function saveDataToDB(key, value) {
-    if (!appState.db) {
-        console.warn('[IndexedDB] Cannot save data: DB instance is null.');
-        return false;
-    }
-    return new Promise((resolve, reject) => {
-        try {
-            const transaction = appState.db.transaction(['guideData'], 'readwrite');
-            const store = transaction.objectStore('guideData');
-            const request = store.put(value, key);
-            request.onsuccess = () => {
-                console.log(`[IndexedDB] Data for key "${key}" saved successfully.`);
-                resolve(true);
-            };
-            request.onerror = (event) => {
-                console.error(`[IndexedDB] Error saving data for key "${key}" to DB:`, event.target.error);
-                reject(false);
-            };
-        } catch (e) {
-            console.error(`[IndexedDB] Unexpected error during saveDataToDB for key "${key}":`, e);
-            reject(false);
-        }
-    });
-}
-
 /**
  * Restores the dimensions of resizable modals and the channel column from saved settings.
  */
@@ -422,6 +367,7 @@ function setupCoreEventListeners() {
     setupTabListener(UIElements.tabPopular, 'popular', updatePopularPage);
     setupTabListener(UIElements.tabGuide, 'guide');
     setupTabListener(UIElements.tabChannels, 'channels', updateChannelsPage);
+    setupTabListener(UIElements.tabVod, 'vod', initVodPage); // NEW
     setupTabListener(UIElements.tabMultiview, 'multiview', initMultiView);
     setupTabListener(UIElements.tabPlayer, 'player', initDirectPlayer);
     setupTabListener(UIElements.tabDvr, 'dvr', initDvrPage);
@@ -437,6 +383,7 @@ function setupCoreEventListeners() {
     UIElements.mobileNavPopular?.addEventListener('click', () => switchTab('popular'));
     UIElements.mobileNavGuide?.addEventListener('click', () => switchTab('guide'));
     UIElements.mobileNavChannels?.addEventListener('click', () => switchTab('channels'));
+    UIElements.mobileNavVod?.addEventListener('click', () => switchTab('vod')); // NEW
     UIElements.mobileNavMultiview?.addEventListener('click', () => switchTab('multiview'));
     UIElements.mobileNavPlayer?.addEventListener('click', () => switchTab('player'));
     UIElements.mobileNavDvr?.addEventListener('click', () => switchTab('dvr'));
@@ -9,6 +9,7 @@ import { UIElements, guideState, adminState } from './state.js';
 import { apiFetch, saveUserSetting } from './api.js';
 import { showNotification, showConfirm, openModal } from './ui.js';
 import { ICONS } from './icons.js';
+import { getImageUrl, getImageFallback } from './utils.js';
 //-- ENHANCEMENT: Import channel selector functions from multiview.js to reuse the modal.
 import { populateChannelSelector } from './multiview.js';
 
@@ -184,8 +185,8 @@ function renderLiveActivity() {
             <td>${stream.clientIp || 'N/A'}</td>
             <td>
                 <div class="flex items-center gap-3">
-                    <img src="${stream.channelLogo || 'https://placehold.co/40x40/1f2937/d1d5db?text=?'}" 
-                         onerror="this.onerror=null; this.src='https://placehold.co/40x40/1f2937/d1d5db?text=?';" 
+                    <img src="${getImageUrl(stream.channelLogo, stream.channelName)}" 
+                         onerror="${getImageFallback(stream.channelName)}" 
                          class="w-10 h-10 object-contain rounded-md bg-gray-700 flex-shrink-0" 
                          alt="Channel Logo">
                     <span class="truncate" title="${stream.channelName}">${stream.channelName}</span>
@@ -216,6 +217,22 @@ function renderLiveActivity() {
     }
 }
 
+/**
+ * NEW: Formats a stream's upstream switches for the history tooltip.
+ * @param {string|null} failoverLog - JSON array of { time, from, to, reason }.
+ * @returns {string}
+ */
+function formatFailoverLog(failoverLog) {
+    try {
+        return JSON.parse(failoverLog || '[]')
+            .map(f => `${new Date(f.time).toLocaleTimeString()}: ${f.from} → ${f.to} (${f.reason})`)
+            .join('\n')
+            .replace(/"/g, '&quot;');
+    } catch (e) {
+        return '';
+    }
+}
+
 /**
  * Renders the table of historical watch sessions based on the current state.
  */
@@ -237,11 +254,12 @@ function renderWatchHistory() {
             <td>${entry.client_ip || 'N/A'}</td>
             <td>
                 <div class="flex items-center gap-3">
-                    <img src="${entry.channel_logo || 'https://placehold.co/40x40/1f2937/d1d5db?text=?'}" 
-                         onerror="this.onerror=null; this.src='https://placehold.co/40x40/1f2937/d1d5db?text=?';" 
+                    <img src="${getImageUrl(entry.channel_logo, entry.channel_name)}" 
+                         onerror="${getImageFallback(entry.channel_name)}" 
                          class="w-10 h-10 object-contain rounded-md bg-gray-700 flex-shrink-0" 
                          alt="Channel Logo">
                     <span class="truncate" title="${entry.channel_name}">${entry.channel_name}</span>
+                    ${entry.failover_count > 0 ? `<span class="px-2 py-0.5 text-xs font-semibold rounded-full bg-yellow-500/20 text-yellow-200 flex-shrink-0" title="${formatFailoverLog(entry.failover_log)}">Failover ×${entry.failover_count}</span>` : ''}
                 </div>
             </td>
             <td>${entry.stream_profile_name || 'N/A'}</td>
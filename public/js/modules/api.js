@@ -50,12 +50,16 @@ export async function apiFetch(url, options = {}) {
 }
 
 /**
- * Fetches the entire application configuration including M3U content, EPG data, and settings.
- * @returns {Promise<object|null>} The configuration object (m3uContent, epgContent, settings) or null on failure.
+ * Fetches the application configuration (global settings merged with the user's settings).
+ * MODIFIED: The response is revalidated with its ETag instead of bypassing the cache, and carries the
+ * server's guide version. Given the cached guide version, it also carries the guide changes since then.
+ * @param {string|null} [sinceGuideVersion] - The guide version held in the IndexedDB cache.
+ * @returns {Promise<object|null>} The configuration object ({ settings, guideVersion, guideDelta }) or null on failure.
  */
-export async function fetchConfig() {
+export async function fetchConfig(sinceGuideVersion = null) {
     console.log('[API] Fetching application configuration from /api/config.');
-    const response = await apiFetch(`/api/config?t=${Date.now()}`); // Add timestamp to prevent caching
+    const query = sinceGuideVersion ? `?since=${encodeURIComponent(sinceGuideVersion)}` : '';
+    const response = await apiFetch(`/api/config${query}`, { cache: 'no-cache' });
     if (!response) {
         console.error('[API] Failed to fetch config: No response from apiFetch.');
         return null;
@@ -17,6 +17,7 @@ export const castState = {
     currentMedia: null,
     localPlayerState: {
         streamUrl: null,
+        castUrl: null, // NEW: The URL handed to a cast device, which can differ from the local stream (HLS)
         name: null,
         logo: null
     }
@@ -28,9 +29,11 @@ export const castState = {
  * @param {string} streamUrl - The URL of the stream.
  * @param {string} name - The name of the channel.
  * @param {string} logo - The URL for the channel's logo.
+ * @param {string} [castUrl] - NEW: The URL to cast instead of the stream URL, e.g. its HLS variant.
  */
-export function setLocalPlayerState(streamUrl, name, logo) {
+export function setLocalPlayerState(streamUrl, name, logo, castUrl = streamUrl) {
     castState.localPlayerState.streamUrl = streamUrl;
+    castState.localPlayerState.castUrl = castUrl;
     castState.localPlayerState.name = name;
     castState.localPlayerState.logo = logo;
     console.log(`[CAST] Local player state updated: ${name}`);
@@ -97,7 +100,7 @@ function handleSessionStateChange(event) {
             
             if (castState.localPlayerState.streamUrl) {
                 console.log('[CAST] Automatically casting local content after session start.');
-                loadMedia(castState.localPlayerState.streamUrl, castState.localPlayerState.name, castState.localPlayerState.logo);
+                loadMedia(castState.localPlayerState.castUrl, castState.localPlayerState.name, castState.localPlayerState.logo);
             }
             break;
         case cast.framework.SessionState.SESSION_ENDED:
@@ -167,7 +170,9 @@ export function loadMedia(url, name, logo) {
 
     console.log(`[CAST] Loading media: "${name}" from URL: ${url}`);
     
-    const mediaInfo = new chrome.cast.media.MediaInfo(url, 'video/mp2t');
+    // NEW: Profiles that can output HLS are cast as HLS, which receivers handle better than MPEG-TS.
+    const contentType = /[?&]format=hls(&|$)/.test(url) ? 'application/x-mpegURL' : 'video/mp2t';
+    const mediaInfo = new chrome.cast.media.MediaInfo(url, contentType);
     mediaInfo.streamType = chrome.cast.media.StreamType.LIVE;
     mediaInfo.metadata = new chrome.cast.media.TvShowMediaMetadata();
     mediaInfo.metadata.title = name;
@@ -0,0 +1,146 @@
+/**
+ * channel_health.js
+ * * Channel health results from the server's background ffprobe scanner.
+ *   Provides the health badges and filters used by the TV Guide and Channels page,
+ *   and the admin controls for running the scanner.
+ */
+
+import { UIElements, guideState } from './state.js';
+import { apiFetch } from './api.js';
+import { showNotification } from './ui.js';
+import { sanitizeText, sanitizeAttr, updateChannelsPage } from './channels.js';
+import { handleSearchAndFilter, updateHealthFilterVisibility } from './guide.js';
+
+const STATUS_POLL_INTERVAL_MS = 5000;
+
+let statusPollTimer = null;
+let scannerWasRunning = false;
+
+/**
+ * Fetches the latest health of every channel into guideState.channelHealth.
+ */
+export async function loadChannelHealth() {
+    const res = await apiFetch('/api/channel-health');
+    guideState.channelHealth = res ? await res.json() : {};
+}
+
+const getResolutionLabel = (height) => {
+    if (!height) return null;
+    if (height >= 2160) return '4K';
+    if (height >= 1080) return '1080p';
+    if (height >= 720) return '720p';
+    return 'SD';
+};
+
+/**
+ * Checks a channel against a health filter.
+ * @param {object} channel - The channel.
+ * @param {('all'|'working'|'hd'|'transcode')} filter - The selected filter.
+ * @returns {boolean}
+ */
+export function matchesHealthFilter(channel, filter) {
+    if (!filter || filter === 'all') return true;
+    const health = guideState.channelHealth?.[channel.id];
+    if (!health) return false;
+    if (filter === 'working') return health.status === 'ok';
+    if (filter === 'hd') return health.status === 'ok' && health.height >= 720;
+    if (filter === 'transcode') return health.status === 'ok' && health.needsTranscode;
+    return true;
+}
+
+/**
+ * Builds the health badge for a channel. Channels that haven't been scanned get no badge.
+ * @param {string} channelId - The channel's ID.
+ * @returns {string} The badge HTML.
+ */
+export function buildHealthBadge(channelId) {
+    const health = guideState.channelHealth?.[channelId];
+    if (!health) return '';
+
+    const details = [];
+    if (health.status === 'ok') {
+        if (health.videoCodec) details.push(`Video: ${health.videoCodec}${health.width ? ` ${health.width}x${health.height}` : ''}${health.fps ? ` @ ${health.fps} fps` : ''}`);
+        if (health.audioTracks.length > 0) {
+            details.push(`Audio: ${health.audioTracks.map(t => [t.codec, t.channels ? `${t.channels}ch` : '', t.language].filter(Boolean).join(' ')).join(', ')}`);
+        }
+        if (health.needsTranscode) details.push('Needs transcoding in the browser');
+    } else {
+        details.push(`Offline: ${health.error || 'Unreachable'}`);
+    }
+    if (health.uptime !== null) details.push(`${health.uptime}% working over the last 7 days`);
+    details.push(`Checked ${new Date(health.checkedAt).toLocaleString()}`);
+
+    let label = 'Offline';
+    let colorClass = 'bg-red-600';
+    if (health.status === 'ok') {
+        label = getResolutionLabel(health.height) || 'OK';
+        colorClass = health.needsTranscode ? 'bg-yellow-600' : 'bg-green-600';
+    }
+    return `<span class="source-badge health-badge ${colorClass} text-white" title="${sanitizeAttr(details.join('\n'))}">${sanitizeText(label)}</span>`;
+}
+
+/**
+ * Renders the scanner's progress in the settings page.
+ */
+function renderScannerStatus(status) {
+    const el = UIElements.channelScannerStatus;
+    if (!el) return;
+
+    const isRunning = status.running;
+    UIElements.channelScannerStartBtn.classList.toggle('hidden', isRunning);
+    UIElements.channelScannerStopBtn.classList.toggle('hidden', !isRunning);
+
+    if (isRunning) {
+        el.textContent = `Scanning... ${status.checked} of ${status.total} channels checked (${status.working} working, ${status.dead} offline).`;
+    } else if (status.finishedAt) {
+        el.textContent = status.total > 0
+            ? `Last scan ${new Date(status.finishedAt).toLocaleString()}: ${status.working} working, ${status.dead} offline of ${status.total} channels.`
+            : `Last check ${new Date(status.finishedAt).toLocaleString()}.`;
+    } else {
+        el.textContent = 'No scan has run yet.';
+    }
+}
+
+/**
+ * Fetches the scanner status, polling while a scan is running.
+ * Reloads the health data once a scan completes so badges update.
+ */
+export async function refreshChannelScannerStatus() {
+    clearTimeout(statusPollTimer);
+    const res = await apiFetch('/api/channel-scanner');
+    if (!res) return;
+    const status = await res.json();
+    const scanJustFinished = scannerWasRunning && !status.running;
+    scannerWasRunning = status.running;
+    renderScannerStatus(status);
+
+    if (status.running) {
+        statusPollTimer = setTimeout(refreshChannelScannerStatus, STATUS_POLL_INTERVAL_MS);
+    } else if (scanJustFinished) {
+        await loadChannelHealth();
+        updateHealthFilterVisibility();
+        handleSearchAndFilter();
+        updateChannelsPage();
+    }
+}
+
+/**
+ * Sets up the admin scanner controls in the settings page.
+ */
+export function setupChannelScannerEventListeners() {
+    if (!UIElements.channelScannerStartBtn) return;
+
+    UIElements.channelScannerStartBtn.addEventListener('click', async () => {
+        const res = await apiFetch('/api/channel-scanner/start', { method: 'POST' });
+        if (!res) return;
+        showNotification((await res.json()).message);
+        await refreshChannelScannerStatus();
+    });
+
+    UIElements.channelScannerStopBtn.addEventListener('click', async () => {
+        const res = await apiFetch('/api/channel-scanner/stop', { method: 'POST' });
+        if (!res) return;
+        showNotification((await res.json()).message);
+        await refreshChannelScannerStatus();
+    });
+}
@@ -0,0 +1,144 @@
+/**
+ * channel_manager.js
+ * * Admin "Channel Manager" for curating the merged lineup.
+ *   Stores per-channel overrides (display name, channel number, group, logo, hidden) on the
+ *   server, keyed by the stable channel key, so every page sees the same curated playlist.
+ *   Channels given the same failover group are played as one channel with backup upstreams.
+ */
+
+import { UIElements } from './state.js';
+import { apiFetch } from './api.js';
+import { showNotification, openModal, closeModal } from './ui.js';
+import { sanitizeText, sanitizeAttr } from './channels.js';
+
+const MAX_ROWS = 300;
+
+let managerData = { channels: [], overrides: [] };
+let overridesByChannel = new Map();
+
+const inputClasses = 'w-full bg-gray-700 border border-gray-600 rounded-md px-2 py-1 text-xs text-white focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * Renders the channel table using the current filter and search term.
+ */
+function renderChannelTable() {
+    const tbody = UIElements.channelManagerTbody;
+    const filter = UIElements.channelManagerFilter.value;
+    const searchTerm = UIElements.channelManagerSearch.value.trim().toLowerCase();
+
+    const rows = managerData.channels
+        .map(channel => ({ channel, override: overridesByChannel.get(channel.key) }))
+        .filter(({ override }) => {
+            if (filter === 'overrides') return !!override;
+            if (filter === 'hidden') return !!override?.hidden;
+            if (filter === 'failover') return !!override?.failover_group;
+            return true;
+        })
+        .filter(({ channel, override }) => !searchTerm || `${channel.name} ${override?.name || ''} ${channel.group} ${override?.group_title || ''} ${override?.failover_group || ''} ${channel.sourceName}`.toLowerCase().includes(searchTerm));
+
+    UIElements.channelManagerSummary.textContent = `${rows.length} channel(s) shown${rows.length > MAX_ROWS ? ` (first ${MAX_ROWS} listed, refine your search)` : ''}.`;
+
+    if (rows.length === 0) {
+        const message = managerData.channels.length === 0 ? 'No channels yet. Process your sources first.' : 'No channels match this filter.';
+        tbody.innerHTML = `<tr><td colspan="8" class="text-center text-gray-500 py-6 text-xs">${message}</td></tr>`;
+        return;
+    }
+
+    // Empty inputs keep the provider's value, which is shown as the placeholder.
+    tbody.innerHTML = rows.slice(0, MAX_ROWS).map(({ channel, override }) => `
+        <tr data-channel-key="${sanitizeAttr(channel.key)}" class="${override?.hidden ? 'opacity-50' : ''}">
+            <td><p class="text-xs font-semibold text-white">${sanitizeText(channel.name)}</p><p class="text-xs text-gray-500">${sanitizeText(channel.sourceName || '')}</p></td>
+            <td><input type="text" data-field="name" class="${inputClasses}" value="${sanitizeAttr(override?.name || '')}" placeholder="${sanitizeAttr(channel.name)}"></td>
+            <td style="width: 5rem;"><input type="text" data-field="chno" class="${inputClasses}" value="${sanitizeAttr(override?.chno || '')}" placeholder="${sanitizeAttr(channel.chno || '—')}"></td>
+            <td><input type="text" data-field="group" class="${inputClasses}" value="${sanitizeAttr(override?.group_title || '')}" placeholder="${sanitizeAttr(channel.group || 'Uncategorized')}"></td>
+            <td><input type="url" data-field="logo" class="${inputClasses}" value="${sanitizeAttr(override?.logo || '')}" placeholder="${sanitizeAttr(channel.logo || 'Logo URL')}"></td>
+            <td><input type="text" data-field="failoverGroup" class="${inputClasses}" value="${sanitizeAttr(override?.failover_group || '')}" placeholder="${channel.tvgId ? sanitizeAttr(`tvg-id: ${channel.tvgId}`) : 'None'}" title="Channels with the same failover group back each other up. Without one, channels sharing a tvg-id do."></td>
+            <td class="text-center"><input type="checkbox" data-field="hidden" class="form-checkbox h-4 w-4 text-blue-600 bg-gray-800 border-gray-600 rounded" ${override?.hidden ? 'checked' : ''}></td>
+            <td class="text-right whitespace-nowrap">
+                <button class="channel-manager-save-btn text-xs text-blue-400 hover:text-blue-300 mr-3">Save</button>
+                ${override ? '<button class="channel-manager-reset-btn text-xs text-red-400 hover:text-red-300">Reset</button>' : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Fetches the channel index and overrides from the server and re-renders.
+ */
+async function loadChannelOverrides() {
+    const res = await apiFetch('/api/channel-overrides');
+    if (!res) return;
+    managerData = await res.json();
+    overridesByChannel = new Map(managerData.overrides.map(o => [o.channel_key, o]));
+    renderChannelTable();
+}
+
+/**
+ * Saves the override described by a table row.
+ * @param {HTMLTableRowElement} row - The channel's row.
+ */
+async function saveRow(row) {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    const res = await apiFetch(`/api/channel-overrides/${encodeURIComponent(row.dataset.channelKey)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            name: field('name').value,
+            chno: field('chno').value,
+            group: field('group').value,
+            logo: field('logo').value,
+            failoverGroup: field('failoverGroup').value,
+            hidden: field('hidden').checked,
+        })
+    });
+    if (!res) return;
+    const data = await res.json();
+    showNotification(data.message);
+    await loadChannelOverrides();
+}
+
+/**
+ * Opens the Channel Manager modal.
+ */
+export async function openChannelManager() {
+    UIElements.channelManagerFilter.value = 'all';
+    UIElements.channelManagerSearch.value = '';
+    UIElements.channelManagerTbody.innerHTML = '<tr><td colspan="8" class="text-center text-gray-500 py-6 text-xs">Loading...</td></tr>';
+    openModal(UIElements.channelManagerModal);
+    await loadChannelOverrides();
+}
+
+/**
+ * Sets up event listeners for the Channel Manager.
+ */
+export function setupChannelManagerEventListeners() {
+    if (!UIElements.channelManagerModal) return;
+
+    UIElements.channelManagerBtn?.addEventListener('click', openChannelManager);
+    UIElements.channelManagerCloseBtn.addEventListener('click', () => closeModal(UIElements.channelManagerModal));
+    UIElements.channelManagerFilter.addEventListener('change', renderChannelTable);
+    UIElements.channelManagerSearch.addEventListener('input', renderChannelTable);
+
+    UIElements.channelManagerTbody.addEventListener('click', async (e) => {
+        const row = e.target.closest('tr[data-channel-key]');
+        if (!row) return;
+
+        if (e.target.closest('.channel-manager-save-btn')) {
+            await saveRow(row);
+        } else if (e.target.closest('.channel-manager-reset-btn')) {
+            const res = await apiFetch(`/api/channel-overrides/${encodeURIComponent(row.dataset.channelKey)}`, { method: 'DELETE' });
+            if (res) {
+                const data = await res.json();
+                showNotification(data.message);
+                await loadChannelOverrides();
+            }
+        }
+    });
+
+    // Pressing Enter in a row's inputs saves that row.
+    UIElements.channelManagerTbody.addEventListener('keydown', async (e) => {
+        if (e.key !== 'Enter' || !e.target.matches('input[data-field]')) return;
+        e.preventDefault();
+        await saveRow(e.target.closest('tr[data-channel-key]'));
+    });
+}
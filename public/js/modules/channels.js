@@ -6,12 +6,15 @@
 
 import { UIElements, guideState } from './state.js';
 import { playChannel } from './player.js';
+import { buildHealthBadge, matchesHealthFilter } from './channel_health.js';
+import { getImageUrl, getImageFallback } from './utils.js';
 
 const UNCATEGORIZED_VALUE = '__uncategorized__';
 
 let initialized = false;
 let searchTerm = '';
 let selectedCategory = 'all';
+let selectedHealth = 'all'; // NEW: Channel health filter
 
 export const sanitizeText = (value) => `${value ?? ''}`
     .replace(/&/g, '&amp;')
@@ -100,7 +103,7 @@ export function buildChannelCard(channel, options = {}) {
     const currentProgram = getCurrentProgram(channel.id);
     const programTitle = currentProgram?.title;
     const programWindow = currentProgram ? formatProgramWindow(currentProgram) : '';
-    const logoUrl = channel.logo || 'https://placehold.co/96x96/1f2937/d1d5db?text=?';
+    const logoUrl = getImageUrl(channel.logo, displayName);
     const showProgramInfo = Boolean(programTitle || programWindow);
     const viewerCount = Number.isFinite(options.viewerCount) ? options.viewerCount : null;
     const watcherText = viewerCount === 1 ? '1 watching' : `${viewerCount} watching`;
@@ -127,11 +130,11 @@ export function buildChannelCard(channel, options = {}) {
         <div class="channel-card bg-gray-800 border border-gray-700 rounded-xl p-4 shadow-lg flex flex-col gap-4" style="min-height: 240px;">
             <div class="flex items-center gap-3">
                 <img src="${sanitizeAttr(logoUrl)}"
-                     onerror="this.onerror=null; this.src='https://placehold.co/96x96/1f2937/d1d5db?text=?';"
+                     onerror="${getImageFallback(displayName)}"
                      alt="${sanitizeAttr(displayName)} logo"
                      class="w-16 h-16 rounded-lg object-contain bg-gray-900 flex-shrink-0">
                 <div class="min-w-0 flex-grow">
-                    <p class="text-xs uppercase tracking-wide text-blue-300">${sanitizeText(categoryLabel)}</p>
+                    <p class="text-xs uppercase tracking-wide text-blue-300">${sanitizeText(categoryLabel)}${buildHealthBadge(channel.id)}</p>
                     <h3 class="text-lg font-semibold text-white leading-tight truncate" title="${sanitizeAttr(displayName)}">${sanitizeText(displayName)}</h3>
                 </div>
             </div>
@@ -185,6 +188,11 @@ export function initChannelsPage() {
         updateChannelsPage();
     });
 
+    UIElements.channelsHealthFilter?.addEventListener('change', (event) => {
+        selectedHealth = event.target.value;
+        updateChannelsPage();
+    });
+
     attachGridEvents();
     initialized = true;
     populateCategoryFilter();
@@ -212,6 +220,13 @@ export function updateChannelsPage() {
         selectedCategory = UIElements.channelsCategoryFilter.value;
     }
 
+    // NEW: The health filter only appears once the channel scanner has results.
+    const hasHealthData = Object.keys(guideState.channelHealth || {}).length > 0;
+    UIElements.channelsHealthFilterContainer?.classList.toggle('hidden', !hasHealthData);
+    if (UIElements.channelsHealthFilter) {
+        selectedHealth = hasHealthData ? UIElements.channelsHealthFilter.value : 'all';
+    }
+
     const channels = (guideState.channels || []).slice().sort((a, b) => {
         return getDisplayName(a).localeCompare(getDisplayName(b), undefined, { sensitivity: 'base' });
     });
@@ -231,6 +246,10 @@ export function updateChannelsPage() {
         });
     }
 
+    if (selectedHealth !== 'all') {
+        filtered = filtered.filter(channel => matchesHealthFilter(channel, selectedHealth));
+    }
+
     if (filtered.length === 0) {
         grid.innerHTML = '';
         if (emptyState && emptyMessage) {
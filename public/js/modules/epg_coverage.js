@@ -0,0 +1,104 @@
+/**
+ * epg_coverage.js
+ * * Admin report of how much guide data each channel has after the last merge.
+ *   When several EPG sources cover a channel the highest-priority one is used and the others only
+ *   fill its gaps, so the report also lists which sources each channel's programmes came from.
+ */
+
+import { UIElements } from './state.js';
+import { apiFetch } from './api.js';
+import { openModal, closeModal } from './ui.js';
+import { sanitizeText, sanitizeAttr } from './channels.js';
+
+const MAX_ROWS = 500;
+const LOW_COVERAGE_HOURS = 24;
+
+let coverageChannels = [];
+let searchDebounceTimer = null;
+
+const hasProblem = (channel) => channel.programmes === 0 || channel.nextGap || channel.hours < LOW_COVERAGE_HOURS;
+
+const formatTime = (iso) => new Date(iso).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+const describeGap = (gap) => {
+    if (!gap) return '<span class="text-gray-500">None</span>';
+    const hours = Math.round((Date.parse(gap.end) - Date.parse(gap.start)) / 360000) / 10;
+    return `<span class="text-yellow-300">${formatTime(gap.start)}</span> <span class="text-gray-500">(${hours}h)</span>`;
+};
+
+/**
+ * Renders the channels matching the search and filter, least covered first.
+ */
+function renderCoverage() {
+    const query = UIElements.epgCoverageSearch.value.trim().toLowerCase();
+    const filter = UIElements.epgCoverageFilter.value;
+    const matches = coverageChannels.filter(channel => {
+        if (filter === 'none' && channel.programmes > 0) return false;
+        if (filter === 'problems' && !hasProblem(channel)) return false;
+        return !query || channel.name.toLowerCase().includes(query) || (channel.source || '').toLowerCase().includes(query);
+    });
+
+    if (matches.length === 0) {
+        UIElements.epgCoverageTbody.innerHTML = '<tr><td colspan="5" class="text-center text-gray-500 py-6 text-xs">No channels match.</td></tr>';
+        return;
+    }
+
+    const rows = matches.slice(0, MAX_ROWS).map(channel => `
+        <tr>
+            <td class="text-xs"><span class="font-semibold text-white">${sanitizeText(channel.name)}</span> <span class="text-gray-500">${sanitizeText(channel.source)}</span></td>
+            <td class="text-xs ${channel.hours < LOW_COVERAGE_HOURS ? 'text-red-400 font-semibold' : 'text-gray-300'}">${channel.programmes === 0 ? 'No guide data' : channel.hours}</td>
+            <td class="text-xs text-gray-300">${channel.endsAt ? formatTime(channel.endsAt) : '-'}</td>
+            <td class="text-xs">${channel.programmes === 0 ? '-' : describeGap(channel.nextGap)}</td>
+            <td class="text-xs text-gray-400">${channel.sources.map(source => `<span title="${sanitizeAttr(`${source.programmes} programmes`)}">${sanitizeText(source.name)}</span>`).join(', ') || '-'}</td>
+        </tr>
+    `);
+    if (matches.length > MAX_ROWS) {
+        rows.push(`<tr><td colspan="5" class="text-center text-gray-500 py-3 text-xs">Showing ${MAX_ROWS} of ${matches.length} channels. Search to narrow the list.</td></tr>`);
+    }
+    UIElements.epgCoverageTbody.innerHTML = rows.join('');
+}
+
+/**
+ * Fetches the coverage report and updates the summary in settings.
+ */
+export async function refreshEpgCoverage() {
+    const res = await apiFetch('/api/epg-coverage');
+    if (!res) return;
+    const report = await res.json();
+    coverageChannels = report.channels.sort((a, b) => a.hours - b.hours || a.name.localeCompare(b.name));
+
+    if (report.generatedAt) {
+        const withoutGuide = coverageChannels.filter(channel => channel.programmes === 0).length;
+        const withGaps = coverageChannels.filter(channel => channel.programmes > 0 && channel.nextGap).length;
+        const summary = `${withoutGuide} of ${coverageChannels.length} channels have no guide data, ${withGaps} have a gap.`;
+        UIElements.epgCoverageSummary.textContent = `Last merge ${new Date(report.generatedAt).toLocaleString()}: ${summary}`;
+        UIElements.epgCoverageGenerated.textContent = `From the merge at ${new Date(report.generatedAt).toLocaleString()}. Hours are counted from that time. ${summary}`;
+    } else {
+        UIElements.epgCoverageGenerated.textContent = 'Process sources to build the report.';
+    }
+    if (!UIElements.epgCoverageModal.classList.contains('hidden')) renderCoverage();
+}
+
+/**
+ * Opens the coverage modal.
+ */
+export async function openEpgCoverage() {
+    UIElements.epgCoverageTbody.innerHTML = '<tr><td colspan="5" class="text-center text-gray-500 py-6 text-xs">Loading...</td></tr>';
+    openModal(UIElements.epgCoverageModal);
+    await refreshEpgCoverage();
+}
+
+/**
+ * Sets up event listeners for the coverage modal.
+ */
+export function setupEpgCoverageEventListeners() {
+    if (!UIElements.epgCoverageModal) return;
+
+    UIElements.epgCoverageBtn?.addEventListener('click', openEpgCoverage);
+    UIElements.epgCoverageCloseBtn.addEventListener('click', () => closeModal(UIElements.epgCoverageModal));
+    UIElements.epgCoverageFilter.addEventListener('change', renderCoverage);
+    UIElements.epgCoverageSearch.addEventListener('input', () => {
+        clearTimeout(searchDebounceTimer);
+        searchDebounceTimer = setTimeout(renderCoverage, 200);
+    });
+}
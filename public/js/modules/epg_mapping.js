@@ -0,0 +1,209 @@
+/**
+ * epg_mapping.js
+ * * Admin editor for playlist channel -> EPG channel mappings.
+ *   Lists the server's automatic name matches, highlights low-confidence and unmatched
+ *   channels, and lets an admin override a match by hand (or disable guide data for a channel).
+ */
+
+import { UIElements } from './state.js';
+import { apiFetch } from './api.js';
+import { showNotification, openModal, closeModal } from './ui.js';
+import { sanitizeText, sanitizeAttr } from './channels.js';
+
+const REVIEW_CONFIDENCE = 0.85; // Auto-matches below this are flagged for review
+const MAX_ROWS = 300;
+
+let mappingData = { mappings: [], channels: [], epgChannels: [], minConfidence: 0.6 };
+let mappingsByChannel = new Map();
+let fuseEpgChannels = null;
+let pickerChannel = null;
+let pickerResults = [];
+
+/**
+ * Classifies a channel's mapping for display and filtering.
+ * @param {object|undefined} mapping - The epg_mappings row for the channel, if any.
+ * @returns {('manual'|'none'|'matched'|'review'|'unmatched'|'direct')}
+ */
+const getMappingState = (mapping) => {
+    if (!mapping) return 'direct';
+    if (mapping.method === 'manual') return 'manual';
+    if (mapping.method === 'none') return 'none';
+    if (!mapping.epg_channel_id || mapping.confidence < mappingData.minConfidence) return 'unmatched';
+    return mapping.confidence < REVIEW_CONFIDENCE ? 'review' : 'matched';
+};
+
+const buildMatchBadge = (state, mapping) => {
+    const percent = mapping ? `${Math.round((mapping.confidence || 0) * 100)}%` : '';
+    const badges = {
+        manual: '<span class="px-2 py-1 text-xs font-semibold rounded-full bg-blue-500/20 text-blue-200">Manual</span>',
+        none: '<span class="px-2 py-1 text-xs font-semibold rounded-full bg-gray-500/20 text-gray-300">No EPG</span>',
+        matched: `<span class="px-2 py-1 text-xs font-semibold rounded-full bg-green-500/20 text-green-200">Auto ${percent}</span>`,
+        review: `<span class="px-2 py-1 text-xs font-semibold rounded-full bg-yellow-500/20 text-yellow-200">Review ${percent}</span>`,
+        unmatched: `<span class="px-2 py-1 text-xs font-semibold rounded-full bg-red-500/20 text-red-200">Unmatched${mapping?.epg_channel_id ? ` ${percent}` : ''}</span>`,
+        direct: '<span class="px-2 py-1 text-xs font-semibold rounded-full bg-gray-500/20 text-gray-400">tvg-id</span>',
+    };
+    return badges[state];
+};
+
+/**
+ * Renders the mapping table using the current filter and search term.
+ */
+function renderMappingTable() {
+    const tbody = UIElements.epgMappingTbody;
+    const filter = UIElements.epgMappingFilter.value;
+    const searchTerm = UIElements.epgMappingSearch.value.trim().toLowerCase();
+
+    const rows = mappingData.channels
+        .map(channel => {
+            const mapping = mappingsByChannel.get(channel.id);
+            return { channel, mapping, state: getMappingState(mapping) };
+        })
+        .filter(({ state }) => {
+            if (filter === 'review') return state === 'review' || state === 'unmatched';
+            if (filter === 'unmatched') return state === 'unmatched';
+            if (filter === 'overrides') return state === 'manual' || state === 'none';
+            return true;
+        })
+        .filter(({ channel }) => !searchTerm || `${channel.name} ${channel.source}`.toLowerCase().includes(searchTerm));
+
+    UIElements.epgMappingSummary.textContent = `${rows.length} channel(s) shown${rows.length > MAX_ROWS ? ` (first ${MAX_ROWS} listed, refine your search)` : ''}.`;
+
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" class="text-center text-gray-500 py-6 text-xs">No channels match this filter.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = rows.slice(0, MAX_ROWS).map(({ channel, mapping, state }) => {
+        const epgLabel = mapping?.epg_channel_id
+            ? `<p class="text-xs text-gray-200">${sanitizeText(mapping.epg_channel_name || mapping.epg_channel_id)}</p><p class="text-xs text-gray-500">${sanitizeText(mapping.epg_channel_id)}</p>`
+            : `<p class="text-xs text-gray-500 italic">${state === 'direct' ? 'Matched by tvg-id' : 'None'}</p>`;
+        const isOverride = state === 'manual' || state === 'none';
+        return `
+            <tr data-channel-id="${sanitizeAttr(channel.id)}">
+                <td><p class="text-xs font-semibold text-white">${sanitizeText(channel.name)}</p><p class="text-xs text-gray-500">${sanitizeText(channel.source || '')}</p></td>
+                <td>${epgLabel}</td>
+                <td>${buildMatchBadge(state, mapping)}</td>
+                <td class="text-right whitespace-nowrap">
+                    <button class="epg-mapping-change-btn text-xs text-blue-400 hover:text-blue-300 mr-3">Change</button>
+                    ${state !== 'none' ? '<button class="epg-mapping-none-btn text-xs text-gray-400 hover:text-white mr-3">No EPG</button>' : ''}
+                    ${isOverride ? '<button class="epg-mapping-reset-btn text-xs text-red-400 hover:text-red-300">Reset</button>' : ''}
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders EPG channel search results in the override picker.
+ */
+function renderPickerResults() {
+    const term = UIElements.epgMappingPickerSearch.value.trim();
+    pickerResults = term && fuseEpgChannels
+        ? fuseEpgChannels.search(term, { limit: 20 }).map(r => r.item)
+        : mappingData.epgChannels.slice(0, 20);
+
+    if (pickerResults.length === 0) {
+        UIElements.epgMappingPickerResults.innerHTML = '<p class="text-xs text-gray-500">No EPG channels found.</p>';
+        return;
+    }
+
+    UIElements.epgMappingPickerResults.innerHTML = pickerResults.map((epgChannel, index) => `
+        <button type="button" class="epg-mapping-pick-btn w-full text-left px-3 py-2 rounded-md hover:bg-gray-700 flex justify-between gap-3" data-index="${index}">
+            <span class="text-sm text-white truncate">${sanitizeText(epgChannel.names[0] || epgChannel.id)} <span class="text-xs text-gray-500">${sanitizeText(epgChannel.id)}</span></span>
+            <span class="text-xs text-gray-400 flex-shrink-0">${sanitizeText(epgChannel.sourceName)}</span>
+        </button>
+    `).join('');
+}
+
+/**
+ * Saves an override for a channel. Passing a null EPG channel stores a "no guide data" override.
+ * @param {object} channel - The playlist channel.
+ * @param {object|null} epgChannel - The chosen EPG channel, or null.
+ */
+async function saveOverride(channel, epgChannel) {
+    const res = await apiFetch(`/api/epg-mappings/${encodeURIComponent(channel.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            channelName: channel.name,
+            sourceName: channel.source,
+            epgSourceId: epgChannel ? epgChannel.sourceId : null,
+            epgChannelId: epgChannel ? epgChannel.id : null,
+            epgChannelName: epgChannel ? (epgChannel.names[0] || epgChannel.id) : null,
+        })
+    });
+    if (!res) return;
+    const data = await res.json();
+    showNotification(data.message);
+    UIElements.epgMappingPicker.classList.add('hidden');
+    await loadMappings();
+}
+
+/**
+ * Fetches mappings, channels and EPG channel lists from the server and re-renders.
+ */
+async function loadMappings() {
+    const res = await apiFetch('/api/epg-mappings');
+    if (!res) return;
+    mappingData = await res.json();
+    mappingsByChannel = new Map(mappingData.mappings.map(m => [m.channel_key, m]));
+    fuseEpgChannels = new Fuse(mappingData.epgChannels, { keys: ['names', 'id'], threshold: 0.4, ignoreLocation: true });
+    renderMappingTable();
+}
+
+/**
+ * Opens the mapping editor modal.
+ */
+export async function openEpgMappingEditor() {
+    UIElements.epgMappingFilter.value = 'review';
+    UIElements.epgMappingSearch.value = '';
+    UIElements.epgMappingPicker.classList.add('hidden');
+    UIElements.epgMappingTbody.innerHTML = '<tr><td colspan="4" class="text-center text-gray-500 py-6 text-xs">Loading...</td></tr>';
+    openModal(UIElements.epgMappingModal);
+    await loadMappings();
+}
+
+/**
+ * Sets up event listeners for the mapping editor.
+ */
+export function setupEpgMappingEventListeners() {
+    if (!UIElements.epgMappingModal) return;
+
+    UIElements.epgMappingBtn?.addEventListener('click', openEpgMappingEditor);
+    UIElements.epgMappingCloseBtn.addEventListener('click', () => closeModal(UIElements.epgMappingModal));
+    UIElements.epgMappingFilter.addEventListener('change', renderMappingTable);
+    UIElements.epgMappingSearch.addEventListener('input', renderMappingTable);
+    UIElements.epgMappingPickerSearch.addEventListener('input', renderPickerResults);
+
+    UIElements.epgMappingTbody.addEventListener('click', async (e) => {
+        const row = e.target.closest('tr[data-channel-id]');
+        if (!row) return;
+        const channel = mappingData.channels.find(c => c.id === row.dataset.channelId);
+        if (!channel) return;
+
+        if (e.target.closest('.epg-mapping-change-btn')) {
+            pickerChannel = channel;
+            UIElements.epgMappingPickerTitle.textContent = `Map "${channel.name}" to:`;
+            UIElements.epgMappingPickerSearch.value = channel.name;
+            UIElements.epgMappingPicker.classList.remove('hidden');
+            renderPickerResults();
+            UIElements.epgMappingPickerSearch.focus();
+        } else if (e.target.closest('.epg-mapping-none-btn')) {
+            await saveOverride(channel, null);
+        } else if (e.target.closest('.epg-mapping-reset-btn')) {
+            const res = await apiFetch(`/api/epg-mappings/${encodeURIComponent(channel.id)}`, { method: 'DELETE' });
+            if (res) {
+                const data = await res.json();
+                showNotification(data.message);
+                await loadMappings();
+            }
+        }
+    });
+
+    UIElements.epgMappingPickerResults.addEventListener('click', async (e) => {
+        const button = e.target.closest('.epg-mapping-pick-btn');
+        if (!button || !pickerChannel) return;
+        const epgChannel = pickerResults[parseInt(button.dataset.index, 10)];
+        if (epgChannel) await saveOverride(pickerChannel, epgChannel);
+    });
+}
@@ -0,0 +1,189 @@
+/**
+ * export_links.js
+ * * Admin manager for playlist export links.
+ *   Each link carries a token that lets other IPTV apps (TiviMate, VLC, Kodi...) read the curated
+ *   M3U playlist and XMLTV guide, limited to a user's favorites or a group selection, with stream
+ *   URLs optionally proxied through ViniPlay's /stream endpoint. Every link is also an
+ *   HDHomeRun tuner address for Plex, Jellyfin and Emby.
+ */
+
+import { UIElements, guideState } from './state.js';
+import { apiFetch } from './api.js';
+import { showNotification, openModal, closeModal } from './ui.js';
+import { sanitizeText, sanitizeAttr } from './channels.js';
+
+const inputClasses = 'w-full bg-gray-900 border border-gray-600 rounded-md px-2 py-1 text-xs text-gray-300 font-mono';
+
+let exportLinks = [];
+
+const buildExportUrls = (link) => {
+    const token = encodeURIComponent(link.token);
+    return {
+        playlist: `${window.location.origin}/export/playlist.m3u?token=${token}`,
+        epg: `${window.location.origin}/export/epg.xml?token=${token}`,
+        tuner: `${window.location.origin}/hdhr/${token}`,
+    };
+};
+
+const describeChannels = (link) => {
+    if (link.channel_filter === 'favorites') return 'Favorites';
+    if (link.channel_filter === 'groups') return `${link.groups.length} group(s)`;
+    return 'All';
+};
+
+const describeStreams = (link) => {
+    if (link.stream_mode !== 'proxy') return 'Provider URLs';
+    const profile = (guideState.settings.streamProfiles || []).find(p => p.id === link.stream_profile_id);
+    return `Proxied (${profile ? profile.name : 'missing profile'})`;
+};
+
+/**
+ * Renders the export link table.
+ */
+function renderExportLinks() {
+    if (exportLinks.length === 0) {
+        UIElements.exportLinksTbody.innerHTML = '<tr><td colspan="6" class="text-center text-gray-500 py-6 text-xs">No export links yet.</td></tr>';
+        return;
+    }
+
+    UIElements.exportLinksTbody.innerHTML = exportLinks.map(link => {
+        const urls = buildExportUrls(link);
+        const groupsTitle = link.channel_filter === 'groups' ? link.groups.join(', ') : '';
+        return `
+            <tr data-id="${link.id}">
+                <td>
+                    <p class="text-sm font-semibold text-white">${sanitizeText(link.name)}</p>
+                    <input type="text" readonly class="export-link-url ${inputClasses} mt-1" value="${sanitizeAttr(urls.playlist)}" title="M3U playlist">
+                    <input type="text" readonly class="export-link-url ${inputClasses} mt-1" value="${sanitizeAttr(urls.epg)}" title="XMLTV guide">
+                    <input type="text" readonly class="export-link-url ${inputClasses} mt-1" value="${sanitizeAttr(urls.tuner)}" title="HDHomeRun tuner address for Plex, Jellyfin and Emby">
+                </td>
+                <td class="text-xs text-gray-300">${sanitizeText(link.username)}</td>
+                <td class="text-xs text-gray-300" title="${sanitizeAttr(groupsTitle)}">${sanitizeText(describeChannels(link))}</td>
+                <td class="text-xs text-gray-300">${sanitizeText(describeStreams(link))}</td>
+                <td class="text-xs text-gray-400">${link.last_used_at ? new Date(link.last_used_at).toLocaleString() : 'Never'}</td>
+                <td class="text-right whitespace-nowrap">
+                    <button class="export-link-copy-btn text-xs text-blue-400 hover:text-blue-300 mr-3" data-url="${sanitizeAttr(urls.playlist)}">Copy M3U</button>
+                    <button class="export-link-copy-btn text-xs text-blue-400 hover:text-blue-300 mr-3" data-url="${sanitizeAttr(urls.epg)}">Copy EPG</button>
+                    <button class="export-link-copy-btn text-xs text-blue-400 hover:text-blue-300 mr-3" data-url="${sanitizeAttr(urls.tuner)}">Copy Tuner</button>
+                    <button class="export-link-revoke-btn text-xs text-red-400 hover:text-red-300">Revoke</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Fetches the export links from the server and re-renders.
+ */
+async function loadExportLinks() {
+    const res = await apiFetch('/api/export-tokens');
+    if (!res) return;
+    exportLinks = await res.json();
+    renderExportLinks();
+}
+
+/**
+ * Fills the form's user, group, stream profile and user agent options.
+ */
+async function populateExportLinkForm() {
+    const res = await apiFetch('/api/users');
+    const users = res ? await res.json() : [];
+    UIElements.exportLinkUser.innerHTML = users.map(u => `<option value="${u.id}">${sanitizeText(u.username)}</option>`).join('');
+
+    const groups = [...new Set(guideState.channels.map(c => c.group))].sort((a, b) => a.localeCompare(b));
+    UIElements.exportLinkGroups.innerHTML = groups.map(g => `<option value="${sanitizeAttr(g)}">${sanitizeText(g)}</option>`).join('');
+
+    UIElements.exportLinkProfile.innerHTML = (guideState.settings.streamProfiles || [])
+        .filter(p => p.command !== 'redirect')
+        .map(p => `<option value="${sanitizeAttr(p.id)}">${sanitizeText(p.name)}</option>`).join('');
+    UIElements.exportLinkProfile.value = guideState.settings.activeStreamProfileId || UIElements.exportLinkProfile.value;
+    UIElements.exportLinkUserAgent.innerHTML = (guideState.settings.userAgents || [])
+        .map(ua => `<option value="${sanitizeAttr(ua.id)}">${sanitizeText(ua.name)}</option>`).join('');
+    UIElements.exportLinkUserAgent.value = guideState.settings.activeUserAgentId || UIElements.exportLinkUserAgent.value;
+}
+
+const updateFormVisibility = () => {
+    UIElements.exportLinkGroupsContainer.classList.toggle('hidden', UIElements.exportLinkChannelFilter.value !== 'groups');
+    const isProxy = UIElements.exportLinkStreamMode.value === 'proxy';
+    document.querySelectorAll('.export-link-proxy-field').forEach(el => el.classList.toggle('hidden', !isProxy));
+};
+
+/**
+ * Copies a URL to the clipboard, falling back to selecting it where the Clipboard API is unavailable (plain http).
+ */
+async function copyUrl(button) {
+    try {
+        await navigator.clipboard.writeText(button.dataset.url);
+        showNotification('Link copied to clipboard.');
+    } catch (e) {
+        const input = [...button.closest('tr').querySelectorAll('.export-link-url')].find(el => el.value === button.dataset.url);
+        input?.select();
+        showNotification('Press Ctrl+C to copy the selected link.');
+    }
+}
+
+/**
+ * Opens the export links modal.
+ */
+export async function openExportLinks() {
+    UIElements.exportLinkForm.reset();
+    updateFormVisibility();
+    UIElements.exportLinksTbody.innerHTML = '<tr><td colspan="6" class="text-center text-gray-500 py-6 text-xs">Loading...</td></tr>';
+    openModal(UIElements.exportLinksModal);
+    await Promise.all([populateExportLinkForm(), loadExportLinks()]);
+}
+
+/**
+ * Sets up event listeners for the export links modal.
+ */
+export function setupExportLinksEventListeners() {
+    if (!UIElements.exportLinksModal) return;
+
+    UIElements.exportLinksBtn?.addEventListener('click', openExportLinks);
+    UIElements.exportLinksCloseBtn.addEventListener('click', () => closeModal(UIElements.exportLinksModal));
+    UIElements.exportLinkChannelFilter.addEventListener('change', updateFormVisibility);
+    UIElements.exportLinkStreamMode.addEventListener('change', updateFormVisibility);
+
+    UIElements.exportLinkForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const res = await apiFetch('/api/export-tokens', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: UIElements.exportLinkName.value,
+                userId: UIElements.exportLinkUser.value,
+                channelFilter: UIElements.exportLinkChannelFilter.value,
+                groups: [...UIElements.exportLinkGroups.selectedOptions].map(o => o.value),
+                streamMode: UIElements.exportLinkStreamMode.value,
+                streamProfileId: UIElements.exportLinkProfile.value,
+                userAgentId: UIElements.exportLinkUserAgent.value,
+            })
+        });
+        if (!res) return;
+        const data = await res.json();
+        showNotification(data.message);
+        UIElements.exportLinkName.value = '';
+        await loadExportLinks();
+    });
+
+    UIElements.exportLinksTbody.addEventListener('click', async (e) => {
+        const row = e.target.closest('tr[data-id]');
+        if (!row) return;
+
+        const copyButton = e.target.closest('.export-link-copy-btn');
+        if (copyButton) {
+            await copyUrl(copyButton);
+        } else if (e.target.closest('.export-link-revoke-btn')) {
+            const res = await apiFetch(`/api/export-tokens/${row.dataset.id}`, { method: 'DELETE' });
+            if (res) {
+                const data = await res.json();
+                showNotification(data.message);
+                await loadExportLinks();
+            }
+        }
+    });
+
+    UIElements.exportLinksTbody.addEventListener('focusin', (e) => {
+        if (e.target.matches('.export-link-url')) e.target.select();
+    });
+}
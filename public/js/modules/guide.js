@@ -8,18 +8,68 @@
 
 import { appState, guideState, UIElements, dvrState, hasPermission } from './state.js';
 import { saveUserSetting } from './api.js';
-import { parseM3U } from './utils.js';
+import { buildCatchupUrl, isCatchupAvailable, getImageUrl, getImageFallback } from './utils.js';
 import { playChannel } from './player.js';
 import { showNotification, openModal, closeModal } from './ui.js';
 import { addOrRemoveNotification, findNotificationForProgram } from './notification.js';
 import { addOrRemoveDvrJob, findDvrJobForProgram } from './dvr.js';
 import { ICONS } from './icons.js'; // MODIFIED: Import the new icon library
-import { updateChannelsPage } from './channels.js';
+import { updateChannelsPage, sanitizeText } from './channels.js';
 import { updatePopularPage } from './popular.js';
+import { buildHealthBadge, matchesHealthFilter } from './channel_health.js';
+import { ensureProgramWindow, resetProgramWindows, loadNowPrograms, searchGuidePrograms, loadGuideData, saveGuideVersion } from './guide_data.js';
+
+const CREDIT_LABELS = { director: 'Director', actor: 'Cast', writer: 'Writer', presenter: 'Presenter', producer: 'Producer', guest: 'Guest', commentator: 'Commentator' };
+
+/**
+ * NEW: Fills the rich XMLTV metadata section of the program details modal
+ * (episode label, artwork, badges and credits) from the full program entry.
+ * @param {HTMLElement} modal - The program details modal.
+ * @param {object|undefined} program - The program entry from guideState.programs.
+ */
+function renderProgramMetadata(modal, program = {}) {
+    const subtitleEl = modal.querySelector('#details-subtitle');
+    const posterEl = modal.querySelector('#details-poster');
+    const badgesEl = modal.querySelector('#details-badges');
+    const creditsEl = modal.querySelector('#details-credits');
+
+    if (subtitleEl) {
+        const subtitle = [program.episodeLabel, program.subTitle].filter(Boolean).join(' · ');
+        subtitleEl.textContent = subtitle;
+        subtitleEl.classList.toggle('hidden', !subtitle);
+    }
+
+    if (posterEl) {
+        posterEl.classList.toggle('hidden', !program.icon);
+        posterEl.src = program.icon ? getImageUrl(program.icon) : '';
+    }
+
+    if (badgesEl) {
+        const badge = (text, classes) => `<span class="px-2 py-0.5 text-xs font-semibold rounded-full ${classes}">${sanitizeText(text)}</span>`;
+        const badges = [];
+        if (program.isNew) badges.push(badge('New', 'bg-green-500/20 text-green-200'));
+        if (program.premiere) badges.push(badge('Premiere', 'bg-purple-500/20 text-purple-200'));
+        if (program.previouslyShown && !program.isNew) badges.push(badge('Repeat', 'bg-gray-500/20 text-gray-300'));
+        if (program.rating) badges.push(badge(program.rating, 'bg-red-500/20 text-red-200'));
+        if (program.starRating) badges.push(badge(`★ ${program.starRating}`, 'bg-yellow-500/20 text-yellow-200'));
+        (program.categories || []).forEach(category => badges.push(badge(category, 'bg-blue-500/20 text-blue-200')));
+        badgesEl.innerHTML = badges.join('');
+        badgesEl.classList.toggle('hidden', badges.length === 0);
+    }
+
+    if (creditsEl) {
+        const credits = Object.entries(program.credits || {});
+        creditsEl.innerHTML = credits.map(([role, names]) =>
+            `<p><span class="text-gray-500">${sanitizeText(CREDIT_LABELS[role] || role)}:</span> ${sanitizeText(names.slice(0, 8).join(', '))}</p>`
+        ).join('');
+        creditsEl.classList.toggle('hidden', credits.length === 0);
+    }
+}
 
 // --- Virtualization Constants ---
 const ROW_HEIGHT = 96; // Height in pixels of a single channel row (.channel-info + .timeline-row)
 const OVERSCAN_COUNT = 5; // Number of extra rows to render above and below the visible area for smooth scrolling
+let renderVisibleRows = null; // NEW: Redraws the rendered rows of the current guide, e.g. once their programmes arrive
 
 /**
  * NEW: Opens the program details modal. This is now a standalone, exportable function.
@@ -66,6 +116,7 @@ export function openProgramDetails(progItem) {
     const detailsTime = programDetailsModal.querySelector('#details-time');
     const detailsDesc = programDetailsModal.querySelector('#details-desc');
     const detailsPlayBtn = programDetailsModal.querySelector('#details-play-btn');
+    const detailsCatchupBtn = programDetailsModal.querySelector('#details-catchup-btn');
     const programDetailsNotifyBtn = programDetailsModal.querySelector('#program-details-notify-btn');
     const programDetailsRecordBtn = programDetailsModal.querySelector('#details-record-btn');
     const detailsCloseBtn = programDetailsModal.querySelector('#details-close-btn');
@@ -77,6 +128,10 @@ export function openProgramDetails(progItem) {
     if (detailsTime) detailsTime.textContent = `${progStart.toLocaleTimeString([],{hour:'2-digit', minute:'2-digit'})} - ${progStop.toLocaleTimeString([],{hour:'2-digit', minute:'2-digit'})}`;
     if (detailsDesc) detailsDesc.textContent = programData.desc || "No description available.";
 
+    // NEW: Look up the full program entry for its rich XMLTV metadata.
+    const fullProgram = (guideState.programs[channelId] || []).find(p => new Date(p.start).getTime() === progStart.getTime());
+    renderProgramMetadata(programDetailsModal, fullProgram);
+
     if (detailsPlayBtn) {
         detailsPlayBtn.onclick = () => {
             playChannel(channelUrl, channelName, channelId);
@@ -84,6 +139,19 @@ export function openProgramDetails(progItem) {
         };
     }
 
+    // NEW: Aired programmes play from the provider's archive; one that's airing can be started over.
+    if (detailsCatchupBtn) {
+        const catchupUrl = isCatchupAvailable(channelData, progStart) ? buildCatchupUrl(channelData, progStart, progStop) : null;
+        detailsCatchupBtn.classList.toggle('hidden', !catchupUrl);
+        if (catchupUrl) {
+            detailsCatchupBtn.textContent = progStop.getTime() > Date.now() ? 'Start Over' : 'Play from Archive';
+            detailsCatchupBtn.onclick = () => {
+                playChannel(catchupUrl, `${channelName} - ${programData.title}`, channelId);
+                closeModal(programDetailsModal);
+            };
+        }
+    }
+
     // Favorite button logic
     if (detailsFavoriteBtn) {
         // MODIFIED: Target the SVG icon inside the button for visual changes.
@@ -223,26 +291,47 @@ export function openProgramDetails(progItem) {
 
 /**
  * Handles loading guide data from the server response.
- * @param {string} m3uContent - The M3U playlist content.
- * @param {object} epgContent - The parsed EPG JSON data.
+ * MODIFIED: Takes the channel list from the guide API. Programmes are no longer part of the load;
+ * they are fetched per visible window as the guide renders.
+ * @param {Array<object>} channels - The channels.
+ * @param {{start: string, end: string}|null} epgRange - The time span covered by the guide data.
  */
-export async function handleGuideLoad(m3uContent, epgContent) {
-    if (!m3uContent || m3uContent.trim() === '#EXTM3U') {
-        guideState.channels = [];
-        guideState.programs = {};
-    } else {
-        guideState.channels = parseM3U(m3uContent);
-        guideState.programs = epgContent || {};
-    }
+export async function handleGuideLoad(channels, epgRange) {
+    guideState.channels = channels || [];
+    guideState.epgRange = epgRange || null;
+    resetProgramWindows();
 
     if (appState.db) {
-        await appState.db.transaction(['guideData'], 'readwrite').objectStore('guideData').put(guideState.channels, 'channels');
-        await appState.db.transaction(['guideData'], 'readwrite').objectStore('guideData').put(guideState.programs, 'programs');
+        const store = appState.db.transaction(['guideData'], 'readwrite').objectStore('guideData');
+        store.put(guideState.channels, 'channels');
+        store.put(guideState.epgRange, 'epgRange');
+        store.delete('programs'); // The full guide cached by older versions
     }
 
     return finalizeGuideLoad(true);
 }
 
+/**
+ * NEW: Brings the guide up to the server's guide version after a config fetch, from the cache,
+ * the cache patched with the server's delta, or a full reload.
+ * @param {object} config - The /api/config response, requested with the cached guide version.
+ * @returns {Promise<boolean>} False if there are no channels to show.
+ */
+export async function syncGuideData(config) {
+    const guideData = await loadGuideData(config);
+    if (!guideData || guideData.channels.length === 0) return false;
+
+    if (guideData.changed) {
+        await handleGuideLoad(guideData.channels, guideData.epgRange);
+        await saveGuideVersion(config.guideVersion);
+    } else {
+        guideState.channels = guideData.channels;
+        guideState.epgRange = guideData.epgRange;
+        await finalizeGuideLoad(true);
+    }
+    return true;
+}
+
 /**
  * A helper function to format a Date object into 'YYYY-MM-DD' string format for date inputs.
  * @param {Date} date - The date to format.
@@ -257,31 +346,23 @@ const formatDateForInput = (date) => {
 
 
 /**
- * Scans all programs to determine the earliest start date and latest end date.
+ * Gets the earliest start date and latest end date of the guide data.
+ * MODIFIED: Uses the range reported by the server instead of scanning every program.
  * @returns {{minDate: Date, maxDate: Date}|null} An object with min and max dates, or null if no programs exist.
  */
 const getEpgDateRange = () => {
-    let minDate = null;
-    let maxDate = null;
-
-    if (!guideState.programs || Object.keys(guideState.programs).length === 0) {
-        return null;
-    }
-
-    for (const channelId in guideState.programs) {
-        for (const prog of guideState.programs[channelId]) {
-            const startDate = new Date(prog.start);
-            const stopDate = new Date(prog.stop);
-            if (!minDate || startDate < minDate) {
-                minDate = startDate;
-            }
-            if (!maxDate || stopDate > maxDate) {
-                maxDate = stopDate;
-            }
-        }
-    }
+    if (!guideState.epgRange) return null;
+    return { minDate: new Date(guideState.epgRange.start), maxDate: new Date(guideState.epgRange.end) };
+};
 
-    return { minDate, maxDate };
+/**
+ * Gets the time span shown by the guide for the selected date.
+ * @returns {{start: Date, end: Date}}
+ */
+const getGuideWindow = () => {
+    const start = new Date(guideState.currentDate);
+    start.setHours(0, 0, 0, 0);
+    return { start, end: new Date(start.getTime() + guideState.guideDurationHours * 3600 * 1000) };
 };
 
 
@@ -303,10 +384,18 @@ export function finalizeGuideLoad(isFirstLoad = false) {
     });
     populateGroupFilter();
     populateSourceFilter();
+    updateHealthFilterVisibility(); // NEW
     updateChannelsPage();
     updatePopularPage();
     document.dispatchEvent(new Event('guide-data-ready'));
 
+    // NEW: The Channels and Popular pages show what's on now, which is loaded separately from the guide windows.
+    loadNowPrograms().then(loaded => {
+        if (!loaded) return;
+        updateChannelsPage();
+        updatePopularPage();
+    });
+
     appState.fuseChannels = new Fuse(guideState.channels, {
         keys: ['name', 'displayName', 'source', 'chno'],
         threshold: 0.4,
@@ -323,40 +412,6 @@ export function finalizeGuideLoad(isFirstLoad = false) {
         UIElements.guideDatePicker.disabled = true;
     }
 
-
-    const allPrograms = [];
-    const guideStart = new Date(guideState.currentDate);
-    guideStart.setHours(0, 0, 0, 0);
-    const guideEnd = new Date(guideStart.getTime() + guideState.guideDurationHours * 3600 * 1000);
-
-    for (const channelId in guideState.programs) {
-        const channel = guideState.channels.find(c => c.id === channelId);
-        if (channel) {
-            guideState.programs[channelId].forEach(prog => {
-                const progStart = new Date(prog.start);
-                const progStop = new Date(prog.stop);
-                if (progStop < guideStart || progStart > guideEnd) return;
-                    
-                allPrograms.push({
-                    ...prog,
-                    channel: {
-                        id: channel.id,
-                        name: channel.displayName || channel.name,
-                        logo: channel.logo,
-                        source: channel.source,
-                    },
-                    programId: `${channel.id}-${progStart.toISOString()}-${progStop.toISOString()}`
-                });
-            });
-        }
-    }
-
-    appState.fusePrograms = new Fuse(allPrograms, {
-        keys: ['title'],
-        threshold: 0.4,
-        includeScore: true,
-    });
-
     return handleSearchAndFilter(isFirstLoad);
 }
 
@@ -463,13 +518,14 @@ const renderGuide = (channelsToRender, resetScroll = false) => {
                 const channelInfoHTML = `
                     <div class="channel-info p-2 flex items-center justify-between cursor-pointer" data-url="${channel.url}" data-name="${channelName}" data-id="${channel.id}" data-channel-index="${i}">
                         <div class="flex items-center overflow-hidden flex-grow min-w-0">
-                            <img src="${channel.logo}" onerror="this.onerror=null; this.src='https://placehold.co/48x48/1f2937/d1d5db?text=?';" class="w-12 h-12 object-contain mr-3 flex-shrink-0 rounded-md bg-gray-700">
+                            <img src="${getImageUrl(channel.logo, channel.displayName || channel.name)}" onerror="${getImageFallback(channel.displayName || channel.name)}" loading="lazy" class="w-12 h-12 object-contain mr-3 flex-shrink-0 rounded-md bg-gray-700">
                             <div class="flex flex-col flex-grow min-w-0 channel-details">
                                 <span class="font-semibold text-sm truncate block" title="${safeChannelNameAttr}">${channelName}</span>
                                 <span class="text-xs text-gray-400 truncate" title="${safeChannelGroupAttr}">${channelGroup}</span>
                                 <div class="flex items-center gap-2 mt-1">
                                     ${chnoBadgeHTML}
                                     ${sourceBadgeHTML}
+                                    ${buildHealthBadge(channel.id)}
                                 </div>
                             </div>
                         </div>
@@ -513,7 +569,17 @@ const renderGuide = (channelsToRender, resetScroll = false) => {
 
             rowContainer.innerHTML = rowsHTML;
             rowContainer.style.transform = `translateY(${startIndex * ROW_HEIGHT}px)`;
+
+            // NEW: Fetch the programmes of the rendered rows for the hours in view, then redraw with them.
+            const firstHour = Math.max(0, Math.floor(guideContainer.scrollLeft / guideState.hourWidthPixels) - 1);
+            const lastHour = Math.min(guideState.guideDurationHours, Math.ceil((guideContainer.scrollLeft + guideContainer.clientWidth) / guideState.hourWidthPixels) + 1);
+            const visibleIds = channelsToRender.slice(startIndex, endIndex).map(c => c.id);
+            ensureProgramWindow(visibleIds, new Date(guideStartUtc.getTime() + firstHour * 3600 * 1000), new Date(guideStartUtc.getTime() + lastHour * 3600 * 1000))
+                .then(added => {
+                    if (added && renderVisibleRows === updateVisibleRows) updateVisibleRows();
+                });
         };
+        renderVisibleRows = updateVisibleRows;
 
         if (guideState.scrollHandler) {
             guideContainer.removeEventListener('scroll', guideState.scrollHandler);
@@ -640,6 +706,15 @@ const populateSourceFilter = () => {
     UIElements.sourceFilter.style.display = guideState.channelSources.size <= 1 ? 'none' : 'block';
 };
 
+/**
+ * NEW: Shows the health filter only once the channel scanner has results.
+ */
+export const updateHealthFilterVisibility = () => {
+    const hasHealthData = Object.keys(guideState.channelHealth || {}).length > 0;
+    UIElements.healthFilter.classList.toggle('hidden', !hasHealthData);
+    if (!hasHealthData) UIElements.healthFilter.value = 'all';
+};
+
 /**
  * Filters channels based on dropdowns and rerenders the guide.
  * @param {boolean} isFirstLoad - Indicates if this is the initial load.
@@ -649,6 +724,7 @@ export function handleSearchAndFilter(isFirstLoad = false) {
     const searchTerm = UIElements.searchInput.value.trim().toLowerCase();
     const selectedGroup = UIElements.groupFilter.value;
     const selectedSource = UIElements.sourceFilter.value;
+    const selectedHealth = UIElements.healthFilter.value;
     const searchScope = guideState.settings.searchScope || 'channels_only_filtered';
 
     let channelsForGuide;
@@ -671,6 +747,9 @@ export function handleSearchAndFilter(isFirstLoad = false) {
     if (selectedSource !== 'all') {
         baseFilteredChannels = baseFilteredChannels.filter(ch => ch.source === selectedSource);
     }
+    if (selectedHealth !== 'all') {
+        baseFilteredChannels = baseFilteredChannels.filter(ch => matchesHealthFilter(ch, selectedHealth));
+    }
 
     // 2. Now, handle the search logic.
     if (searchTerm) {
@@ -689,14 +768,28 @@ export function handleSearchAndFilter(isFirstLoad = false) {
         // The guide itself should now ONLY display the results of the search.
         channelsForGuide = channelResults.map(result => result.item);
 
-        // Perform the program search if the scope allows it.
-        let programResults = [];
-        if (searchScope.includes('programs') && appState.fusePrograms) {
-            programResults = appState.fusePrograms.search(searchTerm).slice(0, 20);
-        }
-        
         // Render the search results dropdown.
-        renderSearchResults(channelResults.slice(0, 10), programResults);
+        renderSearchResults(channelResults.slice(0, 10), []);
+
+        // MODIFIED: Programs are searched on the server; their results are added once they arrive,
+        // unless the search term changed in the meantime.
+        if (searchScope.includes('programs')) {
+            const { start, end } = getGuideWindow();
+            searchGuidePrograms(searchTerm, start, end).then(results => {
+                if (UIElements.searchInput.value.trim().toLowerCase() !== searchTerm) return;
+                const programResults = results.map(result => {
+                    const channel = guideState.channels.find(c => c.id === result.channelId);
+                    if (!channel) return null;
+                    return {
+                        item: {
+                            ...result,
+                            channel: { id: channel.id, name: channel.displayName || channel.name, logo: channel.logo, source: channel.source },
+                        }
+                    };
+                }).filter(Boolean);
+                renderSearchResults(channelResults.slice(0, 10), programResults);
+            });
+        }
 
     } else {
         // If there is no search term, the guide simply displays the base filtered channels.
@@ -712,7 +805,7 @@ export function handleSearchAndFilter(isFirstLoad = false) {
 /**
  * Renders the search results dropdown.
  * @param {Array} channelResults - Results from Fuse.js channel search.
- * @param {Array} programResults - Results from Fuse.js program search.
+ * @param {Array} programResults - Results from the server's program search.
  */
 const renderSearchResults = (channelResults, programResults) => {
     let html = '';
@@ -721,7 +814,7 @@ const renderSearchResults = (channelResults, programResults) => {
         html += '<div class="search-results-header">Channels</div>';
         html += channelResults.map(({ item }) => `
             <div class="search-result-channel flex items-center p-3 border-b border-gray-700/50 hover:bg-gray-700 cursor-pointer" data-channel-id="${item.id}">
-                <img src="${item.logo}" onerror="this.onerror=null; this.src='https://placehold.co/40x40/1f2937/d1d5db?text=?';" class="w-10 h-10 object-contain mr-3 rounded-md bg-gray-700 flex-shrink-0">
+                <img src="${getImageUrl(item.logo, item.displayName || item.name)}" onerror="${getImageFallback(item.displayName || item.name)}" class="w-10 h-10 object-contain mr-3 rounded-md bg-gray-700 flex-shrink-0">
                 <div class="overflow-hidden">
                     <p class="font-semibold text-white text-sm truncate">${item.chno ? `[${item.chno}] ` : ''}${item.displayName || item.name}</p>
                     <p class="text-gray-400 text-xs truncate">${item.group} &bull; ${item.source}</p>
@@ -735,7 +828,7 @@ const renderSearchResults = (channelResults, programResults) => {
         const timeFormat = { hour: '2-digit', minute: '2-digit' };
         html += programResults.map(({ item }) => `
              <div class="search-result-program flex items-center p-3 border-b border-gray-700/50 hover:bg-gray-700 cursor-pointer" data-channel-id="${item.channel.id}" data-prog-start="${item.start}">
-                <img src="${item.channel.logo}" onerror="this.onerror=null; this.src='https://placehold.co/40x40/1f2937/d1d5db?text=?';" class="w-10 h-10 object-contain mr-3 rounded-md bg-gray-700 flex-shrink-0">
+                <img src="${getImageUrl(item.channel.logo, item.channel.name)}" onerror="${getImageFallback(item.channel.name)}" class="w-10 h-10 object-contain mr-3 rounded-md bg-gray-700 flex-shrink-0">
                 <div class="overflow-hidden">
                     <p class="font-semibold text-white text-sm truncate" title="${item.title}">${item.title}</p>
                     <p class="text-gray-400 text-xs truncate">${item.channel.name} &bull; ${item.channel.source}</p>
@@ -773,6 +866,17 @@ const throttle = (func, limit) => {
     };
 };
 
+/**
+ * NEW: Loads a channel's programmes around a time and redraws the guide rows with them.
+ * Used before looking up a program's element, which only exists once its window is loaded.
+ * @param {string} channelId - The channel's ID.
+ * @param {Date} time - The time of interest.
+ */
+export async function loadChannelProgramsIntoGuide(channelId, time) {
+    const added = await ensureProgramWindow([channelId], new Date(time.getTime() - 3600 * 1000), new Date(time.getTime() + 3600 * 1000));
+    if (added && renderVisibleRows) renderVisibleRows();
+}
+
 /**
  * Scrolls the guide vertically to bring a specific channel into view and confirms its visibility.
  * @param {string} channelId - The full or partial (stable) ID of the channel to scroll to.
@@ -830,6 +934,7 @@ export function setupGuideEventListeners() {
         handleSearchAndFilter();
     });
     UIElements.sourceFilter.addEventListener('change', () => handleSearchAndFilter());
+    UIElements.healthFilter.addEventListener('change', () => handleSearchAndFilter()); // NEW
     UIElements.searchInput.addEventListener('input', () => {
         clearTimeout(appState.searchDebounceTimer);
         appState.searchDebounceTimer = setTimeout(() => handleSearchAndFilter(false), 250);
@@ -896,7 +1001,7 @@ export function setupGuideEventListeners() {
         }
     });
 
-    UIElements.searchResultsContainer.addEventListener('click', e => {
+    UIElements.searchResultsContainer.addEventListener('click', async e => {
         const programItem = e.target.closest('.search-result-program');
         const channelItem = e.target.closest('.search-result-channel');
 
@@ -928,6 +1033,7 @@ export function setupGuideEventListeners() {
                  guideState.currentDate.setDate(guideState.currentDate.getDate() + dateDiff);
                  finalizeGuideLoad();
              }
+            await loadChannelProgramsIntoGuide(programItem.dataset.channelId, progStart); // NEW
 
             setTimeout(() => {
                 const programElement = UIElements.guideGrid.querySelector(`.programme-item[data-prog-start="${programItem.dataset.progStart}"][data-channel-id="${programItem.dataset.channelId}"]`);
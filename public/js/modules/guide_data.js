@@ -0,0 +1,309 @@
+/**
+ * guide_data.js
+ * * Windowed guide data from the server.
+ *   Channels are loaded page by page. Programmes are only fetched for the channels and hours
+ *   the guide is showing, in fixed blocks of hours, and every fetched block is kept in IndexedDB.
+ *   The cache is tied to the server's guide version; when the server has a newer version, the
+ *   delta it sends with /api/config is applied to the cached channels and blocks.
+ */
+
+import { appState, guideState } from './state.js';
+import { apiFetch } from './api.js';
+
+const CHANNEL_PAGE_SIZE = 5000;
+const BLOCK_MS = 6 * 3600 * 1000; // Programmes are fetched and cached in 6-hour blocks, the same blocks as the server's deltas
+const MAX_CHANNELS_PER_REQUEST = 200;
+const WINDOW_STORE = 'programWindows';
+
+const loadedBlocks = new Set(); // Keys of the blocks already merged into guideState.programs
+const pendingBlocks = new Map(); // Key -> promise of the request loading that block
+let nowValidUntil = 0;
+let loadedVersion = null; // The guide version in guideState
+
+const getBlockKey = (blockStart, channelId) => `${blockStart}|${channelId}`;
+
+const getWindowStore = (mode) => appState.db?.objectStoreNames.contains(WINDOW_STORE)
+    ? appState.db.transaction([WINDOW_STORE], mode).objectStore(WINDOW_STORE)
+    : null;
+
+const readGuideCache = (key) => new Promise((resolve) => {
+    if (!appState.db) return resolve(undefined);
+    const request = appState.db.transaction(['guideData'], 'readonly').objectStore('guideData').get(key);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => resolve(undefined);
+});
+
+/**
+ * Merges programmes into a channel's list in guideState.programs, keeping it sorted and free of duplicates.
+ * @param {string} channelId - The channel's ID.
+ * @param {Array<object>} programs - The programmes to add.
+ * @returns {boolean} True if the channel's list grew.
+ */
+const mergePrograms = (channelId, programs) => {
+    if (programs.length === 0) return false;
+    const existing = guideState.programs[channelId] || [];
+    const byStart = new Map(existing.map(p => [p.start, p]));
+    programs.forEach(p => byStart.set(p.start, p));
+    if (byStart.size === existing.length) return false;
+    guideState.programs[channelId] = [...byStart.values()].sort((a, b) => new Date(a.start) - new Date(b.start));
+    return true;
+};
+
+/**
+ * Reads cached blocks from IndexedDB.
+ * @param {Array<string>} keys - The block keys to look up.
+ * @returns {Promise<Map<string, Array<object>>>} The blocks that were found.
+ */
+const readCachedBlocks = (keys) => new Promise((resolve) => {
+    const found = new Map();
+    const store = getWindowStore('readonly');
+    if (!store || keys.length === 0) return resolve(found);
+
+    keys.forEach(key => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+            if (request.result) found.set(key, request.result);
+        };
+    });
+    store.transaction.oncomplete = () => resolve(found);
+    store.transaction.onerror = () => resolve(found);
+});
+
+const writeCachedBlocks = (blocks) => {
+    const store = getWindowStore('readwrite');
+    if (!store) return;
+    blocks.forEach((programs, key) => store.put(programs, key));
+};
+
+/**
+ * Loads blocks from the cache, fetching the rest from the server.
+ * Blocks whose request failed stay unloaded so the next render retries them.
+ * @param {Array<{key: string, blockStart: number, channelId: string}>} blocks - The blocks to load.
+ * @returns {Promise<boolean>} True if programmes were added.
+ */
+async function loadBlocks(blocks) {
+    let added = false;
+    const cached = await readCachedBlocks(blocks.map(b => b.key));
+    const toFetch = [];
+    blocks.forEach(block => {
+        if (cached.has(block.key)) {
+            added = mergePrograms(block.channelId, cached.get(block.key)) || added;
+            loadedBlocks.add(block.key);
+        } else {
+            toFetch.push(block);
+        }
+    });
+    if (toFetch.length === 0) return added;
+
+    const start = new Date(Math.min(...toFetch.map(b => b.blockStart)));
+    const end = new Date(Math.max(...toFetch.map(b => b.blockStart)) + BLOCK_MS);
+    const channelIds = [...new Set(toFetch.map(b => b.channelId))];
+
+    for (let i = 0; i < channelIds.length; i += MAX_CHANNELS_PER_REQUEST) {
+        const chunk = new Set(channelIds.slice(i, i + MAX_CHANNELS_PER_REQUEST));
+        const res = await apiFetch('/api/guide/programs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ start: start.toISOString(), end: end.toISOString(), channelIds: [...chunk] })
+        });
+        if (!res) continue;
+        const { programs } = await res.json();
+
+        // Empty blocks are cached too, so channels without guide data aren't requested again.
+        const fetched = new Map();
+        toFetch.filter(b => chunk.has(b.channelId)).forEach(block => {
+            const blockEnd = block.blockStart + BLOCK_MS;
+            const inBlock = (programs[block.channelId] || []).filter(p => new Date(p.stop) > block.blockStart && new Date(p.start) < blockEnd);
+            fetched.set(block.key, inBlock);
+            added = mergePrograms(block.channelId, inBlock) || added;
+            loadedBlocks.add(block.key);
+        });
+        writeCachedBlocks(fetched);
+    }
+    return added;
+}
+
+/**
+ * Makes sure the programmes of some channels are loaded for a time range.
+ * @param {Array<string>} channelIds - The channels' IDs.
+ * @param {Date} start - The start of the range.
+ * @param {Date} end - The end of the range.
+ * @returns {Promise<boolean>} True if programmes were added to guideState.programs.
+ */
+export async function ensureProgramWindow(channelIds, start, end) {
+    const missing = [];
+    const waiting = new Set();
+    for (let blockStart = Math.floor(start.getTime() / BLOCK_MS) * BLOCK_MS; blockStart < end.getTime(); blockStart += BLOCK_MS) {
+        channelIds.forEach(channelId => {
+            const key = getBlockKey(blockStart, channelId);
+            if (loadedBlocks.has(key)) return;
+            if (pendingBlocks.has(key)) waiting.add(pendingBlocks.get(key));
+            else missing.push({ key, blockStart, channelId });
+        });
+    }
+
+    if (missing.length > 0) {
+        const request = loadBlocks(missing).finally(() => missing.forEach(b => pendingBlocks.delete(b.key)));
+        missing.forEach(b => pendingBlocks.set(b.key, request));
+        waiting.add(request);
+    }
+    if (waiting.size === 0) return false;
+    return (await Promise.all(waiting)).some(Boolean);
+}
+
+/**
+ * Forgets the programmes loaded so far, keeping the IndexedDB cache.
+ */
+export function resetProgramWindows() {
+    loadedBlocks.clear();
+    pendingBlocks.clear();
+    nowValidUntil = 0;
+    guideState.programs = {};
+}
+
+/**
+ * Forgets the loaded programmes and empties the IndexedDB cache. Used when the guide is reloaded in full.
+ */
+export function clearProgramWindows() {
+    resetProgramWindows();
+    const store = getWindowStore('readwrite');
+    if (!store) return Promise.resolve();
+    return new Promise((resolve) => {
+        const request = store.clear();
+        request.onsuccess = () => resolve();
+        request.onerror = () => resolve();
+    });
+}
+
+/**
+ * Loads every channel from the server, page by page.
+ * @returns {Promise<{channels: Array<object>, epgRange: {start: string, end: string}|null}|null>} Null if a request failed.
+ */
+export async function loadGuideChannels() {
+    const channels = [];
+    let epgRange = null;
+    let total = Infinity;
+    while (channels.length < total) {
+        const res = await apiFetch(`/api/guide/channels?offset=${channels.length}&limit=${CHANNEL_PAGE_SIZE}`);
+        if (!res) return null;
+        const page = await res.json();
+        total = page.total;
+        epgRange = page.epgRange;
+        if (page.channels.length === 0) break;
+        channels.push(...page.channels);
+    }
+    return { channels, epgRange };
+}
+
+/**
+ * Loads the programme airing now on every channel, for the Channels and Popular pages.
+ * Skipped until the server says the previous answer has gone stale.
+ * @returns {Promise<boolean>} True if new data was loaded.
+ */
+export async function loadNowPrograms() {
+    if (Date.now() < nowValidUntil) return false;
+    const res = await apiFetch('/api/guide/now');
+    if (!res) return false;
+    const { programs, validUntil } = await res.json();
+    Object.entries(programs).forEach(([channelId, list]) => mergePrograms(channelId, list));
+    nowValidUntil = validUntil ? new Date(validUntil).getTime() : Date.now() + 60 * 1000;
+    return true;
+}
+
+/**
+ * Searches programme titles on the server.
+ * @param {string} query - The search term.
+ * @param {Date} start - Only programmes airing after this time are searched.
+ * @param {Date} end - Only programmes airing before this time are searched.
+ * @returns {Promise<Array<{channelId: string, title: string, start: string, stop: string}>>}
+ */
+export async function searchGuidePrograms(query, start, end) {
+    const params = new URLSearchParams({ q: query, start: start.toISOString(), end: end.toISOString() });
+    const res = await apiFetch(`/api/guide/search?${params}`);
+    if (!res) return [];
+    return (await res.json()).results;
+}
+
+/**
+ * Returns the guide version of the IndexedDB cache, sent to /api/config to get a delta since then.
+ * @returns {Promise<string|undefined>}
+ */
+export const getCachedGuideVersion = () => readGuideCache('guideVersion');
+
+/**
+ * Records the guide version that guideState and the IndexedDB cache now hold.
+ * @param {string} version - The server's guide version.
+ */
+export function saveGuideVersion(version) {
+    loadedVersion = version;
+    if (!appState.db) return Promise.resolve();
+    return new Promise((resolve) => {
+        const request = appState.db.transaction(['guideData'], 'readwrite').objectStore('guideData').put(version, 'guideVersion');
+        request.onsuccess = () => resolve();
+        request.onerror = () => resolve();
+    });
+}
+
+/**
+ * Applies a guide delta to the cached channel list and programme blocks.
+ * Blocks sent as null are new on the server and dropped from the cache, to be fetched when shown.
+ * @param {object} delta - The guideDelta from /api/config.
+ * @param {Array<object>} channels - The cached channels.
+ * @returns {Promise<Array<object>>} The updated channels.
+ */
+async function applyGuideDelta(delta, channels) {
+    const byId = new Map(channels.map(c => [c.id, c]));
+    delta.channels.removed.forEach(id => byId.delete(id));
+    delta.channels.upserted.forEach(c => byId.set(c.id, c));
+    const order = delta.channels.order || channels.map(c => c.id);
+
+    const store = getWindowStore('readwrite');
+    if (store) {
+        await new Promise((resolve) => {
+            Object.entries(delta.programs).forEach(([channelId, blocks]) => {
+                Object.entries(blocks).forEach(([blockStart, programs]) => {
+                    const key = getBlockKey(blockStart, channelId);
+                    if (programs === null) store.delete(key);
+                    else store.put(programs, key);
+                });
+            });
+            store.transaction.oncomplete = () => resolve();
+            store.transaction.onerror = () => resolve();
+        });
+    }
+    return order.map(id => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * Works out the guide data for the server's current version: the loaded or cached data when it's
+ * current, the cache with the server's delta applied, or a full reload.
+ * @param {object} config - The /api/config response, requested with the cached guide version.
+ * @returns {Promise<{channels: Array<object>, epgRange: object|null, changed: boolean}|null>}
+ *   changed is true when the channels have to be stored again. Null if the channels could not be loaded.
+ */
+export async function loadGuideData(config) {
+    if (loadedVersion && config.guideVersion === loadedVersion) {
+        return { channels: guideState.channels, epgRange: guideState.epgRange, changed: false };
+    }
+
+    const cachedVersion = await getCachedGuideVersion();
+    const cachedChannels = cachedVersion ? await readGuideCache('channels') : null;
+    const hasCache = Array.isArray(cachedChannels) && cachedChannels.length > 0;
+    if (hasCache && config.guideVersion === cachedVersion) {
+        console.log(`[GUIDE_DATA] Cached guide version ${cachedVersion} is current.`);
+        resetProgramWindows();
+        loadedVersion = cachedVersion;
+        return { channels: cachedChannels, epgRange: (await readGuideCache('epgRange')) ?? null, changed: false };
+    }
+
+    const delta = config.guideDelta;
+    if (hasCache && delta && !delta.full && delta.from === cachedVersion) {
+        console.log(`[GUIDE_DATA] Updating the cached guide from ${delta.from} to ${delta.to}: ${delta.channels.upserted.length} channel(s) changed, ${delta.channels.removed.length} removed.`);
+        return { channels: await applyGuideDelta(delta, cachedChannels), epgRange: delta.epgRange, changed: true };
+    }
+
+    console.log(`[GUIDE_DATA] Reloading the guide. Cached version: ${cachedVersion}, server version: ${config.guideVersion}.`);
+    await clearProgramWindows();
+    const guideData = await loadGuideChannels();
+    return guideData ? { ...guideData, changed: true } : null;
+}
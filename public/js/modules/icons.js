@@ -36,6 +36,8 @@ export const ICONS = {
     process: createIcon('<path fill-rule="evenodd" d="M4 2a1 1 0 011 1v2.101a7.002 7.002 0 0111.601 2.566 1 1 0 11-1.885.666A5.002 5.002 0 005.999 7H9a1 1 0 110 2H4a1 1 0 01-1-1V3a1 1 0 011-1zm.008 9.057a1 1 0 011.276.61A5.002 5.002 0 0014.001 13H11a1 1 0 110-2h5a1 1 0 011 1v5a1 1 0 11-2 0v-2.101a7.002 7.002 0 01-11.601-2.566 1 1 0 01.61-1.276z" clip-rule="evenodd" />'),
     // NEW ICONS
     users: createIcon('<path fill-rule="evenodd" d="M16,12.5C16,11.837 15.737,11.201 15.268,10.732C14.799,10.263 14.163,10 13.5,10C11.447,10 8.553,10 6.5,10C5.837,10 5.201,10.263 4.732,10.732C4.263,11.201 4,11.837 4,12.5C4,14.147 4,15 4,15L16,15C16,15 16,14.147 16,12.5ZM3,13L0,13C0,13 0,12.147 0,10.5C0,9.837 0.263,9.201 0.732,8.732C1.201,8.263 1.837,8 2.5,8L6.536,8C6.754,8.376 7.031,8.714 7.355,9L6.5,9C4.567,9 3,10.567 3,12.5L3,13ZM10,3C11.656,3 13,4.344 13,6C13,7.656 11.656,9 10,9C8.344,9 7,7.656 7,6C7,4.344 8.344,3 10,3ZM6.126,6.997C6.084,6.999 6.042,7 6,7C4.344,7 3,5.656 3,4C3,2.344 4.344,1 6,1C7.026,1 7.932,1.516 8.473,2.302C7.022,2.903 6,4.333 6,6C6,6.344 6.044,6.679 6.126,6.997Z" />', '0 0 24 24', 'stroke'),
+    moveUp: createIcon('<path fill-rule="evenodd" d="M14.77 12.79a.75.75 0 01-1.06-.02L10 8.832 6.29 12.77a.75.75 0 11-1.08-1.04l4.25-4.5a.75.75 0 011.08 0l4.25 4.5a.75.75 0 01-.02 1.06z" clip-rule="evenodd" />'),
+    moveDown: createIcon('<path fill-rule="evenodd" d="M5.23 7.21a.75.75 0 011.06.02L10 11.168l3.71-3.938a.75.75 0 111.08 1.04l-4.25 4.5a.75.75 0 01-1.08 0l-4.25-4.5a.75.75 0 01.02-1.06z" clip-rule="evenodd" />'),
     broadcast: createIcon('<path fill-rule="evenodd" d="M19.8206 5.1705C19.0181 3.7662 17.194 3.33558 15.8482 4.23275L14.9588 4.82567C12.8321 6.24349 10.3333 7.00008 7.77725 7.00008H6C3.79086 7.00008 2 8.79094 2 11.0001C2 13.1157 3.64244 14.8477 5.72178 14.9906L5.38148 16.3518C5.06822 17.6048 5.57649 18.9195 6.65117 19.636C8.10309 20.6039 10.0694 20.1617 10.9672 18.6654L12.6059 15.9342C13.4267 16.2641 14.2155 16.6789 14.9588 17.1745L15.8482 17.7674C17.194 18.6646 19.0181 18.2339 19.8206 16.8297C21.8847 13.2174 21.8847 8.7828 19.8206 5.1705ZM10.6415 15.3209C9.70759 15.109 8.74838 15.0004 7.78095 15.0001L7.32176 16.8368C7.2135 17.2699 7.38916 17.7242 7.76057 17.9719C8.26235 18.3064 8.9419 18.1536 9.25218 17.6364L10.6415 15.3209ZM16.9576 5.89685C17.3392 5.64244 17.8565 5.76455 18.0841 6.16278C19.7969 9.16021 19.7969 12.8399 18.0841 15.8374C17.8565 16.2356 17.3392 16.3577 16.9576 16.1033L16.0682 15.5104C13.613 13.8735 10.7281 13.0001 7.77725 13.0001H6C4.89543 13.0001 4 12.1046 4 11.0001C4 9.89551 4.89543 9.00008 6 9.00008H7.77725C10.7281 9.00008 13.613 8.12662 16.0682 6.48977L16.9576 5.89685Z" />', '0 0 24 24', 'stroke'),
 
     // --- Player Controls ---
@@ -48,6 +50,7 @@ export const ICONS = {
 
     // --- Tab Icons (for mobile or future use) ---
     guide: createIcon('<path stroke-linecap="round" stroke-linejoin="round" d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />', '0 0 24 24', 'stroke'),
+    film: createIcon('<path stroke-linecap="round" stroke-linejoin="round" d="M7 4v16M17 4v16M3 8h4m10 0h4M3 12h18M3 16h4m10 0h4M4 20h16a1 1 0 001-1V5a1 1 0 00-1-1H4a1 1 0 00-1 1v14a1 1 0 001 1z" />', '0 0 24 24', 'stroke'),
     multiview: createIcon('<path stroke-linecap="round" stroke-linejoin="round" d="M4 6a2 2 0 012-2h12a2 2 0 012 2v12a2 2 0 01-2 2H6a2 2 0 01-2-2V6z" /><path stroke-linecap="round" stroke-linejoin="round" d="M4 12h16M12 4v16" />', '0 0 24 24', 'stroke'),
     dvr: createIcon('<path d="M9 3L8 8M16 3L15 8M22 8H2M6.8 21H17.2C18.8802 21 19.7202 21 20.362 20.673C20.9265 20.3854 21.3854 19.9265 21.673 19.362C22 18.7202 22 17.8802 22 16.2V7.8C22 6.11984 22 5.27976 21.673 4.63803C21.3854 4.07354 20.9265 3.6146 20.362 3.32698C19.7202 3 18.8802 3 17.2 3H6.8C5.11984 3 4.27976 3 3.63803 3.32698C3.07354 3.6146 2.6146 4.07354 2.32698 4.63803C2 5.27976 2 6.11984 2 7.8V16.2C2 17.8802 2 18.7202 2.32698 19.362C2.6146 19.9265 3.07354 20.3854 3.63803 20.673C4.27976 21 5.11984 21 6.8 21Z" />', '0 0 24 24', 'stroke'),
     notifications: createIcon('<path stroke-linecap="round" stroke-linejoin="round" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />', '0 0 24 24', 'stroke'),
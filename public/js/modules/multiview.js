@@ -8,6 +8,8 @@ import { appState, guideState, UIElements } from './state.js';
 import { apiFetch, stopStream, startRedirectStream, stopRedirectStream } from './api.js';
 import { showNotification, openModal, closeModal, showConfirm } from './ui.js';
 import { ICONS } from './icons.js';
+import { getImageUrl, getImageFallback } from './utils.js';
+import { chooseStreamFormat, withStreamFormat, createLivePlayer } from './stream_player.js';
 
 let grid;
 const players = new Map();
@@ -574,9 +576,10 @@ async function playChannelInWidget(widgetId, channel, gridstackItemContentEl) {
         return;
     }
 
+    const streamFormat = profile.command === 'redirect' ? 'mpegts' : chooseStreamFormat(profile); // NEW
     const streamUrlToPlay = profile.command === 'redirect' 
         ? channel.url 
-        : `/stream?url=${encodeURIComponent(channel.url)}&profileId=${profileIdToUse}&userAgentId=${userAgentId}`;
+        : withStreamFormat(`/stream?url=${encodeURIComponent(channel.url)}&profileId=${profileIdToUse}&userAgentId=${userAgentId}`, streamFormat);
     
     console.log(`[MultiView] Final stream URL for widget ${widgetId}: ${streamUrlToPlay}`);
 
@@ -587,21 +590,17 @@ async function playChannelInWidget(widgetId, channel, gridstackItemContentEl) {
         }
     }
 
-    if (mpegts.isSupported()) {
+    if (streamFormat) {
         const mpegtsConfig = {
             enableStashBuffer: true,
             stashInitialSize: 4096,
             liveBufferLatency: 2.0,
         };
         
-        const player = mpegts.createPlayer({
-            type: 'mse',
-            isLive: true,
-            url: streamUrlToPlay
-        }, mpegtsConfig);
+        const player = createLivePlayer(streamUrlToPlay, streamFormat, mpegtsConfig); // MODIFIED
 
         player.on(mpegts.Events.ERROR, (errorType, errorDetail) => {
-            console.error(`[MultiView] MPEGTS Player Error for ${widgetId}:`, errorType, errorDetail);
+            console.error(`[MultiView] ${streamFormat === 'hls' ? 'HLS' : 'MPEGTS'} Player Error for ${widgetId}:`, errorType, errorDetail);
             if (!document.hidden) {
                 showNotification(`Could not play stream: ${channel.name}`, true);
             }
@@ -625,7 +624,7 @@ async function playChannelInWidget(widgetId, channel, gridstackItemContentEl) {
             }
         }
     } else {
-        showNotification('Your browser does not support Media Source Extensions (MSE).', true);
+        showNotification('Your browser can play neither MPEG-TS (Media Source Extensions) nor HLS streams.', true);
     }
 }
 /**
@@ -733,7 +732,7 @@ export function populateChannelSelector() {
              data-name="${channel.displayName || channel.name}" 
              data-url="${channel.url}"
              data-logo="${channel.logo}">
-            <img src="${channel.logo}" onerror="this.onerror=null; this.src='https://placehold.co/40x40/1f2937/d1d5db?text=?';" class="w-10 h-10 object-contain mr-3 rounded-md bg-gray-700 flex-shrink-0">
+            <img src="${getImageUrl(channel.logo, channel.displayName || channel.name)}" onerror="${getImageFallback(channel.displayName || channel.name)}" class="w-10 h-10 object-contain mr-3 rounded-md bg-gray-700 flex-shrink-0">
             <div class="overflow-hidden">
                 <p class="font-semibold text-white text-sm truncate">${channel.displayName || channel.name}</p>
                 <p class="text-gray-400 text-xs truncate">${channel.group || 'Uncategorized'}</p>
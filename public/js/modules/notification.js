@@ -6,9 +6,10 @@
 
 import { showNotification, showConfirm, navigate, openModal, closeModal } from './ui.js';
 import { UIElements, guideState, appState, hasPermission } from './state.js';
-import { handleSearchAndFilter, scrollToChannel, openProgramDetails } from './guide.js';
+import { handleSearchAndFilter, scrollToChannel, openProgramDetails, loadChannelProgramsIntoGuide } from './guide.js';
 import { getVapidKey, subscribeToPush, addProgramNotification, getProgramNotifications, deleteProgramNotification, unsubscribeFromPush, clearPastNotifications } from './api.js';
 import { ICONS } from './icons.js'; // MODIFIED: Import the new icon library
+import { getImageUrl, getImageFallback } from './utils.js';
 
 let isSubscribed = false;
 
@@ -277,7 +278,7 @@ export const renderNotifications = () => {
 
         return `
             <div class="flex items-center p-4 border-b border-gray-700/50 hover:bg-gray-800 transition-colors rounded-md" data-notification-id="${notif.id}">
-                <img src="${notif.channelLogo || 'https://placehold.co/48x48/1f2937/d1d5db?text=?;&font=Inter'}" onerror="this.onerror=null; this.src='https://placehold.co/48x48/1f2937/d1d5db?text=?';" class="w-12 h-12 object-contain mr-4 flex-shrink-0 rounded-md bg-gray-700">
+                <img src="${getImageUrl(notif.channelLogo, notif.channelName)}" onerror="${getImageFallback(notif.channelName)}" class="w-12 h-12 object-contain mr-4 flex-shrink-0 rounded-md bg-gray-700">
                 <div class="flex-grow">
                     <p class="font-semibold text-white text-md">${notif.programTitle || 'Untitled Program'}</p>
                     <p class="text-gray-400 text-sm">${notif.channelName || 'Unknown Channel'} • ${formattedProgramTime}</p>
@@ -336,7 +337,7 @@ export const renderPastNotifications = () => {
 
         return `
             <div class="flex items-center p-4 border-b border-gray-700/50 hover:bg-gray-800 transition-colors rounded-md opacity-70" data-notification-id="${notif.id}">
-                <img src="${notif.channelLogo || 'https://placehold.co/48x48/1f2937/d1d5db?text=?;&font=Inter'}" onerror="this.onerror=null; this.src='https://placehold.co/48x48/1f2937/d1d5db?text=?';" class="w-12 h-12 object-contain mr-4 flex-shrink-0 rounded-md bg-gray-700">
+                <img src="${getImageUrl(notif.channelLogo, notif.channelName)}" onerror="${getImageFallback(notif.channelName)}" class="w-12 h-12 object-contain mr-4 flex-shrink-0 rounded-md bg-gray-700">
                 <div class="flex-grow">
                     <p class="font-semibold text-white text-md">${notif.programTitle || 'Untitled Program'}</p>
                     <p class="text-gray-400 text-sm">${notif.channelName || 'Unknown Channel'} • ${formattedProgramTime}</p>
@@ -423,7 +424,7 @@ export const navigateToProgramInGuide = async (channelId, programStart, programI
                 let attempts = 0;
                 const checkInterval = setInterval(() => {
                     // Check if the essential data and UI elements are ready
-                    const isDataReady = guideState.channels.length > 0 && Object.keys(guideState.programs).length > 0;
+                    const isDataReady = guideState.channels.length > 0; // MODIFIED: Programmes are loaded per window later
                     const isUiReady = UIElements.guideGrid && UIElements.guideGrid.querySelector('.channel-info');
 
                     if (isDataReady && isUiReady) {
@@ -489,6 +490,7 @@ export const navigateToProgramInGuide = async (channelId, programStart, programI
             return;
         }
         const currentDynamicChannelId = currentChannelElement.dataset.id;
+        await loadChannelProgramsIntoGuide(currentDynamicChannelId, targetProgramStart); // NEW: The program's window may not be loaded yet
         
         // Find the program element using its unique data attributes
         const programElement = UIElements.guideGrid.querySelector(
@@ -1,13 +1,15 @@
 /**
  * player.js
- * * Manages the video player functionality using mpegts.js and Google Cast.
+ * * Manages the video player functionality using mpegts.js (or HLS) and Google Cast.
  */
 
 import { appState, guideState, UIElements } from './state.js';
 // MODIFIED: Added stopStream to the import
-import { saveUserSetting, stopStream, startRedirectStream, stopRedirectStream, checkStreamConcurrency } from './api.js';
+import { apiFetch, saveUserSetting, stopStream, startRedirectStream, stopRedirectStream, checkStreamConcurrency } from './api.js';
 import { showNotification, openModal, closeModal } from './ui.js';
 import { castState, loadMedia, setLocalPlayerState } from './cast.js';
+import { ensureProgramWindow } from './guide_data.js';
+import { chooseStreamFormat, withStreamFormat, profileSupportsHls, createLivePlayer } from './stream_player.js';
 
 let streamInfoInterval = null; // Interval to update stream stats
 let currentLocalStreamUrl = null; // ADDED: Track the original URL of the currently playing local stream
@@ -19,6 +21,40 @@ let retryCount = 0;
 const MAX_RETRIES = 3;
 let retryTimeout = null;
 
+/**
+ * NEW: Shows the programme currently airing on a channel under the player title.
+ * Uses the guide data first, loading the programme's window if needed; for channels without guide data it asks the server,
+ * which reads the provider's short EPG for Xtream Codes sources.
+ * @param {string} channelId - The channel's ID.
+ */
+async function updateNowPlaying(channelId) {
+    const nowPlayingEl = UIElements.videoNowPlaying;
+    if (!nowPlayingEl) return;
+    nowPlayingEl.textContent = '';
+    nowPlayingEl.classList.add('hidden');
+    if (!channelId) return;
+
+    const now = Date.now();
+    const isAiring = (p) => new Date(p.start).getTime() <= now && new Date(p.stop).getTime() > now;
+    let current = (guideState.programs?.[channelId] || []).find(isAiring);
+
+    if (!current && await ensureProgramWindow([channelId], new Date(now), new Date(now + 1))) {
+        current = (guideState.programs[channelId] || []).find(isAiring);
+    }
+    if (!current) {
+        const res = await apiFetch(`/api/channels/${encodeURIComponent(channelId)}/short-epg`);
+        if (!res) return;
+        const data = await res.json();
+        current = (data.programs || []).find(isAiring);
+    }
+    // The user may have switched channels while the short EPG was loading.
+    if (!current || currentChannelInfo?.channelId !== channelId) return;
+
+    const formatTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    nowPlayingEl.textContent = `Now: ${current.title} (${formatTime(current.start)} - ${formatTime(current.stop)})`;
+    nowPlayingEl.classList.remove('hidden');
+}
+
 /**
  * Handles a catastrophic stream error by attempting to restart the stream.
  */
@@ -218,12 +254,19 @@ export const playChannel = async (url, name, channelId) => {
     }
     // --- End Activity Logging ---
 
-    const streamUrlToPlay = profile.command === 'redirect' ? url : `/stream?url=${encodeURIComponent(url)}&profileId=${profileId}&userAgentId=${userAgentId}`;
+    // NEW: The channel id lets the server identify catch-up archive URLs, which aren't in the playlist.
+    const proxyUrl = `/stream?url=${encodeURIComponent(url)}&profileId=${profileId}&userAgentId=${userAgentId}${channelId ? `&channelId=${encodeURIComponent(channelId)}` : ''}`;
+    // NEW: Transcoded streams use HLS where this browser can't play MPEG-TS or the profile prefers it.
+    // Cast receivers get HLS whenever the profile can output it.
+    const streamFormat = profile.command === 'redirect' ? 'mpegts' : chooseStreamFormat(profile);
+    const streamUrlToPlay = profile.command === 'redirect' ? url : withStreamFormat(proxyUrl, streamFormat);
+    const castUrl = profileSupportsHls(profile) ? withStreamFormat(proxyUrl, 'hls') : streamUrlToPlay;
+    const isArchive = !!channel && channel.url !== url;
     const logo = channel ? channel.logo : '';
 
     if (castState.isCasting) {
         console.log(`[PLAYER] Already casting. Loading new channel "${name}" to remote device.`);
-        loadMedia(streamUrlToPlay, name, logo);
+        loadMedia(castUrl, name, logo);
         openModal(UIElements.videoModal);
         return;
     }
@@ -232,7 +275,7 @@ export const playChannel = async (url, name, channelId) => {
     currentLocalStreamUrl = url; 
     console.log(`[PLAYER] Playing channel "${name}" locally. Tracking URL for cleanup: ${currentLocalStreamUrl}`);
     
-    setLocalPlayerState(streamUrlToPlay, name, logo);
+    setLocalPlayerState(streamUrlToPlay, name, logo, castUrl);
     
     if (appState.player) {
         appState.player.destroy();
@@ -243,22 +286,18 @@ export const playChannel = async (url, name, channelId) => {
         streamInfoInterval = null;
     }
 
-    if (mpegts.isSupported()) {
+    if (streamFormat) {
         const mpegtsConfig = {
             enableStashBuffer: true,
             stashInitialSize: 4096,
             liveBufferLatency: 2.0,
         };
 
-        appState.player = mpegts.createPlayer({
-            type: 'mse',
-            isLive: true,
-            url: streamUrlToPlay
-        }, mpegtsConfig);
+        appState.player = createLivePlayer(streamUrlToPlay, streamFormat, mpegtsConfig); // MODIFIED
 
         // --- NEW: Robust Error Handling ---
         appState.player.on(mpegts.Events.ERROR, (errorType, errorDetail) => {
-            console.error(`[PLAYER] MPEGTS Player Error: Type=${errorType}, Detail=${errorDetail}`);
+            console.error(`[PLAYER] ${streamFormat === 'hls' ? 'HLS' : 'MPEGTS'} Player Error: Type=${errorType}, Detail=${errorDetail}`);
             // We only want to auto-retry on unrecoverable network/media errors.
             if (errorType === 'NetworkError' || errorType === 'MediaError') {
                 // To prevent a retry loop if the user has manually closed the player
@@ -283,6 +322,7 @@ export const playChannel = async (url, name, channelId) => {
         
         openModal(UIElements.videoModal);
         UIElements.videoTitle.textContent = name;
+        updateNowPlaying(isArchive ? null : channelId); // The live programme doesn't apply to catch-up playback
         appState.player.attachMediaElement(UIElements.videoElement);
         appState.player.load();
         
@@ -297,7 +337,7 @@ export const playChannel = async (url, name, channelId) => {
         streamInfoInterval = setInterval(updateStreamInfo, 2000);
 
     } else {
-        showNotification('Your browser does not support Media Source Extensions (MSE).', true);
+        showNotification('Your browser can play neither MPEG-TS (Media Source Extensions) nor HLS streams.', true);
     }
 };
 
@@ -9,6 +9,7 @@ import { UIElements, guideState, appState } from './state.js';
 import { showNotification } from './ui.js';
 // MODIFIED: Import stopStream to explicitly kill the server process.
 import { saveUserSetting, stopStream, startRedirectStream, stopRedirectStream } from './api.js';
+import { chooseStreamFormat, withStreamFormat, createLivePlayer } from './stream_player.js';
 
 const MAX_RECENT_LINKS = 10;
 let currentStreamUrl = null; // NEW: Track the URL of the current stream
@@ -212,6 +213,7 @@ function playDirectStream(url) {
 
     const isDirectPlay = UIElements.directPlayCheckbox.checked;
     let streamUrlToPlay = url;
+    let streamFormat = mpegts.isSupported() ? 'mpegts' : null; // NEW: Proxied streams may use HLS instead
 
     if (!isDirectPlay) {
         logToPlayerConsole('Direct Play is OFF. Using server proxy.');
@@ -228,8 +230,10 @@ function playDirectStream(url) {
             showNotification(errorMsg, true);
             return;
         }
-        streamUrlToPlay = `/stream?url=${encodeURIComponent(url)}&profileId=${profileIdToUse}&userAgentId=${userAgentId}`;
-        logToPlayerConsole(`Proxy URL: ${streamUrlToPlay}`);
+        const profile = (settings.streamProfiles || []).find(p => p.id === profileIdToUse);
+        if (profile && profile.command !== 'redirect') streamFormat = chooseStreamFormat(profile);
+        streamUrlToPlay = withStreamFormat(`/stream?url=${encodeURIComponent(url)}&profileId=${profileIdToUse}&userAgentId=${userAgentId}`, streamFormat);
+        logToPlayerConsole(`Proxy URL: ${streamUrlToPlay}${streamFormat === 'hls' ? ' (HLS)' : ''}`);
 
     } else {
         logToPlayerConsole('Direct Play is ON. Connecting directly to stream.');
@@ -259,7 +263,7 @@ function playDirectStream(url) {
     addRecentLink(url);
     renderRecentLinks();
 
-    if (mpegts.isSupported()) {
+    if (streamFormat) {
         try {
             console.log(`[DEBUG] playDirectStream: Creating new mpegts.js player for URL: ${streamUrlToPlay}`);
 
@@ -270,11 +274,7 @@ function playDirectStream(url) {
             };
             logToPlayerConsole(`Player config: stashInitialSize=${mpegtsConfig.stashInitialSize}KB, liveBufferLatency=${mpegtsConfig.liveBufferLatency}s`);
 
-            const newPlayer = mpegts.createPlayer({
-                type: 'mse',
-                isLive: true,
-                url: streamUrlToPlay
-            }, mpegtsConfig);
+            const newPlayer = createLivePlayer(streamUrlToPlay, streamFormat, mpegtsConfig); // MODIFIED
             
             appState.player = newPlayer;
             console.log('[DEBUG] playDirectStream: New player instance created and assigned to appState.player.');
@@ -331,7 +331,7 @@ function playDirectStream(url) {
             stopAndCleanupDirectPlayer();
         }
     } else {
-        const errorMsg = 'Your browser does not support the necessary technology to play this stream (Media Source Extensions).';
+        const errorMsg = 'Your browser does not support the necessary technology to play this stream (Media Source Extensions or HLS).';
         logToPlayerConsole(errorMsg, true);
         showNotification(errorMsg, true);
     }
@@ -43,7 +43,7 @@ function resolveChannel(channelId, channelName = '', channelLogo = null) {
         id: normalizedId || channelName || `unknown-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
         name: channelName || 'Unknown Channel',
         displayName: channelName || 'Unknown Channel',
-        logo: channelLogo || 'https://placehold.co/96x96/1f2937/d1d5db?text=?',
+        logo: channelLogo || '',
         group: 'Uncategorized',
         url: null,
     };
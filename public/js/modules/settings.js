@@ -9,6 +9,7 @@ import { apiFetch, saveGlobalSetting, saveUserSetting } from './api.js';
 // MODIFIED: Import isProcessingRunning for the button logic
 import { showNotification, openModal, closeModal, showConfirm, setButtonLoadingState, showProcessingModal, isProcessingRunning } from './ui.js'; 
 import { handleGuideLoad } from './guide.js';
+import { clearProgramWindows } from './guide_data.js';
 import { navigate } from './ui.js';
 import { ICONS } from './icons.js';
 import { populateChannelSelector } from './multiview.js';
@@ -16,6 +17,7 @@ import { sanitizeText, sanitizeAttr, getDisplayName } from './channels.js';
 import { updatePopularPage } from './popular.js';
 
 let currentSourceTypeForEditor = 'url';
+let filterPreviewTimer = null; // NEW: Debounces filter rule previews in the source editor
 let hardwareChecked = false; // Flag to prevent re-checking hardware on every UI update
 
 const PERMISSION_CONFIG = [
@@ -26,6 +28,7 @@ const PERMISSION_CONFIG = [
     { key: 'directPlayer', label: 'Direct Player', elementKey: 'userEditorPermissionDirectPlayer' },
     { key: 'dvr', label: 'DVR', elementKey: 'userEditorPermissionDvr' },
     { key: 'notifications', label: 'Notifications', elementKey: 'userEditorPermissionNotifications' },
+    { key: 'vod', label: 'Movies & Series', elementKey: 'userEditorPermissionVod' },
 ];
 
 const PERMISSION_LABELS = PERMISSION_CONFIG.reduce((acc, item) => {
@@ -304,6 +307,47 @@ export const populateTimezoneSelector = () => {
     }
 };
 
+function formatBytes(bytes) {
+    if (!bytes || bytes === 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return `${parseFloat((bytes / Math.pow(k, i)).toFixed(1))} ${sizes[i]}`;
+}
+
+/**
+ * NEW: Builds the size cell for a source, showing both sizes when the source was compressed.
+ * @param {object} source - The source object from settings.
+ */
+const buildSourceSizeCell = (source) => {
+    if (!Number.isFinite(source.decompressedSize)) {
+        return '<td class="text-xs text-gray-500">—</td>';
+    }
+    if (!source.compression) {
+        return `<td class="text-xs text-gray-200 whitespace-nowrap">${formatBytes(source.decompressedSize)}</td>`;
+    }
+    return `<td class="text-xs text-gray-200 whitespace-nowrap" title="${source.compression} compressed">
+                ${formatBytes(source.compressedSize)} <span class="text-gray-500">${source.compression}</span>
+                <div class="text-gray-400">${formatBytes(source.decompressedSize)} unpacked</div>
+            </td>`;
+};
+
+/**
+ * NEW: Summarizes an XC source's account (status, expiry, connections) for the status column.
+ * @param {object} source - The M3U source.
+ * @returns {string} HTML, or '' when no account info has been read yet.
+ */
+const buildXcAccountSummary = (source) => {
+    const account = source.xcAccount;
+    if (source.type !== 'xc' || !account) return '';
+    const expiresAt = account.expiresAt ? new Date(account.expiresAt) : null;
+    const daysLeft = expiresAt ? Math.floor((expiresAt - Date.now()) / 86400000) : null;
+    const expiryClass = daysLeft !== null && daysLeft < 7 ? 'text-red-300' : 'text-gray-300';
+    const expiryText = expiresAt ? `Expires ${expiresAt.toLocaleDateString()}${daysLeft >= 0 && daysLeft < 30 ? ` (${daysLeft}d)` : ''}` : 'No expiry';
+    return `<div class="mt-1 ${expiryClass}">${sanitizeText(account.status)}${account.isTrial ? ' · Trial' : ''} · ${expiryText}</div>
+            <div class="text-gray-500">${account.activeConnections}/${account.maxConnections || '∞'} connections in use</div>`;
+};
+
 /**
  * Renders the M3U or EPG source table.
  * @param {('m3u'|'epg')} sourceType - The type of source to render.
@@ -316,29 +360,40 @@ const renderSourceTable = (sourceType) => {
     const hasConcurrency = sourceType === 'm3u';
 
     if (sources.length === 0) {
-        const emptyStateColumns = hasConcurrency ? 9 : 8;
+        const emptyStateColumns = hasConcurrency ? 10 : 9;
         tbody.innerHTML = `<tr><td colspan="${emptyStateColumns}" class="text-center text-gray-500 py-6 text-xs">No ${sourceType.toUpperCase()} sources added.</td></tr>`;
         return;
     }
 
-    sources.forEach(source => {
+    sources.forEach((source, index) => {
         const pathDisplay = source.type === 'file' ? (source.path.split('/').pop() || source.path.split('\\').pop()) : source.path;
         const lastUpdated = new Date(source.lastUpdated).toLocaleString();
-        const refreshText = source.type === 'url' && source.refreshHours > 0 ? `Every ${source.refreshHours}h` : 'Disabled';
+        let refreshText = ['url', 'xc'].includes(source.type) && source.refreshHours > 0 ? `Every ${source.refreshHours}h` : 'Disabled';
+        // NEW: Folder sources are re-read when their files change; show which file was read last.
+        let folderFileInfo = '';
+        const timeInfo = [source.timezone, source.timeShiftMinutes ? `${source.timeShiftMinutes > 0 ? '+' : ''}${source.timeShiftMinutes} min` : '']
+            .filter(Boolean).join(', ');
+        if (source.type === 'folder') {
+            refreshText = source.isActive ? 'On file change' : 'Disabled';
+            if (source.folderFile) {
+                folderFileInfo = `<div class="text-gray-500 mt-1">${sanitizeText(source.folderFile)}${source.fileModifiedAt ? ` · Modified ${new Date(source.fileModifiedAt).toLocaleString()}` : ''}</div>`;
+            }
+        }
         const concurrencyCell = hasConcurrency
             ? ((source.maxConcurrentChannels ?? 0) > 0
-                ? `<td class="text-xs text-gray-200"><span class="inline-flex items-center px-2.5 py-1 text-xs font-semibold rounded-full bg-blue-500/20 text-blue-200">${source.maxConcurrentChannels}</span></td>`
+                ? `<td class="text-xs text-gray-200"><span class="inline-flex items-center px-2.5 py-1 text-xs font-semibold rounded-full bg-blue-500/20 text-blue-200">${source.maxConcurrentChannels}</span>${source.maxConcurrentFromProvider ? '<div class="text-gray-500 mt-1">From provider</div>' : ''}</td>`
                 : '<td class="text-xs text-gray-400">Unlimited</td>')
             : '';
         const tr = document.createElement('tr');
         tr.dataset.sourceId = source.id;
         tr.innerHTML = `
-            <td class="text-xs font-semibold text-white">${source.name}</td>
+            <td class="text-xs font-semibold text-white">${source.name}${sourceType === 'epg' ? `<div class="text-gray-500 font-normal mt-1">Priority ${index + 1}</div>` : ''}</td>
             <td class="text-xs">
-                <span class="inline-flex items-center px-2.5 py-1 text-xs font-semibold rounded-full ${source.type === 'file' ? 'bg-blue-500/20 text-blue-200' : source.type === 'xc' ? 'bg-emerald-500/20 text-emerald-200' : 'bg-purple-500/20 text-purple-200'}">${source.type.toUpperCase()}</span>
+                <span class="inline-flex items-center px-2.5 py-1 text-xs font-semibold rounded-full ${source.type === 'file' ? 'bg-blue-500/20 text-blue-200' : source.type === 'xc' ? 'bg-emerald-500/20 text-emerald-200' : source.type === 'folder' ? 'bg-amber-500/20 text-amber-200' : 'bg-purple-500/20 text-purple-200'}">${source.type.toUpperCase()}</span>
             </td>
-            <td class="text-xs text-gray-200 break-all leading-relaxed" title="${pathDisplay}">${pathDisplay}</td>
-            <td class="text-xs text-gray-400 leading-relaxed">${source.statusMessage || 'No status yet.'}</td>
+            <td class="text-xs text-gray-200 break-all leading-relaxed" title="${pathDisplay}">${pathDisplay}${folderFileInfo}${timeInfo ? `<div class="text-gray-500 mt-1">Times: ${sanitizeText(timeInfo)}</div>` : ''}</td>
+            <td class="text-xs text-gray-400 leading-relaxed">${source.statusMessage || 'No status yet.'}${buildXcAccountSummary(source)}</td>
+            ${buildSourceSizeCell(source)}
             <td class="text-xs text-gray-200">${lastUpdated}</td>
             <td class="text-xs text-gray-200">${refreshText}</td>
             ${concurrencyCell}
@@ -350,6 +405,13 @@ const renderSourceTable = (sourceType) => {
             </td>
             <td class="text-xs text-right">
                 <div class="flex items-center justify-end gap-3">
+                    ${sourceType === 'epg' ? `
+                    <button class="action-btn move-source-btn" data-direction="-1" title="Raise Priority" ${index === 0 ? 'disabled' : ''}>
+                        ${ICONS.moveUp}
+                    </button>
+                    <button class="action-btn move-source-btn" data-direction="1" title="Lower Priority" ${index === sources.length - 1 ? 'disabled' : ''}>
+                        ${ICONS.moveDown}
+                    </button>` : ''}
                     <button class="action-btn edit-source-btn" title="Edit Source">
                         ${ICONS.edit}
                     </button>
@@ -403,6 +465,8 @@ export const updateUIFromSettings = async () => {
     settings.dvr.postBufferMinutes = settings.dvr.postBufferMinutes ?? 2;
     settings.dvr.maxConcurrentRecordings = settings.dvr.maxConcurrentRecordings ?? 1;
     settings.dvr.autoDeleteDays = settings.dvr.autoDeleteDays ?? 0;
+    // NEW: Channel scanner defaults, matching the server's
+    settings.channelScanner = { enabled: false, intervalHours: 24, probesPerMinute: 20, maxParallel: 2, timeoutSeconds: 15, ...settings.channelScanner };
     settings.recommendedChannelIds = settings.recommendedChannelIds || [];
 
     // Update dropdowns and inputs
@@ -417,6 +481,15 @@ export const updateUIFromSettings = async () => {
     if (UIElements.dvrMaxStreamsInput) UIElements.dvrMaxStreamsInput.value = settings.dvr.maxConcurrentRecordings;
     if (UIElements.dvrStorageDeleteDays) UIElements.dvrStorageDeleteDays.value = settings.dvr.autoDeleteDays;
 
+    // NEW: Update channel scanner inputs
+    if (UIElements.channelScannerEnabled) {
+        UIElements.channelScannerEnabled.checked = settings.channelScanner.enabled;
+        UIElements.channelScannerInterval.value = settings.channelScanner.intervalHours;
+        UIElements.channelScannerRate.value = settings.channelScanner.probesPerMinute;
+        UIElements.channelScannerParallel.value = settings.channelScanner.maxParallel;
+        UIElements.channelScannerTimeout.value = settings.channelScanner.timeoutSeconds;
+    }
+
     // Render tables
     renderSourceTable('m3u');
     renderSourceTable('epg');
@@ -513,6 +586,164 @@ const openUserEditor = (user = null) => {
 
 // --- Modals and Editors ---
 
+const EPG_BINDING_ALL = '*'; // Must match EPG_BINDING_ALL in server.js
+
+/**
+ * NEW: Renders the "Applies To" checkboxes for an EPG source.
+ * New sources default to all non-XC M3U sources, matching the server-side default. While that box is
+ * checked the single sources are locked, and playlists added later are bound too.
+ * @param {object|null} source - The EPG source being edited, or null for a new one.
+ */
+const renderEpgBindingOptions = (source) => {
+    const list = UIElements.sourceEditorEpgBindingsList;
+    const m3uSources = guideState.settings.m3uSources || [];
+    const appliesToAll = !Array.isArray(source?.appliesTo);
+    const boundIds = appliesToAll ? [] : source.appliesTo;
+    const checkboxClasses = 'h-4 w-4 text-blue-600 bg-gray-700 border-gray-600 rounded focus:ring-blue-500';
+
+    const allOption = `
+        <label class="flex items-center gap-2 text-sm text-gray-300">
+            <input type="checkbox" class="epg-binding-all-checkbox ${checkboxClasses}" ${appliesToAll ? 'checked' : ''}>
+            <span class="truncate">All M3U sources except XC, including ones added later</span>
+        </label>
+    `;
+    list.innerHTML = allOption + m3uSources.map(m3u => `
+        <label class="flex items-center gap-2 text-sm text-gray-300">
+            <input type="checkbox" class="epg-binding-checkbox ${checkboxClasses}" value="${sanitizeAttr(m3u.id)}" data-xc="${m3u.type === 'xc'}" ${boundIds.includes(m3u.id) ? 'checked' : ''}>
+            <span class="truncate">${sanitizeText(m3u.name)}</span>
+            <span class="text-xs text-gray-500">${sanitizeText(m3u.type.toUpperCase())}${m3u.isActive ? '' : ' · inactive'}</span>
+        </label>
+    `).join('');
+
+    const allCheckbox = list.querySelector('.epg-binding-all-checkbox');
+    const syncSourceCheckboxes = () => {
+        list.querySelectorAll('.epg-binding-checkbox').forEach(cb => {
+            cb.disabled = allCheckbox.checked;
+            if (allCheckbox.checked) cb.checked = cb.dataset.xc !== 'true';
+        });
+    };
+    allCheckbox.addEventListener('change', syncSourceCheckboxes);
+    syncSourceCheckboxes();
+};
+
+/**
+ * NEW: Renders the import filter rule rows of an M3U source.
+ * @param {Array<object>} rules - The source's filterRules.
+ */
+const renderFilterRules = (rules = []) => {
+    const selectClasses = 'bg-gray-700 border border-gray-600 rounded-md px-2 py-1 text-xs text-white focus:ring-blue-500 focus:border-blue-500';
+    UIElements.sourceEditorFilterRules.innerHTML = rules.map(rule => `
+        <div class="filter-rule-row flex items-center gap-2">
+            <select class="filter-rule-action ${selectClasses}">
+                <option value="include" ${rule.action === 'include' ? 'selected' : ''}>Include</option>
+                <option value="exclude" ${rule.action !== 'include' ? 'selected' : ''}>Exclude</option>
+            </select>
+            <select class="filter-rule-field ${selectClasses}">
+                <option value="group" ${rule.field === 'group' ? 'selected' : ''}>Group</option>
+                <option value="name" ${rule.field === 'name' ? 'selected' : ''}>Name regex</option>
+                <option value="url" ${rule.field === 'url' ? 'selected' : ''}>URL regex</option>
+            </select>
+            <input type="text" class="filter-rule-pattern flex-grow min-w-0 ${selectClasses}" value="${sanitizeAttr(rule.pattern || '')}" ${rule.field === 'group' || !rule.field ? 'list="source-editor-filter-groups"' : ''} placeholder="${rule.field === 'group' || !rule.field ? 'Group name' : 'Regular expression'}">
+            <span class="filter-rule-count text-xs text-gray-500 w-20 text-right flex-shrink-0"></span>
+            <button type="button" class="filter-rule-remove-btn text-gray-400 hover:text-red-400 text-sm px-1" title="Remove rule">&times;</button>
+        </div>
+    `).join('');
+};
+
+/**
+ * NEW: Reads the filter rules currently shown in the source editor.
+ * @returns {Array<{action: string, field: string, pattern: string}>}
+ */
+const collectFilterRules = () => Array.from(UIElements.sourceEditorFilterRules.querySelectorAll('.filter-rule-row')).map(row => ({
+    action: row.querySelector('.filter-rule-action').value,
+    field: row.querySelector('.filter-rule-field').value,
+    pattern: row.querySelector('.filter-rule-pattern').value.trim(),
+}));
+
+/**
+ * NEW: Reads the HTTP options currently shown in the source editor. The server parses the header lines.
+ * @returns {{headers: string, referer: string, cookies: string, proxy: string}}
+ */
+const collectHttpOptions = () => ({
+    headers: UIElements.sourceEditorHttpHeaders.value,
+    referer: UIElements.sourceEditorHttpReferer.value.trim(),
+    cookies: UIElements.sourceEditorHttpCookies.value.trim(),
+    proxy: UIElements.sourceEditorHttpProxy.value.trim(),
+});
+
+/**
+ * NEW: Shows or hides the HTTP option fields of the source editor.
+ */
+const toggleHttpOptionsFields = (show) => {
+    UIElements.sourceEditorHttpFields.classList.toggle('hidden', !show);
+    UIElements.sourceEditorHttpToggleBtn.textContent = show ? 'Hide' : 'Show';
+};
+
+/**
+ * NEW: Asks the server how many channels each filter rule keeps or drops for the source being edited.
+ */
+const previewFilterRules = async () => {
+    const summary = UIElements.sourceEditorFilterSummary;
+    const id = UIElements.sourceEditorId.value;
+    const source = (guideState.settings.m3uSources || []).find(s => s.id === id);
+    if (!source || source.status === 'Pending') {
+        summary.textContent = 'Process this source once to preview how many channels the rules keep.';
+        return;
+    }
+
+    // Skip the request while a regex is still being typed.
+    const rows = Array.from(UIElements.sourceEditorFilterRules.querySelectorAll('.filter-rule-row'));
+    let hasInvalidRule = false;
+    rows.forEach(row => {
+        const input = row.querySelector('.filter-rule-pattern');
+        let valid = true;
+        if (row.querySelector('.filter-rule-field').value !== 'group') {
+            try { new RegExp(input.value.trim(), 'i'); } catch (e) { valid = false; }
+        }
+        input.classList.toggle('border-red-500', !valid);
+        if (!valid) hasInvalidRule = true;
+    });
+    if (hasInvalidRule) {
+        summary.textContent = 'Fix the highlighted regular expression to see a preview.';
+        return;
+    }
+
+    summary.textContent = 'Calculating preview...';
+    const rules = collectFilterRules();
+    const res = await apiFetch(`/api/sources/m3u/${encodeURIComponent(id)}/filter-preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules })
+    });
+    if (!res) {
+        summary.textContent = '';
+        return;
+    }
+    const preview = await res.json();
+
+    summary.textContent = `Keeps ${preview.kept.toLocaleString()} of ${preview.total.toLocaleString()} channels (${preview.dropped.toLocaleString()} dropped).`;
+    UIElements.sourceEditorFilterGroups.innerHTML = preview.groups.map(g => `<option value="${sanitizeAttr(g.group)}">${g.count} channels</option>`).join('');
+
+    // Counts only cover rules with a pattern, in the same order the server received them.
+    let ruleIndex = 0;
+    rows.forEach(row => {
+        const countEl = row.querySelector('.filter-rule-count');
+        if (!row.querySelector('.filter-rule-pattern').value.trim()) {
+            countEl.textContent = '';
+            return;
+        }
+        const counts = preview.rules[ruleIndex++] || { kept: 0, dropped: 0 };
+        countEl.textContent = row.querySelector('.filter-rule-action').value === 'include'
+            ? `keeps ${counts.kept.toLocaleString()}`
+            : `drops ${counts.dropped.toLocaleString()}`;
+    });
+};
+
+const scheduleFilterPreview = () => {
+    clearTimeout(filterPreviewTimer);
+    filterPreviewTimer = setTimeout(previewFilterRules, 500);
+};
+
 /**
  * Opens the source editor modal.
  * @param {('m3u'|'epg')} sourceType - The type of source.
@@ -537,6 +768,43 @@ const openSourceEditor = (sourceType, source = null) => {
         UIElements.sourceEditorMaxConcurrent.disabled = !isM3uSource;
     }
 
+    // NEW: M3U sources can filter which channels are imported
+    if (UIElements.sourceEditorFilterContainer) {
+        UIElements.sourceEditorFilterContainer.classList.toggle('hidden', !isM3uSource);
+        UIElements.sourceEditorFilterSummary.textContent = '';
+        UIElements.sourceEditorFilterGroups.innerHTML = '';
+        if (isM3uSource) {
+            renderFilterRules(source?.filterRules || []);
+            if (source?.filterRules?.length) previewFilterRules();
+        }
+    }
+
+    // NEW: HTTP options, shown expanded when the source already has some
+    if (UIElements.sourceEditorHttpContainer) {
+        const httpOptions = source?.httpOptions || {};
+        UIElements.sourceEditorHttpHeaders.value = Object.entries(httpOptions.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+        UIElements.sourceEditorHttpReferer.value = httpOptions.referer || '';
+        UIElements.sourceEditorHttpCookies.value = httpOptions.cookies || '';
+        UIElements.sourceEditorHttpProxy.value = httpOptions.proxy || '';
+        toggleHttpOptionsFields(!!source?.httpOptions);
+    }
+
+    // NEW: EPG sources choose which M3U sources their programmes apply to
+    if (UIElements.sourceEditorEpgBindingsContainer) {
+        UIElements.sourceEditorEpgBindingsContainer.classList.toggle('hidden', isM3uSource);
+        if (!isM3uSource) renderEpgBindingOptions(source);
+    }
+
+    // NEW: EPG sources can read their times in their own time zone
+    if (UIElements.sourceEditorEpgTimeContainer) {
+        UIElements.sourceEditorEpgTimeContainer.classList.toggle('hidden', isM3uSource);
+        if (!UIElements.sourceEditorEpgTimezoneList.hasChildNodes() && Intl.supportedValuesOf) {
+            UIElements.sourceEditorEpgTimezoneList.innerHTML = Intl.supportedValuesOf('timeZone').map(zone => `<option value="${sanitizeAttr(zone)}"></option>`).join('');
+        }
+        UIElements.sourceEditorEpgTimezone.value = source?.timezone || '';
+        UIElements.sourceEditorEpgShift.value = source?.timeShiftMinutes || 0;
+    }
+
     // Default to 'url' tab unless source dictates otherwise
     let activeTab = 'url';
     
@@ -546,6 +814,8 @@ const openSourceEditor = (sourceType, source = null) => {
             activeTab = 'file';
         } else if (source.type === 'xc') {
             activeTab = 'xc';
+        } else if (source.type === 'folder') {
+            activeTab = 'folder';
         } else { // 'url' or other types
             activeTab = 'url';
         }
@@ -558,14 +828,21 @@ const openSourceEditor = (sourceType, source = null) => {
     UIElements.sourceEditorTypeBtnUrl.classList.toggle('bg-blue-600', activeTab === 'url');
     UIElements.sourceEditorTypeBtnFile.classList.toggle('bg-blue-600', activeTab === 'file');
     UIElements.sourceEditorTypeBtnXc.classList.toggle('bg-blue-600', activeTab === 'xc');
+    UIElements.sourceEditorTypeBtnFolder.classList.toggle('bg-blue-600', activeTab === 'folder');
+    // Only admins can point a source at a watch folder.
+    UIElements.sourceEditorTypeBtnFolder.classList.toggle('hidden', !appState.currentUser?.isAdmin && activeTab !== 'folder');
 
     UIElements.sourceEditorUrlContainer.classList.toggle('hidden', activeTab !== 'url');
     UIElements.sourceEditorFileContainer.classList.toggle('hidden', activeTab !== 'file');
     UIElements.sourceEditorXcContainer.classList.toggle('hidden', activeTab !== 'xc');
+    UIElements.sourceEditorFolderContainer.classList.toggle('hidden', activeTab !== 'folder');
     
-    // Hide refresh interval for file-based sources
-    UIElements.sourceEditorRefreshContainer.classList.toggle('hidden', activeTab === 'file');
+    // Hide refresh interval and HTTP options for file-based sources
+    const isLocalSource = activeTab === 'file' || activeTab === 'folder';
+    UIElements.sourceEditorRefreshContainer.classList.toggle('hidden', isLocalSource);
+    UIElements.sourceEditorHttpContainer?.classList.toggle('hidden', isLocalSource);
     UIElements.sourceEditorFileInfo.classList.add('hidden'); // Hide file info by default
+    UIElements.sourceEditorFolderPath.value = '';
 
     // Populate the form fields based on the source data
     if (source) {
@@ -577,6 +854,9 @@ const openSourceEditor = (sourceType, source = null) => {
                 UIElements.sourceEditorFileInfo.textContent = `Current file: ${source.path.split('/').pop()}`;
                 UIElements.sourceEditorFileInfo.classList.remove('hidden');
                 break;
+            case 'folder':
+                UIElements.sourceEditorFolderPath.value = source.path;
+                break;
             case 'xc':
                 // FIX: Correctly parse xc_data and populate the fields
                 if (source.xc_data) {
@@ -645,6 +925,11 @@ const openEditorModal = (type, item = null) => {
         UIElements.editorValue.value = item.command || item.value || '';
     }
 
+    // NEW: Stream profiles choose between MPEG-TS and HLS output.
+    UIElements.editorOutputFormatContainer.classList.toggle('hidden', type !== 'streamProfile');
+    UIElements.editorOutputFormat.value = item && item.outputFormat === 'hls' ? 'hls' : 'mpegts';
+    UIElements.editorOutputFormat.disabled = isDefault;
+
     UIElements.editorSaveBtn.disabled = isDefault;
     openModal(UIElements.editorModal);
 };
@@ -718,22 +1003,55 @@ export function setupSettingsEventListeners() {
         const isUrl = tabType === 'url';
         const isFile = tabType === 'file';
         const isXc = tabType === 'xc';
+        const isFolder = tabType === 'folder';
     
         UIElements.sourceEditorTypeBtnUrl.classList.toggle('bg-blue-600', isUrl);
         UIElements.sourceEditorTypeBtnFile.classList.toggle('bg-blue-600', isFile);
         UIElements.sourceEditorTypeBtnXc.classList.toggle('bg-blue-600', isXc);
+        UIElements.sourceEditorTypeBtnFolder.classList.toggle('bg-blue-600', isFolder);
     
         UIElements.sourceEditorUrlContainer.classList.toggle('hidden', !isUrl);
         UIElements.sourceEditorFileContainer.classList.toggle('hidden', !isFile);
         UIElements.sourceEditorXcContainer.classList.toggle('hidden', !isXc);
+        UIElements.sourceEditorFolderContainer.classList.toggle('hidden', !isFolder);
     
-        // Refresh interval is shown for URL and XC, but not for File
-        UIElements.sourceEditorRefreshContainer.classList.toggle('hidden', isFile);
+        // Refresh interval is shown for URL and XC, but not for File or Folder (folders are watched instead)
+        UIElements.sourceEditorRefreshContainer.classList.toggle('hidden', isFile || isFolder);
+        UIElements.sourceEditorHttpContainer?.classList.toggle('hidden', isFile || isFolder);
     };
 
     UIElements.sourceEditorTypeBtnUrl.addEventListener('click', () => switchSourceEditorTab('url'));
     UIElements.sourceEditorTypeBtnFile.addEventListener('click', () => switchSourceEditorTab('file'));
     UIElements.sourceEditorTypeBtnXc.addEventListener('click', () => switchSourceEditorTab('xc'));
+    UIElements.sourceEditorTypeBtnFolder.addEventListener('click', () => switchSourceEditorTab('folder'));
+
+    // NEW: Filter rule editing
+    UIElements.sourceEditorHttpToggleBtn?.addEventListener('click', () => {
+        toggleHttpOptionsFields(UIElements.sourceEditorHttpFields.classList.contains('hidden'));
+    });
+
+    UIElements.sourceEditorFilterAddBtn?.addEventListener('click', () => {
+        renderFilterRules([...collectFilterRules(), { action: 'exclude', field: 'group', pattern: '' }]);
+        UIElements.sourceEditorFilterRules.querySelector('.filter-rule-row:last-child .filter-rule-pattern')?.focus();
+    });
+    UIElements.sourceEditorFilterRules?.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.filter-rule-remove-btn');
+        if (!removeBtn) return;
+        removeBtn.closest('.filter-rule-row').remove();
+        scheduleFilterPreview();
+    });
+    UIElements.sourceEditorFilterRules?.addEventListener('input', scheduleFilterPreview);
+    UIElements.sourceEditorFilterRules?.addEventListener('change', (e) => {
+        // Switching between group and regex rules changes the pattern input's hints.
+        if (e.target.matches('.filter-rule-field')) {
+            const input = e.target.closest('.filter-rule-row').querySelector('.filter-rule-pattern');
+            const isGroup = e.target.value === 'group';
+            if (isGroup) input.setAttribute('list', 'source-editor-filter-groups');
+            else input.removeAttribute('list');
+            input.placeholder = isGroup ? 'Group name' : 'Regular expression';
+        }
+        scheduleFilterPreview();
+    });
 
     UIElements.sourceEditorForm.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -767,8 +1085,30 @@ export function setupSettingsEventListeners() {
                 password: UIElements.sourceEditorXcPassword.value,
             }));
             formData.append('refreshHours', UIElements.sourceEditorRefreshInterval.value);
+        } else if (currentSourceTypeForEditor === 'folder') {
+            formData.append('folderPath', UIElements.sourceEditorFolderPath.value.trim());
         }
         
+        if (!['file', 'folder'].includes(currentSourceTypeForEditor) && UIElements.sourceEditorHttpContainer) {
+            formData.append('httpOptions', JSON.stringify(collectHttpOptions()));
+        }
+
+        if (sourceType === 'm3u' && UIElements.sourceEditorFilterRules) {
+            formData.append('filterRules', JSON.stringify(collectFilterRules().filter(rule => rule.pattern)));
+        }
+
+        if (sourceType === 'epg' && UIElements.sourceEditorEpgBindingsList) {
+            const bindingsList = UIElements.sourceEditorEpgBindingsList;
+            const boundIds = bindingsList.querySelector('.epg-binding-all-checkbox:checked')
+                ? EPG_BINDING_ALL
+                : Array.from(bindingsList.querySelectorAll('.epg-binding-checkbox:checked')).map(cb => cb.value);
+            formData.append('appliesTo', JSON.stringify(boundIds));
+        }
+        if (sourceType === 'epg' && UIElements.sourceEditorEpgTimeContainer) {
+            formData.append('timezone', UIElements.sourceEditorEpgTimezone.value.trim());
+            formData.append('timeShiftMinutes', parseInt(UIElements.sourceEditorEpgShift.value, 10) || 0);
+        }
+
         if (id) formData.append('id', id);
 
         const res = await apiFetch('/api/sources', { method: 'POST', body: formData });
@@ -797,7 +1137,7 @@ export function setupSettingsEventListeners() {
         const res = await apiFetch('/api/validate-url', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ url })
+            body: JSON.stringify({ url, httpOptions: UIElements.sourceEditorHttpContainer ? collectHttpOptions() : undefined })
         });
         
         if (res && res.ok) {
@@ -820,7 +1160,26 @@ export function setupSettingsEventListeners() {
         const source = guideState.settings[`${sourceType}Sources`].find(s => s.id === sourceId);
         if(!source) return;
 
-        if (target.closest('.edit-source-btn')) {
+        const moveBtn = target.closest('.move-source-btn');
+        if (moveBtn) {
+            // NEW: EPG priority. Higher sources win; lower ones fill their gaps.
+            const ids = guideState.settings.epgSources.map(s => s.id);
+            const from = ids.indexOf(sourceId);
+            const to = from + parseInt(moveBtn.dataset.direction, 10);
+            if (to < 0 || to >= ids.length) return;
+            [ids[from], ids[to]] = [ids[to], ids[from]];
+            const res = await apiFetch('/api/sources/epg/order', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids })
+            });
+            if (res?.ok) {
+                const data = await res.json();
+                Object.assign(guideState.settings, data.settings);
+                updateUIFromSettings();
+                showNotification(data.message);
+            }
+        } else if (target.closest('.edit-source-btn')) {
             openSourceEditor(sourceType, source);
         } else if (target.closest('.delete-source-btn')) {
             showConfirm('Delete Source?', 'This will delete the source configuration. The downloaded file (if any) will also be removed.', async () => {
@@ -890,6 +1249,20 @@ export function setupSettingsEventListeners() {
     }
     UIElements.dvrRecordingProfileSelect.addEventListener('change', (e) => handleDvrSettingChange('activeRecordingProfileId', e.target.value));
 
+    // --- NEW: Channel Scanner Settings ---
+    const handleChannelScannerSettingChange = (key, value) => {
+        const newScannerSettings = { ...guideState.settings.channelScanner, [key]: value };
+        saveSettingAndNotify(saveGlobalSetting, { channelScanner: newScannerSettings });
+    };
+
+    if (UIElements.channelScannerEnabled) {
+        UIElements.channelScannerEnabled.addEventListener('change', (e) => handleChannelScannerSettingChange('enabled', e.target.checked));
+        UIElements.channelScannerInterval.addEventListener('change', (e) => handleChannelScannerSettingChange('intervalHours', parseInt(e.target.value, 10)));
+        UIElements.channelScannerRate.addEventListener('change', (e) => handleChannelScannerSettingChange('probesPerMinute', parseInt(e.target.value, 10)));
+        UIElements.channelScannerParallel.addEventListener('change', (e) => handleChannelScannerSettingChange('maxParallel', parseInt(e.target.value, 10)));
+        UIElements.channelScannerTimeout.addEventListener('change', (e) => handleChannelScannerSettingChange('timeoutSeconds', parseInt(e.target.value, 10)));
+    }
+
     // --- Player Settings (User Agents & Stream Profiles) ---
     UIElements.addUserAgentBtn.addEventListener('click', () => openEditorModal('userAgent'));
     UIElements.editUserAgentBtn.addEventListener('click', () => {
@@ -976,6 +1349,7 @@ export function setupSettingsEventListeners() {
             settingsToSave.userAgents = list;
         } else if (type === 'streamProfile') {
             newItem.command = value;
+            newItem.outputFormat = UIElements.editorOutputFormat.value; // NEW
             const list = [...(guideState.settings.streamProfiles || [])];
             const existingIndex = list.findIndex(item => item.id === id);
             if (existingIndex > -1) list[existingIndex] = { ...list[existingIndex], ...newItem };
@@ -1058,6 +1432,7 @@ export function setupSettingsEventListeners() {
                     req.onsuccess = resolve;
                     req.onerror = reject;
                 });
+                await clearProgramWindows(); // NEW
             }
             showNotification('All data cleared. Reloading...');
             setTimeout(() => window.location.reload(), 1500);
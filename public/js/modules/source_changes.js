@@ -0,0 +1,167 @@
+/**
+ * source_changes.js
+ * * Admin viewer for the source change log.
+ *   Every playlist and EPG refresh is compared with the previous one on the server: channels added,
+ *   removed or changed (URL, name, logo) and channels whose guide data went missing or runs out soon.
+ *   Removed channels that users have favorited or scheduled recordings for are flagged as alerts.
+ */
+
+import { UIElements } from './state.js';
+import { apiFetch } from './api.js';
+import { showNotification, openModal, closeModal } from './ui.js';
+import { sanitizeText, sanitizeAttr } from './channels.js';
+
+const FIELD_LABELS = { url: 'Stream URL', name: 'Name', logo: 'Logo' };
+
+let changeLog = [];
+
+const describeChannelCounts = (summary) => `+${summary.added} / -${summary.removed} / ${summary.changed} changed`;
+
+const describeGuideCounts = (summary) => {
+    if (summary.guideWriteFailed) return 'Guide not written';
+    const parts = [];
+    if (summary.guideLost > 0) parts.push(`${summary.guideLost} lost`);
+    if (summary.guideGained > 0) parts.push(`${summary.guideGained} gained`);
+    if (summary.guideEndingSoon > 0) parts.push(`${summary.guideEndingSoon} ending soon`);
+    return parts.length > 0 ? parts.join(', ') : 'No gaps';
+};
+
+/**
+ * Renders the list of refreshes.
+ * @param {number|null} selectedId - The entry whose details are shown.
+ */
+function renderChangeLog(selectedId = null) {
+    if (changeLog.length === 0) {
+        UIElements.sourceChangesTbody.innerHTML = '<tr><td colspan="5" class="text-center text-gray-500 py-6 text-xs">No refreshes have been compared yet. The log starts with the next refresh.</td></tr>';
+        return;
+    }
+
+    UIElements.sourceChangesTbody.innerHTML = changeLog.map(entry => `
+        <tr data-id="${entry.id}" class="cursor-pointer hover:bg-gray-700/50 ${entry.id === selectedId ? 'bg-gray-700/50' : ''}">
+            <td class="text-xs text-gray-300 whitespace-nowrap">${new Date(entry.createdAt).toLocaleString()}</td>
+            <td class="text-xs text-gray-400">${entry.refreshType === 'manual' ? 'Admin' : 'Automatic'}</td>
+            <td class="text-xs text-gray-300">${describeChannelCounts(entry.summary)}</td>
+            <td class="text-xs text-gray-300" title="${entry.summary.withoutGuide} channel(s) have no guide data">${describeGuideCounts(entry.summary)}</td>
+            <td class="text-xs ${entry.summary.alerts > 0 ? 'text-red-400 font-semibold' : 'text-gray-500'}">${entry.summary.alerts > 0 ? `${entry.summary.alerts} channel(s) in use removed` : 'None'}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Builds one titled list of channels for the details pane.
+ * @param {string} title - The list heading.
+ * @param {Array<object>} channels - The channels to list.
+ * @param {number} total - The full count, which can exceed the stored list.
+ * @param {function(object): string} describe - Returns the extra HTML shown after a channel's name.
+ */
+const buildChannelList = (title, channels, total, describe = () => '') => {
+    if (total === 0) return '';
+    const more = total > channels.length ? `<li class="text-gray-500">...and ${total - channels.length} more</li>` : '';
+    return `
+        <div>
+            <h4 class="text-sm font-semibold text-white mb-1">${sanitizeText(title)} (${total})</h4>
+            <ul class="text-xs text-gray-300 space-y-1 max-h-48 overflow-y-auto custom-scrollbar">
+                ${channels.map(c => `<li><span class="font-semibold">${sanitizeText(c.name)}</span> <span class="text-gray-500">${sanitizeText(c.source)}</span>${describe(c)}</li>`).join('')}
+                ${more}
+            </ul>
+        </div>
+    `;
+};
+
+const describeFieldChanges = (channel) => Object.entries(channel.fields).map(([field, { from, to }]) =>
+    `<div class="ml-4 text-gray-400 break-all" title="${sanitizeAttr(`${from || '(empty)'} → ${to || '(empty)'}`)}">${FIELD_LABELS[field]}: ${sanitizeText(from || '(empty)')} → ${sanitizeText(to || '(empty)')}</div>`
+).join('');
+
+const describeAlert = (channel) => {
+    const reasons = [];
+    if (channel.favoritedBy.length > 0) reasons.push(`favorite of ${channel.favoritedBy.join(', ')}`);
+    if (channel.scheduledRecordings > 0) reasons.push(`${channel.scheduledRecordings} scheduled recording(s)`);
+    return ` <span class="text-red-400">(${sanitizeText(reasons.join('; '))})</span>`;
+};
+
+/**
+ * Fetches and shows the details of one refresh.
+ * @param {number} id - The change log entry's ID.
+ */
+async function showChangeDetails(id) {
+    renderChangeLog(id);
+    const container = UIElements.sourceChangesDetails;
+    container.classList.remove('hidden');
+    container.innerHTML = '<p class="text-xs text-gray-500">Loading...</p>';
+
+    const res = await apiFetch(`/api/source-changes/${id}`);
+    if (!res) {
+        container.classList.add('hidden');
+        return;
+    }
+    const entry = await res.json();
+    const { summary, channels, guide, alerts } = entry;
+
+    const sections = [
+        buildChannelList('Removed channels in use', alerts, summary.alerts, describeAlert),
+        buildChannelList('Added channels', channels.added, summary.added),
+        buildChannelList('Removed channels', channels.removed, summary.removed),
+        buildChannelList('Changed channels', channels.changed, summary.changed, describeFieldChanges),
+        buildChannelList('Lost guide data', guide.lost, summary.guideLost),
+        buildChannelList('Guide data ending within 12 hours', guide.endingSoon, summary.guideEndingSoon, c => ` <span class="text-gray-400">ends ${new Date(c.endsAt).toLocaleString()}</span>`),
+        buildChannelList('Gained guide data', guide.gained, summary.guideGained),
+    ].filter(Boolean);
+
+    if (summary.guideWriteFailed) {
+        sections.push('<p class="text-xs text-red-400">The merged guide could not be written in this refresh, so guide coverage was not compared.</p>');
+    }
+
+    container.innerHTML = sections.length > 0
+        ? sections.join('')
+        : '<p class="text-xs text-gray-500">Nothing changed in this refresh.</p>';
+}
+
+/**
+ * Fetches the change log and updates the latest refresh summary in settings.
+ */
+export async function refreshSourceChangeLog() {
+    const res = await apiFetch('/api/source-changes');
+    if (!res) return;
+    changeLog = await res.json();
+
+    const latest = changeLog[0];
+    if (UIElements.sourceChangesLatest && latest) {
+        UIElements.sourceChangesLatest.textContent = `Last refresh ${new Date(latest.createdAt).toLocaleString()}: ${describeChannelCounts(latest.summary)} channels${latest.summary.alerts > 0 ? `, ${latest.summary.alerts} removed channel(s) in use` : ''}.`;
+        UIElements.sourceChangesLatest.classList.toggle('text-red-400', latest.summary.alerts > 0);
+    }
+    if (!UIElements.sourceChangesModal.classList.contains('hidden')) renderChangeLog();
+}
+
+/**
+ * Opens the change log modal.
+ */
+export async function openSourceChangeLog() {
+    UIElements.sourceChangesDetails.classList.add('hidden');
+    UIElements.sourceChangesTbody.innerHTML = '<tr><td colspan="5" class="text-center text-gray-500 py-6 text-xs">Loading...</td></tr>';
+    openModal(UIElements.sourceChangesModal);
+    await refreshSourceChangeLog();
+}
+
+/**
+ * Shows the server's alert about removed channels that are in use.
+ * @param {{id: number, message: string}} alert - The 'source-change-alert' event data.
+ */
+export function handleSourceChangeAlert(alert) {
+    showNotification(alert.message, true, 10000);
+    refreshSourceChangeLog();
+}
+
+/**
+ * Sets up event listeners for the change log modal.
+ */
+export function setupSourceChangeLogEventListeners() {
+    if (!UIElements.sourceChangesModal) return;
+
+    UIElements.sourceChangesBtn?.addEventListener('click', openSourceChangeLog);
+    UIElements.sourceChangesCloseBtn.addEventListener('click', () => closeModal(UIElements.sourceChangesModal));
+
+    UIElements.sourceChangesTbody.addEventListener('click', (e) => {
+        const row = e.target.closest('tr[data-id]');
+        if (row) showChangeDetails(parseInt(row.dataset.id, 10));
+    });
+}
@@ -13,7 +13,6 @@ export const appState = {
     confirmCallback: null,
     db: null, // IndexedDB instance
     fuseChannels: null, // Fuse.js instance for channels
-    fusePrograms: null, // Fuse.js instance for programs
     currentSourceTypeForEditor: 'url',
     swRegistration: null, // To hold the service worker registration
     isNavigating: false, // NEW: Flag to prevent race conditions during navigation
@@ -27,6 +26,7 @@ export const DEFAULT_USER_PERMISSIONS = Object.freeze({
     directPlayer: false,
     dvr: false,
     notifications: true,
+    vod: false,
 });
 
 export const ADMIN_USER_PERMISSIONS = Object.freeze(
@@ -50,7 +50,8 @@ export const hasPermission = (key) => {
 // State specific to the TV Guide
 export const guideState = {
     channels: [],
-    programs: {},
+    programs: {}, // MODIFIED: Only the windows loaded so far, see guide_data.js
+    epgRange: null, // NEW: {start, end} of the guide data, reported by the server
     settings: {
         // Add a default for channelColumnWidth
         channelColumnWidth: window.innerWidth < 768 ? 64 : 270, // Default based on screen size
@@ -67,6 +68,7 @@ export const guideState = {
     scrollHandler: null, // Holds the reference to the throttled scroll handler for virtualization
     userNotifications: [], // Stores active program notifications for the current user
     popularNow: [], // Tracks currently viewed channels for the Popular page
+    channelHealth: {}, // NEW: Latest channel scanner results, keyed by channel ID
 };
 
 // State specific to the DVR
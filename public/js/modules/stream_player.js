@@ -0,0 +1,117 @@
+/**
+ * stream_player.js
+ * * Picks MPEG-TS or HLS for transcoded live streams and creates the matching player.
+ *   MPEG-TS is played by mpegts.js wherever Media Source Extensions are available. Browsers without
+ *   them (iOS Safari) and profiles set to HLS get the server's HLS output instead, played by hls.js
+ *   or the browser's own HLS support.
+ */
+
+const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl';
+
+const canUseHlsJs = () => typeof Hls !== 'undefined' && Hls.isSupported();
+const canPlayNativeHls = () => document.createElement('video').canPlayType(HLS_MIME_TYPE) !== '';
+
+/**
+ * Checks whether the server can switch a stream profile to HLS output.
+ * Like the server's check, the profile's command has to write to stdout (pipe:1).
+ * @param {object} profile - The stream profile.
+ * @returns {boolean}
+ */
+export const profileSupportsHls = (profile) => !!profile && profile.command !== 'redirect' && /(^|\s)pipe:1(\s|$)/.test(profile.command);
+
+/**
+ * Picks the output format of a transcoded stream for this browser.
+ * @param {object} profile - The stream profile.
+ * @returns {('mpegts'|'hls'|null)} null when the browser can play neither.
+ */
+export function chooseStreamFormat(profile) {
+    const hlsPlayable = profileSupportsHls(profile) && (canUseHlsJs() || canPlayNativeHls());
+    if (hlsPlayable && profile.outputFormat === 'hls') return 'hls';
+    if (mpegts.isSupported()) return 'mpegts';
+    return hlsPlayable ? 'hls' : null;
+}
+
+/**
+ * Adds the output format to a /stream URL.
+ * @param {string} url - The /stream URL.
+ * @param {('mpegts'|'hls'|null)} format - The chosen format.
+ * @returns {string}
+ */
+export const withStreamFormat = (url, format) => (format === 'hls' ? `${url}&format=hls` : url);
+
+/**
+ * Creates an HLS player exposing the parts of the mpegts.js player API the app uses
+ * (on, attachMediaElement, load, play, pause, unload, detachMediaElement, destroy),
+ * and reporting errors with the mpegts.js error types.
+ * @param {string} url - The /stream URL, which redirects to the session's playlist.
+ */
+function createHlsPlayer(url) {
+    const listeners = new Map();
+    let video = null;
+    let hls = null;
+
+    const emit = (event, ...args) => (listeners.get(event) || []).forEach(callback => callback(...args));
+    const onVideoError = () => emit(mpegts.Events.ERROR, mpegts.ErrorTypes.MEDIA_ERROR, video?.error?.message || 'HLS playback failed');
+    const onLoadedMetadata = () => emit(mpegts.Events.MEDIA_INFO);
+
+    const player = {
+        on(event, callback) {
+            listeners.set(event, [...(listeners.get(event) || []), callback]);
+        },
+        attachMediaElement(element) {
+            video = element;
+            video.addEventListener('loadedmetadata', onLoadedMetadata);
+        },
+        load() {
+            if (canUseHlsJs()) {
+                hls = new Hls({ liveSyncDurationCount: 3 });
+                hls.on(Hls.Events.ERROR, (event, data) => {
+                    if (!data.fatal) return;
+                    const type = data.type === Hls.ErrorTypes.NETWORK_ERROR ? mpegts.ErrorTypes.NETWORK_ERROR : mpegts.ErrorTypes.MEDIA_ERROR;
+                    emit(mpegts.Events.ERROR, type, data.details);
+                });
+                hls.loadSource(url);
+                hls.attachMedia(video);
+            } else {
+                video.addEventListener('error', onVideoError);
+                video.src = url;
+            }
+        },
+        play: () => video.play(),
+        pause: () => video?.pause(),
+        unload() {
+            if (hls) hls.stopLoad();
+        },
+        detachMediaElement() {
+            if (!video) return;
+            video.removeEventListener('loadedmetadata', onLoadedMetadata);
+            video.removeEventListener('error', onVideoError);
+            if (hls) {
+                hls.detachMedia();
+            } else {
+                video.removeAttribute('src');
+                video.load();
+            }
+            video = null;
+        },
+        destroy() {
+            player.detachMediaElement();
+            if (hls) hls.destroy();
+            hls = null;
+            listeners.clear();
+        },
+    };
+    return player;
+}
+
+/**
+ * Creates the player for a live /stream URL.
+ * @param {string} url - The stream URL, with the format already added.
+ * @param {('mpegts'|'hls')} format - The chosen format.
+ * @param {object} mpegtsConfig - The mpegts.js configuration, used for MPEG-TS.
+ * @returns {object} An mpegts.js player, or an HLS player with the same API.
+ */
+export function createLivePlayer(url, format, mpegtsConfig) {
+    if (format === 'hls') return createHlsPlayer(url);
+    return mpegts.createPlayer({ type: 'mse', isLive: true, url }, mpegtsConfig);
+}
@@ -11,12 +11,17 @@ import { initMultiView, isMultiViewActive, cleanupMultiView } from './multiview.
 import { initDvrPage } from './dvr.js';
 import { stopAndCleanupPlayer } from './player.js';
 import { initDirectPlayer, isDirectPlayerActive, cleanupDirectPlayer } from './player_direct.js';
-// MODIFIED: Import handleGuideLoad and fetchConfig for the refresh logic
-import { finalizeGuideLoad, handleGuideLoad } from './guide.js';
+// MODIFIED: Import syncGuideData and fetchConfig for the refresh logic
+import { finalizeGuideLoad, syncGuideData } from './guide.js';
 import { fetchConfig } from './api.js';
 import { initActivityPage } from './admin.js';
 import { updateChannelsPage } from './channels.js';
 import { updatePopularPage } from './popular.js';
+import { initVodPage, stopVodPlayback } from './vod.js';
+import { refreshChannelScannerStatus } from './channel_health.js';
+import { refreshSourceChangeLog } from './source_changes.js';
+import { refreshEpgCoverage } from './epg_coverage.js';
+import { loadNowPrograms, getCachedGuideVersion } from './guide_data.js';
 
 
 let confirmCallback = null;
@@ -90,6 +95,8 @@ export const openModal = (modal) => {
                 if (upEvent.target === modal && !isResizing) {
                     if (modal === UIElements.videoModal) {
                         stopAndCleanupPlayer();
+                    } else if (modal === UIElements.vodPlayerModal) {
+                        stopVodPlayback(); // NEW: Saves the position before closing
                     } else {
                         closeModal(modal);
                     }
@@ -391,6 +398,7 @@ async function proceedWithRouteChange(path) {
     const isPopular = path.startsWith('/popular');
     const isGuide = path.startsWith('/tvguide');
     const isChannels = path.startsWith('/channels');
+    const isVod = path.startsWith('/vod'); // NEW
     const isMultiView = path.startsWith('/multiview');
     const isPlayer = path.startsWith('/player');
     const isDvr = path.startsWith('/dvr');
@@ -408,12 +416,14 @@ async function proceedWithRouteChange(path) {
         directPlayer: permissions.directPlayer,
         dvr: permissions.dvr,
         notifications: permissions.notifications,
+        vod: permissions.vod,
     };
 
     const routeAllowed =
         (isPopular && canAccess.popular) ||
         (isGuide && canAccess.tvGuide) ||
         (isChannels && canAccess.channels) ||
+        (isVod && canAccess.vod) ||
         (isMultiView && canAccess.multiView) ||
         (isPlayer && canAccess.directPlayer) ||
         (isDvr && canAccess.dvr) ||
@@ -426,6 +436,7 @@ async function proceedWithRouteChange(path) {
             { path: '/popular', allowed: canAccess.popular },
             { path: '/channels', allowed: canAccess.channels },
             { path: '/tvguide', allowed: canAccess.tvGuide },
+            { path: '/vod', allowed: canAccess.vod },
             { path: '/notifications', allowed: canAccess.notifications },
             { path: '/dvr', allowed: canAccess.dvr },
             { path: '/multiview', allowed: canAccess.multiView },
@@ -447,6 +458,7 @@ async function proceedWithRouteChange(path) {
         popular: isPopular && canAccess.popular,
         tvGuide: isGuide && canAccess.tvGuide,
         channels: isChannels && canAccess.channels,
+        vod: isVod && canAccess.vod,
         multiView: isMultiView && canAccess.multiView,
         directPlayer: isPlayer && canAccess.directPlayer,
         dvr: isDvr && canAccess.dvr,
@@ -471,6 +483,7 @@ async function proceedWithRouteChange(path) {
     updateNavState(UIElements.tabPopular, UIElements.mobileNavPopular, canAccess.popular, showState.popular);
     updateNavState(UIElements.tabGuide, UIElements.mobileNavGuide, canAccess.tvGuide, showState.tvGuide);
     updateNavState(UIElements.tabChannels, UIElements.mobileNavChannels, canAccess.channels, showState.channels);
+    updateNavState(UIElements.tabVod, UIElements.mobileNavVod, canAccess.vod, showState.vod);
     updateNavState(UIElements.tabMultiview, UIElements.mobileNavMultiview, canAccess.multiView, showState.multiView);
     updateNavState(UIElements.tabPlayer, UIElements.mobileNavPlayer, canAccess.directPlayer, showState.directPlayer);
     updateNavState(UIElements.tabDvr, UIElements.mobileNavDvr, canAccess.dvr, showState.dvr);
@@ -487,6 +500,7 @@ async function proceedWithRouteChange(path) {
     togglePage(UIElements.pagePopular, showState.popular);
     togglePage(UIElements.pageGuide, showState.tvGuide);
     togglePage(UIElements.pageChannels, showState.channels);
+    togglePage(UIElements.pageVod, showState.vod);
     togglePage(UIElements.pageMultiview, showState.multiView);
     togglePage(UIElements.pagePlayer, showState.directPlayer);
     togglePage(UIElements.pageDvr, showState.dvr);
@@ -507,10 +521,10 @@ async function proceedWithRouteChange(path) {
 
         if (!appState.isNavigating) {
             console.log('[UI] Refreshing TV Guide data on tab switch.');
-            const config = await fetchConfig();
+            const config = await fetchConfig(await getCachedGuideVersion()); // MODIFIED: Picks up a newer guide version
             if (config) {
                 Object.assign(guideState.settings, config.settings || {});
-                finalizeGuideLoad(true);
+                if (!(await syncGuideData(config))) finalizeGuideLoad(true);
             }
         } else {
             console.log('[UI] Skipping soft refresh because a navigation action is in progress.');
@@ -524,14 +538,23 @@ async function proceedWithRouteChange(path) {
                 console.log(`%c[DEBUG] RACE_CONDITION_FIX: Navigation to Settings tab occurred while config reload was blocked. Skipping reload.`, 'color: #fca5a5; font-weight: bold;');
             } else {
                 updateUIFromSettings();
-                if (appState.currentUser?.isAdmin) refreshUserList();
+                if (appState.currentUser?.isAdmin) {
+                    refreshUserList();
+                    refreshChannelScannerStatus(); // NEW: Show the channel scanner's progress
+                    refreshSourceChangeLog(); // NEW: Summary of the last source refresh
+                    refreshEpgCoverage(); // NEW: Guide coverage summary
+                }
             }
         } else if (showState.notifications) {
             await loadAndScheduleNotifications();
         } else if (showState.popular) {
+            await loadNowPrograms(); // NEW: Refresh what's on now if it went stale
             updatePopularPage();
         } else if (showState.channels) {
+            await loadNowPrograms(); // NEW
             updateChannelsPage();
+        } else if (showState.vod) {
+            await initVodPage();
         } else if (showState.multiView) {
             initMultiView();
         } else if (showState.directPlayer) {
@@ -566,6 +589,7 @@ export const switchTab = (activeTab) => {
     if (activeTab === 'popular') newPath = '/popular';
     else if (activeTab === 'guide') newPath = '/tvguide';
     else if (activeTab === 'channels') newPath = '/channels';
+    else if (activeTab === 'vod') newPath = '/vod';
     else if (activeTab === 'multiview') newPath = '/multiview';
     else if (activeTab === 'player') newPath = '/player';
     else if (activeTab === 'dvr') newPath = '/dvr';
@@ -585,7 +609,7 @@ export const switchTab = (activeTab) => {
 export async function refreshGuideAfterProcessing() {
     console.log('[UI_PROCESS] Finalizing process and refreshing guide...');
     // 1. Fetch the absolute latest config from the server
-    const config = await fetchConfig();
+    const config = await fetchConfig(await getCachedGuideVersion());
 
     // 2. Update the global state
     if (config) {
@@ -596,10 +620,8 @@ export async function refreshGuideAfterProcessing() {
     closeModal(UIElements.processingStatusModal);
 
     // 4. Force a refresh of the TV Guide page with the new data
-    // This uses the content from the latest config fetch.
-    if (config?.m3uContent) {
-        await guideState.settings.timezoneOffset; // Ensure timezone is set before parsing
-        await import('./guide.js').then(module => module.handleGuideLoad(config.m3uContent, config.epgContent));
+    // MODIFIED: The cached guide is updated with the changes since its version, or reloaded.
+    if (config && await syncGuideData(config)) {
         showNotification('Sources processed. TV Guide updated!', false, 4000);
         navigate('/tvguide');
     } else {
@@ -43,3 +43,119 @@ export function parseM3U(data) {
     }
     return channels;
 }
+
+// --- NEW: Catch-up (archive) playback ---
+// Channels come from /api/guide/channels with their `catchup` settings ({type, days, source}) already
+// read from the playlist by the server.
+const XC_LIVE_URL_PATTERN = /^(https?:\/\/[^/]+)\/(?:live\/)?([^/]+)\/([^/]+)\/(\d+)(?:\.\w+)?$/;
+const FLUSSONIC_URL_PATTERN = /^(https?:\/\/[^/]+\/(?:.*\/)?)([^/?]*?)(mpegts|\.m3u8)(\?.*)?$/;
+
+/**
+ * Fills the placeholders of a catch-up template: {utc}, {utcend}, {lutc}, {duration[:divider]},
+ * {offset[:divider]}, {Y} {m} {d} {H} {M} {S}, formatted times like {utc:Y-m-d H:M:S}, and the
+ * ${start}, ${end}, ${now}, ${timestamp} variants. Times are in UTC.
+ */
+function formatCatchupTemplate(template, start, stop, now) {
+    const seconds = { utc: Math.floor(start / 1000), utcend: Math.floor(stop / 1000), lutc: Math.floor(now / 1000) };
+    const pad = (value) => String(value).padStart(2, '0');
+    const formatTime = (epochSeconds, format) => {
+        const date = new Date(epochSeconds * 1000);
+        const parts = {
+            Y: date.getUTCFullYear(), m: pad(date.getUTCMonth() + 1), d: pad(date.getUTCDate()),
+            H: pad(date.getUTCHours()), M: pad(date.getUTCMinutes()), S: pad(date.getUTCSeconds()),
+        };
+        return format.replace(/[YmdHMS]/g, (letter) => parts[letter]);
+    };
+
+    return template
+        .replace(/\$\{start\}/g, seconds.utc)
+        .replace(/\$\{end\}/g, seconds.utcend)
+        .replace(/\$\{(?:now|timestamp)\}/g, seconds.lutc)
+        .replace(/\{(utc|utcend|lutc|start|end|now|timestamp):([^}]+)\}/g, (_, name, format) => {
+            const key = { start: 'utc', end: 'utcend', now: 'lutc', timestamp: 'lutc' }[name] || name;
+            return formatTime(seconds[key], format);
+        })
+        .replace(/\{(utc|utcend|lutc)\}/g, (_, name) => seconds[name])
+        .replace(/\{(duration|offset)(?::(\d+))?\}/g, (_, name, divider) => {
+            const value = name === 'duration' ? seconds.utcend - seconds.utc : seconds.lutc - seconds.utc;
+            return Math.floor(value / (parseInt(divider, 10) || 1));
+        })
+        .replace(/\{([YmdHMS])\}/g, (_, letter) => formatTime(seconds.utc, letter));
+}
+
+/**
+ * Checks whether a programme can be played from the channel's archive.
+ * @param {object} channel - A channel from /api/guide/channels.
+ * @param {Date} start - Programme start.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {boolean}
+ */
+export function isCatchupAvailable(channel, start, now = new Date()) {
+    if (!channel?.catchup) return false;
+    const oldestAvailable = now.getTime() - channel.catchup.days * 24 * 60 * 60 * 1000;
+    return start.getTime() < now.getTime() && start.getTime() >= oldestAvailable;
+}
+
+/**
+ * Builds the provider's archive URL for a programme, following the channel's catch-up style
+ * (default, append, shift, flussonic or Xtream Codes timeshift.php).
+ * @param {object} channel - A channel from /api/guide/channels.
+ * @param {Date} start - Programme start.
+ * @param {Date} stop - Programme end.
+ * @returns {string|null} The archive URL, or null if the channel's catch-up settings can't produce one.
+ */
+export function buildCatchupUrl(channel, start, stop) {
+    if (!channel?.catchup) return null;
+    const { type, source } = channel.catchup;
+    const format = (template) => formatCatchupTemplate(template, start.getTime(), stop.getTime(), Date.now());
+
+    // An explicit catchup-source always wins; relative ones are appended to the stream URL.
+    if (source) {
+        return type === 'append' || !/^[a-z]+:\/\//i.test(source) ? channel.url + format(source) : format(source);
+    }
+
+    switch (type) {
+        case 'shift':
+            return channel.url + (channel.url.includes('?') ? '&' : '?') + format('utc={utc}&lutc={lutc}');
+        case 'flussonic': {
+            const match = channel.url.match(FLUSSONIC_URL_PATTERN);
+            if (!match) return null;
+            const [, base, name, kind, query = ''] = match;
+            const file = kind === 'mpegts' ? 'timeshift_abs-{utc}.ts' : `${name || 'index'}-{utc}-{duration}.m3u8`;
+            return base + format(file) + query;
+        }
+        case 'xc': {
+            const match = channel.url.match(XC_LIVE_URL_PATTERN);
+            if (!match) return null;
+            const [, host, username, password, streamId] = match;
+            const minutes = Math.max(1, Math.ceil((stop.getTime() - start.getTime()) / 60000));
+            return `${host}/streaming/timeshift.php?username=${username}&password=${password}&stream=${streamId}&start=${format('{utc:Y-m-d:H-M}')}&duration=${minutes}`;
+        }
+        default:
+            return null;
+    }
+}
+
+// NEW: Quotes are escaped too, so the URLs can sit inside inline onerror handlers.
+const encodeQueryValue = (value) => encodeURIComponent(value).replace(/'/g, '%27');
+
+/**
+ * Builds the URL of an image served through the server's image cache.
+ * With no image (or a broken one) the server answers with a placeholder showing the initials of `name`.
+ * @param {string} url - The original logo, icon or poster URL.
+ * @param {string} [name] - The channel or programme name used for the placeholder.
+ * @returns {string}
+ */
+export function getImageUrl(url, name = '') {
+    const params = [];
+    if (url) params.push(`url=${encodeQueryValue(url)}`);
+    if (name) params.push(`name=${encodeQueryValue(name)}`);
+    return `/api/img?${params.join('&')}`;
+}
+
+/**
+ * Returns an inline onerror handler that swaps a failed image for the placeholder of `name`.
+ * @param {string} [name] - The channel or programme name.
+ * @returns {string}
+ */
+export const getImageFallback = (name = '') => `this.onerror=null; this.src='${getImageUrl('', name)}';`;
@@ -0,0 +1,452 @@
+/**
+ * vod.js
+ * * Movies & Series library: browsing, title details, seekable playback and "continue watching".
+ *   A transcoded stream is piped from ffmpeg and can't seek by itself, so a seek restarts it on the
+ *   server at the new position. The position shown is that start offset plus the player's own clock.
+ */
+
+import { guideState, UIElements } from './state.js';
+import { apiFetch } from './api.js';
+import { showNotification, openModal, closeModal } from './ui.js';
+import { sanitizeText, sanitizeAttr } from './channels.js';
+import { getImageUrl, getImageFallback } from './utils.js';
+
+const PAGE_SIZE = 60;
+const PROGRESS_SAVE_INTERVAL = 15000;
+const RESUME_MIN_SECONDS = 30; // Matches the server's "continue watching" threshold
+const FINISHED_RATIO = 0.95;
+
+const libraryState = { type: 'movie', items: [], total: 0 };
+let searchDebounceTimer = null;
+let currentDetails = null; // { item, episodes, progress } of the open details modal
+let playback = null; // { id, name, durationSeconds, offset, isNative, profileId, userAgentId, player, saveTimer }
+let playRequestCounter = 0; // Lets a close during "preparing" cancel the pending playback
+let isSeeking = false;
+
+const formatTime = (seconds) => {
+    if (!Number.isFinite(seconds) || seconds < 0) return '--:--';
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor(seconds / 60) % 60;
+    const s = Math.floor(seconds % 60);
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}` : `${m}:${String(s).padStart(2, '0')}`;
+};
+
+const episodeCode = (season, episode) => `S${String(season || 1).padStart(2, '0')}E${String(episode || 0).padStart(2, '0')}`;
+
+/**
+ * Returns the resume position for a saved progress entry, or 0 if it is too early or already finished.
+ */
+const getResumePosition = (progress) => {
+    if (!progress || progress.position < RESUME_MIN_SECONDS) return 0;
+    if (progress.duration && progress.position >= progress.duration * FINISHED_RATIO) return 0;
+    return progress.position;
+};
+
+const buildProgressBar = (position, duration) => {
+    if (!position || !duration) return '';
+    const percent = Math.min(100, Math.round((position / duration) * 100));
+    return `<div class="absolute bottom-0 left-0 right-0 h-1 bg-gray-700"><div class="h-1 bg-blue-500" style="width: ${percent}%;"></div></div>`;
+};
+
+const buildPosterCard = (item, overlay = '') => `
+    <button type="button" class="vod-card group text-left w-full" data-item-id="${sanitizeAttr(item.id)}">
+        <div class="relative aspect-[2/3] rounded-lg overflow-hidden bg-gray-800 border border-gray-700 group-hover:border-blue-500 transition-colors">
+            <img src="${getImageUrl(item.poster, item.name)}" alt="" loading="lazy" class="w-full h-full object-cover" onerror="${getImageFallback(item.name)}">
+            ${overlay}
+        </div>
+        <p class="text-sm font-semibold text-white truncate mt-2">${sanitizeText(item.name)}</p>
+        <p class="text-xs text-gray-400 truncate">${sanitizeText([item.year, item.category].filter(Boolean).join(' · '))}</p>
+    </button>
+`;
+
+// --- Library ---
+
+function renderCategories(categories) {
+    const select = UIElements.vodCategoryFilter;
+    const selected = select.value;
+    select.innerHTML = '<option value="all">All Categories</option>' + categories
+        .map(c => `<option value="${sanitizeAttr(c.category)}">${sanitizeText(c.category || 'Uncategorized')} (${c.count})</option>`)
+        .join('');
+    select.value = categories.some(c => c.category === selected) ? selected : 'all';
+}
+
+function renderLibraryGrid() {
+    const { items, total, type } = libraryState;
+    const label = type === 'series' ? 'series' : 'movies';
+    UIElements.vodGrid.innerHTML = items.map(item => buildPosterCard(item)).join('');
+    UIElements.vodSummary.textContent = total > 0 ? `Showing ${items.length} of ${total} ${label}.` : '';
+    UIElements.vodLoadMoreBtn.classList.toggle('hidden', items.length >= total);
+
+    const isEmpty = items.length === 0;
+    UIElements.vodEmptyState.classList.toggle('hidden', !isEmpty);
+    if (isEmpty) {
+        const hasFilter = UIElements.vodSearchInput.value.trim() || UIElements.vodCategoryFilter.value !== 'all';
+        UIElements.vodEmptyMessage.textContent = hasFilter
+            ? 'No titles match your search or filter.'
+            : `No ${label} found. Movies and series are imported from your M3U and XC sources when they are processed.`;
+    }
+}
+
+/**
+ * Loads a page of the library with the current type, filter, search and sort.
+ * @param {boolean} [append=false] - Adds the next page to the grid instead of replacing it.
+ */
+async function loadLibrary(append = false) {
+    const params = new URLSearchParams({
+        type: libraryState.type,
+        category: UIElements.vodCategoryFilter.value,
+        search: UIElements.vodSearchInput.value.trim(),
+        sort: UIElements.vodSortSelect.value,
+        offset: append ? libraryState.items.length : 0,
+        limit: PAGE_SIZE,
+    });
+    const res = await apiFetch(`/api/vod?${params}`);
+    if (!res) return;
+    const data = await res.json();
+    libraryState.items = append ? [...libraryState.items, ...data.items] : data.items;
+    libraryState.total = data.total;
+    renderCategories(data.categories);
+    renderLibraryGrid();
+}
+
+async function loadContinueWatching() {
+    const res = await apiFetch('/api/vod/continue');
+    if (!res) return;
+    const entries = await res.json();
+    UIElements.vodContinueSection.classList.toggle('hidden', entries.length === 0);
+    UIElements.vodContinueGrid.innerHTML = entries.map(entry => {
+        const subtitle = entry.type === 'series' ? `${episodeCode(entry.season, entry.episode)} · ${formatTime(entry.position_seconds)}` : formatTime(entry.position_seconds);
+        const overlay = `
+            ${buildProgressBar(entry.position_seconds, entry.duration_seconds)}
+            <span class="vod-continue-remove-btn absolute top-1 right-1 bg-black/70 text-gray-300 hover:text-white rounded-full w-6 h-6 flex items-center justify-center text-sm" title="Remove from Continue Watching">&times;</span>
+        `;
+        return `<div class="w-32 sm:w-36 flex-shrink-0" data-position="${entry.position_seconds}">
+            ${buildPosterCard({ id: entry.item_id, name: entry.name, poster: entry.poster, year: subtitle }, overlay)}
+        </div>`;
+    }).join('');
+}
+
+/**
+ * Initializes the Movies & Series page.
+ */
+export async function initVodPage() {
+    await Promise.all([loadContinueWatching(), loadLibrary()]);
+}
+
+// --- Details ---
+
+function renderEpisodes() {
+    const { episodes, progress } = currentDetails;
+    const season = parseInt(UIElements.vodDetailsSeasonSelect.value, 10);
+    UIElements.vodDetailsEpisodes.innerHTML = episodes.filter(e => e.season === season).map(episode => {
+        const saved = progress[episode.id];
+        const resumeAt = getResumePosition(saved);
+        const duration = episode.duration_seconds ? ` · ${formatTime(episode.duration_seconds)}` : '';
+        return `
+            <div class="relative flex items-center gap-3 bg-gray-900/60 border border-gray-700 rounded-md p-2 overflow-hidden">
+                <div class="min-w-0 flex-grow">
+                    <p class="text-sm text-white truncate"><span class="text-gray-400">${episodeCode(episode.season, episode.episode)}</span> ${sanitizeText(episode.title || '')}</p>
+                    ${episode.plot ? `<p class="text-xs text-gray-400 line-clamp-2">${sanitizeText(episode.plot)}</p>` : ''}
+                </div>
+                <button class="vod-episode-play-btn flex-shrink-0 bg-blue-600 hover:bg-blue-700 text-white text-xs font-bold py-1 px-3 rounded-md" data-episode-id="${sanitizeAttr(episode.id)}" data-position="${resumeAt}">
+                    ${resumeAt ? `Resume ${formatTime(resumeAt)}` : 'Play'}${duration}
+                </button>
+                ${saved ? buildProgressBar(saved.position, saved.duration || episode.duration_seconds) : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Opens the details modal of a movie or series.
+ * @param {string} itemId - The library item's ID.
+ */
+async function openVodDetails(itemId) {
+    const res = await apiFetch(`/api/vod/items/${encodeURIComponent(itemId)}`);
+    if (!res) return;
+    currentDetails = await res.json();
+    const { item, episodes, progress } = currentDetails;
+
+    UIElements.vodDetailsTitle.textContent = item.name;
+    UIElements.vodDetailsPoster.classList.toggle('hidden', !item.poster);
+    UIElements.vodDetailsPoster.src = item.poster ? getImageUrl(item.poster) : '';
+    UIElements.vodDetailsMeta.textContent = [
+        item.year,
+        item.genre,
+        item.rating ? `★ ${item.rating}` : null,
+        item.duration_seconds ? formatTime(item.duration_seconds) : null,
+        item.category,
+    ].filter(Boolean).join(' · ');
+    UIElements.vodDetailsPlot.textContent = item.plot || 'No description available.';
+
+    const isMovie = item.type === 'movie';
+    UIElements.vodDetailsMovieActions.classList.toggle('hidden', !isMovie);
+    if (isMovie) {
+        const resumeAt = getResumePosition(progress[item.id]);
+        UIElements.vodDetailsResumeBtn.classList.toggle('hidden', !resumeAt);
+        UIElements.vodDetailsResumeBtn.textContent = `Resume from ${formatTime(resumeAt)}`;
+        UIElements.vodDetailsResumeBtn.dataset.position = resumeAt;
+        UIElements.vodDetailsPlayBtn.textContent = resumeAt ? 'Play from Start' : 'Play';
+    }
+
+    UIElements.vodDetailsEpisodesContainer.classList.toggle('hidden', isMovie);
+    if (!isMovie) {
+        const seasons = [...new Set(episodes.map(e => e.season))];
+        UIElements.vodDetailsSeasonSelect.innerHTML = seasons.map(s => `<option value="${s}">Season ${s}</option>`).join('');
+        UIElements.vodDetailsEpisodes.innerHTML = episodes.length === 0 ? '<p class="text-sm text-gray-500">No episodes found for this series.</p>' : '';
+        if (episodes.length > 0) renderEpisodes();
+    }
+
+    openModal(UIElements.vodDetailsModal);
+}
+
+// --- Playback ---
+
+const getCurrentPosition = () => playback ? playback.offset + (UIElements.vodVideoElement.currentTime || 0) : 0;
+
+const getDuration = () => {
+    if (!playback) return 0;
+    const nativeDuration = UIElements.vodVideoElement.duration;
+    if (playback.durationSeconds) return playback.durationSeconds;
+    return playback.isNative && Number.isFinite(nativeDuration) ? nativeDuration : 0;
+};
+
+function updatePlayerControls() {
+    const duration = getDuration();
+    const position = getCurrentPosition();
+    UIElements.vodSeekBar.max = Math.floor(duration);
+    UIElements.vodSeekBar.disabled = !duration;
+    if (!isSeeking) {
+        UIElements.vodSeekBar.value = Math.floor(position);
+        UIElements.vodCurrentTime.textContent = formatTime(position);
+    }
+    UIElements.vodDuration.textContent = duration ? formatTime(duration) : '--:--';
+}
+
+/**
+ * Saves the current position so the title shows up in "continue watching".
+ */
+function saveProgress() {
+    if (!playback) return Promise.resolve();
+    const position = getCurrentPosition();
+    if (position < 1) return Promise.resolve();
+    return apiFetch(`/api/vod/progress/${encodeURIComponent(playback.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ position, duration: getDuration() || null }),
+        keepalive: true,
+    });
+}
+
+function destroyPlayer() {
+    if (playback?.player) {
+        playback.player.destroy();
+        playback.player = null;
+    }
+    const video = UIElements.vodVideoElement;
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+}
+
+/**
+ * (Re)starts the stream at a position in seconds.
+ */
+function startStreamAt(position) {
+    const video = UIElements.vodVideoElement;
+    const streamUrl = `/vod/stream/${encodeURIComponent(playback.id)}?profileId=${encodeURIComponent(playback.profileId)}&userAgentId=${encodeURIComponent(playback.userAgentId)}`;
+    destroyPlayer();
+    UIElements.vodPlayerLoading.classList.remove('hidden');
+
+    // Redirect profiles play the provider's file directly, which the browser can seek itself.
+    if (playback.isNative) {
+        playback.offset = 0;
+        video.src = streamUrl;
+        video.addEventListener('loadedmetadata', () => {
+            if (position > 0) video.currentTime = position;
+        }, { once: true });
+        video.play().catch(err => console.error('[VOD] Native play() failed:', err));
+        return;
+    }
+
+    if (!mpegts.isSupported()) {
+        showNotification('Your browser does not support Media Source Extensions (MSE).', true);
+        return;
+    }
+    playback.offset = position;
+    playback.player = mpegts.createPlayer({ type: 'mse', isLive: false, url: `${streamUrl}&start=${Math.floor(position)}` }, { enableStashBuffer: true, stashInitialSize: 4096 });
+    playback.player.on(mpegts.Events.ERROR, (errorType, errorDetail) => {
+        console.error(`[VOD] Player error: Type=${errorType}, Detail=${errorDetail}`);
+        UIElements.vodPlayerLoading.classList.add('hidden');
+        showNotification(`Playback failed (${errorDetail}). The provider may be at its connection limit.`, true, 5000);
+    });
+    playback.player.attachMediaElement(video);
+    playback.player.load();
+    playback.player.play().catch(err => console.error('[VOD] play() failed:', err));
+    updatePlayerControls();
+}
+
+function seekTo(position) {
+    if (!playback) return;
+    const target = Math.max(0, Math.min(position, getDuration() || position));
+    if (playback.isNative) {
+        UIElements.vodVideoElement.currentTime = target;
+    } else {
+        startStreamAt(target);
+    }
+}
+
+/**
+ * Plays a movie or episode in the VOD player.
+ * @param {string} id - The movie or episode ID.
+ * @param {number} [startPosition=0] - Where to start, in seconds.
+ */
+export async function playVodItem(id, startPosition = 0) {
+    const profileId = guideState.settings.activeStreamProfileId;
+    const userAgentId = guideState.settings.activeUserAgentId;
+    if (!profileId || !userAgentId) {
+        showNotification("Active stream profile or user agent not set. Please check settings.", true);
+        return;
+    }
+    const profile = (guideState.settings.streamProfiles || []).find(p => p.id === profileId);
+    if (!profile) {
+        showNotification("Stream profile not found.", true);
+        return;
+    }
+
+    await stopVodPlayback();
+    closeModal(UIElements.vodDetailsModal);
+    const requestId = ++playRequestCounter;
+    UIElements.vodPlayerTitle.textContent = 'Loading...';
+    UIElements.vodPlayerLoading.classList.remove('hidden');
+    openModal(UIElements.vodPlayerModal);
+
+    const res = await apiFetch(`/api/vod/playback/${encodeURIComponent(id)}?userAgentId=${encodeURIComponent(userAgentId)}`);
+    if (requestId !== playRequestCounter) return; // Closed while preparing
+    if (!res) {
+        closeModal(UIElements.vodPlayerModal);
+        return;
+    }
+    const info = await res.json();
+
+    playback = {
+        id: info.id,
+        name: info.name,
+        durationSeconds: info.durationSeconds,
+        offset: 0,
+        isNative: profile.command === 'redirect',
+        profileId,
+        userAgentId,
+        player: null,
+        saveTimer: setInterval(saveProgress, PROGRESS_SAVE_INTERVAL),
+    };
+    UIElements.vodPlayerTitle.textContent = info.name;
+    startStreamAt(startPosition);
+}
+
+/**
+ * Saves the position, stops the stream and closes the VOD player.
+ */
+export async function stopVodPlayback() {
+    playRequestCounter++;
+    if (!UIElements.vodPlayerModal) return;
+    const wasPlaying = !!playback;
+    if (playback) {
+        clearInterval(playback.saveTimer);
+        const pendingSave = saveProgress();
+        destroyPlayer();
+        playback = null;
+        await pendingSave;
+    }
+    if (!UIElements.vodPlayerModal.classList.contains('hidden')) {
+        closeModal(UIElements.vodPlayerModal);
+    }
+    if (wasPlaying && !UIElements.pageVod.classList.contains('hidden')) {
+        loadContinueWatching();
+    }
+}
+
+/**
+ * Sets up event listeners for the Movies & Series page and player.
+ */
+export function setupVodEventListeners() {
+    if (!UIElements.pageVod) return;
+
+    // --- Library ---
+    document.querySelectorAll('.vod-type-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            libraryState.type = button.dataset.vodType;
+            document.querySelectorAll('.vod-type-btn').forEach(btn => {
+                const isActive = btn === button;
+                btn.classList.toggle('bg-blue-600', isActive);
+                btn.classList.toggle('text-white', isActive);
+                btn.classList.toggle('bg-gray-700', !isActive);
+                btn.classList.toggle('text-gray-300', !isActive);
+            });
+            UIElements.vodCategoryFilter.value = 'all';
+            loadLibrary();
+        });
+    });
+    UIElements.vodSearchInput.addEventListener('input', () => {
+        clearTimeout(searchDebounceTimer);
+        searchDebounceTimer = setTimeout(() => loadLibrary(), 300);
+    });
+    UIElements.vodCategoryFilter.addEventListener('change', () => loadLibrary());
+    UIElements.vodSortSelect.addEventListener('change', () => loadLibrary());
+    UIElements.vodLoadMoreBtn.addEventListener('click', () => loadLibrary(true));
+
+    UIElements.vodGrid.addEventListener('click', (e) => {
+        const card = e.target.closest('.vod-card');
+        if (card) openVodDetails(card.dataset.itemId);
+    });
+
+    UIElements.vodContinueGrid.addEventListener('click', async (e) => {
+        const card = e.target.closest('.vod-card');
+        if (!card) return;
+        if (e.target.closest('.vod-continue-remove-btn')) {
+            const res = await apiFetch(`/api/vod/progress/${encodeURIComponent(card.dataset.itemId)}`, { method: 'DELETE' });
+            if (res) await loadContinueWatching();
+            return;
+        }
+        playVodItem(card.dataset.itemId, parseFloat(card.parentElement.dataset.position) || 0);
+    });
+
+    // --- Details ---
+    UIElements.vodDetailsCloseBtn.addEventListener('click', () => closeModal(UIElements.vodDetailsModal));
+    UIElements.vodDetailsPlayBtn.addEventListener('click', () => playVodItem(currentDetails.item.id, 0));
+    UIElements.vodDetailsResumeBtn.addEventListener('click', () => playVodItem(currentDetails.item.id, parseFloat(UIElements.vodDetailsResumeBtn.dataset.position) || 0));
+    UIElements.vodDetailsSeasonSelect.addEventListener('change', renderEpisodes);
+    UIElements.vodDetailsEpisodes.addEventListener('click', (e) => {
+        const button = e.target.closest('.vod-episode-play-btn');
+        if (button) playVodItem(button.dataset.episodeId, parseFloat(button.dataset.position) || 0);
+    });
+
+    // --- Player ---
+    const video = UIElements.vodVideoElement;
+    UIElements.vodPlayerCloseBtn.addEventListener('click', stopVodPlayback);
+    UIElements.vodPlayPauseBtn.addEventListener('click', () => {
+        if (video.paused) video.play().catch(() => {});
+        else video.pause();
+    });
+    UIElements.vodFullscreenBtn.addEventListener('click', () => {
+        const container = UIElements.vodPlayerModal.firstElementChild;
+        if (document.fullscreenElement) document.exitFullscreen();
+        else container.requestFullscreen?.().catch(() => showNotification('Could not enter fullscreen.', true));
+    });
+    UIElements.vodSeekBar.addEventListener('input', () => {
+        isSeeking = true;
+        UIElements.vodCurrentTime.textContent = formatTime(parseFloat(UIElements.vodSeekBar.value));
+    });
+    UIElements.vodSeekBar.addEventListener('change', () => {
+        isSeeking = false;
+        seekTo(parseFloat(UIElements.vodSeekBar.value));
+    });
+
+    video.addEventListener('timeupdate', updatePlayerControls);
+    video.addEventListener('loadedmetadata', updatePlayerControls);
+    video.addEventListener('playing', () => UIElements.vodPlayerLoading.classList.add('hidden'));
+    video.addEventListener('waiting', () => UIElements.vodPlayerLoading.classList.remove('hidden'));
+    video.addEventListener('play', () => { UIElements.vodPlayPauseBtn.textContent = 'Pause'; });
+    video.addEventListener('pause', () => { UIElements.vodPlayPauseBtn.textContent = 'Play'; });
+    video.addEventListener('ended', () => saveProgress());
+}
@@ -5,11 +5,18 @@
 require('dotenv').config();
 
 const express = require('express');
-const { spawn, exec } = require('child_process');
+const { spawn, exec, execFile } = require('child_process');
 const http = require('http');
 const https = require('https');
+const tls = require('tls'); // NEW: Tunnels HTTPS source downloads through HTTP proxies
+const net = require('net'); // NEW: Keeps the image proxy away from private addresses
+const dns = require('dns');
 const fs = require('fs');
 const path = require('path');
+const os = require('os'); // NEW: HLS sessions are written to the system temp directory
+const { pipeline, PassThrough, Readable } = require('stream');
+const zlib = require('zlib');
+const crypto = require('crypto');
 const multer = require('multer');
 const bodyParser = require('body-parser');
 const session = require('express-session');
@@ -17,10 +24,13 @@ const bcrypt = require('bcrypt');
 const sqlite3 = require('sqlite3').verbose();
 const SQLiteStore = require('connect-sqlite3')(session);
 const xmlJS = require('xml-js');
+const sax = require('sax'); // NEW: Streaming XML parser for large XMLTV files
+const readline = require('readline'); // NEW: Replays cached EPG programmes line by line
 const webpush = require('web-push');
 const schedule = require('node-schedule');
 const disk = require('diskusage');
 const si = require('systeminformation'); // NEW: For system health monitoring
+const Fuse = require('fuse.js'); // NEW: Fuzzy matching of playlist channels to EPG channels
 // --- NEW: Live Activity Tracking for Redirects ---
 const activeRedirectStreams = new Map(); // Tracks live redirect streams for the admin UI
 
@@ -39,10 +49,14 @@ const sseClients = new Map();
 // --- NEW: DVR State ---
 const activeDvrJobs = new Map(); // Stores active node-schedule jobs
 const runningFFmpegProcesses = new Map(); // Stores PIDs of running ffmpeg recordings
+const activeRecordingChannels = new Map(); // NEW: jobId -> { sourceName, channelKey } of the upstream being recorded
+const activeProbeChannels = new Map(); // NEW: channelKey -> { sourceName, channelKey } of channel scanner probes in flight
 
 // --- MODIFIED: Active Stream Management ---
 // Now maps a unique stream key (URL + UserID) to its process info
 const activeStreamProcesses = new Map();
+// NEW: Shared upstream ffmpeg processes, keyed by channel + stream profile + user agent
+const streamHubs = new Map();
 const STREAM_INACTIVITY_TIMEOUT = 30000; // 30 seconds to kill an inactive stream process
 
 // --- Configuration ---
@@ -54,6 +68,15 @@ const PUBLIC_DIR = path.join(__dirname, 'public');
 const DB_PATH = path.join(DATA_DIR, 'viniplay.db');
 const MERGED_M3U_PATH = path.join(DATA_DIR, 'playlist.m3u');
 const MERGED_EPG_JSON_PATH = path.join(DATA_DIR, 'epg.json');
+const EPG_CHANNELS_PATH = path.join(DATA_DIR, 'epg_channels.json'); // NEW: <channel> list of every processed EPG source
+const CHANNEL_INDEX_PATH = path.join(DATA_DIR, 'channel_index.json'); // NEW: Provider channel list (before overrides) from the last merge
+const EPG_SPOOL_PATH = path.join(DATA_DIR, 'epg.spool'); // NEW: Temporary on-disk buffer used while merging EPG sources
+const EPG_COVERAGE_PATH = path.join(DATA_DIR, 'epg_coverage.json'); // NEW: Per-channel programme count and guide end from the last merge
+const EPG_INDEX_PATH = path.join(DATA_DIR, 'epg_index.json'); // NEW: Byte offset of every channel's programmes in epg.json, for windowed reads
+const EPG_LOOKUP_PATH = path.join(DATA_DIR, 'epg_lookup.json'); // NEW: Times, byte offset and title of every programme in epg.json, for now/next and search
+const GUIDE_VERSIONS_PATH = path.join(DATA_DIR, 'guide_versions.json'); // NEW: Content hashes of the last guide builds, for config deltas
+const IMAGE_CACHE_DIR = path.join(DATA_DIR, 'images'); // NEW: Cached channel logos, programme icons and posters
+const HLS_DIR = path.join(os.tmpdir(), 'viniplay-hls'); // NEW: Segments and playlists of HLS stream sessions
 const SETTINGS_PATH = path.join(DATA_DIR, 'settings.json');
 
 console.log(`[INIT] Application starting. Data directory: ${DATA_DIR}, Public directory: ${PUBLIC_DIR}`);
@@ -82,7 +105,11 @@ try {
     if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
     if (!fs.existsSync(PUBLIC_DIR)) fs.mkdirSync(PUBLIC_DIR, { recursive: true });
     if (!fs.existsSync(SOURCES_DIR)) fs.mkdirSync(SOURCES_DIR, { recursive: true });
+    if (!fs.existsSync(IMAGE_CACHE_DIR)) fs.mkdirSync(IMAGE_CACHE_DIR, { recursive: true });
     if (!fs.existsSync(DVR_DIR)) fs.mkdirSync(DVR_DIR, { recursive: true });
+    // NEW: HLS sessions don't survive a restart, so their leftovers are removed.
+    fs.rmSync(HLS_DIR, { recursive: true, force: true });
+    fs.mkdirSync(HLS_DIR, { recursive: true });
     console.log(`[INIT] All required directories checked/created.`);
 } catch (mkdirError) {
     console.error(`[INIT] FATAL: Failed to create necessary directories: ${mkdirError.message}`);
@@ -110,7 +137,8 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
                     canAccessGuide INTEGER DEFAULT 0,
                     canAccessMultiView INTEGER DEFAULT 0,
                     canAccessDirectPlayer INTEGER DEFAULT 0,
-                    canAccessNotifications INTEGER DEFAULT 1
+                    canAccessNotifications INTEGER DEFAULT 1,
+                    canAccessVod INTEGER DEFAULT 0
                 )`,
                 (err) => {
                     if (err) {
@@ -124,6 +152,7 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
                             "ALTER TABLE users ADD COLUMN canAccessMultiView INTEGER DEFAULT 0",
                             "ALTER TABLE users ADD COLUMN canAccessDirectPlayer INTEGER DEFAULT 0",
                             "ALTER TABLE users ADD COLUMN canAccessNotifications INTEGER DEFAULT 1",
+                            "ALTER TABLE users ADD COLUMN canAccessVod INTEGER DEFAULT 0",
                         ].forEach((statement) => db.run(statement, () => {}));
                     }
                 }
@@ -137,13 +166,40 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
             db.run(`CREATE TABLE IF NOT EXISTS dvr_recordings (id INTEGER PRIMARY KEY AUTOINCREMENT, job_id INTEGER, user_id INTEGER NOT NULL, channelName TEXT NOT NULL, programTitle TEXT NOT NULL, startTime TEXT NOT NULL, durationSeconds INTEGER, fileSizeBytes INTEGER, filePath TEXT UNIQUE NOT NULL, FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE, FOREIGN KEY (job_id) REFERENCES dvr_jobs(id) ON DELETE SET NULL)`);
             
             //-- ENHANCEMENT: Modify stream history table to include more data for the admin panel.
-            db.run(`CREATE TABLE IF NOT EXISTS stream_history (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER NOT NULL, username TEXT NOT NULL, channel_id TEXT, channel_name TEXT, start_time TEXT NOT NULL, end_time TEXT, duration_seconds INTEGER, status TEXT NOT NULL, client_ip TEXT, channel_logo TEXT, stream_profile_name TEXT)`, (err) => {
+            db.run(`CREATE TABLE IF NOT EXISTS stream_history (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER NOT NULL, username TEXT NOT NULL, channel_id TEXT, channel_name TEXT, start_time TEXT NOT NULL, end_time TEXT, duration_seconds INTEGER, status TEXT NOT NULL, client_ip TEXT, channel_logo TEXT, stream_profile_name TEXT, failover_count INTEGER DEFAULT 0, failover_log TEXT)`, (err) => {
                 if (!err) {
                     // Add new columns non-destructively if the table already exists
                     db.run("ALTER TABLE stream_history ADD COLUMN channel_logo TEXT", () => {});
                     db.run("ALTER TABLE stream_history ADD COLUMN stream_profile_name TEXT", () => {});
+                    db.run("ALTER TABLE stream_history ADD COLUMN failover_count INTEGER DEFAULT 0", () => {}); // NEW: Upstream switches
+                    db.run("ALTER TABLE stream_history ADD COLUMN failover_log TEXT", () => {});
                 }
             });
+
+            // NEW: Playlist channel -> EPG channel mappings. 'auto' rows are rebuilt on every merge;
+            // 'manual' (mapped by hand) and 'none' (no guide data) rows are admin overrides and are kept.
+            db.run(`CREATE TABLE IF NOT EXISTS epg_mappings (channel_key TEXT PRIMARY KEY, channel_name TEXT, source_name TEXT, epg_source_id TEXT, epg_channel_id TEXT, epg_channel_name TEXT, confidence REAL, method TEXT NOT NULL, updated_at TEXT NOT NULL)`);
+
+            // NEW: Admin curated channel metadata, applied when the merged playlist is produced.
+            // NULL columns keep the provider's value. Channels sharing a failover_group are linked as one logical channel.
+            db.run(`CREATE TABLE IF NOT EXISTS channel_overrides (channel_key TEXT PRIMARY KEY, name TEXT, chno TEXT, group_title TEXT, logo TEXT, hidden INTEGER NOT NULL DEFAULT 0, failover_group TEXT, updated_at TEXT NOT NULL)`, (err) => {
+                if (!err) db.run("ALTER TABLE channel_overrides ADD COLUMN failover_group TEXT", () => {});
+            });
+
+            // NEW: Movies & Series library. Items are rebuilt per source on every merge; XC movie details and
+            // series episodes are fetched on demand. Progress is keyed by the stable movie/episode ID so it survives refreshes.
+            db.run(`CREATE TABLE IF NOT EXISTS vod_items (id TEXT PRIMARY KEY, source_id TEXT NOT NULL, source_name TEXT, type TEXT NOT NULL, name TEXT NOT NULL, category TEXT, poster TEXT, plot TEXT, year INTEGER, genre TEXT, rating TEXT, duration_seconds INTEGER, url TEXT, xc_id TEXT, added_at TEXT, details_fetched_at TEXT)`);
+            db.run(`CREATE TABLE IF NOT EXISTS vod_episodes (id TEXT PRIMARY KEY, series_id TEXT NOT NULL, source_id TEXT NOT NULL, season INTEGER, episode INTEGER, title TEXT, plot TEXT, poster TEXT, duration_seconds INTEGER, url TEXT NOT NULL)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_vod_episodes_series ON vod_episodes (series_id)`);
+            db.run(`CREATE TABLE IF NOT EXISTS vod_progress (user_id INTEGER NOT NULL, item_id TEXT NOT NULL, position_seconds REAL NOT NULL, duration_seconds REAL, updated_at TEXT NOT NULL, PRIMARY KEY (user_id, item_id), FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE)`);
+            // NEW: Latest ffprobe result per channel, plus every check for uptime history.
+            db.run(`CREATE TABLE IF NOT EXISTS channel_health (channel_key TEXT PRIMARY KEY, source_name TEXT, status TEXT NOT NULL, video_codec TEXT, width INTEGER, height INTEGER, fps REAL, audio_tracks TEXT, needs_transcode INTEGER DEFAULT 0, error TEXT, checked_at TEXT NOT NULL)`);
+            db.run(`CREATE TABLE IF NOT EXISTS channel_health_history (id INTEGER PRIMARY KEY AUTOINCREMENT, channel_key TEXT NOT NULL, status TEXT NOT NULL, video_codec TEXT, width INTEGER, height INTEGER, fps REAL, audio_tracks TEXT, error TEXT, checked_at TEXT NOT NULL)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_channel_health_history_key ON channel_health_history (channel_key, checked_at)`);
+            // NEW: What each source refresh changed compared to the previous one.
+            db.run(`CREATE TABLE IF NOT EXISTS source_change_log (id INTEGER PRIMARY KEY AUTOINCREMENT, created_at TEXT NOT NULL, refresh_type TEXT NOT NULL, summary TEXT NOT NULL, changes TEXT NOT NULL, alerts TEXT NOT NULL)`);
+            // NEW: Tokens that let other IPTV apps read the curated playlist and XMLTV guide.
+            db.run(`CREATE TABLE IF NOT EXISTS export_tokens (id INTEGER PRIMARY KEY AUTOINCREMENT, token TEXT NOT NULL UNIQUE, name TEXT NOT NULL, user_id INTEGER NOT NULL, channel_filter TEXT NOT NULL DEFAULT 'all', groups TEXT, stream_mode TEXT NOT NULL DEFAULT 'direct', stream_profile_id TEXT, user_agent_id TEXT, created_at TEXT NOT NULL, last_used_at TEXT, FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE)`);
         });
     }
 });
@@ -203,6 +259,22 @@ const requireAuth = (req, res, next) => {
     });
 };
 
+// NEW: Lets external players (which have no session) authenticate with a playlist export token.
+const authenticateExportToken = (token, req, res, next) => {
+    db.get("SELECT t.*, u.username FROM export_tokens t JOIN users u ON u.id = t.user_id WHERE t.token = ?", [token], (err, exportToken) => {
+        if (err) {
+            console.error('[AUTH_MIDDLEWARE] DB error checking export token:', err);
+            return res.status(500).json({ error: 'Server error during authentication.' });
+        }
+        if (!exportToken) return res.status(401).json({ error: 'Invalid export token.' });
+        req.exportToken = exportToken;
+        next();
+    });
+};
+const requireAuthOrExportToken = (req, res, next) => req.query.token ? authenticateExportToken(req.query.token, req, res, next) : requireAuth(req, res, next);
+// NEW: HDHomeRun clients can't add query parameters, so the tuner endpoints carry the token in their path.
+const requireHdhrToken = (req, res, next) => authenticateExportToken(req.params.token, req, res, next);
+
 const requireAdmin = (req, res, next) => {
     if (req.session && req.session.isAdmin) return next();
     return res.status(403).json({ error: 'Administrator privileges required.' });
@@ -219,6 +291,7 @@ const requirePermission = (permissionKey, errorMessage) => (req, res, next) => {
 
 const requireNotificationsAccess = requirePermission('notifications', 'Notifications access required.');
 const requireMultiViewAccess = requirePermission('multiView', 'Multi-View access required.');
+const requireVodAccess = requirePermission('vod', 'Movies & Series access required.');
 
 // *** FIX: DVR Playback Access ***
 // Removed `requireDvrAccess` from this route. Now, any authenticated user can access
@@ -234,6 +307,7 @@ const DEFAULT_USER_PERMISSIONS = Object.freeze({
     directPlayer: false,
     dvr: false,
     notifications: true,
+    vod: false,
 });
 
 const PERMISSION_COLUMN_MAP = Object.freeze({
@@ -244,6 +318,7 @@ const PERMISSION_COLUMN_MAP = Object.freeze({
     directPlayer: 'canAccessDirectPlayer',
     notifications: 'canAccessNotifications',
     dvr: 'canUseDvr',
+    vod: 'canAccessVod',
 });
 
 const ADMIN_PERMISSIONS = Object.freeze(
@@ -406,17 +481,10 @@ function cleanupInactiveStreams() {
     
     activeStreamProcesses.forEach((streamInfo, streamKey) => {
         if (streamInfo.references <= 0 && (now - streamInfo.lastAccess > STREAM_INACTIVITY_TIMEOUT)) {
-            console.log(`[JANITOR] Found stale stream process for key: ${streamKey}. Terminating PID: ${streamInfo.process.pid}.`);
+            console.log(`[JANITOR] Found stale stream session for key: ${streamKey}. Ending it (PID: ${streamInfo.process.pid}).`);
             try {
-                // Also update the history entry if it exists
-                if (streamInfo.historyId) {
-                    const endTime = new Date().toISOString();
-                    const duration = Math.round((new Date(endTime).getTime() - new Date(streamInfo.startTime).getTime()) / 1000);
-                    db.run("UPDATE stream_history SET end_time = ?, duration_seconds = ?, status = 'stopped' WHERE id = ? AND status = 'playing'",
-                        [endTime, duration, streamInfo.historyId]);
-                }
-                streamInfo.process.kill('SIGKILL'); 
-                activeStreamProcesses.delete(streamKey);
+                // MODIFIED: Closes the history entry; a shared hub only stops with its last session.
+                stopStreamSession(streamInfo);
                 //-- ENHANCEMENT: Notify admins that a stream has ended.
                 broadcastAdminUpdate();
             } catch (e) {
@@ -427,6 +495,16 @@ function cleanupInactiveStreams() {
             }
         }
     });
+
+    // NEW: Remove HLS directories that no running hub owns (e.g. after ffmpeg was killed externally).
+    fs.readdir(HLS_DIR, (err, entries) => {
+        if (err) return;
+        const hlsDirs = new Set(Array.from(streamHubs.values()).map(hub => hub.hlsDir).filter(Boolean));
+        entries.map(entry => path.join(HLS_DIR, entry)).filter(dir => !hlsDirs.has(dir)).forEach(dir => {
+            console.log(`[JANITOR] Removing orphaned HLS directory: ${dir}`);
+            fs.rm(dir, { recursive: true, force: true }, () => {});
+        });
+    });
 }
 
 function sendSseEvent(userId, eventName, data) {
@@ -510,6 +588,23 @@ function broadcastSseToAll(eventName, data) {
     console.log(`[SSE_BROADCAST] Broadcasted event '${eventName}' to ${clientCount} total clients.`);
 }
 
+// NEW: Sends an event to every connected admin.
+function sendSseEventToAdmins(eventName, data) {
+    const message = `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+    let clientCount = 0;
+    for (const clients of sseClients.values()) {
+        clients.forEach(client => {
+            if (!client.isAdmin) return;
+            client.res.write(message);
+            clientCount++;
+        });
+    }
+    console.log(`[SSE_ADMIN] Sent event '${eventName}' to ${clientCount} admin client(s).`);
+}
+
+// NEW: An EPG source bound to "*" applies to every non-XC M3U source, including ones added later.
+const EPG_BINDING_ALL = '*';
+
 function getSettings() {
     const defaultSettings = {
         m3uSources: [],
@@ -617,6 +712,16 @@ function getSettings() {
             }
         });
 
+        // NEW: EPG sources used to apply to every M3U source. Legacy sources keep doing so for all non-XC
+        // playlists, including ones added later (XC playlists get their own provider EPG).
+        (settings.epgSources || []).forEach(source => {
+            if (source.appliesTo !== EPG_BINDING_ALL && !Array.isArray(source.appliesTo)) {
+                source.appliesTo = EPG_BINDING_ALL;
+                console.log(`[SETTINGS_MIGRATE] Binding EPG source "${source.name}" to all non-XC M3U sources.`);
+                needsSave = true;
+            }
+        });
+
         if (needsSave) {
             console.log('[SETTINGS_MIGRATE] Saving updated settings file after migration.');
             fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2));
@@ -643,6 +748,18 @@ function getActiveChannelKeysForSource(sourceName) {
             keys.add(info.channelKey);
         }
     });
+    // NEW: Recordings hold a provider connection too.
+    activeRecordingChannels.forEach(info => {
+        if (info?.sourceName === sourceName && info.channelKey) {
+            keys.add(info.channelKey);
+        }
+    });
+    // NEW: So do channel scanner probes.
+    activeProbeChannels.forEach(info => {
+        if (info?.sourceName === sourceName && info.channelKey) {
+            keys.add(info.channelKey);
+        }
+    });
     return keys;
 }
 
@@ -686,6 +803,89 @@ function loadMergedChannels() {
     }
 }
 
+let channelIndexCache = { mtimeMs: null, channels: [] }; // NEW: Reset whenever a merge writes a new index
+
+/**
+ * NEW: Reads the provider channel list written by the last merge (includes hidden channels), parsed once
+ * per index file. Callers must not modify the returned list.
+ * @returns {Array<object>} Entries of { key, sourceId, sourceName, tvgId, name, chno, group, logo, url }.
+ */
+function readChannelIndex() {
+    if (!fs.existsSync(CHANNEL_INDEX_PATH)) return [];
+    try {
+        const { mtimeMs } = fs.statSync(CHANNEL_INDEX_PATH);
+        if (channelIndexCache.mtimeMs !== mtimeMs) {
+            channelIndexCache = { mtimeMs, channels: JSON.parse(fs.readFileSync(CHANNEL_INDEX_PATH, 'utf-8')) };
+        }
+        return channelIndexCache.channels;
+    } catch (e) {
+        console.error(`[CHANNELS] Could not read ${CHANNEL_INDEX_PATH}: ${e.message}`);
+        return [];
+    }
+}
+
+/**
+ * NEW: Builds the ordered upstream list of a logical channel. The requested channel comes first,
+ * followed by the other members of its manual failover group or, without one, every channel
+ * sharing its original tvg-id, in M3U source order.
+ * @param {{key: string, url: string, sourceName: string, name: string}} primary - The requested channel.
+ * @returns {Promise<Array<{key: string, url: string, sourceName: string, name: string}>>}
+ */
+async function getFailoverCandidates(primary) {
+    const index = readChannelIndex();
+    const entry = index.find(c => c.key === primary.key && c.url === primary.url) || index.find(c => c.url === primary.url);
+    if (!entry) return [primary];
+
+    let members = [];
+    try {
+        const linkRow = await new Promise((resolve, reject) => db.get("SELECT failover_group FROM channel_overrides WHERE channel_key = ? AND failover_group IS NOT NULL", [entry.key], (err, row) => err ? reject(err) : resolve(row)));
+        if (linkRow) {
+            const rows = await new Promise((resolve, reject) => db.all("SELECT channel_key FROM channel_overrides WHERE failover_group = ?", [linkRow.failover_group], (err, rows) => err ? reject(err) : resolve(rows)));
+            const linkedKeys = new Set(rows.map(r => r.channel_key));
+            members = index.filter(c => linkedKeys.has(c.key));
+        } else if (entry.tvgId) {
+            members = index.filter(c => c.tvgId === entry.tvgId);
+        }
+    } catch (error) {
+        console.error(`[FAILOVER] Could not load failover links for ${entry.key}: ${error.message}`);
+    }
+
+    const sourceOrder = new Map((getSettings().m3uSources || []).map((source, i) => [source.id, i]));
+    const seenUrls = new Set([primary.url]);
+    const alternates = members
+        .sort((a, b) => (sourceOrder.get(a.sourceId) ?? Infinity) - (sourceOrder.get(b.sourceId) ?? Infinity))
+        .filter(c => c.url && !seenUrls.has(c.url) && seenUrls.add(c.url))
+        .map(c => ({ key: c.key, url: c.url, sourceName: c.sourceName, name: c.name }));
+    return [primary, ...alternates];
+}
+
+/**
+ * NEW: Finds the first failover candidate, starting at fromIndex, whose source is below its concurrency limit.
+ * @returns {{index: number, message: (string|undefined)}} index is -1 when every remaining candidate is unavailable.
+ */
+function findAvailableCandidate(settings, candidates, fromIndex = 0) {
+    let message;
+    for (let i = fromIndex; i < candidates.length; i++) {
+        const check = checkSourceConcurrencyLimit(settings, candidates[i].sourceName, candidates[i].key);
+        if (check.allowed) return { index: i };
+        console.warn(`[FAILOVER] Skipping "${candidates[i].name}" on source "${candidates[i].sourceName}": ${check.message}`);
+        message = message || check.message;
+    }
+    return { index: -1, message };
+}
+
+/**
+ * NEW: Stores a stream's upstream switches on its stream_history row.
+ * @param {number} historyId - The stream_history row id.
+ * @param {Array<object>} failovers - Every switch so far ({ time, from, to, reason }).
+ */
+function recordStreamFailover(historyId, failovers) {
+    if (!historyId || failovers.length === 0) return;
+    db.run("UPDATE stream_history SET failover_count = ?, failover_log = ? WHERE id = ?", [failovers.length, JSON.stringify(failovers), historyId], (err) => {
+        if (err) console.error('[STREAM_HISTORY] Error recording stream failover:', err.message);
+    });
+}
+
 function resolveChannelForConcurrency({ streamUrl, channelId, channelName }) {
     const channels = loadMergedChannels();
     let channel = null;
@@ -717,13 +917,209 @@ function saveSettings(settings) {
     }
 }
 
+// --- NEW: Per-source HTTP options ---
+// Some providers only answer with a specific Referer, an auth header or cookie, or through an HTTP proxy.
+// Each source can carry these, and they are sent with every playlist/EPG download from that source and
+// handed to ffmpeg through the {headers}, {referer}, {cookies} and {proxy} profile variables.
+const HTTP_HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * NEW: Parses and validates the JSON-encoded HTTP options sent by the source editor.
+ * Custom headers arrive as text with one "Name: value" per line.
+ * @param {string|undefined} rawValue - The 'httpOptions' form field.
+ * @returns {{headers: object, referer: string, cookies: string, proxy: string}|null} The normalized options, or null when the field was not sent.
+ * @throws {Error} With a user-facing message when a header or the proxy is invalid.
+ */
+function parseSourceHttpOptions(rawValue) {
+    if (rawValue === undefined || rawValue === null) return null;
+    let raw;
+    try {
+        raw = typeof rawValue === 'string' ? JSON.parse(rawValue) : rawValue;
+    } catch (e) {
+        throw new Error('HTTP options are not valid JSON.');
+    }
+    if (!raw || typeof raw !== 'object') throw new Error('HTTP options must be an object.');
+
+    const headers = {};
+    String(raw.headers || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach((line, index) => {
+        const separator = line.indexOf(':');
+        const name = separator > 0 ? line.substring(0, separator).trim() : '';
+        if (!HTTP_HEADER_NAME_PATTERN.test(name)) {
+            throw new Error(`Header line ${index + 1} must look like "Name: value".`);
+        }
+        headers[name] = line.substring(separator + 1).trim();
+    });
+
+    const proxy = String(raw.proxy || '').trim();
+    if (proxy) {
+        let proxyUrl;
+        try {
+            proxyUrl = new URL(proxy);
+        } catch (e) {
+            throw new Error('The proxy must be a URL like http://host:port.');
+        }
+        if (proxyUrl.protocol !== 'http:') throw new Error('Only HTTP proxies (http://host:port) are supported.');
+    }
+
+    return {
+        headers,
+        referer: String(raw.referer || '').trim(),
+        cookies: String(raw.cookies || '').trim(),
+        proxy
+    };
+}
+
+/**
+ * NEW: Checks whether a source has any HTTP options set.
+ */
+function hasSourceHttpOptions(httpOptions) {
+    return !!httpOptions && (Object.keys(httpOptions.headers || {}).length > 0 || !!httpOptions.referer || !!httpOptions.cookies || !!httpOptions.proxy);
+}
+
+/**
+ * NEW: Builds the request headers a source's HTTP options add to every request.
+ * @param {object} [httpOptions] - The source's httpOptions.
+ * @returns {object} Header name to value.
+ */
+function buildSourceRequestHeaders(httpOptions) {
+    if (!httpOptions) return {};
+    const headers = { ...(httpOptions.headers || {}) };
+    if (httpOptions.referer) headers['Referer'] = httpOptions.referer;
+    if (httpOptions.cookies) headers['Cookie'] = httpOptions.cookies;
+    return headers;
+}
+
+/**
+ * NEW: Adds a source's HTTP options to the options of a fetch. The source's own headers win over the defaults.
+ * @param {object} source - The M3U or EPG source.
+ * @param {object} [baseOptions] - Fetch options to extend (e.g. XC_FETCH_OPTIONS).
+ */
+function getSourceFetchOptions(source, baseOptions = {}) {
+    const httpOptions = source && source.httpOptions;
+    if (!hasSourceHttpOptions(httpOptions)) return baseOptions;
+    const options = { ...baseOptions, headers: { ...(baseOptions.headers || {}), ...buildSourceRequestHeaders(httpOptions) } };
+    if (httpOptions.proxy) options.proxy = httpOptions.proxy;
+    return options;
+}
+
+/**
+ * NEW: Finds the HTTP options of the playlist a channel came from.
+ * @param {object} settings - The current settings object.
+ * @param {string|null} sourceName - The channel's source name.
+ */
+function getSourceHttpOptionsByName(settings, sourceName) {
+    const source = sourceName ? (settings.m3uSources || []).find(s => s.name === sourceName) : null;
+    return source ? source.httpOptions : null;
+}
+
+/**
+ * NEW: Fills the {headers}, {referer}, {cookies} and {proxy} variables of a stream or recording profile command.
+ * {headers} holds every header line (custom headers, Referer and Cookie) in the form ffmpeg's -headers option expects.
+ * Double quotes are dropped from the values because the command is split on quoted arguments.
+ * @param {string} command - The profile command.
+ * @param {object} [httpOptions] - The source's httpOptions.
+ */
+function fillSourceHttpVariables(command, httpOptions) {
+    const clean = (value) => String(value || '').replace(/"/g, '');
+    const headerLines = Object.entries(buildSourceRequestHeaders(httpOptions)).map(([name, value]) => `${name}: ${clean(value)}\r\n`).join('');
+    return command
+        .replace(/{headers}/g, headerLines)
+        .replace(/{referer}/g, clean(httpOptions && httpOptions.referer))
+        .replace(/{cookies}/g, clean(httpOptions && httpOptions.cookies))
+        .replace(/{proxy}/g, clean(httpOptions && httpOptions.proxy));
+}
+
+/**
+ * NEW: Builds the ffprobe/ffmpeg input arguments for a source's HTTP options, for probes that don't use a profile.
+ * @param {object} [httpOptions] - The source's httpOptions.
+ * @returns {string[]}
+ */
+function buildSourceHttpInputArgs(httpOptions) {
+    if (!hasSourceHttpOptions(httpOptions)) return [];
+    const args = [];
+    const headerLines = Object.entries(buildSourceRequestHeaders(httpOptions)).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+    if (headerLines) args.push('-headers', headerLines);
+    if (httpOptions.proxy) args.push('-http_proxy', httpOptions.proxy);
+    return args;
+}
+
+/**
+ * NEW: Builds the Proxy-Authorization header for a proxy URL with credentials.
+ * @param {URL} proxyUrl - The parsed proxy URL.
+ */
+function getProxyAuthHeaders(proxyUrl) {
+    if (!proxyUrl.username) return {};
+    const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`;
+    return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+/**
+ * NEW: Creates an agent that tunnels HTTPS requests through an HTTP proxy with CONNECT.
+ * @param {URL} proxyUrl - The parsed proxy URL.
+ * @param {number} [timeoutMs] - Gives up on a CONNECT the proxy has not answered within this time.
+ */
+function createProxyTunnelAgent(proxyUrl, timeoutMs) {
+    const agent = new https.Agent({ keepAlive: false });
+    agent.createConnection = (options, callback) => {
+        const connectRequest = http.request({
+            host: proxyUrl.hostname,
+            port: proxyUrl.port || 80,
+            method: 'CONNECT',
+            path: `${options.host}:${options.port}`,
+            headers: { Host: `${options.host}:${options.port}`, ...getProxyAuthHeaders(proxyUrl) }
+        });
+        const connectTimer = timeoutMs ? setTimeout(() => {
+            connectRequest.destroy(new Error(`Proxy did not answer the CONNECT request within ${timeoutMs / 1000}s.`));
+        }, timeoutMs) : null;
+        connectRequest.once('connect', (res, socket) => {
+            clearTimeout(connectTimer);
+            if (res.statusCode !== 200) {
+                socket.destroy();
+                return callback(new Error(`Proxy refused the connection: Status Code ${res.statusCode}`));
+            }
+            callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host }));
+        });
+        connectRequest.once('error', (err) => {
+            clearTimeout(connectTimer);
+            callback(err);
+        });
+        connectRequest.end();
+    };
+    return agent;
+}
+
+/**
+ * NEW: Sends a GET request, through the HTTP proxy in options.proxy when one is set.
+ * Plain HTTP URLs are requested from the proxy directly; HTTPS URLs go through a CONNECT tunnel.
+ * @param {string} url - The URL to request.
+ * @param {object} options - Options for http(s).get, plus an optional proxy URL.
+ * @param {function(http.IncomingMessage)} onResponse - The response callback.
+ * @returns {http.ClientRequest}
+ */
+function sendGetRequest(url, options, onResponse) {
+    const { proxy, ...requestOptions } = options;
+    const isHttps = url.startsWith('https');
+    if (!proxy) return (isHttps ? https : http).get(url, requestOptions, onResponse);
+
+    const proxyUrl = new URL(proxy);
+    if (isHttps) return https.get(url, { ...requestOptions, agent: createProxyTunnelAgent(proxyUrl, requestOptions.timeout) }, onResponse);
+
+    const target = new URL(url);
+    return http.get({
+        ...requestOptions,
+        host: proxyUrl.hostname,
+        port: proxyUrl.port || 80,
+        path: target.href,
+        headers: { ...(requestOptions.headers || {}), Host: target.host, ...getProxyAuthHeaders(proxyUrl) }
+    }, onResponse);
+}
+
 function fetchUrlContent(url, options = {}) { // <-- MODIFIED
     return new Promise((resolve, reject) => {
-        const protocol = url.startsWith('https') ? https : http;
         const TIMEOUT_DURATION = 60000;
         console.log(`[FETCH] Attempting to fetch URL content: ${url} (Timeout: ${TIMEOUT_DURATION/1000}s)`);
 
-        const request = protocol.get(url, { timeout: TIMEOUT_DURATION, ...options }, (res) => { // <-- MODIFIED
+        const request = sendGetRequest(url, { timeout: TIMEOUT_DURATION, ...options }, (res) => { // <-- MODIFIED: Honors options.proxy
             if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
                 console.log(`[FETCH] Redirecting to: ${res.headers.location}`);
                 request.abort(); 
@@ -757,792 +1153,3607 @@ function fetchUrlContent(url, options = {}) { // <-- MODIFIED
 }
 
 
-// --- EPG Parsing and Caching Logic ---
-const parseEpgTime = (timeStr, offsetHours = 0) => {
-    const match = timeStr.match(/(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\s*(([+-])(\d{2})(\d{2}))?/);
-    if (!match) {
-        console.warn(`[EPG_PARSE] Invalid time format encountered: ${timeStr}`);
-        return new Date();
-    }
-    
-    const [ , year, month, day, hours, minutes, seconds, , sign, tzHours, tzMinutes] = match;
-    let date;
-    if (sign && tzHours && tzMinutes) {
-        const epgOffsetMinutes = (parseInt(tzHours) * 60 + parseInt(tzMinutes)) * (sign === '+' ? 1 : -1);
-        date = new Date(Date.UTC(year, parseInt(month) - 1, day, hours, minutes, seconds));
-        date.setUTCMinutes(date.getUTCMinutes() - epgOffsetMinutes);
-    } else {
-        date = new Date(Date.UTC(year, parseInt(month) - 1, day, hours, minutes, seconds));
-        date.setUTCHours(date.getUTCHours() - offsetHours);
-    }
-    return date;
-};
-
-// server.js -> Replace the entire function with this corrected version
-
-async function processAndMergeSources(req) { // <-- MODIFIED
-    console.log('[PROCESS] Starting to process and merge all active sources.');
-    sendProcessingStatus(req, 'Starting to process sources...', 'info'); // <-- NEW
-    const settings = getSettings();
-
-    let mergedM3uContent = '#EXTM3U\n';
-    const activeM3uSources = settings.m3uSources.filter(s => s.isActive);
-    const activeEpgSources = settings.epgSources.filter(s => s.isActive);
-
-    if (activeM3uSources.length === 0) {
-        console.log('[PROCESS] No active M3U sources found.');
-        sendProcessingStatus(req, 'No active M3U sources found.', 'info'); // <-- NEW
-    }
-
-    for (const source of activeM3uSources) {
-        console.log(`[M3U] Processing source: "${source.name}" (ID: ${source.id}, Type: ${source.type}, Path: ${source.path})`);
-        sendProcessingStatus(req, `Processing M3U source: "${source.name}"...`, 'info'); // <-- NEW
-        try {
-            let content = '';
-            let sourcePathForLog = source.path;
+/**
+ * NEW: Streams the body of a URL straight to disk instead of buffering it in memory.
+ * EPG sources can be hundreds of megabytes, so they are never held as a single string.
+ * @param {string} url - The URL to download.
+ * @param {string} destPath - The file the response body is written to.
+ * @param {object} options - Extra options passed to http(s).get (e.g. headers), plus an optional proxy URL.
+ * @param {{etag: string, lastModified: string}} [options.validators] - MODIFIED: Makes the request conditional. On a 304 destPath is left untouched.
+ * @returns {Promise<{bytesWritten: number, notModified: boolean, validators: {etag: (string|null), lastModified: (string|null)}}>}
+ */
+function fetchUrlToFile(url, destPath, options = {}) {
+    return new Promise((resolve, reject) => {
+        const TIMEOUT_DURATION = 60000;
+        console.log(`[FETCH] Streaming URL content to disk: ${url} -> ${destPath}`);
+
+        const { validators, ...httpOptions } = options;
+        const conditionalHeaders = {};
+        if (validators && validators.etag) conditionalHeaders['If-None-Match'] = validators.etag;
+        if (validators && validators.lastModified) conditionalHeaders['If-Modified-Since'] = validators.lastModified;
+        const requestOptions = {
+            timeout: TIMEOUT_DURATION,
+            ...httpOptions,
+            headers: { 'Accept-Encoding': 'gzip, deflate', ...conditionalHeaders, ...(httpOptions.headers || {}) }
+        };
 
-            if (source.type === 'file') {
-                const sourceFilePath = path.join(SOURCES_DIR, path.basename(source.path));
-                if (fs.existsSync(sourceFilePath)) {
-                    content = fs.readFileSync(sourceFilePath, 'utf-8');
-                    sourcePathForLog = sourceFilePath;
-                } else {
-                    const errorMsg = `File not found for source "${source.name}". Skipping.`; // <-- NEW
-                    sendProcessingStatus(req, `Error: ${errorMsg}`, 'error'); // <-- NEW
-                    source.status = 'Error';
-                    source.statusMessage = 'File not found.';
-                    continue;
-                }
-            } else if (source.type === 'url') {
-                sendProcessingStatus(req, ` -> Fetching content from URL...`, 'info'); // <-- NEW
-                content = await fetchUrlContent(source.path);
-                sendProcessingStatus(req, ` -> Successfully fetched M3U content.`, 'info'); // <-- NEW
-            } else if (source.type === 'xc') {
-                if (!source.xc_data) {
-                    throw new Error("XC source is missing credential data (xc_data).");
-                }
-                const xcInfo = JSON.parse(source.xc_data);
-                const { server, username, password } = xcInfo;
+        const request = sendGetRequest(url, requestOptions, (res) => { // MODIFIED: Honors options.proxy
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                console.log(`[FETCH] Redirecting to: ${res.headers.location}`);
+                request.abort();
+                return fetchUrlToFile(new URL(res.headers.location, url).href, destPath, options).then(resolve, reject);
+            }
+            if (res.statusCode === 304 && validators) {
+                console.log(`[FETCH] Not modified since the last download: ${url}`);
+                res.resume();
+                return resolve({ bytesWritten: 0, notModified: true, validators });
+            }
+            if (res.statusCode !== 200) {
+                console.error(`[FETCH] Failed to fetch ${url}: Status Code ${res.statusCode}`);
+                res.resume();
+                return reject(new Error(`Failed to fetch: Status Code ${res.statusCode}`));
+            }
 
-                if (!server || !username || !password) {
-                    throw new Error("XC source is missing server, username, or password.");
+            // Download to a temporary file so a failed transfer never clobbers the last good copy.
+            const tempPath = `${destPath}.part`;
+            let bytesWritten = 0;
+            res.on('data', (chunk) => { bytesWritten += chunk.length; });
+            // NEW: Undo any transport-level Content-Encoding. Compressed payloads (e.g. epg.xml.gz) are kept as-is and sniffed on read.
+            const decoder = createContentDecoder(res.headers['content-encoding']);
+            const stages = decoder ? [res, decoder, fs.createWriteStream(tempPath)] : [res, fs.createWriteStream(tempPath)];
+            pipeline(...stages, (err) => {
+                if (err) {
+                    console.error(`[FETCH] Error streaming ${url} to disk: ${err.message}`);
+                    fs.unlink(tempPath, () => {});
+                    return reject(err);
                 }
+                fs.rename(tempPath, destPath, (renameErr) => {
+                    if (renameErr) return reject(renameErr);
+                    console.log(`[FETCH] Successfully streamed ${bytesWritten} bytes from: ${url}`);
+                    resolve({
+                        bytesWritten,
+                        notModified: false,
+                        validators: { etag: res.headers.etag || null, lastModified: res.headers['last-modified'] || null }
+                    });
+                });
+            });
+        });
 
-                const fetchOptions = {
-                    headers: { 'User-Agent': 'VLC/3.0.20 (Linux; x86_64)' }
-                };
-                const m3uUrl = `${server}/get.php?username=${username}&password=${password}&type=m3u_plus&output=ts`;
-                console.log(`[M3U] Constructed XC URL for "${source.name}": ${m3uUrl}`);
-                sendProcessingStatus(req, ` -> Fetching content from XC server...`, 'info'); // <-- NEW
-                content = await fetchUrlContent(m3uUrl, fetchOptions);
-                sourcePathForLog = m3uUrl;
-                sendProcessingStatus(req, ` -> Successfully fetched M3U content from XC server.`, 'info'); // <-- NEW
+        request.on('timeout', () => {
+            const timeoutError = new Error(`Request to ${url} timed out after ${TIMEOUT_DURATION / 1000} seconds.`);
+            console.error(`[FETCH] ${timeoutError.message}`);
+            request.destroy(timeoutError);
+            reject(timeoutError);
+        });
 
-                const epgUrl = `${server}/xmltv.php?username=${username}&password=${password}`;
-                const epgSource = {
-                    id: `epg_for_${source.id}`,
-                    name: `${source.name} (EPG)`,
-                    type: 'url',
-                    path: epgUrl,
-                    isActive: true,
-                    isXcEpg: true,
-                    fetchOptions: fetchOptions
-                };
+        request.on('error', (err) => {
+            console.error(`[FETCH] Network error fetching ${url}: ${err.message}`);
+            reject(err);
+        });
+    });
+}
 
-                if (!activeEpgSources.some(s => s.id === epgSource.id)) {
-                    activeEpgSources.push(epgSource);
-                    sendProcessingStatus(req, ` -> Automatically added EPG source for "${source.name}".`, 'info'); // <-- NEW
-                }
-            }
+/**
+ * NEW: Returns a zlib stream that undoes an HTTP Content-Encoding, or null for identity/unknown encodings.
+ * @param {string} contentEncoding - The value of the Content-Encoding response header.
+ */
+function createContentDecoder(contentEncoding) {
+    switch ((contentEncoding || '').trim().toLowerCase()) {
+        case 'gzip':
+        case 'x-gzip':
+            return zlib.createGunzip();
+        case 'deflate':
+            return zlib.createInflate();
+        case 'br':
+            return zlib.createBrotliDecompress();
+        default:
+            return null;
+    }
+}
 
-            const lines = content.split('\n');
-            let processedContent = '';
-            let streamCount = 0; // <-- NEW
-            for (let i = 0; i < lines.length; i++) {
-                let line = lines[i].trim();
-                if (line.startsWith('#EXTINF:')) {
-                    streamCount++; // <-- NEW
-                    const tvgIdMatch = line.match(/tvg-id="([^"]*)"/);
-                    const tvgId = tvgIdMatch ? tvgIdMatch[1] : `no-id-${Math.random()}`;
-                    const uniqueChannelId = `${source.id}_${tvgId}`;
-
-                    const commaIndex = line.lastIndexOf(',');
-                    const attributesPart = commaIndex !== -1 ? line.substring(0, commaIndex) : line;
-                    const namePart = commaIndex !== -1 ? line.substring(commaIndex) : '';
-
-                    let processedAttributes = attributesPart;
-                    if (tvgIdMatch) {
-                        processedAttributes = processedAttributes.replace(/tvg-id="[^"]*"/, `tvg-id="${uniqueChannelId}"`);
-                    } else {
-                        const extinfEnd = processedAttributes.indexOf(' ') + 1;
-                        processedAttributes = processedAttributes.slice(0, extinfEnd) + `tvg-id="${uniqueChannelId}" ` + processedAttributes.slice(extinfEnd);
-                    }
+/**
+ * NEW: Detects whether a source file is compressed by looking at its magic bytes.
+ * @param {string} filePath - Path of the file to inspect.
+ * @returns {('gzip'|'xz'|'zip'|null)} The detected format, or null for plain text.
+ */
+function detectCompression(filePath) {
+    const header = Buffer.alloc(6);
+    const fd = fs.openSync(filePath, 'r');
+    let bytesRead;
+    try {
+        bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (bytesRead >= 2 && header[0] === 0x1f && header[1] === 0x8b) return 'gzip';
+    if (bytesRead >= 6 && header.equals(Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]))) return 'xz';
+    if (bytesRead >= 4 && header.readUInt32LE(0) === 0x04034b50) return 'zip';
+    return null;
+}
 
-                    processedAttributes += ` vini-source="${source.name}"`;
-                    line = processedAttributes + namePart;
-                }
-                if (line) {
-                   processedContent += line + '\n';
-                }
+/**
+ * NEW: Locates the single file inside a zip archive by reading its central directory,
+ * which (unlike the local header) always carries the compressed size.
+ * @param {string} filePath - Path of the zip archive.
+ * @returns {{name: string, method: number, compressedSize: number, dataOffset: number}}
+ */
+function locateZipEntry(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const { size } = fs.fstatSync(fd);
+        // The end-of-central-directory record is 22 bytes plus an optional comment of up to 64KB.
+        const tailLength = Math.min(size, 22 + 0xffff);
+        const tail = Buffer.alloc(tailLength);
+        fs.readSync(fd, tail, 0, tailLength, size - tailLength);
+
+        let eocd = -1;
+        for (let i = tailLength - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw new Error('Invalid zip archive: end of central directory not found.');
+
+        const entryCount = tail.readUInt16LE(eocd + 10);
+        const directorySize = tail.readUInt32LE(eocd + 12);
+        const directoryOffset = tail.readUInt32LE(eocd + 16);
+        if (directoryOffset === 0xffffffff) throw new Error('Zip64 archives are not supported.');
+
+        const directory = Buffer.alloc(directorySize);
+        fs.readSync(fd, directory, 0, directorySize, directoryOffset);
+
+        const files = [];
+        let pos = 0;
+        for (let n = 0; n < entryCount && pos + 46 <= directory.length; n++) {
+            if (directory.readUInt32LE(pos) !== 0x02014b50) break;
+            const nameLength = directory.readUInt16LE(pos + 28);
+            const name = directory.toString('utf8', pos + 46, pos + 46 + nameLength);
+            // Skip folders and the resource-fork entries macOS adds to archives.
+            if (!name.endsWith('/') && !name.startsWith('__MACOSX/')) {
+                files.push({
+                    name,
+                    method: directory.readUInt16LE(pos + 10),
+                    compressedSize: directory.readUInt32LE(pos + 20),
+                    localHeaderOffset: directory.readUInt32LE(pos + 42)
+                });
             }
+            pos += 46 + nameLength + directory.readUInt16LE(pos + 30) + directory.readUInt16LE(pos + 32);
+        }
 
-            mergedM3uContent += processedContent.replace(/#EXTM3U/i, '') + '\n';
-            source.status = 'Success';
-            source.statusMessage = `Processed ${streamCount} streams successfully.`; // <-- CORRECT, DYNAMIC VERSION
-            console.log(`[M3U] Source "${source.name}" processed successfully from ${sourcePathForLog}.`);
-            sendProcessingStatus(req, ` -> Processed ${streamCount} streams from "${source.name}".`, 'info'); // <-- NEW
+        if (files.length !== 1) throw new Error(`Zip archive must contain exactly one file (found ${files.length}).`);
+        const entry = files[0];
+        if (entry.method !== 0 && entry.method !== 8) throw new Error(`Unsupported zip compression method (${entry.method}).`);
+        if (entry.compressedSize === 0xffffffff) throw new Error('Zip64 archives are not supported.');
+
+        const localHeader = Buffer.alloc(30);
+        fs.readSync(fd, localHeader, 0, localHeader.length, entry.localHeaderOffset);
+        if (localHeader.readUInt32LE(0) !== 0x04034b50) throw new Error('Invalid zip archive: local file header not found.');
+        entry.dataOffset = entry.localHeaderOffset + 30 + localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+        return entry;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
 
-        } catch (error) {
-            const errorMsg = `Failed to process source "${source.name}" from ${source.path}: ${error.message}`; // <-- NEW
-            console.error(`[M3U] ${errorMsg}`); // <-- MODIFIED
-            sendProcessingStatus(req, `Error: ${errorMsg}`, 'error'); // <-- NEW
-            source.status = 'Error';
-            source.statusMessage = `Processing failed: ${error.message.substring(0, 100)}...`;
+/**
+ * NEW: Opens a source file for reading, transparently decompressing gzip, xz and single-file zip archives.
+ * Errors from any stage (including a failing `xz` process) are surfaced on the returned stream.
+ * @param {string} filePath - Path of the source file on disk.
+ * @returns {{stream: import('stream').Readable, compression: (string|null), compressedSize: number}}
+ */
+function openSourceStream(filePath) {
+    const compression = detectCompression(filePath);
+    const compressedSize = fs.statSync(filePath).size;
+    let stream;
+
+    if (compression === 'gzip') {
+        stream = pipeline(fs.createReadStream(filePath), zlib.createGunzip(), () => {});
+    } else if (compression === 'xz') {
+        stream = new PassThrough();
+        const xz = spawn('xz', ['--decompress', '--stdout', filePath]);
+        let stderr = '';
+        xz.stderr.on('data', (chunk) => { stderr += chunk; });
+        xz.stdout.pipe(stream, { end: false });
+        xz.on('error', (err) => stream.destroy(new Error(`Could not run xz to decompress ${path.basename(filePath)}: ${err.message}`)));
+        xz.on('close', (code) => {
+            if (code === 0) stream.end();
+            else stream.destroy(new Error(`xz exited with code ${code}: ${stderr.trim()}`));
+        });
+        stream.on('close', () => {
+            if (xz.exitCode === null) xz.kill();
+        });
+    } else if (compression === 'zip') {
+        const entry = locateZipEntry(filePath);
+        console.log(`[SOURCES] Reading "${entry.name}" from zip archive ${path.basename(filePath)}.`);
+        if (entry.compressedSize === 0) {
+            stream = Readable.from([]);
+        } else {
+            const raw = fs.createReadStream(filePath, { start: entry.dataOffset, end: entry.dataOffset + entry.compressedSize - 1 });
+            stream = entry.method === 8 ? pipeline(raw, zlib.createInflateRaw(), () => {}) : raw;
         }
-        source.lastUpdated = new Date().toISOString();
-    }
-    try {
-        fs.writeFileSync(MERGED_M3U_PATH, mergedM3uContent);
-        console.log(`[M3U] Merged M3U content saved to ${MERGED_M3U_PATH}.`);
-        sendProcessingStatus(req, `Successfully merged all M3U sources.`, 'success'); // <-- NEW
-    } catch (writeErr) {
-        console.error(`[M3U] Error writing merged M3U file: ${writeErr.message}`);
-        sendProcessingStatus(req, `Error writing merged M3U file: ${writeErr.message}`, 'error'); // <-- NEW
+    } else {
+        stream = fs.createReadStream(filePath);
     }
 
-    const mergedProgramData = {};
-    const timezoneOffset = settings.timezoneOffset || 0;
+    return { stream, compression, compressedSize };
+}
 
-    if (activeEpgSources.length === 0) {
-        console.log('[PROCESS] No active EPG sources found.');
-        sendProcessingStatus(req, 'No active EPG sources found.', 'info'); // <-- NEW
+/**
+ * NEW: Reads a (possibly compressed) source file fully into a UTF-8 string.
+ * @param {string} filePath - Path of the source file on disk.
+ * @returns {Promise<{content: string, compression: (string|null), compressedSize: number, decompressedSize: number}>}
+ */
+function readSourceText(filePath) {
+    return new Promise((resolve, reject) => {
+        let opened;
+        try {
+            opened = openSourceStream(filePath);
+        } catch (err) {
+            return reject(err);
+        }
+        const chunks = [];
+        let decompressedSize = 0;
+        opened.stream.on('data', (chunk) => {
+            chunks.push(chunk);
+            decompressedSize += chunk.length;
+        });
+        opened.stream.on('error', reject);
+        opened.stream.on('end', () => {
+            resolve({
+                content: Buffer.concat(chunks).toString('utf8'),
+                compression: opened.compression,
+                compressedSize: opened.compressedSize,
+                decompressedSize
+            });
+        });
+    });
+}
+
+/**
+ * NEW: Records the on-disk and decompressed size of a source so the settings table can show them.
+ */
+function recordSourceSizes(source, { compression, compressedSize, decompressedSize }) {
+    source.compression = compression || null;
+    source.compressedSize = compressedSize;
+    source.decompressedSize = decompressedSize;
+    if (compression) {
+        console.log(`[SOURCES] Decompressed ${compression} source "${source.name}": ${compressedSize} -> ${decompressedSize} bytes.`);
     }
+}
 
-    for (const source of activeEpgSources) {
-        if (!source.isActive && !source.isXcEpg) continue;
+// --- NEW: Per-source download and parse caches ---
+// Every source keeps its last download on disk together with the HTTP validators (ETag, Last-Modified),
+// so refreshes can ask the provider whether anything changed. Parsed output is cached next to it and
+// reused while the file and the settings that shape it (filter rules, overrides, EPG mappings) are unchanged.
+const SOURCE_CACHE_VERSION = 2; // Bumped whenever parsing changes the cached output, e.g. sanitised override names
 
-        console.log(`[EPG] Processing source: "${source.name}" (ID: ${source.id}, Type: ${source.type}, Path: ${source.path})`);
-        sendProcessingStatus(req, `Processing EPG source: "${source.name}"...`, 'info'); // <-- NEW
-        try {
-            let xmlString = '';
-            let epgFilePath = path.join(SOURCES_DIR, `epg_${source.id}.xml`);
+/**
+ * NEW: Paths of the parse caches kept for a source.
+ * @param {('m3u'|'epg')} sourceType - The source list the source belongs to.
+ * @param {string} sourceId - The source's ID.
+ */
+function getSourceCachePaths(sourceType, sourceId) {
+    const base = path.join(SOURCES_DIR, `${sourceType}_${sourceId}`);
+    return sourceType === 'm3u'
+        ? { parsed: `${base}.parsed.json` }
+        : { channels: `${base}.channels.json`, programmes: `${base}.programmes.jsonl`, programmesMeta: `${base}.programmes.json` };
+}
 
-            if (source.type === 'file') {
-                if (fs.existsSync(source.path)) {
-                    xmlString = fs.readFileSync(source.path, 'utf-8');
-                } else {
-                    const errorMsg = `File not found for source "${source.name}". Skipping.`; // <-- NEW
-                    sendProcessingStatus(req, `Error: ${errorMsg}`, 'error'); // <-- NEW
-                    source.status = 'Error';
-                    source.statusMessage = 'File not found.';
-                    continue;
-                }
-            } else if (source.type === 'url') {
-                sendProcessingStatus(req, ` -> Fetching content from URL...`, 'info'); // <-- NEW
-                xmlString = await fetchUrlContent(source.path, source.fetchOptions || {});
-                sendProcessingStatus(req, ` -> Successfully fetched EPG content.`, 'info'); // <-- NEW
-                try {
-                    fs.writeFileSync(epgFilePath, xmlString);
-                    console.log(`[EPG] Downloaded EPG for "${source.name}" saved to ${epgFilePath}.`);
-                } catch (writeErr) {
-                    console.error(`[EPG] Error saving EPG file from URL for "${source.name}": ${writeErr.message}`);
-                }
-            }
+function removeSourceCaches(sourceType, sourceId) {
+    Object.values(getSourceCachePaths(sourceType, sourceId)).forEach(cachePath => fs.unlink(cachePath, () => {}));
+}
 
-            const epgJson = xmlJS.xml2js(xmlString, { compact: true });
-            const programs = epgJson.tv && epgJson.tv.programme ? [].concat(epgJson.tv.programme) : [];
-            let programCount = 0; // <-- NEW
+/**
+ * NEW: Downloads a URL source, revalidating the cached copy when the provider gave validators last time.
+ * The validators are stored on the source, so they are saved with the settings.
+ * @returns {Promise<boolean>} True if the provider answered 304 and the cached copy was kept.
+ */
+async function fetchSourceFile(source, url, destPath, fetchOptions = {}) {
+    const cache = source.httpCache;
+    const canRevalidate = !!cache && cache.url === url && !!(cache.etag || cache.lastModified) && fs.existsSync(destPath);
+    const options = canRevalidate ? { ...fetchOptions, validators: { etag: cache.etag, lastModified: cache.lastModified } } : fetchOptions;
+    const result = await fetchUrlToFile(url, destPath, options);
+    source.httpCache = { url, ...result.validators, checkedAt: new Date().toISOString() };
+    return result.notModified;
+}
 
-            if (programs.length === 0) { // <-- NEW
-                sendProcessingStatus(req, `Warning: No programs found in "${source.name}".`, 'info');
-            }
+/**
+ * NEW: Fingerprints a source file together with the settings that shape its parsed output.
+ * @param {string} filePath - The source file on disk.
+ * @param {any} inputs - Anything else the parsed output depends on.
+ */
+function getSourceFingerprint(filePath, inputs) {
+    const stat = fs.statSync(filePath);
+    return crypto.createHash('sha1').update(JSON.stringify([SOURCE_CACHE_VERSION, stat.size, stat.mtimeMs, inputs])).digest('hex');
+}
 
-            const m3uSourceProviders = settings.m3uSources.filter(m3u => m3u.isActive);
+/**
+ * NEW: Reads a JSON parse cache.
+ * @returns {object|null} The cache, or null if it is missing, unreadable or was built from other inputs.
+ */
+function readSourceCache(cachePath, fingerprint) {
+    if (!fs.existsSync(cachePath)) return null;
+    try {
+        const cache = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+        return cache.fingerprint === fingerprint ? cache : null;
+    } catch (e) {
+        console.warn(`[SOURCES] Ignoring unreadable cache ${cachePath}: ${e.message}`);
+        return null;
+    }
+}
 
-            for (const prog of programs) {
-                const originalChannelId = prog._attributes?.channel;
-                if (!originalChannelId) continue;
-                programCount++; // <-- NEW
+function writeSourceCache(cachePath, data) {
+    try {
+        fs.writeFileSync(cachePath, JSON.stringify(data));
+    } catch (e) {
+        console.warn(`[SOURCES] Could not write cache ${cachePath}: ${e.message}`);
+    }
+}
 
-                for(const m3uSource of m3uSourceProviders) {
-                    const uniqueChannelId = `${m3uSource.id}_${originalChannelId}`;
+/**
+ * NEW: Records an EPG source's programmes as JSON lines of [channelIds, programme] while its XML is
+ * parsed, so an unchanged EPG can be replayed into the merge without parsing it again.
+ * The cache only becomes valid once finish() writes its fingerprint.
+ * @param {{programmes: string, programmesMeta: string}} paths - From getSourceCachePaths('epg', id).
+ */
+function createProgrammeCacheWriter(paths) {
+    const FLUSH_THRESHOLD_BYTES = 1024 * 1024;
+    const tempPath = `${paths.programmes}.part`;
+    fs.rmSync(paths.programmesMeta, { force: true });
+    const fd = fs.openSync(tempPath, 'w');
+    let pending = [];
+    let pendingBytes = 0;
+    let closed = false;
+
+    const flush = () => {
+        if (pendingBytes === 0) return;
+        fs.writeSync(fd, pending.join(''));
+        pending = [];
+        pendingBytes = 0;
+    };
 
-                    if (!mergedProgramData[uniqueChannelId]) {
-                        mergedProgramData[uniqueChannelId] = [];
-                    }
+    return {
+        add(channelIds, programme) {
+            const line = `${JSON.stringify([channelIds, programme])}\n`;
+            pending.push(line);
+            pendingBytes += line.length;
+            if (pendingBytes >= FLUSH_THRESHOLD_BYTES) flush();
+        },
+        finish(fingerprint, info) {
+            flush();
+            closed = true;
+            fs.closeSync(fd);
+            fs.renameSync(tempPath, paths.programmes);
+            writeSourceCache(paths.programmesMeta, { fingerprint, ...info });
+        },
+        discard() {
+            if (closed) return;
+            closed = true;
+            fs.closeSync(fd);
+            fs.unlink(tempPath, () => {});
+        },
+    };
+}
 
-                    const titleNode = prog.title && prog.title._cdata ? prog.title._cdata : (prog.title?._text || 'No Title');
-                    const descNode = prog.desc && prog.desc._cdata ? prog.desc._cdata : (prog.desc?._text || '');
+/**
+ * NEW: Streams a programme cache back, calling onProgramme(channelIds, programme) for every entry.
+ */
+async function replayProgrammeCache(paths, onProgramme) {
+    const lines = readline.createInterface({ input: fs.createReadStream(paths.programmes), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line) continue;
+        const [channelIds, programme] = JSON.parse(line);
+        onProgramme(channelIds, programme);
+    }
+}
 
-                    mergedProgramData[uniqueChannelId].push({
-                        start: parseEpgTime(prog._attributes.start, timezoneOffset).toISOString(),
-                        stop: parseEpgTime(prog._attributes.stop, timezoneOffset).toISOString(),
-                        title: titleNode.trim(),
-                        desc: descNode.trim()
-                    });
-                }
-            }
-            if (!source.isXcEpg) {
-                 source.status = 'Success';
-                 source.statusMessage = `Processed ${programCount} programs successfully.`; // <-- MODIFIED
-                 console.log(`[EPG] Source "${source.name}" processed successfully from ${source.path}.`);
-            }
-            sendProcessingStatus(req, ` -> Processed ${programCount} programs from "${source.name}".`, 'info'); // <-- NEW
+// --- NEW: Xtream Codes API client (player_api.php) ---
+const XC_FETCH_OPTIONS = { headers: { 'User-Agent': 'VLC/3.0.20 (Linux; x86_64)' } };
 
-        } catch (error) {
-            const errorMsg = `Failed to process source "${source.name}" from ${source.path}: ${error.message}`; // <-- NEW
-            console.error(`[EPG] ${errorMsg}`); // <-- MODIFIED
-            sendProcessingStatus(req, `Error: ${errorMsg}`, 'error'); // <-- NEW
-             if (!source.isXcEpg) {
-                 source.status = 'Error';
-                 source.statusMessage = `Processing failed: ${error.message.substring(0, 100)}...`;
-             }
-        }
-         if (!source.isXcEpg) {
-            source.lastUpdated = new Date().toISOString();
-         }
-    }
-    for (const channelId in mergedProgramData) {
-        mergedProgramData[channelId].sort((a, b) => new Date(a.start) - new Date(b.start));
-    }
+/**
+ * NEW: Builds a player_api.php URL for an XC source.
+ * @param {{server: string, username: string, password: string}} xcInfo - The source's parsed xc_data.
+ * @param {string|null} action - The API action (e.g. 'get_live_streams'), or null for account info.
+ * @param {object} [params] - Extra query parameters.
+ */
+function buildXcApiUrl(xcInfo, action, params = {}) {
+    const url = new URL(`${xcInfo.server.replace(/\/+$/, '')}/player_api.php`);
+    url.searchParams.set('username', xcInfo.username);
+    url.searchParams.set('password', xcInfo.password);
+    if (action) url.searchParams.set('action', action);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.href;
+}
+
+/**
+ * NEW: Calls player_api.php and parses the JSON reply. The reply goes through a temporary file so
+ * large stream lists are decompressed the same way as any other source.
+ * @returns {Promise<any>} The parsed reply.
+ */
+async function fetchXcApi(xcInfo, action, params = {}, fetchOptions = XC_FETCH_OPTIONS) {
+    const tempPath = path.join(SOURCES_DIR, `xc_api_${crypto.randomBytes(6).toString('hex')}.json`);
     try {
-        fs.writeFileSync(MERGED_EPG_JSON_PATH, JSON.stringify(mergedProgramData));
-        console.log(`[EPG] Merged EPG JSON content saved to ${MERGED_EPG_JSON_PATH}.`);
-        sendProcessingStatus(req, `Successfully merged all EPG sources.`, 'success'); // <-- NEW
-    } catch (writeErr) {
-        console.error(`[EPG] Error writing merged EPG JSON file: ${writeErr.message}`);
-        sendProcessingStatus(req, `Error writing merged EPG JSON file: ${writeErr.message}`, 'error'); // <-- NEW
+        await fetchUrlToFile(buildXcApiUrl(xcInfo, action, params), tempPath, fetchOptions);
+        const { content } = await readSourceText(tempPath);
+        try {
+            return JSON.parse(content);
+        } catch (e) {
+            throw new Error(`XC API returned an invalid reply for ${action || 'account info'}.`);
+        }
+    } finally {
+        fs.unlink(tempPath, () => {});
     }
+}
 
-    settings.sourcesLastUpdated = new Date().toISOString();
-    console.log(`[PROCESS] Finished processing. New 'sourcesLastUpdated' timestamp: ${settings.sourcesLastUpdated}`);
-    sendProcessingStatus(req, 'All sources processed successfully!', 'final_success'); // <-- NEW
+/**
+ * NEW: Summarizes the user_info block of an XC account reply for the source table.
+ * @param {object} userInfo - The user_info object from player_api.php.
+ */
+function parseXcAccountInfo(userInfo = {}) {
+    const expSeconds = parseInt(userInfo.exp_date, 10);
+    return {
+        status: userInfo.status || 'Unknown',
+        expiresAt: expSeconds > 0 ? new Date(expSeconds * 1000).toISOString() : null,
+        maxConnections: parseInt(userInfo.max_connections, 10) || 0,
+        activeConnections: parseInt(userInfo.active_cons, 10) || 0,
+        isTrial: String(userInfo.is_trial) === '1',
+        checkedAt: new Date().toISOString()
+    };
+}
 
-    return { success: true, message: 'Sources merged successfully.', updatedSettings: settings };
+/**
+ * NEW: Builds an M3U playlist from the XC live categories and streams, so XC sources go through
+ * the same filter rules, overrides and channel ID handling as every other playlist.
+ * @param {object} xcInfo - The source's parsed xc_data.
+ * @param {Array<object>} categories - Reply of get_live_categories.
+ * @param {Array<object>} streams - Reply of get_live_streams.
+ */
+function buildXcPlaylist(xcInfo, categories, streams) {
+    const categoryNames = new Map((categories || []).map(c => [String(c.category_id), c.category_name]));
+    const server = xcInfo.server.replace(/\/+$/, '');
+    const attr = (value) => `${value ?? ''}`.replace(/"/g, "'").replace(/[\r\n]+/g, ' ').trim();
+    const lines = ['#EXTM3U'];
+    streams.forEach(stream => {
+        if (!stream.stream_id) return;
+        const name = attr(stream.name) || `Stream ${stream.stream_id}`;
+        const group = attr(categoryNames.get(String(stream.category_id))) || 'Uncategorized';
+        // NEW: Advertise the provider's archive so the guide can offer catch-up playback.
+        const archiveDays = parseInt(stream.tv_archive_duration, 10);
+        const catchup = Number(stream.tv_archive) === 1 && archiveDays > 0 ? ` catchup="xc" catchup-days="${archiveDays}"` : '';
+        lines.push(`#EXTINF:-1 tvg-id="${attr(stream.epg_channel_id)}" tvg-name="${name}" tvg-logo="${attr(stream.stream_icon)}" tvg-chno="${attr(stream.num)}" group-title="${group}"${catchup},${name}`);
+        lines.push(`${server}/live/${encodeURIComponent(xcInfo.username)}/${encodeURIComponent(xcInfo.password)}/${stream.stream_id}.ts`);
+    });
+    return lines.join('\n');
 }
 
-const updateAndScheduleSourceRefreshes = () => {
-    console.log('[SCHEDULER] Updating and scheduling all source refreshes...');
-    const settings = getSettings();
-    const allSources = [...(settings.m3uSources || []), ...(settings.epgSources || [])];
-    const activeUrlSources = new Set();
+// --- NEW: Movies & Series (VOD) library ---
+const VOD_URL_PATTERN = /\/(movie|series)\//i;
+const XC_VOD_URL_ID_PATTERN = /\/(?:movie|series)\/[^/]+\/[^/]+\/(\d+)\.\w+$/;
 
-    allSources.forEach(source => {
-        if (source.type === 'url' && source.isActive && source.refreshHours > 0) {
-            activeUrlSources.add(source.id);
-            if (sourceRefreshTimers.has(source.id)) {
-                clearTimeout(sourceRefreshTimers.get(source.id));
-            }
+/**
+ * NEW: Classifies a playlist entry by its stream URL.
+ * @returns {('movie'|'series'|null)} The VOD kind, or null for live channels.
+ */
+function classifyVodEntry(streamUrl) {
+    const match = (streamUrl || '').match(VOD_URL_PATTERN);
+    return match ? match[1].toLowerCase() : null;
+}
 
-            console.log(`[SCHEDULER] Scheduling refresh for "${source.name}" (ID: ${source.id}) every ${source.refreshHours} hours.`);
-            
-            const scheduleNext = () => {
-                const timeoutId = setTimeout(async () => {
-                    console.log(`[SCHEDULER_RUN] Auto-refresh triggered for "${source.name}".`);
-                    try {
-                        const result = await processAndMergeSources();
-                        if(result.success) {
-                            fs.writeFileSync(SETTINGS_PATH, JSON.stringify(result.updatedSettings, null, 2));
-                            console.log(`[SCHEDULER_RUN] Successfully refreshed and processed sources for "${source.name}".`);
-                        }
-                    } catch (error) {
-                        console.error(`[SCHEDULER_RUN] Auto-refresh for "${source.name}" failed:`, error.message);
-                    }
-                    scheduleNext();
-                }, source.refreshHours * 3600 * 1000);
+/**
+ * NEW: Splits an episode title such as "Show Name S01 E02 - Pilot" into its parts.
+ * @returns {{seriesName: string, season: number, episode: number, episodeTitle: string}|null}
+ */
+function parseVodEpisodeTitle(title) {
+    const match = (title || '').match(/^(.*?)[\s._-]*S(\d{1,3})[\s._-]*E(\d{1,4})\b[\s._:-]*(.*)$/i);
+    if (!match) return null;
+    return { seriesName: match[1].trim(), season: parseInt(match[2], 10), episode: parseInt(match[3], 10), episodeTitle: match[4].trim() };
+}
 
-                sourceRefreshTimers.set(source.id, timeoutId);
-            };
+const parseVodYear = (...values) => {
+    for (const value of values) {
+        const match = String(value || '').match(/\b(19\d{2}|20\d{2})\b/);
+        if (match) return parseInt(match[1], 10);
+    }
+    return null;
+};
 
-            scheduleNext();
-        }
-    });
+const stripVodYear = (name) => (name || '').replace(/\s*[([]\s*(19|20)\d{2}\s*[)\]]\s*$/, '').trim() || name;
+const hashVodKey = (value) => crypto.createHash('sha1').update(value || '').digest('hex').substring(0, 12);
 
-    for (const [sourceId, timeoutId] of sourceRefreshTimers.entries()) {
-        if (!activeUrlSources.has(sourceId)) {
-            console.log(`[SCHEDULER] Clearing obsolete refresh timer for source ID: ${sourceId}`);
-            clearTimeout(timeoutId);
-            sourceRefreshTimers.delete(sourceId);
-        }
+/**
+ * NEW: Creates the collector for one source's movies, series and episodes.
+ * @param {object} source - The M3U source.
+ * @param {boolean} [episodesIncluded=true] - False when episodes are fetched on demand (XC API),
+ * so a refresh keeps the episodes already fetched for series that still exist.
+ */
+function createVodCatalog(source, episodesIncluded = true) {
+    return { sourceId: source.id, sourceName: source.name, items: new Map(), episodes: [], episodesIncluded, unnumbered: new Map() };
+}
+
+/**
+ * NEW: Adds a movie or series episode found in an M3U playlist. XC style URLs keep the provider's
+ * stream ID so items match the ones read through the XC API.
+ */
+function addM3uVodEntry(catalog, kind, { name, group, logo, url }) {
+    const category = group || 'Uncategorized';
+    const xcIdMatch = url.match(XC_VOD_URL_ID_PATTERN);
+    const streamKey = xcIdMatch ? xcIdMatch[1] : hashVodKey(url);
+
+    if (kind === 'movie') {
+        const id = `${catalog.sourceId}_movie_${streamKey}`;
+        catalog.items.set(id, { id, type: 'movie', name: stripVodYear(name), category, poster: logo, year: parseVodYear(name), url, xcId: xcIdMatch ? xcIdMatch[1] : null });
+        return;
     }
-    console.log(`[SCHEDULER] Finished scheduling. Active timers: ${sourceRefreshTimers.size}`);
-};
-// ... existing helper functions ...
 
-// --- Authentication API Endpoints ---
-app.get('/api/auth/needs-setup', (req, res) => {
-    console.log('[AUTH_API] Received request for /api/auth/needs-setup');
-    db.get("SELECT COUNT(*) as count FROM users WHERE isAdmin = 1", [], (err, row) => {
-        if (err) {
-            console.error('[AUTH_API] Error checking admin user count:', err.message);
-            return res.status(500).json({ error: err.message });
-        }
-        const needsSetup = row.count === 0;
-        console.log(`[AUTH_API] Admin user count: ${row.count}. Needs setup: ${needsSetup}`);
-        res.json({ needsSetup });
+    const parsed = parseVodEpisodeTitle(name);
+    const seriesName = (parsed && parsed.seriesName) || name;
+    const seriesId = `${catalog.sourceId}_series_${hashVodKey(seriesName.toLowerCase())}`;
+    if (!catalog.items.has(seriesId)) {
+        catalog.items.set(seriesId, { id: seriesId, type: 'series', name: stripVodYear(seriesName), category, poster: logo, year: parseVodYear(seriesName) });
+    }
+    // Entries without an SxxEyy marker are numbered in playlist order.
+    const fallbackNumber = (catalog.unnumbered.get(seriesId) || 0) + 1;
+    if (!parsed) catalog.unnumbered.set(seriesId, fallbackNumber);
+    catalog.episodes.push({
+        id: `${catalog.sourceId}_episode_${streamKey}`,
+        seriesId,
+        season: parsed ? parsed.season : 1,
+        episode: parsed ? parsed.episode : fallbackNumber,
+        title: (parsed && parsed.episodeTitle) || name,
+        poster: logo,
+        url
     });
-});
+}
 
-app.post('/api/auth/setup-admin', (req, res) => {
-    console.log('[AUTH_API] Received request for /api/auth/setup-admin');
-    db.get("SELECT COUNT(*) as count FROM users", [], (err, row) => {
-        if (err) {
-            console.error('[AUTH_API] Error checking user count during admin setup:', err.message);
-            return res.status(500).json({ error: err.message });
-        }
-        if (row.count > 0) {
-            console.warn('[AUTH_API] Setup attempted but users already exist. Denying setup.');
-            return res.status(403).json({ error: "Setup has already been completed." });
-        }
-        
-        const { username, password } = req.body;
-        if (!username || !password) {
-            console.warn('[AUTH_API] Admin setup failed: Username and/or password missing.');
-            return res.status(400).json({ error: "Username and password are required." });
-        }
+/**
+ * NEW: Builds the playback URL of an XC movie or series episode.
+ * @param {object} xcInfo - The source's parsed xc_data.
+ * @param {('movie'|'series')} kind - The stream kind.
+ */
+function buildXcVodUrl(xcInfo, kind, streamId, extension) {
+    const server = xcInfo.server.replace(/\/+$/, '');
+    return `${server}/${kind}/${encodeURIComponent(xcInfo.username)}/${encodeURIComponent(xcInfo.password)}/${streamId}.${extension || 'mp4'}`;
+}
 
-        bcrypt.hash(password, saltRounds, (err, hash) => {
-            if (err) {
-                console.error('[AUTH_API] Error hashing password during admin setup:', err);
-                return res.status(500).json({ error: 'Error hashing password.' });
-            }
-            const adminPermissions = normalizePermissionsInput({}, true);
-            const permissionColumns = permissionsToColumnValues(adminPermissions);
-            const permissionColumnNames = Object.keys(permissionColumns);
-            const permissionPlaceholders = permissionColumnNames.map(() => '?').join(', ');
-            const insertSql = `INSERT INTO users (username, password, isAdmin, ${permissionColumnNames.join(', ')}) VALUES (?, ?, ?, ${permissionPlaceholders})`;
-            const insertParams = [username, hash, 1, ...permissionColumnNames.map((col) => permissionColumns[col])];
+/**
+ * NEW: Adds the movies and series listed by the XC API. Episodes are read later with get_series_info.
+ * @param {object} catalog - From createVodCatalog.
+ * @param {object} xcInfo - The source's parsed xc_data.
+ * @param {object} lists - Replies of get_vod_categories, get_vod_streams, get_series_categories and get_series.
+ */
+function addXcVodCatalog(catalog, xcInfo, { vodCategories, vodStreams, seriesCategories, series }) {
+    const categoryMap = (categories) => new Map((Array.isArray(categories) ? categories : []).map(c => [String(c.category_id), c.category_name]));
+    const vodCategoryNames = categoryMap(vodCategories);
+    const seriesCategoryNames = categoryMap(seriesCategories);
+    const toIsoDate = (seconds) => parseInt(seconds, 10) > 0 ? new Date(parseInt(seconds, 10) * 1000).toISOString() : null;
+
+    (Array.isArray(vodStreams) ? vodStreams : []).forEach(stream => {
+        if (!stream.stream_id) return;
+        const id = `${catalog.sourceId}_movie_${stream.stream_id}`;
+        catalog.items.set(id, {
+            id,
+            type: 'movie',
+            name: stripVodYear(stream.name || `Movie ${stream.stream_id}`),
+            category: vodCategoryNames.get(String(stream.category_id)) || 'Uncategorized',
+            poster: stream.stream_icon || '',
+            year: parseVodYear(stream.year, stream.name),
+            rating: stream.rating ? String(stream.rating) : null,
+            url: buildXcVodUrl(xcInfo, 'movie', stream.stream_id, stream.container_extension),
+            xcId: String(stream.stream_id),
+            addedAt: toIsoDate(stream.added)
+        });
+    });
 
-            db.run(insertSql, insertParams, function(err) {
-                if (err) {
-                    console.error('[AUTH_API] Error inserting admin user:', err.message);
-                    return res.status(500).json({ error: err.message });
-                }
-                req.session.userId = this.lastID;
-                req.session.username = username;
-                req.session.isAdmin = true;
-                const effectivePermissions = applyPermissionsToSession(req.session, adminPermissions, true);
-                console.log(`[AUTH_API] Admin user "${username}" created successfully (ID: ${this.lastID}). Session set.`);
-                res.json({ success: true, user: { id: req.session.userId, username: req.session.username, isAdmin: true, permissions: effectivePermissions } });
-            });
+    (Array.isArray(series) ? series : []).forEach(show => {
+        if (!show.series_id) return;
+        const id = `${catalog.sourceId}_series_${show.series_id}`;
+        catalog.items.set(id, {
+            id,
+            type: 'series',
+            name: stripVodYear(show.name || `Series ${show.series_id}`),
+            category: seriesCategoryNames.get(String(show.category_id)) || 'Uncategorized',
+            poster: show.cover || '',
+            plot: show.plot || null,
+            year: parseVodYear(show.releaseDate || show.release_date, show.name),
+            genre: show.genre || null,
+            rating: show.rating ? String(show.rating) : null,
+            xcId: String(show.series_id),
+            addedAt: toIsoDate(show.last_modified)
         });
     });
-});
+}
 
-app.post('/api/auth/login', (req, res) => {
-    console.log('[AUTH_API] Received request for /api/auth/login');
-    const { username, password } = req.body;
-    db.get("SELECT * FROM users WHERE username = ?", [username], (err, user) => {
-        if (err) {
-            console.error('[AUTH_API] Error querying user during login:', err.message);
-            return res.status(500).json({ error: err.message });
-        }
-        if (!user) {
-            console.warn(`[AUTH_API] Login failed for username "${username}": User not found.`);
-            return res.status(401).json({ error: "Invalid username or password." });
-        }
-        
-        bcrypt.compare(password, user.password, (err, result) => {
-            if (err) {
-                console.error('[AUTH_API] Error comparing password hash:', err);
-                return res.status(500).json({ error: 'Authentication error.' });
-            }
-            if (result) {
-                req.session.userId = user.id;
-                req.session.username = user.username;
-                req.session.isAdmin = user.isAdmin === 1;
-                const permissions = mapPermissionsFromRow(user, req.session.isAdmin);
-                const effectivePermissions = applyPermissionsToSession(req.session, permissions, req.session.isAdmin);
-                console.log(`[AUTH_API] User "${username}" (ID: ${user.id}) logged in successfully. Session set.`);
-                res.json({
-                    success: true,
-                    user: { id: user.id, username: user.username, isAdmin: req.session.isAdmin, permissions: effectivePermissions }
-                });
+/**
+ * NEW: Replaces a source's movies and series in the database with a freshly collected catalog.
+ */
+function replaceVodCatalog(catalog) {
+    const now = new Date().toISOString();
+    return new Promise((resolve, reject) => {
+        db.serialize(() => {
+            db.run('BEGIN TRANSACTION');
+            db.run("DELETE FROM vod_items WHERE source_id = ?", [catalog.sourceId]);
+            const itemStmt = db.prepare(`INSERT OR REPLACE INTO vod_items (id, source_id, source_name, type, name, category, poster, plot, year, genre, rating, url, xc_id, added_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+            catalog.items.forEach(i => itemStmt.run([i.id, catalog.sourceId, catalog.sourceName, i.type, i.name, i.category, i.poster || null, i.plot || null, i.year || null, i.genre || null, i.rating || null, i.url || null, i.xcId || null, i.addedAt || now]));
+            itemStmt.finalize();
+            if (catalog.episodesIncluded) {
+                db.run("DELETE FROM vod_episodes WHERE source_id = ?", [catalog.sourceId]);
             } else {
-                console.warn(`[AUTH_API] Login failed for username "${username}": Incorrect password.`);
-                res.status(401).json({ error: "Invalid username or password." });
+                db.run("DELETE FROM vod_episodes WHERE source_id = ? AND series_id NOT IN (SELECT id FROM vod_items WHERE source_id = ?)", [catalog.sourceId, catalog.sourceId]);
             }
+            const episodeStmt = db.prepare(`INSERT OR REPLACE INTO vod_episodes (id, series_id, source_id, season, episode, title, poster, url) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+            catalog.episodes.forEach(e => episodeStmt.run([e.id, e.seriesId, catalog.sourceId, e.season, e.episode, e.title, e.poster || null, e.url]));
+            episodeStmt.finalize();
+            db.run('COMMIT', (err) => err ? reject(err) : resolve());
         });
     });
-});
+}
 
-app.post('/api/auth/logout', (req, res) => {
-    console.log('[AUTH_API] Received request for /api/auth/logout');
-    const username = req.session.username || 'unknown';
-    req.session.destroy(err => {
-        if (err) {
-            console.error(`[AUTH_API] Error destroying session for user ${username}:`, err);
-            return res.status(500).json({ error: 'Could not log out.' });
+// --- EPG Parsing and Caching Logic ---
+
+// NEW: Offsets of IANA zones, cached per 15 minutes of UTC time (zone transitions fall on quarter hours).
+const zoneOffsetCache = new Map();
+const zoneFormatters = new Map();
+const ZONE_OFFSET_BUCKET_MS = 15 * 60 * 1000;
+
+/**
+ * NEW: Returns a zone's offset from UTC in minutes at a given instant, following its DST rules.
+ * @param {string} timeZone - An IANA zone name, e.g. 'Europe/Rome'.
+ * @param {number} utcMs - The instant.
+ */
+function getZoneOffsetMinutes(timeZone, utcMs) {
+    const bucket = Math.floor(utcMs / ZONE_OFFSET_BUCKET_MS);
+    const cacheKey = `${timeZone}|${bucket}`;
+    if (zoneOffsetCache.has(cacheKey)) return zoneOffsetCache.get(cacheKey);
+
+    if (!zoneFormatters.has(timeZone)) {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+        }));
+    }
+    const instant = bucket * ZONE_OFFSET_BUCKET_MS;
+    const parts = Object.fromEntries(zoneFormatters.get(timeZone).formatToParts(new Date(instant)).map(p => [p.type, p.value]));
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    const offset = Math.round((localAsUtc - instant) / 60000);
+
+    if (zoneOffsetCache.size > 50000) zoneOffsetCache.clear();
+    zoneOffsetCache.set(cacheKey, offset);
+    return offset;
+}
+
+/**
+ * NEW: Checks that a time zone name is one the server's Intl data knows.
+ * @param {string} timeZone - The zone name.
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * NEW: Returns how an EPG source's programme times are read: its own IANA zone (or the global offset)
+ * for times without a zone, plus its manual shift.
+ * @param {object} source - The EPG source.
+ * @param {object} settings - The current settings.
+ * @returns {{offsetHours: number, timeZone: (string|null), shiftMinutes: number}}
+ */
+function getEpgTimeOptions(source, settings) {
+    return {
+        offsetHours: settings.timezoneOffset || 0,
+        timeZone: source.timezone || null,
+        shiftMinutes: source.timeShiftMinutes || 0,
+    };
+}
+
+/**
+ * Parses an XMLTV time ("20240101120000 +0100") into a Date.
+ * MODIFIED: Times without a zone are read in the source's IANA zone when it has one, otherwise with the
+ * global offset. The source's manual shift is then added to every time, zoned or not.
+ * @param {string} timeStr - The XMLTV time.
+ * @param {{offsetHours: number, timeZone: (string|null), shiftMinutes: number}|number} timeOptions - From getEpgTimeOptions, or a plain offset in hours.
+ */
+const parseEpgTime = (timeStr, timeOptions = 0) => {
+    const { offsetHours = 0, timeZone = null, shiftMinutes = 0 } = typeof timeOptions === 'number' ? { offsetHours: timeOptions } : timeOptions;
+    const match = timeStr.match(/(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\s*(([+-])(\d{2})(\d{2}))?/);
+    if (!match) {
+        console.warn(`[EPG_PARSE] Invalid time format encountered: ${timeStr}`);
+        return new Date();
+    }
+    
+    const [ , year, month, day, hours, minutes, seconds, , sign, tzHours, tzMinutes] = match;
+    let date;
+    if (sign && tzHours && tzMinutes) {
+        const epgOffsetMinutes = (parseInt(tzHours) * 60 + parseInt(tzMinutes)) * (sign === '+' ? 1 : -1);
+        date = new Date(Date.UTC(year, parseInt(month) - 1, day, hours, minutes, seconds));
+        date.setUTCMinutes(date.getUTCMinutes() - epgOffsetMinutes);
+    } else if (timeZone) {
+        // The offset is looked up at the wall-clock time read as UTC, then again at the corrected instant,
+        // which gets times right on both sides of a DST change.
+        const localAsUtc = Date.UTC(year, parseInt(month) - 1, day, hours, minutes, seconds);
+        let utcMs = localAsUtc - getZoneOffsetMinutes(timeZone, localAsUtc) * 60000;
+        utcMs = localAsUtc - getZoneOffsetMinutes(timeZone, utcMs) * 60000;
+        date = new Date(utcMs);
+    } else {
+        date = new Date(Date.UTC(year, parseInt(month) - 1, day, hours, minutes, seconds));
+        date.setUTCHours(date.getUTCHours() - offsetHours);
+    }
+    if (shiftMinutes) date.setUTCMinutes(date.getUTCMinutes() + shiftMinutes);
+    return date;
+};
+
+/**
+ * NEW: Returns the trimmed text of the first child element with the given name.
+ * @param {object} node - An element node produced by streamXmltvFile.
+ * @param {string} childName - The child element to look for (e.g. 'title').
+ */
+const getXmltvChildText = (node, childName) => {
+    const child = node.children.find(c => c.name === childName);
+    return child ? child.text.trim() : '';
+};
+
+/**
+ * NEW: Parses a (possibly compressed) XMLTV file as a stream using SAX, handing each top-level <channel> and
+ * <programme> element to a callback as soon as it is closed. Only the element currently
+ * being parsed is held in memory, so arbitrarily large guides can be ingested.
+ * @param {string} filePath - Path to the XMLTV file on disk.
+ * @param {object} handlers - { onProgramme(node), onChannel(node), stopAtProgrammes }. Nodes are
+ *   { name, attributes, text, children }. With stopAtProgrammes the read is abandoned at the first
+ *   <programme>, which makes scanning the <channel> list of a huge guide cheap.
+ * @returns {Promise<{compression: (string|null), compressedSize: number, decompressedSize: number}>}
+ *   Resolves with the file's size information once the whole document has been read.
+ */
+function streamXmltvFile(filePath, { onProgramme, onChannel, stopAtProgrammes = false } = {}) {
+    return new Promise((resolve, reject) => {
+        let opened;
+        try {
+            opened = openSourceStream(filePath); // MODIFIED: Transparently handles .gz / .xz / .zip
+        } catch (err) {
+            return reject(err);
         }
-        res.clearCookie('connect.sid');
-        console.log(`[AUTH_API] User ${username} logged out. Session destroyed.`);
-        res.json({ success: true });
-    });
-});
+        const input = opened.stream;
+        let decompressedSize = 0;
+        input.on('data', (chunk) => { decompressedSize += chunk.length; });
+        const parser = sax.createStream(false, { lowercase: true, trim: false, normalize: false });
+        const stack = [];
+        let warningCount = 0;
+        let settled = false;
+
+        const fail = (err) => {
+            if (settled) return;
+            settled = true;
+            input.destroy();
+            reject(err);
+        };
 
-app.get('/api/auth/status', (req, res) => {
-    console.log(`[AUTH_API] GET /api/auth/status - Checking session ID: ${req.sessionID}`);
-    if (req.session && req.session.userId) {
-        const respond = (permissions) => {
-            console.log(`[AUTH_API_STATUS] Valid session found for user "${req.session.username}" (ID: ${req.session.userId}). Responding with isLoggedIn: true.`);
-            res.json({ isLoggedIn: true, user: { id: req.session.userId, username: req.session.username, isAdmin: req.session.isAdmin, permissions } });
+        parser.on('opentag', (tag) => {
+            if (settled) return;
+            if (stopAtProgrammes && stack.length === 0 && tag.name === 'programme') {
+                settled = true;
+                input.destroy();
+                return resolve({ compression: opened.compression, compressedSize: opened.compressedSize, decompressedSize });
+            }
+            if (stack.length === 0 && tag.name !== 'programme' && tag.name !== 'channel') return;
+            const node = { name: tag.name, attributes: tag.attributes, text: '', children: [] };
+            if (stack.length > 0) stack[stack.length - 1].children.push(node);
+            stack.push(node);
+        });
+
+        const appendText = (text) => {
+            if (stack.length > 0) stack[stack.length - 1].text += text;
         };
+        parser.on('text', appendText);
+        parser.on('cdata', appendText);
 
-        if (req.session.permissions) {
-            return respond(req.session.permissions);
-        }
+        parser.on('closetag', () => {
+            if (settled || stack.length === 0) return;
+            const node = stack.pop();
+            if (stack.length > 0) return;
+            try {
+                if (node.name === 'programme' && onProgramme) onProgramme(node);
+                else if (node.name === 'channel' && onChannel) onChannel(node);
+            } catch (err) {
+                fail(err);
+            }
+        });
 
-        const selectSql = `
-            SELECT isAdmin, canUseDvr, canAccessPopular, canAccessChannels,
-                   canAccessGuide, canAccessMultiView, canAccessDirectPlayer, canAccessNotifications
-            FROM users
-            WHERE id = ?
-        `;
-        db.get(selectSql, [req.session.userId], (err, row) => {
-            if (err || !row) {
-                console.warn(`[AUTH_API_STATUS] Could not refresh permissions for session user ID ${req.session.userId}. Error: ${err?.message}`);
-                const fallback = req.session.isAdmin ? ADMIN_PERMISSIONS : { ...DEFAULT_USER_PERMISSIONS };
-                applyPermissionsToSession(req.session, fallback, req.session.isAdmin);
-                return respond(req.session.permissions);
+        // Real-world XMLTV is often slightly malformed; log and keep going instead of aborting the whole file.
+        parser.on('error', (err) => {
+            if (warningCount++ < 5) {
+                console.warn(`[EPG_PARSE] Recoverable XML error in ${path.basename(filePath)}: ${err.message.split('\n')[0]}`);
             }
-            const permissions = mapPermissionsFromRow(row, row.isAdmin === 1);
-            applyPermissionsToSession(req.session, permissions, row.isAdmin === 1);
-            respond(req.session.permissions);
+            parser._parser.error = null;
+            parser._parser.resume();
         });
-    } else {
-        console.log('[AUTH_API_STATUS] No valid session found. Responding with isLoggedIn: false.');
-        res.json({ isLoggedIn: false });
+
+        parser.on('end', () => {
+            if (settled) return;
+            settled = true;
+            resolve({ compression: opened.compression, compressedSize: opened.compressedSize, decompressedSize });
+        });
+
+        input.on('error', fail);
+        input.pipe(parser);
+    });
+}
+
+/**
+ * NEW: Parses an XMLTV episode number into 1-based season/episode numbers.
+ * Supports the zero-based "xmltv_ns" system ("1.4/10.0/1") and common onscreen forms ("S02E05").
+ * @param {string} system - The episode-num system attribute.
+ * @param {string} value - The episode-num text.
+ * @returns {{season: (number|undefined), episode: (number|undefined)}}
+ */
+function parseEpisodeNum(system, value) {
+    if (system === 'xmltv_ns') {
+        const [seasonPart = '', episodePart = ''] = value.replace(/\s/g, '').split('.');
+        const season = parseInt(seasonPart.split('/')[0], 10);
+        const episode = parseInt(episodePart.split('/')[0], 10);
+        return {
+            season: Number.isNaN(season) ? undefined : season + 1,
+            episode: Number.isNaN(episode) ? undefined : episode + 1
+        };
     }
-});
-// ... existing User Management API Endpoints ...
-app.get('/api/users', requireAdmin, (req, res) => {
-    console.log('[USER_API] Fetching all users.');
-    const selectSql = `
-        SELECT id, username, isAdmin, canUseDvr, canAccessPopular, canAccessChannels, canAccessGuide,
-               canAccessMultiView, canAccessDirectPlayer, canAccessNotifications
-        FROM users
-        ORDER BY username
-    `;
-    db.all(selectSql, [], (err, rows) => {
-        if (err) {
-            console.error('[USER_API] Error fetching users:', err.message);
-            return res.status(500).json({ error: err.message });
+    const match = value.match(/S(\d+)\s*[-.:]?\s*E(\d+)/i);
+    return match ? { season: parseInt(match[1], 10), episode: parseInt(match[2], 10) } : {};
+}
+
+/**
+ * NEW: Converts a parsed <programme> node into the compact entry stored in epg.json.
+ * Optional XMLTV metadata is only included when present to keep the file small.
+ * @param {object} prog - A programme node produced by streamXmltvFile.
+ * @param {object} timeOptions - How the source's times are read (see getEpgTimeOptions).
+ */
+function buildProgrammeEntry(prog, timeOptions) {
+    const entry = {
+        start: parseEpgTime(prog.attributes.start, timeOptions).toISOString(),
+        stop: parseEpgTime(prog.attributes.stop, timeOptions).toISOString(),
+        title: getXmltvChildText(prog, 'title') || 'No Title',
+        desc: getXmltvChildText(prog, 'desc')
+    };
+    const children = (name) => prog.children.filter(c => c.name === name);
+
+    const subTitle = getXmltvChildText(prog, 'sub-title');
+    if (subTitle) entry.subTitle = subTitle;
+
+    const categories = [...new Set(children('category').map(c => c.text.trim()).filter(Boolean))];
+    if (categories.length > 0) entry.categories = categories;
+
+    // Prefer the provider's onscreen label, but take season/episode numbers from whichever system has them.
+    const episodeNums = children('episode-num').map(c => ({ system: (c.attributes.system || 'onscreen').toLowerCase(), value: c.text.trim() })).filter(e => e.value);
+    if (episodeNums.length > 0) {
+        const onscreen = episodeNums.find(e => e.system === 'onscreen');
+        for (const { system, value } of episodeNums) {
+            const { season, episode } = parseEpisodeNum(system, value);
+            if (entry.season === undefined && season !== undefined) entry.season = season;
+            if (entry.episode === undefined && episode !== undefined) entry.episode = episode;
         }
-        console.log(`[USER_API] Found ${rows.length} users.`);
-        res.json(rows.map(buildUserResponse));
-    });
-});
+        if (onscreen) entry.episodeLabel = onscreen.value;
+        else if (entry.season !== undefined || entry.episode !== undefined) {
+            entry.episodeLabel = [entry.season !== undefined ? `S${entry.season}` : '', entry.episode !== undefined ? `E${entry.episode}` : ''].filter(Boolean).join(' ');
+        }
+    }
 
-app.post('/api/users', requireAdmin, (req, res) => {
-    console.log('[USER_API] Adding new user.');
-    const { username, password, isAdmin } = req.body;
-    if (!username || !password) {
-        console.warn('[USER_API] Add user failed: Username and/or password missing.');
-        return res.status(400).json({ error: "Username and password are required." });
+    const icon = children('icon').find(c => c.attributes.src);
+    if (icon) entry.icon = icon.attributes.src;
+
+    const rating = children('rating').map(c => getXmltvChildText(c, 'value')).find(Boolean);
+    if (rating) entry.rating = rating;
+
+    const starRating = children('star-rating').map(c => getXmltvChildText(c, 'value')).find(Boolean);
+    if (starRating) entry.starRating = starRating;
+
+    if (children('previously-shown').length > 0) entry.previouslyShown = true;
+    if (children('new').length > 0) entry.isNew = true;
+    if (children('premiere').length > 0) entry.premiere = true;
+
+    const creditsNode = children('credits')[0];
+    if (creditsNode && creditsNode.children.length > 0) {
+        const credits = {};
+        creditsNode.children.forEach(person => {
+            const name = person.text.trim();
+            if (!name) return;
+            const label = person.name === 'actor' && person.attributes.role ? `${name} (${person.attributes.role})` : name;
+            (credits[person.name] = credits[person.name] || []).push(label);
+        });
+        if (Object.keys(credits).length > 0) entry.credits = credits;
     }
 
-    const requestedPermissions = extractPermissionsFromBody(req.body);
-    const normalizedPermissions = normalizePermissionsInput(requestedPermissions, !!isAdmin);
-    const permissionColumns = permissionsToColumnValues(normalizedPermissions);
-    const permissionColumnNames = Object.keys(permissionColumns);
-    const permissionPlaceholders = permissionColumnNames.map(() => '?').join(', ');
-    const insertSql = `INSERT INTO users (username, password, isAdmin, ${permissionColumnNames.join(', ')}) VALUES (?, ?, ?, ${permissionPlaceholders})`;
+    return entry;
+}
 
-    bcrypt.hash(password, saltRounds, (err, hash) => {
-        if (err) {
-            console.error('[USER_API] Error hashing password for new user:', err);
-            return res.status(500).json({ error: 'Error hashing password' });
+// NEW: Gaps shorter than this between programmes are not reported (sources rarely line up to the second).
+const EPG_GAP_MIN_MS = 5 * 60 * 1000;
+const EPG_SPOOL_ENTRY_SIZE = 5; // startMs, stopMs, offset, length, source rank
+
+/**
+ * NEW: Picks the programmes a channel shows when several EPG sources cover it. Programmes of the
+ * highest-priority source are always kept. A lower-priority source's programme is clipped to the time
+ * the sources above it leave uncovered, so it never overlaps them: one reaching into a gap is shortened,
+ * one spanning covered time is split into a piece per gap (appended to `entries`), and pieces shorter
+ * than EPG_GAP_MIN_MS are dropped.
+ * @param {number[]} entries - The channel's spool entries (see EPG_SPOOL_ENTRY_SIZE). Clipped entries
+ *   get their new start and stop times.
+ * @param {number[]} order - Entry positions sorted by start time.
+ * @returns {number[]} The kept entry positions, sorted by start time.
+ */
+function resolveEpgSourcePriority(entries, order) {
+    const byRank = new Map();
+    order.forEach(i => {
+        const rank = entries[i + 4];
+        if (!byRank.has(rank)) byRank.set(rank, []);
+        byRank.get(rank).push(i);
+    });
+    if (byRank.size === 1) return order;
+
+    let covered = []; // Disjoint, sorted [start, stop] pairs already taken by higher-priority sources
+    const getUncoveredParts = (start, stop) => {
+        // Skips to the first covered interval ending after `start`.
+        let low = 0;
+        let high = covered.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (covered[mid][1] <= start) low = mid + 1;
+            else high = mid;
         }
-        const paramsWithHash = [username, hash, isAdmin ? 1 : 0, ...permissionColumnNames.map((col) => permissionColumns[col])];
-        db.run(insertSql, paramsWithHash, function (err) {
-            if (err) {
-                console.error('[USER_API] Error inserting new user:', err.message);
-                return res.status(400).json({ error: "Username already exists." });
-            }
-            console.log(`[USER_API] User "${username}" added successfully (ID: ${this.lastID}).`);
-            res.json({ success: true, id: this.lastID });
+        const parts = [];
+        let cursor = start;
+        for (let k = low; k < covered.length && covered[k][0] < stop; k++) {
+            if (covered[k][0] > cursor) parts.push([cursor, covered[k][0]]);
+            cursor = Math.max(cursor, covered[k][1]);
+        }
+        if (cursor < stop) parts.push([cursor, stop]);
+        return parts;
+    };
+
+    const kept = [];
+    [...byRank.keys()].sort((a, b) => a - b).forEach((rank, rankIndex) => {
+        const accepted = [];
+        byRank.get(rank).forEach(i => {
+            if (rankIndex === 0) return accepted.push(i);
+            const [start, stop] = [entries[i], entries[i + 1]];
+            let parts = getUncoveredParts(start, stop);
+            if (parts.length === 1 && parts[0][0] === start && parts[0][1] === stop) return accepted.push(i);
+            parts = parts.filter(([partStart, partStop]) => partStop - partStart >= EPG_GAP_MIN_MS);
+            parts.forEach(([partStart, partStop], k) => {
+                let position = i;
+                if (k > 0) {
+                    position = entries.length;
+                    entries.push(...entries.slice(i, i + EPG_SPOOL_ENTRY_SIZE));
+                }
+                entries[position] = partStart;
+                entries[position + 1] = partStop;
+                accepted.push(position);
+            });
         });
+        kept.push(...accepted);
+        covered = mergeIntervals([...covered, ...accepted.map(i => [entries[i], entries[i + 1]])]);
     });
-});
-
-app.put('/api/users/:id', requireAdmin, (req, res) => {
-    const { id } = req.params;
-    const { username, password, isAdmin } = req.body;
-    const requestedPermissions = extractPermissionsFromBody(req.body);
-    const normalizedPermissions = normalizePermissionsInput(requestedPermissions, !!isAdmin);
-    const permissionColumns = permissionsToColumnValues(normalizedPermissions);
-    const permissionColumnNames = Object.keys(permissionColumns);
-    const permissionAssignments = permissionColumnNames.map((col) => `${col} = ?`).join(', ');
+    return kept.sort((a, b) => entries[a] - entries[b]);
+}
 
-    console.log(`[USER_API] Updating user ID: ${id}. Username: ${username}, IsAdmin: ${isAdmin}`);
+/**
+ * NEW: Merges overlapping or touching [start, stop] intervals.
+ * @param {Array<number[]>} intervals - The intervals, in any order.
+ * @returns {Array<number[]>} Disjoint intervals sorted by start.
+ */
+function mergeIntervals(intervals) {
+    const merged = [];
+    intervals.sort((a, b) => a[0] - b[0]).forEach(([start, stop]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) last[1] = Math.max(last[1], stop);
+        else merged.push([start, stop]);
+    });
+    return merged;
+}
 
-    const finalizeSessionUpdate = () => {
-        if (req.session.userId == id) {
-            req.session.username = username;
-            req.session.isAdmin = !!isAdmin;
-            applyPermissionsToSession(req.session, normalizedPermissions, !!isAdmin);
-            console.log(`[USER_API] Current user's session (ID: ${id}) updated.`);
+/**
+ * NEW: Summarizes a channel's guide data from now on: hours covered and the next gap.
+ * @param {Array<number[]>} intervals - The channel's merged programme intervals.
+ * @param {number} now - The time the report is made for.
+ * @returns {{hours: number, nextGap: ({start: string, end: string}|null)}} nextGap is null when the guide
+ *   has no gap before it ends.
+ */
+function summarizeEpgCoverage(intervals, now) {
+    let coveredMs = 0;
+    let cursor = now;
+    let nextGap = null;
+    for (const [start, stop] of intervals) {
+        if (stop <= now) continue;
+        coveredMs += stop - Math.max(start, now);
+        if (!nextGap && start - cursor >= EPG_GAP_MIN_MS) {
+            nextGap = { start: new Date(cursor).toISOString(), end: new Date(start).toISOString() };
         }
+        cursor = Math.max(cursor, stop);
+    }
+    return { hours: Math.round(coveredMs / 360000) / 10, nextGap };
+}
+
+/**
+ * NEW: Creates an on-disk spool for merged EPG programmes. Programmes are appended to a
+ * temporary file as they are parsed and only a compact per-channel index (start and stop time,
+ * byte offset, length, source) is kept in memory. writeJson() then streams the final epg.json
+ * channel by channel, sorted by start time, and returns where each channel's list landed in it.
+ * MODIFIED: Sources must be added in priority order, highest first. When several sources cover a
+ * channel, the lower ones only fill its gaps (see resolveEpgSourcePriority).
+ * @param {string} spoolPath - Path of the temporary spool file.
+ */
+function createEpgSpool(spoolPath) {
+    const FLUSH_THRESHOLD_BYTES = 1024 * 1024;
+    const fd = fs.openSync(spoolPath, 'w+');
+    const index = new Map(); // channelId -> flat array of entries (see EPG_SPOOL_ENTRY_SIZE)
+    const sourceRanks = new Map(); // NEW: sourceId -> rank, in the order sources were first added
+    const coverage = new Map(); // NEW: channelId -> { programmes, endsAt, hours, nextGap, sources }, filled by writeJson
+    let pending = [];
+    let pendingBytes = 0;
+    let offset = 0;
+    let closed = false;
+
+    const flush = () => {
+        if (pendingBytes === 0) return;
+        fs.writeSync(fd, pending.join(''));
+        pending = [];
+        pendingBytes = 0;
     };
 
-    const updateUser = () => {
-        if (password) {
-            bcrypt.hash(password, saltRounds, (err, hash) => {
-                if (err) {
-                    console.error('[USER_API] Error hashing password during user update:', err);
-                    return res.status(500).json({ error: 'Error hashing password' });
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        fs.closeSync(fd);
+        fs.unlink(spoolPath, () => {});
+    };
+
+    return {
+        get channelCount() { return index.size; },
+
+        /**
+         * Appends a programme once and references it from every channel ID it belongs to.
+         * @param {string[]} channelIds - The merged channel IDs that should show this programme.
+         * @param {object} program - The programme entry as it should appear in epg.json.
+         * @param {string} sourceId - NEW: The EPG source the programme comes from.
+         */
+        add(channelIds, program, sourceId) {
+            if (channelIds.length === 0) return;
+            const json = JSON.stringify(program);
+            const length = Buffer.byteLength(json);
+            const startMs = Date.parse(program.start);
+            const stopMs = Date.parse(program.stop);
+            if (!sourceRanks.has(sourceId)) sourceRanks.set(sourceId, sourceRanks.size);
+            const rank = sourceRanks.get(sourceId);
+            for (const channelId of channelIds) {
+                let entries = index.get(channelId);
+                if (!entries) {
+                    entries = [];
+                    index.set(channelId, entries);
                 }
-                const updateSql = `UPDATE users SET username = ?, password = ?, isAdmin = ?, ${permissionAssignments} WHERE id = ?`;
-                const params = [username, hash, isAdmin ? 1 : 0, ...permissionColumnNames.map((col) => permissionColumns[col]), id];
-                db.run(updateSql, params, (err) => {
-                    if (err) {
-                        console.error(`[USER_API] Error updating user ${id} with new password:`, err.message);
-                        return res.status(500).json({ error: err.message });
-                    }
-                    finalizeSessionUpdate();
-                    console.log(`[USER_API] User ${id} updated successfully (with password change).`);
-                    res.json({ success: true });
-                });
+                entries.push(startMs, stopMs, offset, length, rank);
+            }
+            pending.push(json);
+            pendingBytes += length;
+            offset += length;
+            if (pendingBytes >= FLUSH_THRESHOLD_BYTES) flush();
+        },
+
+        /**
+         * Writes the spooled programmes to destPath as { channelId: [programmes] } and removes the spool.
+         * @param {string} destPath - The final epg.json path.
+         * @returns {Promise<{index: {epgSize: number, channels: object}, lookup: {epgSize: number, channels: object}}>}
+         *   MODIFIED: The epg.json index (see buildEpgIndexEntry) and programme lookup (see buildEpgLookupEntry).
+         */
+        async writeJson(destPath) {
+            flush();
+            const tempPath = `${spoolPath}.json`;
+            const out = fs.createWriteStream(tempPath);
+            const jsonIndex = {};
+            const lookup = {}; // NEW
+            let position = 0;
+            const write = (chunk) => new Promise((resolve, reject) => {
+                const onError = (err) => reject(err);
+                out.once('error', onError);
+                const ok = out.write(chunk, () => out.removeListener('error', onError));
+                if (ok) resolve();
+                else out.once('drain', resolve);
             });
-        } else {
-            const updateSql = `UPDATE users SET username = ?, isAdmin = ?, ${permissionAssignments} WHERE id = ?`;
-            const params = [username, isAdmin ? 1 : 0, ...permissionColumnNames.map((col) => permissionColumns[col]), id];
-            db.run(updateSql, params, (err) => {
-                if (err) {
-                    console.error(`[USER_API] Error updating user ${id} without password change:`, err.message);
-                    return res.status(500).json({ error: err.message });
-                }
-                finalizeSessionUpdate();
-                console.log(`[USER_API] User ${id} updated successfully (without password change).`);
-                res.json({ success: true });
-            });
-        }
-    };
-    
-    if (req.session.userId == id && !isAdmin) {
-        console.log(`[USER_API] Attempting to demote current admin user ${id}. Checking if last admin.`);
-         db.get("SELECT COUNT(*) as count FROM users WHERE isAdmin = 1", [], (err, row) => {
-            if (err) {
-                console.error('[USER_API] Error checking admin count for demotion:', err.message);
-                return res.status(500).json({ error: err.message });
-            }
-            if (row.count <= 1) {
-                console.warn(`[USER_API] Cannot demote user ${id}: They are the last administrator.`);
-                return res.status(403).json({error: "Cannot remove the last administrator."});
-            }
-            updateUser();
-         });
-    } else {
-        updateUser();
-    }
-});
 
-// MODIFIED: User deletion now terminates active streams and forces logout.
-app.delete('/api/users/:id', requireAdmin, (req, res) => {
-    const idToDelete = parseInt(req.params.id, 10);
-    console.log(`[USER_API] Deleting user ID: ${idToDelete}`);
-    if (req.session.userId == idToDelete) {
-        console.warn(`[USER_API] Attempted to delete own account for user ${idToDelete}.`);
-        return res.status(403).json({ error: "You cannot delete your own account." });
-    }
+            const sourceIdsByRank = [...sourceRanks.keys()];
+            const now = Date.now();
 
-    // --- NEW: Terminate active streams for the deleted user ---
-    let streamsKilled = 0;
-    for (const [streamKey, streamInfo] of activeStreamProcesses.entries()) {
-        if (streamInfo.userId === idToDelete) {
-            console.log(`[USER_DELETION] Found active stream for deleted user ${idToDelete}. Terminating PID: ${streamInfo.process.pid}.`);
             try {
-                streamInfo.process.kill('SIGKILL');
-                activeStreamProcesses.delete(streamKey);
-                streamsKilled++;
-            } catch (e) {
-                console.warn(`[USER_DELETION] Error killing stream process for user ${idToDelete}: ${e.message}`);
+                await write('{');
+                position = 1;
+                let first = true;
+                for (const [channelId, entries] of index) {
+                    let order = [];
+                    for (let i = 0; i < entries.length; i += EPG_SPOOL_ENTRY_SIZE) order.push(i);
+                    order.sort((a, b) => entries[a] - entries[b]);
+                    order = resolveEpgSourcePriority(entries, order); // NEW
+
+                    // NEW: Coverage of what the channel ends up showing.
+                    const sources = {};
+                    let lastStopMs = -Infinity;
+                    order.forEach(i => {
+                        const sourceId = sourceIdsByRank[entries[i + 4]];
+                        sources[sourceId] = (sources[sourceId] || 0) + 1;
+                        lastStopMs = Math.max(lastStopMs, entries[i + 1]);
+                    });
+                    coverage.set(channelId, {
+                        programmes: order.length,
+                        endsAt: new Date(lastStopMs).toISOString(),
+                        ...summarizeEpgCoverage(mergeIntervals(order.map(i => [entries[i], entries[i + 1]])), now),
+                        sources,
+                    });
+
+                    const programs = order.map(i => {
+                        const buffer = Buffer.alloc(entries[i + 3]);
+                        fs.readSync(fd, buffer, 0, buffer.length, entries[i + 2]);
+                        let text = buffer.toString('utf8');
+                        const program = JSON.parse(text);
+                        // NEW: Programmes clipped by resolveEpgSourcePriority are written with their new times.
+                        if (Date.parse(program.start) !== entries[i] || Date.parse(program.stop) !== entries[i + 1]) {
+                            program.start = new Date(entries[i]).toISOString();
+                            program.stop = new Date(entries[i + 1]).toISOString();
+                            text = JSON.stringify(program);
+                        }
+                        return { text, title: program.title };
+                    });
+                    const prefix = `${first ? '' : ','}${JSON.stringify(channelId)}:`;
+                    const list = `[${programs.map(p => p.text).join(',')}]`;
+                    await write(prefix + list);
+                    const offset = position + Buffer.byteLength(prefix);
+                    const length = Buffer.byteLength(list);
+                    jsonIndex[channelId] = buildEpgIndexEntry(offset, length, entries[order[0]], lastStopMs);
+                    // NEW: Each programme's place in the list, for now/next and search.
+                    let programOffset = offset + 1;
+                    lookup[channelId] = order.map((i, k) => {
+                        const programLength = Buffer.byteLength(programs[k].text);
+                        const entry = buildEpgLookupEntry(entries[i], entries[i + 1], programOffset, programLength, programs[k].title);
+                        programOffset += programLength + 1;
+                        return entry;
+                    });
+                    position = offset + length;
+                    first = false;
+                }
+                await write('}');
+                await new Promise((resolve, reject) => {
+                    out.once('error', reject);
+                    out.end(resolve);
+                });
+                fs.renameSync(tempPath, destPath);
+                return { index: { epgSize: position + 1, channels: jsonIndex }, lookup: { epgSize: position + 1, channels: lookup } };
+            } catch (err) {
+                out.destroy();
+                fs.unlink(tempPath, () => {});
+                throw err;
+            } finally {
+                close();
             }
-        }
-    }
-    if (streamsKilled > 0) {
-        console.log(`[USER_DELETION] Terminated ${streamsKilled} active stream(s) for deleted user ${idToDelete}.`);
-    }
+        },
 
-    // --- NEW: Force logout via SSE ---
-    sendSseEvent(idToDelete, 'force-logout', { reason: 'Your account has been deleted by an administrator.' });
-    
-    db.run("DELETE FROM users WHERE id = ?", idToDelete, function(err) {
-        if (err) {
-            console.error(`[USER_API] Error deleting user ${idToDelete}:`, err.message);
-            return res.status(500).json({ error: err.message });
-        }
-        if (this.changes === 0) {
-            console.warn(`[USER_API] User ${idToDelete} not found for deletion.`);
-            return res.status(404).json({ error: 'User not found.' });
-        }
-        console.log(`[USER_API] User ${idToDelete} deleted successfully from database.`);
-        res.json({ success: true });
-    });
-});
-// --- Protected IPTV API Endpoints ---
-app.get('/api/config', requireAuth, (req, res) => {
-    try {
-        let config = { m3uContent: null, epgContent: null, settings: {} };
-        let globalSettings = getSettings();
-        config.settings = globalSettings;
+        /**
+         * NEW: Returns, after writeJson, how many programmes each channel shows, when its guide data ends,
+         * the hours covered from now on, the next gap and how many programmes each source provided.
+         * @returns {object} { channelId: { programmes, endsAt, hours, nextGap, sources: { sourceId: count } } }
+         */
+        getCoverage() {
+            return Object.fromEntries(coverage);
+        },
 
-        if (fs.existsSync(MERGED_M3U_PATH)) {
-            config.m3uContent = fs.readFileSync(MERGED_M3U_PATH, 'utf-8');
-            console.log(`[API] Loaded M3U content from ${MERGED_M3U_PATH}.`);
-        } else {
-            console.log(`[API] No merged M3U file found at ${MERGED_M3U_PATH}.`);
-        }
-        if (fs.existsSync(MERGED_EPG_JSON_PATH)) {
-            try {
-                config.epgContent = JSON.parse(fs.readFileSync(MERGED_EPG_JSON_PATH, 'utf-8'));
-                console.log(`[API] Loaded EPG content from ${MERGED_EPG_JSON_PATH}.`);
-            } catch (parseError) {
-                console.error(`[API] Error parsing merged EPG JSON from ${MERGED_EPG_JSON_PATH}: ${parseError.message}`);
-                config.epgContent = {};
-            }
-        } else {
-            console.log(`[API] No merged EPG JSON file found at ${MERGED_EPG_JSON_PATH}.`);
+        /** Discards the spool without writing any output. */
+        discard: close,
+    };
+}
+
+/**
+ * NEW: Builds a stable channel ID for playlist entries without a tvg-id, so favorites,
+ * recents and EPG mappings survive refreshes. Derived from the stream URL, or the name as a fallback.
+ * @param {string} streamUrl - The stream URL following the #EXTINF line.
+ * @param {string} channelName - The channel's display name.
+ */
+function createStableChannelId(streamUrl, channelName) {
+    const basis = (streamUrl || '').trim() || (channelName || '').trim().toLowerCase();
+    return `no-id-${crypto.createHash('sha1').update(basis).digest('hex').substring(0, 12)}`;
+}
+
+const M3U_FILTER_FIELDS = ['group', 'name', 'url'];
+
+/**
+ * NEW: Compiles a source's ordered import filter rules into a predicate.
+ * Every matching rule decides the channel's fate, so later rules override earlier ones.
+ * Channels are kept by default, unless the first rule is an include rule ("only keep ...").
+ * Group rules match the group-title exactly (case-insensitive); name and URL rules are regexes.
+ * @param {Array<{action: string, field: string, pattern: string}>} rules - The source's filterRules.
+ * @returns {function({group: string, name: string, url: string}): {keep: boolean, decidedBy: number}}
+ */
+function compileM3uFilterRules(rules = []) {
+    const compiled = rules.map(rule => {
+        if (rule.field === 'group') {
+            const target = rule.pattern.trim().toLowerCase();
+            return { include: rule.action === 'include', field: rule.field, test: (value) => value.trim().toLowerCase() === target };
         }
-        
-        db.all(`SELECT key, value FROM user_settings WHERE user_id = ?`, [req.session.userId], (err, rows) => {
-            if (err) {
-                console.error("[API] Error fetching user settings:", err);
-                return res.status(200).json(config);
-            }
-            if (rows) {
-                const userSettings = {};
-                rows.forEach(row => {
-                    try {
-                        userSettings[row.key] = JSON.parse(row.value);
-                    } catch (e) {
-                        userSettings[row.key] = row.value;
-                        console.warn(`[API] User setting key "${row.key}" could not be parsed as JSON. Storing as raw string.`);
-                    }
-                });
-                
-                config.settings = { ...config.settings, ...userSettings };
-                console.log(`[API] Merged user settings for user ID: ${req.session.userId}`);
+        const regex = new RegExp(rule.pattern, 'i');
+        return { include: rule.action === 'include', field: rule.field, test: (value) => regex.test(value) };
+    });
+    const keepByDefault = compiled.length === 0 || !compiled[0].include;
+
+    return (channel) => {
+        let keep = keepByDefault;
+        let decidedBy = -1;
+        compiled.forEach((rule, index) => {
+            if (rule.test(channel[rule.field] || '')) {
+                keep = rule.include;
+                decidedBy = index;
             }
-            res.status(200).json(config);
         });
+        return { keep, decidedBy };
+    };
+}
 
-    } catch (error) {
-        console.error("[API] Error reading config or related files:", error);
-        res.status(500).json({ error: "Could not load configuration from server." });
+/**
+ * NEW: Parses and validates the JSON-encoded filter rules sent by the source editor.
+ * @param {string|undefined} rawValue - The 'filterRules' form field.
+ * @returns {Array|null} The normalized rules, or null when the field was not sent.
+ * @throws {Error} With a user-facing message when a rule is invalid.
+ */
+function parseM3uFilterRules(rawValue) {
+    if (rawValue === undefined || rawValue === null) return null;
+    let rules;
+    try {
+        rules = typeof rawValue === 'string' ? JSON.parse(rawValue) : rawValue;
+    } catch (e) {
+        throw new Error('Filter rules are not valid JSON.');
     }
-});
-
-
-const upload = multer({
-    storage: multer.diskStorage({
-        destination: (req, file, cb) => {
-            if (!fs.existsSync(SOURCES_DIR)) {
-                fs.mkdirSync(SOURCES_DIR, { recursive: true });
+    if (!Array.isArray(rules)) throw new Error('Filter rules must be a list.');
+
+    return rules
+        .filter(rule => rule && typeof rule.pattern === 'string' && rule.pattern.trim())
+        .map((rule, index) => {
+            const action = rule.action === 'include' ? 'include' : 'exclude';
+            const field = M3U_FILTER_FIELDS.includes(rule.field) ? rule.field : 'group';
+            const pattern = rule.pattern.trim().substring(0, 500);
+            if (field !== 'group') {
+                try {
+                    new RegExp(pattern, 'i');
+                } catch (e) {
+                    throw new Error(`Rule ${index + 1} has an invalid regular expression: ${e.message}`);
+                }
             }
-            cb(null, SOURCES_DIR);
-        },
-        filename: (req, file, cb) => {
-            cb(null, `${file.fieldname}-${Date.now()}${path.extname(file.originalname)}`);
-        }
-    })
-});
+            return { action, field, pattern };
+        });
+}
 
+/**
+ * NEW: Sets (or adds) a quoted attribute on an #EXTINF attribute string.
+ * @param {string} attributes - The #EXTINF line up to (not including) the name comma.
+ * @param {string} name - Attribute name, e.g. 'group-title'.
+ * @param {string} value - The new value.
+ */
+function setExtinfAttribute(attributes, name, value) {
+    const safeValue = `${value}`.replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+    const pattern = new RegExp(`${name}="[^"]*"`);
+    return pattern.test(attributes) ? attributes.replace(pattern, () => `${name}="${safeValue}"`) : `${attributes} ${name}="${safeValue}"`;
+}
 
-app.post('/api/sources', requireAuth, upload.single('sourceFile'), async (req, res) => {
-    // FIX: Correctly read all possible fields from the form data, including 'xc'.
-    const { sourceType, name, url, isActive, id, refreshHours, xc, maxConcurrentChannels } = req.body;
-    console.log(`[SOURCES_API] ${id ? 'Updating' : 'Adding'} source. Type: ${sourceType}, Name: ${name}`);
+/**
+ * NEW: Makes a channel name safe to write after the #EXTINF name comma. Readers take the name from the
+ * line's last comma, so commas become dashes, and line breaks would end the entry.
+ * @param {string} name - The channel name.
+ * @returns {string}
+ */
+const sanitizeExtinfName = (name) => `${name}`.replace(/[\r\n]+/g, ' ').replace(/\s*,\s*/g, ' - ').replace(/"/g, "'").trim();
 
-    if (!sourceType || !name) {
-        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-        console.warn('[SOURCES_API] Source type or name missing for source operation.');
-        return res.status(400).json({ error: 'Source type and name are required.' });
+/**
+ * NEW: Applies an admin channel override to a processed #EXTINF line.
+ * @param {string} attributes - The #EXTINF attributes part.
+ * @param {string} namePart - The ",Channel Name" part.
+ * @param {object} override - A channel_overrides row.
+ * @returns {{attributes: string, namePart: string}}
+ */
+function applyChannelOverride(attributes, namePart, override) {
+    if (override.name) {
+        const name = sanitizeExtinfName(override.name);
+        attributes = setExtinfAttribute(attributes, 'tvg-name', name);
+        namePart = `,${name}`;
     }
+    if (override.chno) attributes = setExtinfAttribute(attributes, 'tvg-chno', override.chno);
+    if (override.group_title) attributes = setExtinfAttribute(attributes, 'group-title', override.group_title);
+    if (override.logo) attributes = setExtinfAttribute(attributes, 'tvg-logo', override.logo);
+    return { attributes, namePart };
+}
 
-    const settings = getSettings();
-    const sourceList = sourceType === 'm3u' ? settings.m3uSources : settings.epgSources;
+/**
+ * NEW: Normalizes a channel name for EPG matching. Lowercases, strips accents, country
+ * prefixes ("UK: "), bracketed notes and quality tags so "UK: BBC One HD" equals "BBC One".
+ * @param {string} name - The raw channel or <display-name> text.
+ */
+function normalizeChannelName(name) {
+    return (name || '')
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/^\s*[a-z]{2,3}\s*[:|]\s*/, '')
+        .replace(/[\[(].*?[\])]/g, ' ')
+        .replace(/&/g, ' and ')
+        .replace(/\+/g, ' plus ')
+        .replace(/\b(uhd|fhd|hd|sd|4k|8k|hevc|h\.?26[45]|1080[pi]|720p|50fps|60fps)\b/g, ' ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
 
-    if (id) { // Update existing source
-        const sourceIndex = sourceList.findIndex(s => s.id === id);
-        if (sourceIndex === -1) {
-            if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-            console.warn(`[SOURCES_API] Source ID ${id} not found for update.`);
-            return res.status(404).json({ error: 'Source to update not found.' });
+/**
+ * NEW: Reads the <channel> list of an XMLTV file without parsing its programmes.
+ * @param {string} filePath - Path to the (possibly compressed) XMLTV file.
+ * @returns {Promise<Array<{id: string, names: string[]}>>}
+ */
+async function readXmltvChannels(filePath) {
+    const channels = [];
+    await streamXmltvFile(filePath, {
+        stopAtProgrammes: true,
+        onChannel: (node) => {
+            const id = node.attributes.id;
+            if (!id) return;
+            const names = node.children.filter(c => c.name === 'display-name').map(c => c.text.trim()).filter(Boolean);
+            channels.push({ id, names });
         }
+    });
+    return channels;
+}
 
-        const sourceToUpdate = sourceList[sourceIndex];
-        console.log(`[SOURCES_API] Found existing source for update: ${sourceToUpdate.name}`);
-        sourceToUpdate.name = name;
-        sourceToUpdate.isActive = isActive === 'true';
-        sourceToUpdate.refreshHours = parseInt(refreshHours, 10) || 0;
-        sourceToUpdate.lastUpdated = new Date().toISOString();
+const EPG_MATCH_MIN_CONFIDENCE = 0.6; // Below this, an auto-match is only stored as a suggestion
 
-        if (req.file) {
-            console.log(`[SOURCES_API] New file uploaded for source ${id}. Deleting old file if exists.`);
-            if (sourceToUpdate.type === 'file' && fs.existsSync(sourceToUpdate.path)) {
-                try {
-                    fs.unlinkSync(sourceToUpdate.path);
-                    console.log(`[SOURCES_API] Deleted old file: ${sourceToUpdate.path}`);
-                } catch (e) { console.error("[SOURCES_API] Could not delete old source file:", e); }
-            }
-            const extension = sourceType === 'm3u' ? '.m3u' : '.xml';
-            const newPath = path.join(SOURCES_DIR, `${sourceType}_${id}${extension}`);
-            try {
-                fs.renameSync(req.file.path, newPath);
-                sourceToUpdate.path = newPath;
-                sourceToUpdate.type = 'file';
-                // FIX: Clear xc_data if switching from XC to File
-                delete sourceToUpdate.xc_data;
-                console.log(`[SOURCES_API] Renamed uploaded file to: ${newPath}`);
-            } catch (e) {
-                console.error('[SOURCES_API] Error renaming updated source file:', e);
-                return res.status(500).json({ error: 'Could not save updated file.' });
-            }
-        } else if (url !== undefined && url !== null) {
-            console.log(`[SOURCES_API] URL provided for source ${id}.`);
-            if (sourceToUpdate.type === 'file' && fs.existsSync(sourceToUpdate.path)) {
-                try {
-                    fs.unlinkSync(sourceToUpdate.path);
-                    console.log(`[SOURCES_API] Deleted old file (switching to URL): ${sourceToUpdate.path}`);
-                } catch (e) { console.error("[SOURCES_API] Could not delete old source file (on type change):", e); }
-            }
-            sourceToUpdate.path = url;
-            sourceToUpdate.type = 'url';
-            // FIX: Clear xc_data if switching from XC to URL
-            delete sourceToUpdate.xc_data;
-        } else if (xc) {
-            console.log(`[SOURCES_API] XC credentials provided for source ${id}.`);
-             if (sourceToUpdate.type === 'file' && fs.existsSync(sourceToUpdate.path)) {
-                try {
-                    fs.unlinkSync(sourceToUpdate.path);
-                } catch (e) { console.error("[SOURCES_API] Could not delete old source file (on type change):", e); }
-            }
-            sourceToUpdate.xc_data = xc;
-            sourceToUpdate.type = 'xc';
-            try {
-                const xcData = JSON.parse(xc);
-                sourceToUpdate.path = xcData.server || 'Xtream Codes Source';
-            } catch(e) {
-                sourceToUpdate.path = 'Xtream Codes Source';
-            }
-        } else if (sourceToUpdate.type === 'file' && !req.file && (!sourceToUpdate.path || !fs.existsSync(sourceToUpdate.path))) {
-            console.warn(`[SOURCES_API] Existing file source ${id} has no file and no new file/URL provided.`);
-            return res.status(400).json({ error: 'Existing file source requires a new file if original is missing.' });
-        }
+/**
+ * NEW: Creates a matcher that finds the best EPG channel for a playlist channel name.
+ * Exact normalized matches win outright; otherwise Fuse.js provides a fuzzy best guess.
+ * @param {Array<{sourceId: string, id: string, names: string[]}>} epgChannels - Candidate EPG channels.
+ * @returns {function(string): ({epgChannel: object, confidence: number}|null)}
+ */
+function createEpgChannelMatcher(epgChannels) {
+    const entries = epgChannels.map(channel => ({
+        ...channel,
+        normalizedNames: [...new Set([...channel.names, channel.id].map(normalizeChannelName).filter(Boolean))]
+    }));
+    const exact = new Map();
+    entries.forEach(entry => entry.normalizedNames.forEach(name => {
+        if (!exact.has(name)) exact.set(name, entry);
+    }));
+    const fuse = new Fuse(entries, { keys: ['normalizedNames'], includeScore: true, threshold: 0.4, ignoreLocation: true });
+
+    return (channelName) => {
+        const normalized = normalizeChannelName(channelName);
+        if (!normalized) return null;
+        const exactMatch = exact.get(normalized);
+        if (exactMatch) return { epgChannel: exactMatch, confidence: 1 };
+        const [best] = fuse.search(normalized, { limit: 1 });
+        return best ? { epgChannel: best.item, confidence: Math.round((1 - best.score) * 100) / 100 } : null;
+    };
+}
 
-        if (sourceType === 'm3u' && maxConcurrentChannels !== undefined) {
-            const parsedLimit = parseInt(maxConcurrentChannels, 10);
-            sourceToUpdate.maxConcurrentChannels = Number.isNaN(parsedLimit) || parsedLimit < 0 ? 0 : parsedLimit;
+/**
+ * NEW: Resolves which EPG channel each playlist channel should take its guide data from.
+ * Admin overrides from the epg_mappings table always win. Channels without a usable tvg-id
+ * (missing, or not present in any bound EPG) are auto-matched by name; the results are
+ * written back as 'auto' rows so they can be reviewed in settings.
+ * @param {Array} channels - { key, sourceId, sourceName, tvgId, name } for every merged channel.
+ * @param {Array} preparedEpgSources - { source, boundM3uSources, epgChannels } for every readable EPG.
+ * @returns {Promise<Map<string, object>>} channelKey -> mapping row for every remapped channel.
+ */
+async function resolveEpgChannelMappings(channels, preparedEpgSources) {
+    const overrideRows = await new Promise((resolve, reject) => {
+        db.all("SELECT * FROM epg_mappings WHERE method != 'auto'", [], (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    const mappings = new Map(overrideRows.map(row => [row.channel_key, row]));
+    const autoRows = [];
+    const now = new Date().toISOString();
+
+    // The bound EPG channels of each playlist source, looked up once per binding instead of once per channel.
+    // Playlist sources bound to the same EPGs share one tvg-id set and one name matcher.
+    const bindingsByKey = new Map();
+    const bindingsBySourceId = new Map();
+    new Set(channels.map(c => c.sourceId)).forEach(sourceId => {
+        const candidates = preparedEpgSources.filter(p => p.boundM3uSources.some(m3u => m3u.id === sourceId));
+        const bindingKey = candidates.map(p => p.source.id).join('|');
+        if (!bindingsByKey.has(bindingKey)) {
+            const epgChannels = candidates.flatMap(p => p.epgChannels.map(c => ({ ...c, sourceId: p.source.id })));
+            bindingsByKey.set(bindingKey, epgChannels.length === 0 ? null : {
+                tvgIds: new Set(epgChannels.map(c => c.id)),
+                epgChannels,
+                matcher: null // Built on first use; most channels match by tvg-id.
+            });
         }
+        bindingsBySourceId.set(sourceId, bindingsByKey.get(bindingKey));
+    });
 
-        saveSettings(settings);
-        console.log(`[SOURCES_API] Source ${id} updated successfully.`);
-        res.json({ success: true, message: 'Source updated successfully.', settings: getSettings() });
+    for (const channel of channels) {
+        if (mappings.has(channel.key)) continue;
+
+        const binding = bindingsBySourceId.get(channel.sourceId);
+        if (!binding) continue;
+        if (channel.tvgId && binding.tvgIds.has(channel.tvgId)) continue;
+
+        if (!binding.matcher) binding.matcher = createEpgChannelMatcher(binding.epgChannels);
+        const match = binding.matcher(channel.name);
+
+        const row = {
+            channel_key: channel.key,
+            channel_name: channel.name,
+            source_name: channel.sourceName,
+            epg_source_id: match ? match.epgChannel.sourceId : null,
+            epg_channel_id: match ? match.epgChannel.id : null,
+            epg_channel_name: match ? (match.epgChannel.names[0] || match.epgChannel.id) : null,
+            confidence: match ? match.confidence : 0,
+            method: 'auto',
+            updated_at: now
+        };
+        autoRows.push(row);
+        if (match && match.confidence >= EPG_MATCH_MIN_CONFIDENCE) mappings.set(channel.key, row);
+    }
 
-    } else { // Add new source
-        let newSource;
-        
+    await new Promise((resolve, reject) => {
+        db.serialize(() => {
+            db.run('BEGIN TRANSACTION');
+            db.run("DELETE FROM epg_mappings WHERE method = 'auto'");
+            const stmt = db.prepare(`INSERT OR REPLACE INTO epg_mappings (channel_key, channel_name, source_name, epg_source_id, epg_channel_id, epg_channel_name, confidence, method, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+            autoRows.forEach(r => stmt.run([r.channel_key, r.channel_name, r.source_name, r.epg_source_id, r.epg_channel_id, r.epg_channel_name, r.confidence, r.method, r.updated_at]));
+            stmt.finalize();
+            db.run('COMMIT', (err) => err ? reject(err) : resolve());
+        });
+    });
+
+    const matchedCount = autoRows.filter(r => r.confidence >= EPG_MATCH_MIN_CONFIDENCE && r.epg_channel_id).length;
+    console.log(`[EPG_MAP] ${overrideRows.length} manual override(s), auto-matched ${matchedCount} of ${autoRows.length} channel(s) without a usable tvg-id.`);
+    return mappings;
+}
+
+// server.js -> Replace the entire function with this corrected version
+
+/**
+ * Fetches every active source and rebuilds the merged playlist and guide.
+ * @param {object} [req] - The request that started processing, for progress updates over SSE.
+ * @param {object} [options]
+ * @param {Set<string>} [options.fetchSourceIds] - NEW: Only download these sources. The others use the
+ *   copy downloaded earlier when there is one. All sources are downloaded when omitted.
+ */
+async function processAndMergeSources(req, options = {}) { // <-- MODIFIED
+    console.log('[PROCESS] Starting to process and merge all active sources.');
+    sendProcessingStatus(req, 'Starting to process sources...', 'info'); // <-- NEW
+    const settings = getSettings();
+    // NEW: A provider EPG is downloaded together with its XC playlist.
+    const shouldFetchSource = (sourceId, cachedFilePath) => !options.fetchSourceIds || options.fetchSourceIds.has(sourceId) || !fs.existsSync(cachedFilePath);
+    const previousMerge = { channels: loadMergedChannels(), coverage: readEpgCoverage() }; // NEW: Compared against for the change log
+
+    let mergedM3uContent = '#EXTM3U\n';
+    const mergedChannels = []; // NEW: Lightweight index of merged channels, used for EPG mapping
+    const channelIndex = []; // NEW: Every provider channel (including hidden ones) for the Channel Manager
+    let channelOverrides = new Map();
+    try {
+        const overrideRows = await new Promise((resolve, reject) => db.all("SELECT * FROM channel_overrides", [], (err, rows) => err ? reject(err) : resolve(rows)));
+        channelOverrides = new Map(overrideRows.map(row => [row.channel_key, row]));
+    } catch (error) {
+        console.error(`[CHANNELS] Could not load channel overrides, using provider metadata: ${error.message}`);
+    }
+    const activeM3uSources = settings.m3uSources.filter(s => s.isActive);
+    const activeEpgSources = settings.epgSources.filter(s => s.isActive);
+
+    if (activeM3uSources.length === 0) {
+        console.log('[PROCESS] No active M3U sources found.');
+        sendProcessingStatus(req, 'No active M3U sources found.', 'info'); // <-- NEW
+    }
+
+    for (const source of activeM3uSources) {
+        console.log(`[M3U] Processing source: "${source.name}" (ID: ${source.id}, Type: ${source.type}, Path: ${source.path})`);
+        sendProcessingStatus(req, `Processing M3U source: "${source.name}"...`, 'info'); // <-- NEW
+        let vodCatalog = createVodCatalog(source); // NEW: Movies and series found in this source
+        try {
+            let sourcePathForLog = source.path;
+            // MODIFIED: Every source is read from disk so compressed playlists can be detected and unpacked.
+            let sourceFilePath = path.join(SOURCES_DIR, `m3u_${source.id}.m3u`);
+
+            if (source.type === 'file') {
+                sourceFilePath = path.join(SOURCES_DIR, path.basename(source.path));
+                if (fs.existsSync(sourceFilePath)) {
+                    sourcePathForLog = sourceFilePath;
+                } else {
+                    const errorMsg = `File not found for source "${source.name}". Skipping.`; // <-- NEW
+                    sendProcessingStatus(req, `Error: ${errorMsg}`, 'error'); // <-- NEW
+                    source.status = 'Error';
+                    source.statusMessage = 'File not found.';
+                    continue;
+                }
+            } else if (source.type === 'folder') {
+                // NEW: Watch-folder sources are read in place.
+                const folderFile = findFolderSourceFile(source, 'm3u');
+                if (!folderFile) throw new Error('No playlist file (.m3u, .m3u8) found in the watch folder.');
+                sourceFilePath = folderFile.path;
+                sourcePathForLog = folderFile.path;
+                recordFolderSourceFile(source, folderFile);
+            } else if (!shouldFetchSource(source.id, sourceFilePath)) {
+                // NEW: Another source is being refreshed; this one keeps its last download.
+                sendProcessingStatus(req, ` -> Using the copy downloaded earlier.`, 'info');
+                if (source.type === 'xc') vodCatalog = null;
+            } else if (source.type === 'url') {
+                sendProcessingStatus(req, ` -> Fetching content from URL...`, 'info'); // <-- NEW
+                const notModified = await fetchSourceFile(source, source.path, sourceFilePath, getSourceFetchOptions(source)); // MODIFIED: Conditional request with the source's HTTP options
+                sendProcessingStatus(req, notModified ? ` -> Not modified since the last download, using the cached copy.` : ` -> Successfully fetched M3U content.`, 'info'); // <-- NEW
+            } else if (source.type === 'xc') {
+                if (!source.xc_data) {
+                    throw new Error("XC source is missing credential data (xc_data).");
+                }
+                const xcInfo = JSON.parse(source.xc_data);
+                const { server, username, password } = xcInfo;
+
+                if (!server || !username || !password) {
+                    throw new Error("XC source is missing server, username, or password.");
+                }
+
+                const fetchOptions = getSourceFetchOptions(source, XC_FETCH_OPTIONS); // MODIFIED: Adds the source's HTTP options
+
+                // MODIFIED: Read the account and live streams through the XC API. Panels that block
+                // player_api.php still fall back to the get.php playlist download.
+                let account = null;
+                try {
+                    sendProcessingStatus(req, ` -> Reading account info from the XC API...`, 'info');
+                    account = await fetchXcApi(xcInfo, null, {}, fetchOptions);
+                } catch (apiError) {
+                    console.warn(`[M3U] XC API unavailable for "${source.name}": ${apiError.message}`);
+                }
+                if (account && account.user_info && String(account.user_info.auth) === '0') {
+                    throw new Error('XC login failed. Check the username and password.');
+                }
+
+                if (account && account.user_info) {
+                    source.xcAccount = parseXcAccountInfo(account.user_info);
+                    // Use the provider's connection limit unless the admin has set one.
+                    if (source.xcAccount.maxConnections > 0 && (!source.maxConcurrentChannels || source.maxConcurrentFromProvider)) {
+                        source.maxConcurrentChannels = source.xcAccount.maxConnections;
+                        source.maxConcurrentFromProvider = true;
+                    }
+
+                    sendProcessingStatus(req, ` -> Fetching live categories and streams from the XC API...`, 'info');
+                    const categories = await fetchXcApi(xcInfo, 'get_live_categories', {}, fetchOptions);
+                    const streams = await fetchXcApi(xcInfo, 'get_live_streams', {}, fetchOptions);
+                    if (!Array.isArray(streams)) {
+                        throw new Error('XC API did not return a list of live streams.');
+                    }
+                    // MODIFIED: An unchanged lineup leaves the file untouched, so its parse cache stays valid.
+                    const playlist = buildXcPlaylist(xcInfo, Array.isArray(categories) ? categories : [], streams);
+                    if (!fs.existsSync(sourceFilePath) || fs.readFileSync(sourceFilePath, 'utf-8') !== playlist) {
+                        fs.writeFileSync(sourceFilePath, playlist);
+                    }
+                    sourcePathForLog = `${server}/player_api.php`;
+                    sendProcessingStatus(req, ` -> Received ${streams.length} live streams from the XC API.`, 'info');
+
+                    // NEW: Movies and series go to the VOD library. A failure here keeps the existing library.
+                    try {
+                        sendProcessingStatus(req, ` -> Fetching movies and series from the XC API...`, 'info');
+                        vodCatalog = createVodCatalog(source, false);
+                        addXcVodCatalog(vodCatalog, xcInfo, {
+                            vodCategories: await fetchXcApi(xcInfo, 'get_vod_categories', {}, fetchOptions),
+                            vodStreams: await fetchXcApi(xcInfo, 'get_vod_streams', {}, fetchOptions),
+                            seriesCategories: await fetchXcApi(xcInfo, 'get_series_categories', {}, fetchOptions),
+                            series: await fetchXcApi(xcInfo, 'get_series', {}, fetchOptions),
+                        });
+                    } catch (vodError) {
+                        vodCatalog = null;
+                        console.warn(`[VOD] Could not read movies and series for "${source.name}": ${vodError.message}`);
+                        sendProcessingStatus(req, ` -> Could not read movies and series: ${vodError.message}`, 'error');
+                    }
+                } else {
+                    const m3uUrl = `${server}/get.php?username=${username}&password=${password}&type=m3u_plus&output=ts`;
+                    console.log(`[M3U] Constructed XC URL for "${source.name}": ${m3uUrl}`);
+                    sendProcessingStatus(req, ` -> XC API unavailable, fetching the M3U playlist instead...`, 'info'); // <-- MODIFIED
+                    await fetchSourceFile(source, m3uUrl, sourceFilePath, fetchOptions); // MODIFIED: Conditional request
+                    sourcePathForLog = m3uUrl;
+                    sendProcessingStatus(req, ` -> Successfully fetched M3U content from XC server.`, 'info'); // <-- NEW
+                }
+            }
+
+            // MODIFIED: The provider's EPG is also added when the playlist comes from the cached copy.
+            if (source.type === 'xc') {
+                const { server, username, password } = JSON.parse(source.xc_data);
+                const epgUrl = `${server}/xmltv.php?username=${username}&password=${password}`;
+                const epgSource = {
+                    id: `epg_for_${source.id}`,
+                    name: `${source.name} (EPG)`,
+                    type: 'url',
+                    path: epgUrl,
+                    isActive: true,
+                    isXcEpg: true,
+                    appliesTo: [source.id], // NEW: Provider EPG only applies to its own playlist
+                    fetchOptions: getSourceFetchOptions(source, XC_FETCH_OPTIONS), // MODIFIED: The provider EPG uses the playlist's HTTP options
+                    httpCache: source.xcEpgHttpCache // NEW: Validators of the last provider EPG download
+                };
+
+                if (!activeEpgSources.some(s => s.id === epgSource.id)) {
+                    activeEpgSources.push(epgSource);
+                    sendProcessingStatus(req, ` -> Automatically added EPG source for "${source.name}".`, 'info'); // <-- NEW
+                }
+            }
+
+            // NEW: Reuse the last parse while the file and the filter rules and overrides applied to it are unchanged.
+            const parseCachePaths = getSourceCachePaths('m3u', source.id);
+            const sourceOverrides = [...channelOverrides.values()].filter(o => o.channel_key.startsWith(`${source.id}_`));
+            const parseFingerprint = getSourceFingerprint(sourceFilePath, { name: source.name, filterRules: source.filterRules || null, overrides: sourceOverrides });
+            const parsedSource = readSourceCache(parseCachePaths.parsed, parseFingerprint);
+            if (parsedSource) {
+                parsedSource.channelIndex.forEach(entry => channelIndex.push(entry));
+                parsedSource.mergedChannels.forEach(entry => mergedChannels.push(entry));
+                mergedM3uContent += parsedSource.content;
+                Object.assign(source, parsedSource.sourceInfo);
+                // The playlist's own movies and series were saved when it was parsed. A catalog read from the XC API is still saved below.
+                if (vodCatalog && vodCatalog.episodesIncluded) vodCatalog = null;
+                console.log(`[M3U] Source "${source.name}" is unchanged. Reused the parsed playlist.`);
+                sendProcessingStatus(req, ` -> "${source.name}" is unchanged, reused ${parsedSource.mergedChannels.length} parsed channels.`, 'info');
+            } else {
+                const channelIndexStart = channelIndex.length;
+                const mergedChannelsStart = mergedChannels.length;
+                const sourceText = await readSourceText(sourceFilePath);
+                recordSourceSizes(source, sourceText);
+
+                const lines = sourceText.content.split('\n');
+                let processedContent = '';
+                let streamCount = 0; // <-- NEW
+                let filteredCount = 0; // NEW: Channels dropped by filter rules
+                let vodCount = 0; // NEW: Movie and series entries moved to the VOD library
+                const passesFilterRules = compileM3uFilterRules(source.filterRules);
+                let skippingHiddenChannel = false; // NEW: Drops a hidden, filtered or VOD entry's lines up to and including its URL
+                for (let i = 0; i < lines.length; i++) {
+                    let line = lines[i].trim();
+                    if (skippingHiddenChannel && !line.startsWith('#EXTINF:')) {
+                        if (line && !line.startsWith('#')) skippingHiddenChannel = false;
+                        continue;
+                    }
+                    skippingHiddenChannel = false;
+                    if (line.startsWith('#EXTINF:')) {
+                        streamCount++; // <-- NEW
+                        const tvgIdMatch = line.match(/tvg-id="([^"]*)"/);
+                        const commaIndex = line.lastIndexOf(',');
+                        const channelName = commaIndex !== -1 ? line.substring(commaIndex + 1).trim() : '';
+                        // MODIFIED: Channels without a tvg-id get a stable ID derived from their stream URL instead of a random one.
+                        const originalTvgId = tvgIdMatch ? tvgIdMatch[1].trim() : '';
+                        let streamUrl = '';
+                        for (let j = i + 1; j < lines.length; j++) {
+                            const nextLine = lines[j].trim();
+                            if (nextLine && !nextLine.startsWith('#')) {
+                                streamUrl = nextLine;
+                                break;
+                            }
+                        }
+                        const tvgId = originalTvgId || createStableChannelId(streamUrl, channelName);
+                        const uniqueChannelId = `${source.id}_${tvgId}`;
+
+                        const attributesPart = commaIndex !== -1 ? line.substring(0, commaIndex) : line;
+                        let namePart = commaIndex !== -1 ? line.substring(commaIndex) : '';
+                        const attr = (name) => (attributesPart.match(new RegExp(`${name}="([^"]*)"`)) || [])[1] || '';
+
+                        // NEW: Movies and series go to the VOD library instead of the live playlist.
+                        const vodKind = classifyVodEntry(streamUrl);
+                        if (vodKind) {
+                            if (vodCatalog) addM3uVodEntry(vodCatalog, vodKind, { name: channelName, group: attr('group-title'), logo: attr('tvg-logo'), url: streamUrl });
+                            vodCount++;
+                            skippingHiddenChannel = true;
+                            continue;
+                        }
+
+                        // NEW: Drop channels excluded by the source's import filter rules.
+                        if (!passesFilterRules({ group: attr('group-title'), name: channelName, url: streamUrl }).keep) {
+                            filteredCount++;
+                            skippingHiddenChannel = true;
+                            continue;
+                        }
+
+                        // NEW: Record the provider's metadata, then apply any admin override.
+                        channelIndex.push({ key: uniqueChannelId, sourceId: source.id, sourceName: source.name, tvgId: originalTvgId, name: channelName, chno: attr('tvg-chno'), group: attr('group-title'), logo: attr('tvg-logo'), url: streamUrl });
+                        const override = channelOverrides.get(uniqueChannelId);
+                        if (override && override.hidden) {
+                            skippingHiddenChannel = true;
+                            continue;
+                        }
+                        mergedChannels.push({ key: uniqueChannelId, sourceId: source.id, sourceName: source.name, tvgId: originalTvgId, name: (override && override.name) || channelName });
+
+                        let processedAttributes = attributesPart;
+                        if (tvgIdMatch) {
+                            processedAttributes = processedAttributes.replace(/tvg-id="[^"]*"/, `tvg-id="${uniqueChannelId}"`);
+                        } else {
+                            const extinfEnd = processedAttributes.indexOf(' ') + 1;
+                            processedAttributes = processedAttributes.slice(0, extinfEnd) + `tvg-id="${uniqueChannelId}" ` + processedAttributes.slice(extinfEnd);
+                        }
+
+                        processedAttributes += ` vini-source="${source.name}"`;
+                        if (override) {
+                            ({ attributes: processedAttributes, namePart } = applyChannelOverride(processedAttributes, namePart, override));
+                        }
+                        line = processedAttributes + namePart;
+                    }
+                    if (line) {
+                       processedContent += line + '\n';
+                    }
+                }
+
+                mergedM3uContent += processedContent.replace(/#EXTM3U/i, '') + '\n';
+                source.status = 'Success';
+                // MODIFIED: Report channels dropped by filter rules and the size of the VOD library
+                const liveCount = streamCount - filteredCount - vodCount;
+                const notes = [];
+                if (filteredCount > 0) notes.push(`${filteredCount} filtered out`);
+                if (vodCatalog && vodCatalog.items.size > 0) {
+                    const movieCount = Array.from(vodCatalog.items.values()).filter(item => item.type === 'movie').length;
+                    notes.push(`${movieCount} movies, ${vodCatalog.items.size - movieCount} series`);
+                }
+                const filteredNote = notes.length > 0 ? ` (${notes.join('; ')})` : '';
+                source.statusMessage = `Processed ${liveCount} streams successfully${filteredNote}.`;
+                console.log(`[M3U] Source "${source.name}" processed successfully from ${sourcePathForLog}.`);
+                sendProcessingStatus(req, ` -> Processed ${liveCount} streams from "${source.name}"${filteredNote}.`, 'info'); // <-- NEW
+
+                writeSourceCache(parseCachePaths.parsed, {
+                    fingerprint: parseFingerprint,
+                    content: processedContent.replace(/#EXTM3U/i, '') + '\n',
+                    channelIndex: channelIndex.slice(channelIndexStart),
+                    mergedChannels: mergedChannels.slice(mergedChannelsStart),
+                    sourceInfo: { status: source.status, statusMessage: source.statusMessage, compression: source.compression, compressedSize: source.compressedSize, decompressedSize: source.decompressedSize },
+                });
+            }
+
+            if (vodCatalog) {
+                try {
+                    await replaceVodCatalog(vodCatalog);
+                } catch (vodError) {
+                    console.error(`[VOD] Could not save the library for "${source.name}": ${vodError.message}`);
+                    sendProcessingStatus(req, ` -> Could not save movies and series: ${vodError.message}`, 'error');
+                }
+            }
+
+        } catch (error) {
+            const errorMsg = `Failed to process source "${source.name}" from ${source.path}: ${error.message}`; // <-- NEW
+            console.error(`[M3U] ${errorMsg}`); // <-- MODIFIED
+            sendProcessingStatus(req, `Error: ${errorMsg}`, 'error'); // <-- NEW
+            source.status = 'Error';
+            source.statusMessage = `Processing failed: ${error.message.substring(0, 100)}...`;
+        }
+        source.lastUpdated = new Date().toISOString();
+    }
+    // NEW: Drop the movies and series of sources that were removed or deactivated.
+    const activeSourceIds = activeM3uSources.map(s => s.id);
+    const placeholders = activeSourceIds.map(() => '?').join(', ');
+    ['vod_episodes', 'vod_items'].forEach(table => {
+        db.run(`DELETE FROM ${table} WHERE source_id NOT IN (${placeholders})`, activeSourceIds, (err) => {
+            if (err) console.error(`[VOD] Could not prune ${table}: ${err.message}`);
+        });
+    });
+
+    try {
+        fs.writeFileSync(MERGED_M3U_PATH, mergedM3uContent);
+        fs.writeFileSync(CHANNEL_INDEX_PATH, JSON.stringify(channelIndex)); // NEW
+        channelIndexCache = { mtimeMs: null, channels: [] }; // NEW
+        console.log(`[M3U] Merged M3U content saved to ${MERGED_M3U_PATH}.`);
+        sendProcessingStatus(req, `Successfully merged all M3U sources.`, 'success'); // <-- NEW
+    } catch (writeErr) {
+        console.error(`[M3U] Error writing merged M3U file: ${writeErr.message}`);
+        sendProcessingStatus(req, `Error writing merged M3U file: ${writeErr.message}`, 'error'); // <-- NEW
+    }
+
+    // MODIFIED: Programmes are streamed into an on-disk spool instead of one big in-memory object.
+    const epgSpool = createEpgSpool(`${EPG_SPOOL_PATH}.${Date.now()}`);
+    const EPG_PROGRESS_INTERVAL = 50000;
+
+    if (activeEpgSources.length === 0) {
+        console.log('[PROCESS] No active EPG sources found.');
+        sendProcessingStatus(req, 'No active EPG sources found.', 'info'); // <-- NEW
+    }
+
+    const markEpgSourceFailed = (source, error) => {
+        const errorMsg = `Failed to process source "${source.name}" from ${source.path}: ${error.message}`; // <-- NEW
+        console.error(`[EPG] ${errorMsg}`); // <-- MODIFIED
+        sendProcessingStatus(req, `Error: ${errorMsg}`, 'error'); // <-- NEW
+        if (!source.isXcEpg) {
+            source.status = 'Error';
+            source.statusMessage = `Processing failed: ${error.message.substring(0, 100)}...`;
+            source.lastUpdated = new Date().toISOString();
+        }
+    };
+
+    // NEW: Pass 1 - fetch every EPG and read its <channel> list so channels can be mapped before programmes are merged.
+    const preparedEpgSources = [];
+    for (const source of activeEpgSources) {
+        if (!source.isActive && !source.isXcEpg) continue;
+
+        console.log(`[EPG] Processing source: "${source.name}" (ID: ${source.id}, Type: ${source.type}, Path: ${source.path})`);
+        sendProcessingStatus(req, `Processing EPG source: "${source.name}"...`, 'info'); // <-- NEW
+        try {
+            // MODIFIED: Only produce entries for the M3U sources this EPG is explicitly bound to.
+            const boundM3uSources = activeM3uSources.filter(m3u => epgSourceAppliesTo(source, m3u));
+            if (boundM3uSources.length === 0) {
+                console.log(`[EPG] Source "${source.name}" is not bound to any active M3U source. Skipping.`);
+                sendProcessingStatus(req, ` -> "${source.name}" does not apply to any active M3U source. Skipping.`, 'info');
+                if (!source.isXcEpg) {
+                    source.status = 'Success';
+                    source.statusMessage = 'Not applied to any active M3U source.';
+                    source.lastUpdated = new Date().toISOString();
+                }
+                continue;
+            }
+
+            let epgFilePath = path.join(SOURCES_DIR, `epg_${source.id}.xml`);
+
+            if (source.type === 'file') {
+                if (fs.existsSync(source.path)) {
+                    epgFilePath = source.path;
+                } else {
+                    const errorMsg = `File not found for source "${source.name}". Skipping.`; // <-- NEW
+                    sendProcessingStatus(req, `Error: ${errorMsg}`, 'error'); // <-- NEW
+                    source.status = 'Error';
+                    source.statusMessage = 'File not found.';
+                    source.lastUpdated = new Date().toISOString();
+                    continue;
+                }
+            } else if (source.type === 'folder') {
+                // NEW: Watch-folder sources are read in place.
+                const folderFile = findFolderSourceFile(source, 'epg');
+                if (!folderFile) throw new Error('No XMLTV file (.xml, .xmltv) found in the watch folder.');
+                epgFilePath = folderFile.path;
+                recordFolderSourceFile(source, folderFile);
+            } else if (!shouldFetchSource(source.isXcEpg ? source.appliesTo[0] : source.id, epgFilePath)) {
+                sendProcessingStatus(req, ` -> Using the copy downloaded earlier.`, 'info'); // NEW
+            } else if (source.type === 'url') {
+                sendProcessingStatus(req, ` -> Fetching content from URL...`, 'info'); // <-- NEW
+                // MODIFIED: Stream to disk with a conditional request
+                const notModified = await fetchSourceFile(source, source.path, epgFilePath, getSourceFetchOptions(source, source.fetchOptions || {}));
+                if (source.isXcEpg) {
+                    // A provider EPG isn't saved in the settings, so its validators are kept on the playlist source.
+                    const playlistSource = activeM3uSources.find(m3u => m3u.id === source.appliesTo[0]);
+                    if (playlistSource) playlistSource.xcEpgHttpCache = source.httpCache;
+                }
+                console.log(`[EPG] ${notModified ? 'Cached' : 'Downloaded'} EPG for "${source.name}" is at ${epgFilePath}.`);
+                sendProcessingStatus(req, notModified ? ` -> Not modified since the last download, using the cached copy.` : ` -> Successfully fetched EPG content.`, 'info'); // <-- NEW
+            }
+
+            // NEW: The <channel> list is reused while the file is unchanged.
+            const cachePaths = getSourceCachePaths('epg', source.id);
+            const channelsFingerprint = getSourceFingerprint(epgFilePath, null);
+            const cachedChannels = readSourceCache(cachePaths.channels, channelsFingerprint);
+            const epgChannels = cachedChannels ? cachedChannels.channels : await readXmltvChannels(epgFilePath);
+            if (!cachedChannels) writeSourceCache(cachePaths.channels, { fingerprint: channelsFingerprint, channels: epgChannels });
+            preparedEpgSources.push({ source, epgFilePath, boundM3uSources, epgChannels, cachePaths });
+        } catch (error) {
+            markEpgSourceFailed(source, error);
+        }
+    }
+
+    // NEW: Pass 2 - resolve playlist channel -> EPG channel mappings (overrides plus fuzzy auto-matching).
+    let epgMappings = new Map();
+    try {
+        fs.writeFileSync(EPG_CHANNELS_PATH, JSON.stringify(preparedEpgSources.flatMap(({ source, epgChannels }) =>
+            epgChannels.map(c => ({ sourceId: source.id, sourceName: source.name, id: c.id, names: c.names })))));
+        epgMappings = await resolveEpgChannelMappings(mergedChannels, preparedEpgSources);
+        if (epgMappings.size > 0) {
+            sendProcessingStatus(req, ` -> Applied ${epgMappings.size} EPG channel mapping(s).`, 'info');
+        }
+    } catch (mapErr) {
+        console.error(`[EPG_MAP] Error resolving EPG channel mappings: ${mapErr.message}`);
+        sendProcessingStatus(req, `Error resolving EPG channel mappings: ${mapErr.message}`, 'error');
+    }
+
+    // Pass 3 - stream the programmes of every prepared source into the spool.
+    for (const { source, epgFilePath, boundM3uSources, cachePaths } of preparedEpgSources) {
+        try {
+            // Channels that were remapped (or explicitly set to "no guide data") no longer take programmes by tvg-id.
+            const mappedKeysByEpgId = new Map();
+            epgMappings.forEach((mapping, channelKey) => {
+                if (mapping.epg_source_id !== source.id || !mapping.epg_channel_id) return;
+                if (!mappedKeysByEpgId.has(mapping.epg_channel_id)) mappedKeysByEpgId.set(mapping.epg_channel_id, []);
+                mappedKeysByEpgId.get(mapping.epg_channel_id).push(channelKey);
+            });
+            let programCount = 0; // <-- NEW
+            let sizeInfo;
+            const timeOptions = getEpgTimeOptions(source, settings); // NEW: Per-source time zone and shift
+
+            // NEW: An unchanged file with the same timezone and channel mappings replays its last parse.
+            const programmesFingerprint = getSourceFingerprint(epgFilePath, {
+                timeOptions,
+                boundM3uSourceIds: boundM3uSources.map(m3uSource => m3uSource.id),
+                mappings: [...epgMappings]
+                    .filter(([channelKey, mapping]) => mapping.epg_source_id === source.id || boundM3uSources.some(m3uSource => channelKey.startsWith(`${m3uSource.id}_`)))
+                    .map(([channelKey, mapping]) => [channelKey, mapping.epg_source_id, mapping.epg_channel_id]),
+            });
+            const cachedProgrammes = readSourceCache(cachePaths.programmesMeta, programmesFingerprint);
+            if (cachedProgrammes && fs.existsSync(cachePaths.programmes)) {
+                sendProcessingStatus(req, ` -> "${source.name}" is unchanged, reusing its parsed programs...`, 'info');
+                await replayProgrammeCache(cachePaths, (channelIds, programme) => epgSpool.add(channelIds, programme, source.id));
+                ({ programCount, sizeInfo } = cachedProgrammes);
+            } else {
+                sendProcessingStatus(req, ` -> Parsing EPG data for "${source.name}"...`, 'info');
+                const programmeCache = createProgrammeCacheWriter(cachePaths);
+                try {
+                    sizeInfo = await streamXmltvFile(epgFilePath, {
+                        onProgramme: (prog) => {
+                            const { channel: originalChannelId, start, stop } = prog.attributes;
+                            if (!originalChannelId || !start || !stop) return;
+                            programCount++; // <-- NEW
+                            if (programCount % EPG_PROGRESS_INTERVAL === 0) {
+                                sendProcessingStatus(req, ` -> Parsed ${programCount} programs from "${source.name}"...`, 'info');
+                            }
+
+                            const channelIds = boundM3uSources
+                                .map(m3uSource => `${m3uSource.id}_${originalChannelId}`)
+                                .filter(channelKey => !epgMappings.has(channelKey))
+                                .concat(mappedKeysByEpgId.get(originalChannelId) || []);
+                            if (channelIds.length === 0) return;
+                            const programme = buildProgrammeEntry(prog, timeOptions); // MODIFIED: Keep rich XMLTV metadata
+                            epgSpool.add(channelIds, programme, source.id);
+                            programmeCache.add(channelIds, programme);
+                        }
+                    });
+                } catch (parseError) {
+                    programmeCache.discard();
+                    throw parseError;
+                }
+                programmeCache.finish(programmesFingerprint, { programCount, sizeInfo });
+            }
+
+            if (programCount === 0) { // <-- NEW
+                sendProcessingStatus(req, `Warning: No programs found in "${source.name}".`, 'info');
+            }
+            recordSourceSizes(source, sizeInfo);
+            if (!source.isXcEpg) {
+                 source.status = 'Success';
+                 source.statusMessage = `Processed ${programCount} programs successfully.`; // <-- MODIFIED
+                 source.lastUpdated = new Date().toISOString();
+                 console.log(`[EPG] Source "${source.name}" processed successfully from ${source.path}.`);
+            }
+            sendProcessingStatus(req, ` -> Processed ${programCount} programs from "${source.name}".`, 'info'); // <-- NEW
+
+        } catch (error) {
+            markEpgSourceFailed(source, error);
+        }
+    }
+    let guideWriteFailed = false;
+    try {
+        const { index: epgIndex, lookup: epgLookup } = await epgSpool.writeJson(MERGED_EPG_JSON_PATH);
+        fs.writeFileSync(EPG_LOOKUP_PATH, JSON.stringify(epgLookup)); // NEW: Serves now/next and search without reading epg.json
+        fs.writeFileSync(EPG_INDEX_PATH, JSON.stringify(epgIndex)); // NEW: Lets the guide API read single channels
+        fs.writeFileSync(EPG_COVERAGE_PATH, JSON.stringify(epgSpool.getCoverage())); // NEW
+        console.log(`[EPG] Merged EPG JSON content for ${epgSpool.channelCount} channels saved to ${MERGED_EPG_JSON_PATH}.`);
+        sendProcessingStatus(req, `Successfully merged all EPG sources.`, 'success'); // <-- NEW
+    } catch (writeErr) {
+        guideWriteFailed = true;
+        console.error(`[EPG] Error writing merged EPG JSON file: ${writeErr.message}`);
+        sendProcessingStatus(req, `Error writing merged EPG JSON file: ${writeErr.message}`, 'error'); // <-- NEW
+    }
+
+    // NEW: Log what this refresh changed and alert admins about removed channels that are in use.
+    try {
+        const currentMerge = { channels: loadMergedChannels(), coverage: guideWriteFailed ? null : readEpgCoverage(), guideWriteFailed };
+        const change = await recordSourceChanges(previousMerge, currentMerge, req ? 'manual' : 'automatic');
+        if (change) {
+            const { added, removed, changed } = change.summary;
+            sendProcessingStatus(req, ` -> Change log: ${added} channel(s) added, ${removed} removed, ${changed} changed.`, 'info');
+        }
+    } catch (error) {
+        console.error(`[CHANGELOG] Could not record source changes: ${error.message}`);
+    }
+
+    // NEW: Version the finished build here, so /api/config only reads the stored version and connected clients hear about it.
+    try {
+        recordGuideVersion();
+    } catch (error) {
+        console.error(`[GUIDE] Could not version the guide: ${error.message}`);
+    }
+
+    settings.sourcesLastUpdated = new Date().toISOString();
+    console.log(`[PROCESS] Finished processing. New 'sourcesLastUpdated' timestamp: ${settings.sourcesLastUpdated}`);
+    sendProcessingStatus(req, 'All sources processed successfully!', 'final_success'); // <-- NEW
+
+    return { success: true, message: 'Sources merged successfully.', updatedSettings: settings };
+}
+
+let sourceRefreshQueue = Promise.resolve(); // NEW: Scheduled refreshes run one after another
+
+const SCHEDULED_SOURCE_TYPES = ['url', 'xc']; // NEW: Source types that refresh on a timer
+
+/**
+ * NEW: Refreshes a single URL or XC source on its own timer. A URL download is conditional: when the
+ * provider answers 304 the merged playlist and guide are left as they are. Otherwise they are rebuilt
+ * from the new download and the copies of every other source downloaded earlier.
+ * @param {string} sourceId - The M3U or EPG source to refresh.
+ */
+async function refreshSingleSource(sourceId) {
+    const settings = getSettings();
+    const isM3u = (settings.m3uSources || []).some(s => s.id === sourceId);
+    const source = [...(settings.m3uSources || []), ...(settings.epgSources || [])].find(s => s.id === sourceId);
+    if (!source || !source.isActive || !SCHEDULED_SOURCE_TYPES.includes(source.type)) return;
+
+    if (source.type === 'xc') {
+        // The XC API has no conditional requests, so the rebuild reads this source's lineup, movies,
+        // series and provider EPG again. An unchanged lineup still reuses its last parse.
+        const result = await processAndMergeSources(null, { fetchSourceIds: new Set([source.id]) });
+        if (result.success) {
+            fs.writeFileSync(SETTINGS_PATH, JSON.stringify(result.updatedSettings, null, 2));
+            console.log(`[SCHEDULER_RUN] Rebuilt the merged playlist and guide after refreshing "${source.name}".`);
+        }
+        return;
+    }
+
+    const filePath = path.join(SOURCES_DIR, isM3u ? `m3u_${source.id}.m3u` : `epg_${source.id}.xml`);
+    let notModified;
+    try {
+        notModified = await fetchSourceFile(source, source.path, filePath, getSourceFetchOptions(source, isM3u ? {} : (source.fetchOptions || {})));
+    } catch (error) {
+        source.status = 'Error';
+        source.statusMessage = `Refresh failed: ${error.message.substring(0, 100)}...`;
+        source.lastUpdated = new Date().toISOString();
+        fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2));
+        throw error;
+    }
+    source.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2));
+
+    if (notModified) {
+        console.log(`[SCHEDULER_RUN] "${source.name}" has not changed since the last download. Nothing to rebuild.`);
+        return;
+    }
+    const result = await processAndMergeSources(null, { fetchSourceIds: new Set() });
+    if (result.success) {
+        fs.writeFileSync(SETTINGS_PATH, JSON.stringify(result.updatedSettings, null, 2));
+        console.log(`[SCHEDULER_RUN] Rebuilt the merged playlist and guide after "${source.name}" changed.`);
+    }
+}
+
+const updateAndScheduleSourceRefreshes = () => {
+    console.log('[SCHEDULER] Updating and scheduling all source refreshes...');
+    const settings = getSettings();
+    const allSources = [...(settings.m3uSources || []), ...(settings.epgSources || [])];
+    const activeUrlSources = new Set();
+
+    allSources.forEach(source => {
+        if (SCHEDULED_SOURCE_TYPES.includes(source.type) && source.isActive && source.refreshHours > 0) { // MODIFIED: XC sources too
+            activeUrlSources.add(source.id);
+            if (sourceRefreshTimers.has(source.id)) {
+                clearTimeout(sourceRefreshTimers.get(source.id));
+            }
+
+            console.log(`[SCHEDULER] Scheduling refresh for "${source.name}" (ID: ${source.id}) every ${source.refreshHours} hours.`);
+            
+            const scheduleNext = () => {
+                const timeoutId = setTimeout(() => {
+                    console.log(`[SCHEDULER_RUN] Auto-refresh triggered for "${source.name}".`);
+                    // MODIFIED: Only this source is refreshed, one refresh at a time.
+                    sourceRefreshQueue = sourceRefreshQueue
+                        .then(() => refreshSingleSource(source.id))
+                        .catch(error => console.error(`[SCHEDULER_RUN] Auto-refresh for "${source.name}" failed:`, error.message));
+                    scheduleNext();
+                }, source.refreshHours * 3600 * 1000);
+
+                sourceRefreshTimers.set(source.id, timeoutId);
+            };
+
+            scheduleNext();
+        }
+    });
+
+    for (const [sourceId, timeoutId] of sourceRefreshTimers.entries()) {
+        if (!activeUrlSources.has(sourceId)) {
+            console.log(`[SCHEDULER] Clearing obsolete refresh timer for source ID: ${sourceId}`);
+            clearTimeout(timeoutId);
+            sourceRefreshTimers.delete(sourceId);
+        }
+    }
+    console.log(`[SCHEDULER] Finished scheduling. Active timers: ${sourceRefreshTimers.size}`);
+    updateFolderSourceWatchers(); // NEW
+};
+
+// --- NEW: Watch-folder sources ---
+// A folder source points at a directory inside the data directory, or at one file in it, for playlists
+// and guides written by local scripts. The newest matching file is read in place. The folder is watched,
+// and once changes have settled the merged playlist and guide are rebuilt from the new file.
+const FOLDER_SOURCE_EXTENSIONS = { m3u: ['.m3u', '.m3u8'], epg: ['.xml', '.xmltv'] };
+const FOLDER_SOURCE_COMPRESSED_EXTENSIONS = ['.gz', '.xz', '.zip'];
+const FOLDER_WATCH_DEBOUNCE_MS = 15 * 1000; // Grabbers can take a while to finish writing a file
+
+const folderWatchers = new Map(); // sourceId -> { folderPath, watcher, timer }
+
+/**
+ * NEW: Checks whether a file name is a playlist (or XMLTV file), compressed or not.
+ * @param {string} fileName - The file name.
+ * @param {('m3u'|'epg')} sourceType - The source list the source belongs to.
+ * @returns {boolean}
+ */
+function isFolderSourceFileName(fileName, sourceType) {
+    const lowerName = fileName.toLowerCase();
+    const compressedExtension = FOLDER_SOURCE_COMPRESSED_EXTENSIONS.find(ext => lowerName.endsWith(ext));
+    const baseName = compressedExtension ? lowerName.slice(0, -compressedExtension.length) : lowerName;
+    return FOLDER_SOURCE_EXTENSIONS[sourceType].some(ext => baseName.endsWith(ext));
+}
+
+/**
+ * NEW: Resolves symlinks in a path whose last parts may not exist yet.
+ */
+function realpathAllowingMissing(target) {
+    const missingParts = [];
+    let existing = target;
+    while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+        missingParts.unshift(path.basename(existing));
+        existing = path.dirname(existing);
+    }
+    return path.join(fs.realpathSync(existing), ...missingParts);
+}
+
+/**
+ * NEW: Resolves a folder source's path, relative paths being taken from the data directory.
+ * Symlinks are followed before the path is checked, so they can't lead out of the data directory.
+ * The data directory itself and the directories ViniPlay manages are not allowed, and a single file
+ * must be a playlist (or XMLTV file), so no other file in the data directory can be read.
+ * @param {string} rawPath - The path entered by the admin.
+ * @param {('m3u'|'epg')} sourceType - The source list the source belongs to.
+ * @returns {string} The absolute path, symlinks resolved.
+ * @throws {Error} A user-facing message when the path is not allowed.
+ */
+function resolveFolderSourcePath(rawPath, sourceType) {
+    const trimmed = String(rawPath || '').trim();
+    const dataDir = realpathAllowingMissing(DATA_DIR);
+    const resolved = realpathAllowingMissing(path.resolve(DATA_DIR, trimmed));
+    const isInside = (parent, child) => {
+        const relative = path.relative(parent, child);
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+    };
+    if (!trimmed || resolved === dataDir || !isInside(dataDir, resolved)) {
+        throw new Error(`Watch folders must be inside ${DATA_DIR}, e.g. ${path.join(DATA_DIR, 'epg')}.`);
+    }
+    if ([SOURCES_DIR, DVR_DIR].some(dir => isInside(realpathAllowingMissing(dir), resolved))) {
+        throw new Error('This folder is managed by ViniPlay and cannot be watched.');
+    }
+    if (fs.existsSync(resolved) && fs.statSync(resolved).isFile() && !isFolderSourceFileName(path.basename(resolved), sourceType)) {
+        throw new Error(`Single files must be ${sourceType === 'm3u' ? 'playlists (.m3u, .m3u8)' : 'XMLTV files (.xml, .xmltv)'}, optionally compressed.`);
+    }
+    return resolved;
+}
+
+/**
+ * NEW: Finds the file a folder source reads: the path itself when it is a file, otherwise the most
+ * recently modified playlist (or XMLTV file) in the folder, compressed or not. Hidden files are skipped.
+ * @param {object} source - The folder source.
+ * @param {('m3u'|'epg')} sourceType - The source list the source belongs to.
+ * @returns {{path: string, mtimeMs: number}|null} Null when the folder has no matching file.
+ */
+function findFolderSourceFile(source, sourceType) {
+    const folderPath = resolveFolderSourcePath(source.path, sourceType);
+    const stat = fs.statSync(folderPath);
+    if (stat.isFile()) return { path: folderPath, mtimeMs: stat.mtimeMs };
+
+    let newest = null;
+    fs.readdirSync(folderPath, { withFileTypes: true }).forEach(entry => {
+        // Symlinks aren't files here, so they are skipped too.
+        if (!entry.isFile() || entry.name.startsWith('.') || !isFolderSourceFileName(entry.name, sourceType)) return;
+
+        const filePath = path.join(folderPath, entry.name);
+        const { mtimeMs } = fs.statSync(filePath);
+        if (!newest || mtimeMs > newest.mtimeMs) newest = { path: filePath, mtimeMs };
+    });
+    return newest;
+}
+
+/**
+ * NEW: Records which file a folder source was read from, for the source table.
+ */
+function recordFolderSourceFile(source, folderFile) {
+    source.folderFile = path.basename(folderFile.path);
+    source.fileModifiedAt = new Date(folderFile.mtimeMs).toISOString();
+}
+
+/**
+ * NEW: Rebuilds the merged playlist and guide after a watch folder changed. Nothing is rebuilt when
+ * the file the source reads is still the one merged last time (e.g. only a temporary file changed).
+ * @param {string} sourceId - The folder source.
+ */
+function refreshFolderSource(sourceId) {
+    sourceRefreshQueue = sourceRefreshQueue
+        .then(async () => {
+            const settings = getSettings();
+            const isM3u = (settings.m3uSources || []).some(s => s.id === sourceId);
+            const source = [...(settings.m3uSources || []), ...(settings.epgSources || [])].find(s => s.id === sourceId);
+            if (!source || !source.isActive || source.type !== 'folder') return;
+
+            const folderFile = findFolderSourceFile(source, isM3u ? 'm3u' : 'epg');
+            if (!folderFile) return;
+            if (source.folderFile === path.basename(folderFile.path) && source.fileModifiedAt === new Date(folderFile.mtimeMs).toISOString()) return;
+
+            console.log(`[FOLDER_WATCH] "${source.name}" changed (${path.basename(folderFile.path)}). Rebuilding the merged playlist and guide.`);
+            const result = await processAndMergeSources(null, { fetchSourceIds: new Set() });
+            if (result.success) fs.writeFileSync(SETTINGS_PATH, JSON.stringify(result.updatedSettings, null, 2));
+        })
+        .catch(error => console.error(`[FOLDER_WATCH] Rebuild after a change to source ${sourceId} failed:`, error.message));
+}
+
+const stopFolderWatcher = (sourceId) => {
+    const entry = folderWatchers.get(sourceId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    entry.watcher.close();
+    folderWatchers.delete(sourceId);
+};
+
+/**
+ * NEW: Starts and stops folder watchers to match the active folder sources. A folder that is missing
+ * or can't be watched is logged and tried again the next time the settings are saved.
+ */
+function updateFolderSourceWatchers() {
+    const settings = getSettings();
+    const wanted = new Map();
+    [...(settings.m3uSources || []).map(source => [source, 'm3u']), ...(settings.epgSources || []).map(source => [source, 'epg'])]
+        .filter(([source]) => source.type === 'folder' && source.isActive)
+        .forEach(([source, sourceType]) => {
+            try {
+                wanted.set(source.id, { name: source.name, folderPath: resolveFolderSourcePath(source.path, sourceType) });
+            } catch (error) {
+                console.warn(`[FOLDER_WATCH] Not watching "${source.name}": ${error.message}`);
+            }
+        });
+
+    for (const [sourceId, entry] of folderWatchers.entries()) {
+        if (wanted.get(sourceId)?.folderPath !== entry.folderPath) stopFolderWatcher(sourceId);
+    }
+
+    wanted.forEach(({ name, folderPath }, sourceId) => {
+        if (folderWatchers.has(sourceId)) return;
+        // A single file is watched through its directory, so files replaced by a rename are still seen.
+        let watchDir = folderPath;
+        let fileName = null;
+        try {
+            if (fs.statSync(folderPath).isFile()) {
+                watchDir = path.dirname(folderPath);
+                fileName = path.basename(folderPath);
+            }
+            const entry = { folderPath, watcher: null, timer: null };
+            entry.watcher = fs.watch(watchDir, (eventType, changedName) => {
+                if (fileName && changedName && changedName !== fileName) return;
+                clearTimeout(entry.timer);
+                entry.timer = setTimeout(() => refreshFolderSource(sourceId), FOLDER_WATCH_DEBOUNCE_MS);
+            });
+            entry.watcher.on('error', (error) => {
+                console.error(`[FOLDER_WATCH] Stopped watching ${watchDir} for "${name}": ${error.message}`);
+                stopFolderWatcher(sourceId);
+            });
+            folderWatchers.set(sourceId, entry);
+            console.log(`[FOLDER_WATCH] Watching ${watchDir} for "${name}".`);
+        } catch (error) {
+            console.warn(`[FOLDER_WATCH] Could not watch ${folderPath} for "${name}": ${error.message}`);
+        }
+    });
+}
+// ... existing helper functions ...
+
+// --- Authentication API Endpoints ---
+app.get('/api/auth/needs-setup', (req, res) => {
+    console.log('[AUTH_API] Received request for /api/auth/needs-setup');
+    db.get("SELECT COUNT(*) as count FROM users WHERE isAdmin = 1", [], (err, row) => {
+        if (err) {
+            console.error('[AUTH_API] Error checking admin user count:', err.message);
+            return res.status(500).json({ error: err.message });
+        }
+        const needsSetup = row.count === 0;
+        console.log(`[AUTH_API] Admin user count: ${row.count}. Needs setup: ${needsSetup}`);
+        res.json({ needsSetup });
+    });
+});
+
+app.post('/api/auth/setup-admin', (req, res) => {
+    console.log('[AUTH_API] Received request for /api/auth/setup-admin');
+    db.get("SELECT COUNT(*) as count FROM users", [], (err, row) => {
+        if (err) {
+            console.error('[AUTH_API] Error checking user count during admin setup:', err.message);
+            return res.status(500).json({ error: err.message });
+        }
+        if (row.count > 0) {
+            console.warn('[AUTH_API] Setup attempted but users already exist. Denying setup.');
+            return res.status(403).json({ error: "Setup has already been completed." });
+        }
+        
+        const { username, password } = req.body;
+        if (!username || !password) {
+            console.warn('[AUTH_API] Admin setup failed: Username and/or password missing.');
+            return res.status(400).json({ error: "Username and password are required." });
+        }
+
+        bcrypt.hash(password, saltRounds, (err, hash) => {
+            if (err) {
+                console.error('[AUTH_API] Error hashing password during admin setup:', err);
+                return res.status(500).json({ error: 'Error hashing password.' });
+            }
+            const adminPermissions = normalizePermissionsInput({}, true);
+            const permissionColumns = permissionsToColumnValues(adminPermissions);
+            const permissionColumnNames = Object.keys(permissionColumns);
+            const permissionPlaceholders = permissionColumnNames.map(() => '?').join(', ');
+            const insertSql = `INSERT INTO users (username, password, isAdmin, ${permissionColumnNames.join(', ')}) VALUES (?, ?, ?, ${permissionPlaceholders})`;
+            const insertParams = [username, hash, 1, ...permissionColumnNames.map((col) => permissionColumns[col])];
+
+            db.run(insertSql, insertParams, function(err) {
+                if (err) {
+                    console.error('[AUTH_API] Error inserting admin user:', err.message);
+                    return res.status(500).json({ error: err.message });
+                }
+                req.session.userId = this.lastID;
+                req.session.username = username;
+                req.session.isAdmin = true;
+                const effectivePermissions = applyPermissionsToSession(req.session, adminPermissions, true);
+                console.log(`[AUTH_API] Admin user "${username}" created successfully (ID: ${this.lastID}). Session set.`);
+                res.json({ success: true, user: { id: req.session.userId, username: req.session.username, isAdmin: true, permissions: effectivePermissions } });
+            });
+        });
+    });
+});
+
+app.post('/api/auth/login', (req, res) => {
+    console.log('[AUTH_API] Received request for /api/auth/login');
+    const { username, password } = req.body;
+    db.get("SELECT * FROM users WHERE username = ?", [username], (err, user) => {
+        if (err) {
+            console.error('[AUTH_API] Error querying user during login:', err.message);
+            return res.status(500).json({ error: err.message });
+        }
+        if (!user) {
+            console.warn(`[AUTH_API] Login failed for username "${username}": User not found.`);
+            return res.status(401).json({ error: "Invalid username or password." });
+        }
+        
+        bcrypt.compare(password, user.password, (err, result) => {
+            if (err) {
+                console.error('[AUTH_API] Error comparing password hash:', err);
+                return res.status(500).json({ error: 'Authentication error.' });
+            }
+            if (result) {
+                req.session.userId = user.id;
+                req.session.username = user.username;
+                req.session.isAdmin = user.isAdmin === 1;
+                const permissions = mapPermissionsFromRow(user, req.session.isAdmin);
+                const effectivePermissions = applyPermissionsToSession(req.session, permissions, req.session.isAdmin);
+                console.log(`[AUTH_API] User "${username}" (ID: ${user.id}) logged in successfully. Session set.`);
+                res.json({
+                    success: true,
+                    user: { id: user.id, username: user.username, isAdmin: req.session.isAdmin, permissions: effectivePermissions }
+                });
+            } else {
+                console.warn(`[AUTH_API] Login failed for username "${username}": Incorrect password.`);
+                res.status(401).json({ error: "Invalid username or password." });
+            }
+        });
+    });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    console.log('[AUTH_API] Received request for /api/auth/logout');
+    const username = req.session.username || 'unknown';
+    req.session.destroy(err => {
+        if (err) {
+            console.error(`[AUTH_API] Error destroying session for user ${username}:`, err);
+            return res.status(500).json({ error: 'Could not log out.' });
+        }
+        res.clearCookie('connect.sid');
+        console.log(`[AUTH_API] User ${username} logged out. Session destroyed.`);
+        res.json({ success: true });
+    });
+});
+
+app.get('/api/auth/status', (req, res) => {
+    console.log(`[AUTH_API] GET /api/auth/status - Checking session ID: ${req.sessionID}`);
+    if (req.session && req.session.userId) {
+        const respond = (permissions) => {
+            console.log(`[AUTH_API_STATUS] Valid session found for user "${req.session.username}" (ID: ${req.session.userId}). Responding with isLoggedIn: true.`);
+            res.json({ isLoggedIn: true, user: { id: req.session.userId, username: req.session.username, isAdmin: req.session.isAdmin, permissions } });
+        };
+
+        if (req.session.permissions) {
+            return respond(req.session.permissions);
+        }
+
+        const selectSql = `
+            SELECT isAdmin, canUseDvr, canAccessPopular, canAccessChannels,
+                   canAccessGuide, canAccessMultiView, canAccessDirectPlayer, canAccessNotifications, canAccessVod
+            FROM users
+            WHERE id = ?
+        `;
+        db.get(selectSql, [req.session.userId], (err, row) => {
+            if (err || !row) {
+                console.warn(`[AUTH_API_STATUS] Could not refresh permissions for session user ID ${req.session.userId}. Error: ${err?.message}`);
+                const fallback = req.session.isAdmin ? ADMIN_PERMISSIONS : { ...DEFAULT_USER_PERMISSIONS };
+                applyPermissionsToSession(req.session, fallback, req.session.isAdmin);
+                return respond(req.session.permissions);
+            }
+            const permissions = mapPermissionsFromRow(row, row.isAdmin === 1);
+            applyPermissionsToSession(req.session, permissions, row.isAdmin === 1);
+            respond(req.session.permissions);
+        });
+    } else {
+        console.log('[AUTH_API_STATUS] No valid session found. Responding with isLoggedIn: false.');
+        res.json({ isLoggedIn: false });
+    }
+});
+// ... existing User Management API Endpoints ...
+app.get('/api/users', requireAdmin, (req, res) => {
+    console.log('[USER_API] Fetching all users.');
+    const selectSql = `
+        SELECT id, username, isAdmin, canUseDvr, canAccessPopular, canAccessChannels, canAccessGuide,
+               canAccessMultiView, canAccessDirectPlayer, canAccessNotifications, canAccessVod
+        FROM users
+        ORDER BY username
+    `;
+    db.all(selectSql, [], (err, rows) => {
+        if (err) {
+            console.error('[USER_API] Error fetching users:', err.message);
+            return res.status(500).json({ error: err.message });
+        }
+        console.log(`[USER_API] Found ${rows.length} users.`);
+        res.json(rows.map(buildUserResponse));
+    });
+});
+
+app.post('/api/users', requireAdmin, (req, res) => {
+    console.log('[USER_API] Adding new user.');
+    const { username, password, isAdmin } = req.body;
+    if (!username || !password) {
+        console.warn('[USER_API] Add user failed: Username and/or password missing.');
+        return res.status(400).json({ error: "Username and password are required." });
+    }
+
+    const requestedPermissions = extractPermissionsFromBody(req.body);
+    const normalizedPermissions = normalizePermissionsInput(requestedPermissions, !!isAdmin);
+    const permissionColumns = permissionsToColumnValues(normalizedPermissions);
+    const permissionColumnNames = Object.keys(permissionColumns);
+    const permissionPlaceholders = permissionColumnNames.map(() => '?').join(', ');
+    const insertSql = `INSERT INTO users (username, password, isAdmin, ${permissionColumnNames.join(', ')}) VALUES (?, ?, ?, ${permissionPlaceholders})`;
+
+    bcrypt.hash(password, saltRounds, (err, hash) => {
+        if (err) {
+            console.error('[USER_API] Error hashing password for new user:', err);
+            return res.status(500).json({ error: 'Error hashing password' });
+        }
+        const paramsWithHash = [username, hash, isAdmin ? 1 : 0, ...permissionColumnNames.map((col) => permissionColumns[col])];
+        db.run(insertSql, paramsWithHash, function (err) {
+            if (err) {
+                console.error('[USER_API] Error inserting new user:', err.message);
+                return res.status(400).json({ error: "Username already exists." });
+            }
+            console.log(`[USER_API] User "${username}" added successfully (ID: ${this.lastID}).`);
+            res.json({ success: true, id: this.lastID });
+        });
+    });
+});
+
+app.put('/api/users/:id', requireAdmin, (req, res) => {
+    const { id } = req.params;
+    const { username, password, isAdmin } = req.body;
+    const requestedPermissions = extractPermissionsFromBody(req.body);
+    const normalizedPermissions = normalizePermissionsInput(requestedPermissions, !!isAdmin);
+    const permissionColumns = permissionsToColumnValues(normalizedPermissions);
+    const permissionColumnNames = Object.keys(permissionColumns);
+    const permissionAssignments = permissionColumnNames.map((col) => `${col} = ?`).join(', ');
+
+    console.log(`[USER_API] Updating user ID: ${id}. Username: ${username}, IsAdmin: ${isAdmin}`);
+
+    const finalizeSessionUpdate = () => {
+        if (req.session.userId == id) {
+            req.session.username = username;
+            req.session.isAdmin = !!isAdmin;
+            applyPermissionsToSession(req.session, normalizedPermissions, !!isAdmin);
+            console.log(`[USER_API] Current user's session (ID: ${id}) updated.`);
+        }
+    };
+
+    const updateUser = () => {
+        if (password) {
+            bcrypt.hash(password, saltRounds, (err, hash) => {
+                if (err) {
+                    console.error('[USER_API] Error hashing password during user update:', err);
+                    return res.status(500).json({ error: 'Error hashing password' });
+                }
+                const updateSql = `UPDATE users SET username = ?, password = ?, isAdmin = ?, ${permissionAssignments} WHERE id = ?`;
+                const params = [username, hash, isAdmin ? 1 : 0, ...permissionColumnNames.map((col) => permissionColumns[col]), id];
+                db.run(updateSql, params, (err) => {
+                    if (err) {
+                        console.error(`[USER_API] Error updating user ${id} with new password:`, err.message);
+                        return res.status(500).json({ error: err.message });
+                    }
+                    finalizeSessionUpdate();
+                    console.log(`[USER_API] User ${id} updated successfully (with password change).`);
+                    res.json({ success: true });
+                });
+            });
+        } else {
+            const updateSql = `UPDATE users SET username = ?, isAdmin = ?, ${permissionAssignments} WHERE id = ?`;
+            const params = [username, isAdmin ? 1 : 0, ...permissionColumnNames.map((col) => permissionColumns[col]), id];
+            db.run(updateSql, params, (err) => {
+                if (err) {
+                    console.error(`[USER_API] Error updating user ${id} without password change:`, err.message);
+                    return res.status(500).json({ error: err.message });
+                }
+                finalizeSessionUpdate();
+                console.log(`[USER_API] User ${id} updated successfully (without password change).`);
+                res.json({ success: true });
+            });
+        }
+    };
+    
+    if (req.session.userId == id && !isAdmin) {
+        console.log(`[USER_API] Attempting to demote current admin user ${id}. Checking if last admin.`);
+         db.get("SELECT COUNT(*) as count FROM users WHERE isAdmin = 1", [], (err, row) => {
+            if (err) {
+                console.error('[USER_API] Error checking admin count for demotion:', err.message);
+                return res.status(500).json({ error: err.message });
+            }
+            if (row.count <= 1) {
+                console.warn(`[USER_API] Cannot demote user ${id}: They are the last administrator.`);
+                return res.status(403).json({error: "Cannot remove the last administrator."});
+            }
+            updateUser();
+         });
+    } else {
+        updateUser();
+    }
+});
+
+// MODIFIED: User deletion now terminates active streams and forces logout.
+app.delete('/api/users/:id', requireAdmin, (req, res) => {
+    const idToDelete = parseInt(req.params.id, 10);
+    console.log(`[USER_API] Deleting user ID: ${idToDelete}`);
+    if (req.session.userId == idToDelete) {
+        console.warn(`[USER_API] Attempted to delete own account for user ${idToDelete}.`);
+        return res.status(403).json({ error: "You cannot delete your own account." });
+    }
+
+    // --- NEW: Terminate active streams for the deleted user ---
+    let streamsKilled = 0;
+    for (const [streamKey, streamInfo] of activeStreamProcesses.entries()) {
+        if (streamInfo.userId === idToDelete) {
+            console.log(`[USER_DELETION] Found active stream for deleted user ${idToDelete}. Terminating PID: ${streamInfo.process.pid}.`);
+            try {
+                stopStreamSession(streamInfo); // MODIFIED: Other viewers of a shared hub keep watching
+                streamsKilled++;
+            } catch (e) {
+                console.warn(`[USER_DELETION] Error killing stream process for user ${idToDelete}: ${e.message}`);
+            }
+        }
+    }
+    if (streamsKilled > 0) {
+        console.log(`[USER_DELETION] Terminated ${streamsKilled} active stream(s) for deleted user ${idToDelete}.`);
+    }
+
+    // --- NEW: Force logout via SSE ---
+    sendSseEvent(idToDelete, 'force-logout', { reason: 'Your account has been deleted by an administrator.' });
+    
+    db.run("DELETE FROM users WHERE id = ?", idToDelete, function(err) {
+        if (err) {
+            console.error(`[USER_API] Error deleting user ${idToDelete}:`, err.message);
+            return res.status(500).json({ error: err.message });
+        }
+        if (this.changes === 0) {
+            console.warn(`[USER_API] User ${idToDelete} not found for deletion.`);
+            return res.status(404).json({ error: 'User not found.' });
+        }
+        console.log(`[USER_API] User ${idToDelete} deleted successfully from database.`);
+        res.json({ success: true });
+    });
+});
+// --- Protected IPTV API Endpoints ---
+// --- NEW: Windowed guide API ---
+// The client no longer downloads the whole playlist and guide on load. Channels are served in pages,
+// and programmes by time window and channel set. Programmes are read straight from epg.json through
+// epg_index.json, which records where each channel's (start-sorted) programme list sits in the file.
+const GUIDE_CHANNEL_PAGE_LIMIT = 5000;
+const GUIDE_WINDOW_MAX_CHANNELS = 500;
+const GUIDE_WINDOW_MAX_HOURS = 7 * 24;
+const GUIDE_SEARCH_RESULT_LIMIT = 20;
+const GUIDE_NOW_MIN_TTL_MS = 30 * 1000;
+
+let guideChannelsCache = { mtimeMs: null, channels: [] };
+let epgIndexCache = { mtimeMs: null, index: null };
+let guideNowCache = { mtimeMs: null, validUntil: 0, programs: {} };
+let epgLookupCache = { mtimeMs: null, lookup: null, search: null }; // MODIFIED: search holds the title index
+
+/**
+ * NEW: Builds one channel's entry in epg_index.json.
+ * @returns {number[]} [byte offset, byte length, first start (ms), last stop (ms)]
+ */
+function buildEpgIndexEntry(offset, length, firstStartMs, lastStopMs) {
+    return [offset, length, firstStartMs, lastStopMs];
+}
+
+/**
+ * NEW: Builds one programme's entry in epg_lookup.json. A channel's entries are sorted by start time.
+ * @returns {Array} [start (ms), stop (ms), byte offset, byte length, title]
+ */
+function buildEpgLookupEntry(startMs, stopMs, offset, length, title) {
+    return [startMs, stopMs, offset, length, title || ''];
+}
+
+/**
+ * NEW: Returns the merged playlist's channels, parsed once per playlist file.
+ */
+function getGuideChannels() {
+    if (!fs.existsSync(MERGED_M3U_PATH)) return [];
+    const { mtimeMs } = fs.statSync(MERGED_M3U_PATH);
+    if (guideChannelsCache.mtimeMs !== mtimeMs) {
+        guideChannelsCache = { mtimeMs, channels: loadMergedChannels() };
+    }
+    return guideChannelsCache.channels;
+}
+
+/**
+ * NEW: Rewrites epg.json together with a fresh index and programme lookup. Only needed for an epg.json
+ * written before they existed; merges write all three.
+ * @returns {{epgSize: number, channels: object}}
+ */
+function rebuildEpgIndex() {
+    console.log('[GUIDE] Building the epg.json index.');
+    const programs = JSON.parse(fs.readFileSync(MERGED_EPG_JSON_PATH, 'utf-8'));
+    const tempPath = `${MERGED_EPG_JSON_PATH}.${Date.now()}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    const channels = {};
+    const lookup = {};
+    let position = 0;
+    try {
+        const writeText = (text) => { position += fs.writeSync(fd, text); };
+        writeText('{');
+        Object.entries(programs).forEach(([channelId, list], i) => {
+            const sorted = [...list].sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+            writeText(`${i === 0 ? '' : ','}${JSON.stringify(channelId)}:`);
+            const offset = position;
+            writeText('[');
+            lookup[channelId] = sorted.map((program, k) => {
+                if (k > 0) writeText(',');
+                const programOffset = position;
+                writeText(JSON.stringify(program));
+                return buildEpgLookupEntry(Date.parse(program.start), Date.parse(program.stop), programOffset, position - programOffset, program.title);
+            });
+            writeText(']');
+            const lastStopMs = sorted.reduce((max, p) => Math.max(max, Date.parse(p.stop) || 0), 0);
+            channels[channelId] = buildEpgIndexEntry(offset, position - offset, sorted.length > 0 ? Date.parse(sorted[0].start) : 0, lastStopMs);
+        });
+        writeText('}');
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, MERGED_EPG_JSON_PATH);
+    const index = { epgSize: position, channels };
+    fs.writeFileSync(EPG_LOOKUP_PATH, JSON.stringify({ epgSize: position, channels: lookup }));
+    fs.writeFileSync(EPG_INDEX_PATH, JSON.stringify(index));
+    return index;
+}
+
+/**
+ * NEW: Loads the programme lookup of the current epg.json, rebuilding it when it's missing or outdated.
+ * Programme titles are grouped for search on first use.
+ * @returns {{epgSize: number, channels: object}|null} Null without guide data.
+ */
+function loadEpgLookup() {
+    let index = loadEpgIndex();
+    if (!index) return null;
+    if (epgLookupCache.mtimeMs === epgIndexCache.mtimeMs) return epgLookupCache.lookup;
+
+    const readLookup = () => {
+        try {
+            return JSON.parse(fs.readFileSync(EPG_LOOKUP_PATH, 'utf-8'));
+        } catch (e) {
+            return null;
+        }
+    };
+    let lookup = readLookup();
+    if (!lookup || lookup.epgSize !== index.epgSize) {
+        try {
+            rebuildEpgIndex();
+        } catch (error) {
+            console.error(`[GUIDE] Could not index ${MERGED_EPG_JSON_PATH}: ${error.message}`);
+            return null;
+        }
+        index = loadEpgIndex();
+        lookup = readLookup();
+        if (!index || !lookup) return null;
+    }
+    epgLookupCache = { mtimeMs: epgIndexCache.mtimeMs, lookup, search: null };
+    return lookup;
+}
+
+/**
+ * NEW: Reads single programmes from epg.json by their lookup entries.
+ * @param {Array<{channelId: string, entry: number[]}>} wanted - The programmes to read.
+ * @returns {object} { channelId: [programmes] }
+ */
+function readEpgPrograms(wanted) {
+    const programs = {};
+    const fd = fs.openSync(MERGED_EPG_JSON_PATH, 'r');
+    try {
+        wanted.forEach(({ channelId, entry }) => {
+            const [, , offset, length] = entry;
+            const buffer = Buffer.alloc(length);
+            fs.readSync(fd, buffer, 0, length, offset);
+            if (!programs[channelId]) programs[channelId] = [];
+            programs[channelId].push(JSON.parse(buffer.toString('utf8')));
+        });
+    } finally {
+        fs.closeSync(fd);
+    }
+    return programs;
+}
+
+/**
+ * NEW: Loads the epg.json index, rebuilding it when it doesn't match the current epg.json.
+ * @returns {{epgSize: number, channels: object, range: ({start: string, end: string}|null)}|null} Null without guide data.
+ */
+function loadEpgIndex() {
+    if (!fs.existsSync(MERGED_EPG_JSON_PATH)) return null;
+    let { mtimeMs, size } = fs.statSync(MERGED_EPG_JSON_PATH);
+    if (epgIndexCache.mtimeMs === mtimeMs) return epgIndexCache.index;
+
+    let index = null;
+    try {
+        index = JSON.parse(fs.readFileSync(EPG_INDEX_PATH, 'utf-8'));
+    } catch (e) {
+        index = null;
+    }
+    if (!index || index.epgSize !== size) {
+        try {
+            index = rebuildEpgIndex();
+            mtimeMs = fs.statSync(MERGED_EPG_JSON_PATH).mtimeMs;
+        } catch (error) {
+            console.error(`[GUIDE] Could not index ${MERGED_EPG_JSON_PATH}: ${error.message}`);
+            return null;
+        }
+    }
+
+    let rangeStart = Infinity;
+    let rangeEnd = 0;
+    Object.values(index.channels).forEach(([, , firstStartMs, lastStopMs]) => {
+        if (firstStartMs && firstStartMs < rangeStart) rangeStart = firstStartMs;
+        if (lastStopMs > rangeEnd) rangeEnd = lastStopMs;
+    });
+    index.range = rangeEnd > 0 ? { start: new Date(rangeStart).toISOString(), end: new Date(rangeEnd).toISOString() } : null;
+    epgIndexCache = { mtimeMs, index };
+    return index;
+}
+
+/**
+ * NEW: Reads the programmes of some channels that overlap a time window.
+ * Only the byte ranges of the requested channels are read from epg.json.
+ * @param {object} index - The epg.json index from loadEpgIndex.
+ * @param {string[]} channelIds - The channels to read.
+ * @param {number} startMs - Window start.
+ * @param {number} endMs - Window end (exclusive).
+ * @returns {object} { channelId: [programmes] } for channels with programmes in the window.
+ */
+function readEpgWindow(index, channelIds, startMs, endMs) {
+    const programs = {};
+    const fd = fs.openSync(MERGED_EPG_JSON_PATH, 'r');
+    try {
+        channelIds.forEach(channelId => {
+            const entry = index.channels[channelId];
+            if (!entry) return;
+            const [offset, length, firstStartMs, lastStopMs] = entry;
+            if (lastStopMs <= startMs || firstStartMs >= endMs) return;
+
+            const buffer = Buffer.alloc(length);
+            fs.readSync(fd, buffer, 0, length, offset);
+            const inWindow = JSON.parse(buffer.toString('utf8')).filter(p => Date.parse(p.stop) > startMs && Date.parse(p.start) < endMs);
+            if (inWindow.length > 0) programs[channelId] = inWindow;
+        });
+    } finally {
+        fs.closeSync(fd);
+    }
+    return programs;
+}
+
+/**
+ * NEW: Parses and checks the start/end of a requested window.
+ * @returns {{startMs: number, endMs: number}|{error: string}}
+ */
+function parseGuideWindow(start, end) {
+    const startMs = Date.parse(start);
+    const endMs = Date.parse(end);
+    if (Number.isNaN(startMs) || Number.isNaN(endMs) || endMs <= startMs) {
+        return { error: 'A valid start and end time are required.' };
+    }
+    if (endMs - startMs > GUIDE_WINDOW_MAX_HOURS * 3600 * 1000) {
+        return { error: `Windows are limited to ${GUIDE_WINDOW_MAX_HOURS} hours.` };
+    }
+    return { startMs, endMs };
+}
+
+// --- NEW: Guide versions ---
+// Every build of the merged playlist and guide gets a version: a hash over a hash of each channel and of
+// each channel's programmes per block of hours. The last few builds' hashes are kept in guide_versions.json,
+// so /api/config can tell a client holding an older version exactly which channels and blocks changed.
+const GUIDE_BLOCK_MS = 6 * 3600 * 1000; // Must match BLOCK_MS in public/js/modules/guide_data.js
+const GUIDE_VERSION_HISTORY = 3;
+const GUIDE_MANIFEST_CHUNK = 200; // Channels read from epg.json at a time while hashing
+const GUIDE_DELTA_MAX_PROGRAMS = 50000; // Larger deltas are answered with a full reload
+
+let guideVersionCache = { version: undefined }; // MODIFIED: The version recorded by the last merge, read once
+
+const hashGuideContent = (value) => crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').substring(0, 12);
+
+/**
+ * NEW: Groups programmes by the blocks of hours they overlap. A programme spanning a block boundary is in both blocks.
+ * @param {Array<object>} programs - A channel's programmes.
+ * @returns {object} { blockStartMs: [programmes] }
+ */
+function groupProgramsByBlock(programs) {
+    const blocks = {};
+    programs.forEach(p => {
+        const startMs = Date.parse(p.start);
+        const stopMs = Date.parse(p.stop);
+        if (Number.isNaN(startMs) || Number.isNaN(stopMs)) return;
+        for (let blockStart = Math.floor(startMs / GUIDE_BLOCK_MS) * GUIDE_BLOCK_MS; blockStart < stopMs; blockStart += GUIDE_BLOCK_MS) {
+            if (!blocks[blockStart]) blocks[blockStart] = [];
+            blocks[blockStart].push(p);
+        }
+    });
+    return blocks;
+}
+
+/**
+ * NEW: Parses a channel's block hashes as stored in a build ("blockStart:hash,...").
+ * @returns {object} { blockStartMs: hash }
+ */
+const parseBlockHashes = (value) => Object.fromEntries((value || '').split(',').filter(Boolean).map(entry => entry.split(':')));
+
+/**
+ * NEW: Hashes the current playlist and guide.
+ * @returns {{version: string, createdAt: string, order: string, channels: object, blocks: object}}
+ */
+function buildGuideManifest() {
+    const guideChannels = getGuideChannels();
+    const channels = {};
+    guideChannels.forEach(channel => { channels[channel.id] = hashGuideContent(channel); });
+    const order = hashGuideContent(guideChannels.map(channel => channel.id));
+
+    const blocks = {};
+    const index = loadEpgIndex();
+    if (index) {
+        const channelIds = Object.keys(index.channels);
+        for (let i = 0; i < channelIds.length; i += GUIDE_MANIFEST_CHUNK) {
+            const programs = readEpgWindow(index, channelIds.slice(i, i + GUIDE_MANIFEST_CHUNK), -Infinity, Infinity);
+            Object.entries(programs).forEach(([channelId, list]) => {
+                blocks[channelId] = Object.entries(groupProgramsByBlock(list))
+                    .map(([blockStart, inBlock]) => `${blockStart}:${hashGuideContent(inBlock)}`)
+                    .join(',');
+            });
+        }
+    }
+
+    return { version: hashGuideContent({ channels, order, blocks }), createdAt: new Date().toISOString(), order, channels, blocks };
+}
+
+const readGuideBuilds = () => {
+    try {
+        return JSON.parse(fs.readFileSync(GUIDE_VERSIONS_PATH, 'utf-8'));
+    } catch (e) {
+        return [];
+    }
+};
+
+/**
+ * NEW: Hashes the playlist and guide a merge has just written and records the build. Clients are told
+ * when the content changed. Only processAndMergeSources calls this, once both files are complete.
+ */
+function recordGuideVersion() {
+    const builds = readGuideBuilds();
+    const build = buildGuideManifest();
+    if (builds[0]?.version !== build.version) {
+        builds.unshift(build);
+        builds.splice(GUIDE_VERSION_HISTORY);
+        fs.writeFileSync(GUIDE_VERSIONS_PATH, JSON.stringify(builds));
+        console.log(`[GUIDE] New guide version ${build.version} (${Object.keys(build.channels).length} channels).`);
+        broadcastSseToAll('guide-updated', { version: build.version });
+    }
+    guideVersionCache = { version: build.version };
+}
+
+/**
+ * NEW: Returns the version recorded by the last merge.
+ * @returns {string|null} Null before the first merge.
+ */
+function getGuideVersion() {
+    if (guideVersionCache.version === undefined) guideVersionCache.version = readGuideBuilds()[0]?.version || null;
+    return guideVersionCache.version;
+}
+
+/**
+ * NEW: Describes what changed in the guide since an earlier version.
+ * Changed and added channels are sent whole. Programmes are sent for the blocks the earlier version
+ * had that changed; blocks that are new since then are sent as null, so clients drop whatever
+ * (empty) copy they cached and fetch them again when shown.
+ * @param {string} fromVersion - The version the client holds.
+ * @returns {object|null} The delta, or null when the version is unknown or the delta would be too large.
+ */
+function buildGuideDelta(fromVersion) {
+    const [toBuild, ...olderBuilds] = readGuideBuilds();
+    const fromBuild = olderBuilds.find(build => build.version === fromVersion);
+    if (!toBuild || !fromBuild) return null;
+
+    const guideChannels = getGuideChannels();
+    const upserted = guideChannels.filter(channel => fromBuild.channels[channel.id] !== toBuild.channels[channel.id]);
+    const removed = Object.keys(fromBuild.channels).filter(id => !(id in toBuild.channels));
+
+    const programs = {};
+    const channelsToRead = [];
+    new Set([...Object.keys(fromBuild.blocks), ...Object.keys(toBuild.blocks)]).forEach(channelId => {
+        if (fromBuild.blocks[channelId] === toBuild.blocks[channelId]) return;
+        const before = parseBlockHashes(fromBuild.blocks[channelId]);
+        const after = parseBlockHashes(toBuild.blocks[channelId]);
+        const changes = {};
+        Object.keys(before).forEach(blockStart => { if (before[blockStart] !== after[blockStart]) changes[blockStart] = []; });
+        Object.keys(after).forEach(blockStart => { if (!(blockStart in before)) changes[blockStart] = null; });
+        if (Object.keys(changes).length === 0) return;
+        programs[channelId] = changes;
+        if (Object.values(changes).some(Array.isArray)) channelsToRead.push(channelId);
+    });
+
+    const index = loadEpgIndex();
+    let programCount = 0;
+    for (let i = 0; index && i < channelsToRead.length; i += GUIDE_MANIFEST_CHUNK) {
+        const lists = readEpgWindow(index, channelsToRead.slice(i, i + GUIDE_MANIFEST_CHUNK), -Infinity, Infinity);
+        for (const [channelId, list] of Object.entries(lists)) {
+            const byBlock = groupProgramsByBlock(list);
+            Object.keys(programs[channelId]).forEach(blockStart => {
+                if (programs[channelId][blockStart] === null) return;
+                programs[channelId][blockStart] = byBlock[blockStart] || [];
+                programCount += programs[channelId][blockStart].length;
+            });
+            if (programCount > GUIDE_DELTA_MAX_PROGRAMS) return null;
+        }
+    }
+
+    return {
+        from: fromBuild.version,
+        to: toBuild.version,
+        channels: { upserted, removed, order: fromBuild.order !== toBuild.order ? guideChannels.map(channel => channel.id) : null },
+        programs,
+        epgRange: index ? index.range : null,
+    };
+}
+
+// Channels with their metadata, in pages. The guide's date range comes with every page.
+app.get('/api/guide/channels', requireAuth, (req, res) => {
+    try {
+        const channels = getGuideChannels();
+        const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+        const limit = Math.min(GUIDE_CHANNEL_PAGE_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || GUIDE_CHANNEL_PAGE_LIMIT));
+        const index = loadEpgIndex();
+        res.json({
+            total: channels.length,
+            offset,
+            channels: channels.slice(offset, offset + limit),
+            epgRange: index ? index.range : null,
+            sourcesLastUpdated: getSettings().sourcesLastUpdated || null,
+        });
+    } catch (error) {
+        console.error('[GUIDE] Error listing channels:', error);
+        res.status(500).json({ error: 'Could not load channels.' });
+    }
+});
+
+// Programmes of a set of channels within a time window.
+app.post('/api/guide/programs', requireAuth, (req, res) => {
+    const { start, end, channelIds } = req.body;
+    const window = parseGuideWindow(start, end);
+    if (window.error) return res.status(400).json({ error: window.error });
+    if (!Array.isArray(channelIds) || channelIds.length > GUIDE_WINDOW_MAX_CHANNELS) {
+        return res.status(400).json({ error: `Up to ${GUIDE_WINDOW_MAX_CHANNELS} channel IDs are required.` });
+    }
+
+    try {
+        const index = loadEpgIndex();
+        res.json({ programs: index ? readEpgWindow(index, channelIds.map(String), window.startMs, window.endMs) : {} });
+    } catch (error) {
+        console.error('[GUIDE] Error reading programmes:', error);
+        res.status(500).json({ error: 'Could not load programmes.' });
+    }
+});
+
+// The programme airing now on every channel, for channel cards and the player.
+app.get('/api/guide/now', requireAuth, (req, res) => {
+    try {
+        const lookup = loadEpgLookup();
+        if (!lookup) return res.json({ programs: {}, validUntil: null });
+
+        const now = Date.now();
+        if (guideNowCache.mtimeMs !== epgLookupCache.mtimeMs || now >= guideNowCache.validUntil) {
+            // MODIFIED: The lookup finds each channel's current programme; only those are read from epg.json.
+            const airing = [];
+            let nextChange = now + 3600 * 1000;
+            Object.entries(lookup.channels).forEach(([channelId, entries]) => {
+                let low = 0;
+                let high = entries.length - 1;
+                let current = -1;
+                while (low <= high) {
+                    const mid = (low + high) >> 1;
+                    if (entries[mid][0] <= now) {
+                        current = mid;
+                        low = mid + 1;
+                    } else {
+                        high = mid - 1;
+                    }
+                }
+                if (current !== -1 && entries[current][1] > now) {
+                    airing.push({ channelId, entry: entries[current] });
+                    nextChange = Math.min(nextChange, entries[current][1]);
+                }
+                if (current + 1 < entries.length) nextChange = Math.min(nextChange, entries[current + 1][0]);
+            });
+            guideNowCache = { mtimeMs: epgLookupCache.mtimeMs, validUntil: Math.max(nextChange, now + GUIDE_NOW_MIN_TTL_MS), programs: readEpgPrograms(airing) };
+        }
+        res.json({ programs: guideNowCache.programs, validUntil: new Date(guideNowCache.validUntil).toISOString() });
+    } catch (error) {
+        console.error('[GUIDE] Error reading current programmes:', error);
+        res.status(500).json({ error: 'Could not load current programmes.' });
+    }
+});
+
+// Programme title search within a window. MODIFIED: Titles are indexed once per guide version from the lookup.
+app.get('/api/guide/search', requireAuth, (req, res) => {
+    const query = String(req.query.q || '').trim();
+    const window = parseGuideWindow(req.query.start, req.query.end);
+    if (window.error) return res.status(400).json({ error: window.error });
+    if (!query) return res.json({ results: [] });
+
+    try {
+        const lookup = loadEpgLookup();
+        if (!lookup) return res.json({ results: [] });
+
+        if (!epgLookupCache.search) {
+            const airingsByTitle = new Map(); // title -> [[channelId, startMs, stopMs]], sorted by start
+            Object.entries(lookup.channels).forEach(([channelId, entries]) => entries.forEach(([startMs, stopMs, , , title]) => {
+                if (!title) return;
+                if (!airingsByTitle.has(title)) airingsByTitle.set(title, []);
+                airingsByTitle.get(title).push([channelId, startMs, stopMs]);
+            }));
+            airingsByTitle.forEach(airings => airings.sort((a, b) => a[1] - b[1]));
+            const fuse = new Fuse([...airingsByTitle.keys()], { threshold: 0.4, includeScore: true });
+            epgLookupCache.search = { fuse, airingsByTitle };
+        }
+
+        const results = [];
+        for (const match of epgLookupCache.search.fuse.search(query)) {
+            epgLookupCache.search.airingsByTitle.get(match.item).some(([channelId, startMs, stopMs]) => {
+                if (stopMs <= window.startMs || startMs >= window.endMs) return false;
+                results.push({ channelId, title: match.item, start: new Date(startMs).toISOString(), stop: new Date(stopMs).toISOString() });
+                return results.length >= GUIDE_SEARCH_RESULT_LIMIT;
+            });
+            if (results.length >= GUIDE_SEARCH_RESULT_LIMIT) break;
+        }
+        res.json({ results });
+    } catch (error) {
+        console.error('[GUIDE] Error searching programmes:', error);
+        res.status(500).json({ error: 'Could not search programmes.' });
+    }
+});
+
+// --- NEW: Image proxy ---
+// Channel logos, programme icons and posters are fetched by the server and cached on disk, so browsers never
+// contact provider hosts (no leaked viewer IPs, no mixed content). Broken URLs are remembered for a while and
+// answered, like missing ones, with a placeholder drawn from the channel's initials. Hosts on private,
+// loopback and link-local addresses are never contacted, so the proxy can't be used to probe the local network.
+const IMAGE_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const IMAGE_NEGATIVE_TTL_MS = 6 * 60 * 60 * 1000;
+const IMAGE_CACHE_MAX_IDLE_MS = 30 * 24 * 60 * 60 * 1000; // Entries nobody has requested for this long are deleted
+const IMAGE_CACHE_MAX_BYTES = 512 * 1024 * 1024; // Above this the least recently used images are deleted
+const IMAGE_TOUCH_INTERVAL_MS = 60 * 60 * 1000; // How often a served image's last use is written to disk
+const IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+const IMAGE_MAX_REDIRECTS = 5;
+const PLACEHOLDER_COLORS = ['#1e3a8a', '#065f46', '#7c2d12', '#581c87', '#831843', '#134e4a', '#3f3f46', '#713f12'];
+
+const pendingImageFetches = new Map(); // url -> Promise, so a logo shown in many rows is fetched once
+let imageCacheBytes = null; // Measured by cleanupImageCache, then counted up as images are downloaded
+let imageCacheCleanup = null; // The running cleanup, if any
+
+const blockedImageAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8, 'ipv4'], ['10.0.0.0', 8, 'ipv4'], ['100.64.0.0', 10, 'ipv4'], ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.168.0.0', 16, 'ipv4'], ['224.0.0.0', 3, 'ipv4'],
+    ['::', 127, 'ipv6'], ['fc00::', 7, 'ipv6'], ['fe80::', 10, 'ipv6'], ['ff00::', 8, 'ipv6'],
+].forEach(([network, prefix, type]) => blockedImageAddresses.addSubnet(network, prefix, type));
+
+const isBlockedImageAddress = (address) => blockedImageAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * NEW: dns.lookup for image downloads that fails when the host resolves to a blocked address. Checking the
+ * addresses the socket connects to, rather than resolving up front, also covers DNS rebinding.
+ */
+function lookupPublicImageHost(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(a => isBlockedImageAddress(a.address));
+        if (blocked) return callback(new Error(`${hostname} resolves to the private address ${blocked.address}`));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const getImageCachePaths = (url) => {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    const dir = path.join(IMAGE_CACHE_DIR, hash.slice(0, 2));
+    return { dir, body: path.join(dir, hash), meta: path.join(dir, `${hash}.json`) };
+};
+
+/**
+ * NEW: Downloads an image to disk. Anything that isn't an image, or is larger than IMAGE_MAX_BYTES, is refused.
+ * @param {string} url - The image URL.
+ * @param {string} destPath - The file the image is written to.
+ * @returns {Promise<string>} The image's content type.
+ */
+function fetchImageToFile(url, destPath, redirectsLeft = IMAGE_MAX_REDIRECTS) {
+    return new Promise((resolve, reject) => {
+        // IP literals are connected to without a lookup, so they are checked here.
+        const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(hostname) && isBlockedImageAddress(hostname)) return reject(new Error(`${hostname} is a private address`));
+
+        const request = sendGetRequest(url, { timeout: IMAGE_FETCH_TIMEOUT_MS, headers: { Accept: 'image/*' }, lookup: lookupPublicImageHost }, (res) => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                if (redirectsLeft === 0) return reject(new Error('Too many redirects'));
+                return fetchImageToFile(new URL(res.headers.location, url).href, destPath, redirectsLeft - 1).then(resolve, reject);
+            }
+            const contentType = String(res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (res.statusCode !== 200) {
+                res.resume();
+                return reject(new Error(`Status Code ${res.statusCode}`));
+            }
+            if (!contentType.startsWith('image/')) {
+                res.resume();
+                return reject(new Error(`Not an image (${contentType || 'no content type'})`));
+            }
+            if (parseInt(res.headers['content-length'], 10) > IMAGE_MAX_BYTES) {
+                res.resume();
+                return reject(new Error('Image is too large'));
+            }
+
+            const tempPath = `${destPath}.part`;
+            let bytesRead = 0;
+            res.on('data', (chunk) => {
+                bytesRead += chunk.length;
+                if (bytesRead > IMAGE_MAX_BYTES) res.destroy(new Error('Image is too large'));
+            });
+            pipeline(res, fs.createWriteStream(tempPath), (err) => {
+                if (err) {
+                    fs.unlink(tempPath, () => {});
+                    return reject(err);
+                }
+                fs.rename(tempPath, destPath, (renameErr) => renameErr ? reject(renameErr) : resolve(contentType));
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error('Timed out')));
+        request.on('error', reject);
+    });
+}
+
+const readImageMeta = (metaPath) => {
+    try {
+        return JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+    } catch (e) {
+        return null;
+    }
+};
+
+const statOrNull = (filePath) => {
+    try {
+        return fs.statSync(filePath);
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * NEW: Returns the cached copy of an image, downloading it when it's missing or expired.
+ * A failed download is cached for IMAGE_NEGATIVE_TTL_MS; the last good copy, if any, is served meanwhile.
+ * The body file's modification time records when the image was last served, for LRU eviction.
+ * @param {string} url - The image URL.
+ * @returns {Promise<{path: string, contentType: string}|null>} Null when there is no usable image.
+ */
+async function getCachedImage(url) {
+    const paths = getImageCachePaths(url);
+    const meta = readImageMeta(paths.meta);
+    const now = Date.now();
+    const bodyStat = meta && meta.contentType ? statOrNull(paths.body) : null;
+    const cached = bodyStat ? { path: paths.body, contentType: meta.contentType } : null;
+    if (bodyStat && now - bodyStat.mtimeMs > IMAGE_TOUCH_INTERVAL_MS) fs.utimes(paths.body, new Date(), new Date(), () => {});
+
+    if (cached && now - meta.fetchedAt < IMAGE_CACHE_TTL_MS) return cached;
+    if (meta && meta.failedAt && now - meta.failedAt < IMAGE_NEGATIVE_TTL_MS) return cached;
+
+    if (!pendingImageFetches.has(url)) {
+        const fetchPromise = (async () => {
+            await fs.promises.mkdir(paths.dir, { recursive: true });
+            try {
+                const contentType = await fetchImageToFile(url, paths.body);
+                await fs.promises.writeFile(paths.meta, JSON.stringify({ url, contentType, fetchedAt: Date.now() }));
+                if (imageCacheBytes !== null) {
+                    imageCacheBytes += (await fs.promises.stat(paths.body)).size;
+                    if (imageCacheBytes > IMAGE_CACHE_MAX_BYTES) cleanupImageCache();
+                }
+                return { path: paths.body, contentType };
+            } catch (error) {
+                console.warn(`[IMG] Could not fetch ${url}: ${error.message}`);
+                await fs.promises.writeFile(paths.meta, JSON.stringify({ ...(meta || {}), url, failedAt: Date.now(), error: error.message }));
+                return cached;
+            }
+        })().finally(() => pendingImageFetches.delete(url));
+        pendingImageFetches.set(url, fetchPromise);
+    }
+    return pendingImageFetches.get(url);
+}
+
+/**
+ * NEW: Draws a placeholder image with up to two initials of a name, on a colour picked from the name.
+ * @param {string} name - The channel (or programme) name.
+ * @returns {string} The SVG markup.
+ */
+function buildPlaceholderSvg(name) {
+    const words = String(name || '').replace(/[^\p{L}\p{N}\s]/gu, ' ').trim().split(/\s+/).filter(Boolean);
+    const initials = (words.length > 1
+        ? Array.from(words[0])[0] + Array.from(words[1])[0]
+        : Array.from(words[0] || '?').slice(0, 2).join('')).toUpperCase();
+    const hash = crypto.createHash('sha1').update(String(name || '')).digest();
+    const color = PLACEHOLDER_COLORS[hash[0] % PLACEHOLDER_COLORS.length];
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><rect width="100" height="100" rx="12" fill="${color}"/>`
+        + `<text x="50" y="50" dy=".35em" text-anchor="middle" font-family="Inter, Arial, sans-serif" font-size="${initials.length > 1 ? 40 : 48}" font-weight="600" fill="#f3f4f6">${escapeXml(initials)}</text></svg>`;
+}
+
+/**
+ * NEW: Deletes cached images nobody has requested for IMAGE_CACHE_MAX_IDLE_MS, then the least recently
+ * used ones until the cache fits in IMAGE_CACHE_MAX_BYTES. Runs daily, at startup and whenever downloads
+ * take the cache over its size.
+ */
+function cleanupImageCache() {
+    if (imageCacheCleanup) return imageCacheCleanup;
+    imageCacheCleanup = (async () => {
+        let removed = 0;
+        const removeEntry = async ({ shardDir, hash }) => {
+            await fs.promises.rm(path.join(shardDir, hash), { force: true });
+            await fs.promises.rm(path.join(shardDir, `${hash}.json`), { force: true });
+            removed++;
+        };
+        try {
+            const entries = [];
+            for (const shard of await fs.promises.readdir(IMAGE_CACHE_DIR)) {
+                const shardDir = path.join(IMAGE_CACHE_DIR, shard);
+                for (const file of await fs.promises.readdir(shardDir)) {
+                    if (!file.endsWith('.json')) continue;
+                    const hash = file.slice(0, -'.json'.length);
+                    const meta = readImageMeta(path.join(shardDir, file));
+                    const bodyStat = statOrNull(path.join(shardDir, hash));
+                    const entry = {
+                        shardDir,
+                        hash,
+                        size: bodyStat ? bodyStat.size : 0,
+                        lastUsed: Math.max(meta?.fetchedAt || 0, meta?.failedAt || 0, bodyStat ? bodyStat.mtimeMs : 0),
+                    };
+                    if (Date.now() - entry.lastUsed < IMAGE_CACHE_MAX_IDLE_MS) entries.push(entry);
+                    else await removeEntry(entry);
+                }
+            }
+            let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+            for (const entry of entries.sort((a, b) => a.lastUsed - b.lastUsed)) {
+                if (totalBytes <= IMAGE_CACHE_MAX_BYTES) break;
+                await removeEntry(entry);
+                totalBytes -= entry.size;
+            }
+            imageCacheBytes = totalBytes;
+            console.log(`[IMG] Image cache cleanup removed ${removed} image(s). The cache holds ${(totalBytes / 1024 / 1024).toFixed(1)} MB.`);
+        } catch (error) {
+            console.error('[IMG] Image cache cleanup failed:', error.message);
+        }
+    })().finally(() => { imageCacheCleanup = null; });
+    return imageCacheCleanup;
+}
+
+// Serves a cached image, or a placeholder for `name` when the URL is missing or broken.
+app.get('/api/img', requireAuth, async (req, res) => {
+    const sendPlaceholder = () => {
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.type('image/svg+xml').send(buildPlaceholderSvg(req.query.name));
+    };
+
+    let target = null;
+    try {
+        target = req.query.url ? new URL(String(req.query.url)) : null;
+    } catch (e) { /* Invalid URLs get the placeholder */ }
+    if (!target || !['http:', 'https:'].includes(target.protocol)) return sendPlaceholder();
+
+    try {
+        const image = await getCachedImage(target.href);
+        if (!image) return sendPlaceholder();
+        res.sendFile(image.path, {
+            cacheControl: false,
+            headers: {
+                'Content-Type': image.contentType,
+                'Cache-Control': 'private, max-age=86400',
+                // Provider SVGs are served from our origin, so they must not run scripts if opened directly.
+                'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'",
+                'X-Content-Type-Options': 'nosniff',
+            },
+        });
+    } catch (error) {
+        console.error(`[IMG] Error serving ${target.href}:`, error.message);
+        sendPlaceholder();
+    }
+});
+
+app.get('/api/config', requireAuth, (req, res) => {
+    try {
+        // MODIFIED: Only settings. Channels and programmes are loaded through the /api/guide endpoints.
+        let config = { settings: {} };
+        let globalSettings = getSettings();
+        config.settings = globalSettings;
+
+        // NEW: The guide version lets clients validate their cache. A client that sends the version it
+        // holds gets the changes since then, or { full: true } when it has to reload everything.
+        config.guideVersion = getGuideVersion();
+        const sinceVersion = typeof req.query.since === 'string' ? req.query.since : null;
+        if (sinceVersion && sinceVersion !== config.guideVersion) {
+            config.guideDelta = buildGuideDelta(sinceVersion) || { full: true };
+        }
+
+        // NEW: Strong ETag over the whole response, so an unchanged config is answered with a 304.
+        const sendConfig = () => {
+            const body = JSON.stringify(config);
+            const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+            res.setHeader('ETag', etag);
+            res.setHeader('Cache-Control', 'private, no-cache');
+            if ((req.headers['if-none-match'] || '').split(',').map(tag => tag.trim()).includes(etag)) return res.status(304).end();
+            res.status(200).type('json').send(body);
+        };
+
+        db.all(`SELECT key, value FROM user_settings WHERE user_id = ?`, [req.session.userId], (err, rows) => {
+            if (err) {
+                console.error("[API] Error fetching user settings:", err);
+                return sendConfig();
+            }
+            if (rows) {
+                const userSettings = {};
+                rows.forEach(row => {
+                    try {
+                        userSettings[row.key] = JSON.parse(row.value);
+                    } catch (e) {
+                        userSettings[row.key] = row.value;
+                        console.warn(`[API] User setting key "${row.key}" could not be parsed as JSON. Storing as raw string.`);
+                    }
+                });
+                
+                config.settings = { ...config.settings, ...userSettings };
+                console.log(`[API] Merged user settings for user ID: ${req.session.userId}`);
+            }
+            sendConfig();
+        });
+
+    } catch (error) {
+        console.error("[API] Error reading config or related files:", error);
+        res.status(500).json({ error: "Could not load configuration from server." });
+    }
+});
+
+
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            if (!fs.existsSync(SOURCES_DIR)) {
+                fs.mkdirSync(SOURCES_DIR, { recursive: true });
+            }
+            cb(null, SOURCES_DIR);
+        },
+        filename: (req, file, cb) => {
+            cb(null, `${file.fieldname}-${Date.now()}${path.extname(file.originalname)}`);
+        }
+    })
+});
+
+
+/**
+ * NEW: Checks whether an EPG source applies to an M3U source.
+ * @param {object} epgSource - The EPG source.
+ * @param {object} m3uSource - The M3U source.
+ * @returns {boolean}
+ */
+const epgSourceAppliesTo = (epgSource, m3uSource) => (epgSource.appliesTo === EPG_BINDING_ALL
+    ? m3uSource.type !== 'xc'
+    : (epgSource.appliesTo || []).includes(m3uSource.id));
+
+/**
+ * NEW: Parses the "applies to" list submitted for an EPG source, keeping only known M3U source IDs.
+ * @param {string} rawValue - JSON array of M3U source IDs, or "*" for all non-XC sources, from the form data.
+ * @param {object} settings - The current settings object.
+ * @returns {(string[]|string|null)} The validated IDs or EPG_BINDING_ALL, or null if the field was not submitted.
+ */
+function parseEpgBindings(rawValue, settings) {
+    if (rawValue === undefined || rawValue === null) return null;
+    let ids;
+    try {
+        ids = JSON.parse(rawValue);
+    } catch (e) {
+        console.warn('[SOURCES_API] Could not parse EPG "applies to" list:', e.message);
+        return null;
+    }
+    if (ids === EPG_BINDING_ALL) return EPG_BINDING_ALL;
+    if (!Array.isArray(ids)) return null;
+    const knownIds = new Set((settings.m3uSources || []).map(s => s.id));
+    return [...new Set(ids.map(String))].filter(sourceId => knownIds.has(sourceId));
+}
+
+/**
+ * NEW: Stores an EPG source's time zone and shift, leaving the fields out when they're unset.
+ */
+function setEpgSourceTimeOptions(source, timezone, shiftMinutes) {
+    if (timezone) source.timezone = timezone;
+    else delete source.timezone;
+    if (shiftMinutes) source.timeShiftMinutes = shiftMinutes;
+    else delete source.timeShiftMinutes;
+}
+
+app.post('/api/sources', requireAuth, upload.single('sourceFile'), async (req, res) => {
+    // FIX: Correctly read all possible fields from the form data, including 'xc'.
+    const { sourceType, name, url, isActive, id, refreshHours, xc, maxConcurrentChannels, appliesTo, filterRules, httpOptions, folderPath, timezone, timeShiftMinutes } = req.body;
+    console.log(`[SOURCES_API] ${id ? 'Updating' : 'Adding'} source. Type: ${sourceType}, Name: ${name}`);
+
+    if (!sourceType || !name) {
+        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+        console.warn('[SOURCES_API] Source type or name missing for source operation.');
+        return res.status(400).json({ error: 'Source type and name are required.' });
+    }
+
+    // NEW: Validate import filter rules up front so a bad regex doesn't leave a half-saved source.
+    let parsedFilterRules = null;
+    if (sourceType === 'm3u') {
+        try {
+            parsedFilterRules = parseM3uFilterRules(filterRules);
+        } catch (error) {
+            if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: error.message });
+        }
+    }
+    let parsedHttpOptions = null;
+    try {
+        parsedHttpOptions = parseSourceHttpOptions(httpOptions);
+    } catch (error) {
+        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+        return res.status(400).json({ error: error.message });
+    }
+
+    // NEW: EPG sources can read their times in their own zone, and shift them.
+    const epgTimezone = typeof timezone === 'string' ? timezone.trim() : '';
+    if (sourceType === 'epg' && epgTimezone && !isValidTimeZone(epgTimezone)) {
+        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+        return res.status(400).json({ error: `"${epgTimezone}" is not a known time zone. Use an IANA name such as Europe/Rome.` });
+    }
+    const epgShiftMinutes = parseInt(timeShiftMinutes, 10) || 0;
+    if (sourceType === 'epg' && Math.abs(epgShiftMinutes) > 24 * 60) {
+        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+        return res.status(400).json({ error: 'The time shift must be within 24 hours (1440 minutes).' });
+    }
+
+    // NEW: Watch folders must exist inside the data directory, and only admins can set one.
+    let resolvedFolderPath = null;
+    if (folderPath !== undefined && folderPath !== null) {
+        try {
+            resolvedFolderPath = resolveFolderSourcePath(folderPath, sourceType === 'm3u' ? 'm3u' : 'epg');
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        const currentSource = id ? [...getSettings().m3uSources, ...getSettings().epgSources].find(s => s.id === id) : null;
+        if (!req.session.isAdmin && currentSource?.path !== resolvedFolderPath) {
+            return res.status(403).json({ error: 'Only administrators can set a watch folder.' });
+        }
+        if (!fs.existsSync(resolvedFolderPath)) {
+            return res.status(400).json({ error: `${resolvedFolderPath} does not exist. Create the folder (or mount it into the container) first.` });
+        }
+    }
+
+    const settings = getSettings();
+    const sourceList = sourceType === 'm3u' ? settings.m3uSources : settings.epgSources;
+
+    if (id) { // Update existing source
+        const sourceIndex = sourceList.findIndex(s => s.id === id);
+        if (sourceIndex === -1) {
+            if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+            console.warn(`[SOURCES_API] Source ID ${id} not found for update.`);
+            return res.status(404).json({ error: 'Source to update not found.' });
+        }
+
+        const sourceToUpdate = sourceList[sourceIndex];
+        console.log(`[SOURCES_API] Found existing source for update: ${sourceToUpdate.name}`);
+        sourceToUpdate.name = name;
+        sourceToUpdate.isActive = isActive === 'true';
+        sourceToUpdate.refreshHours = parseInt(refreshHours, 10) || 0;
+        sourceToUpdate.lastUpdated = new Date().toISOString();
+
+        if (req.file) {
+            console.log(`[SOURCES_API] New file uploaded for source ${id}. Deleting old file if exists.`);
+            if (sourceToUpdate.type === 'file' && fs.existsSync(sourceToUpdate.path)) {
+                try {
+                    fs.unlinkSync(sourceToUpdate.path);
+                    console.log(`[SOURCES_API] Deleted old file: ${sourceToUpdate.path}`);
+                } catch (e) { console.error("[SOURCES_API] Could not delete old source file:", e); }
+            }
+            const extension = sourceType === 'm3u' ? '.m3u' : '.xml';
+            const newPath = path.join(SOURCES_DIR, `${sourceType}_${id}${extension}`);
+            try {
+                fs.renameSync(req.file.path, newPath);
+                sourceToUpdate.path = newPath;
+                sourceToUpdate.type = 'file';
+                // FIX: Clear xc_data if switching from XC to File
+                delete sourceToUpdate.xc_data;
+                console.log(`[SOURCES_API] Renamed uploaded file to: ${newPath}`);
+            } catch (e) {
+                console.error('[SOURCES_API] Error renaming updated source file:', e);
+                return res.status(500).json({ error: 'Could not save updated file.' });
+            }
+        } else if (resolvedFolderPath) {
+            console.log(`[SOURCES_API] Watch folder provided for source ${id}.`);
+            if (sourceToUpdate.type === 'file' && fs.existsSync(sourceToUpdate.path)) {
+                try {
+                    fs.unlinkSync(sourceToUpdate.path);
+                } catch (e) { console.error("[SOURCES_API] Could not delete old source file (on type change):", e); }
+            }
+            if (sourceToUpdate.type !== 'folder' || sourceToUpdate.path !== resolvedFolderPath) {
+                delete sourceToUpdate.folderFile;
+                delete sourceToUpdate.fileModifiedAt;
+            }
+            sourceToUpdate.path = resolvedFolderPath;
+            sourceToUpdate.type = 'folder';
+            delete sourceToUpdate.xc_data;
+        } else if (url !== undefined && url !== null) {
+            console.log(`[SOURCES_API] URL provided for source ${id}.`);
+            if (sourceToUpdate.type === 'file' && fs.existsSync(sourceToUpdate.path)) {
+                try {
+                    fs.unlinkSync(sourceToUpdate.path);
+                    console.log(`[SOURCES_API] Deleted old file (switching to URL): ${sourceToUpdate.path}`);
+                } catch (e) { console.error("[SOURCES_API] Could not delete old source file (on type change):", e); }
+            }
+            sourceToUpdate.path = url;
+            sourceToUpdate.type = 'url';
+            // FIX: Clear xc_data if switching from XC to URL
+            delete sourceToUpdate.xc_data;
+        } else if (xc) {
+            console.log(`[SOURCES_API] XC credentials provided for source ${id}.`);
+             if (sourceToUpdate.type === 'file' && fs.existsSync(sourceToUpdate.path)) {
+                try {
+                    fs.unlinkSync(sourceToUpdate.path);
+                } catch (e) { console.error("[SOURCES_API] Could not delete old source file (on type change):", e); }
+            }
+            sourceToUpdate.xc_data = xc;
+            sourceToUpdate.type = 'xc';
+            try {
+                const xcData = JSON.parse(xc);
+                sourceToUpdate.path = xcData.server || 'Xtream Codes Source';
+            } catch(e) {
+                sourceToUpdate.path = 'Xtream Codes Source';
+            }
+        } else if (sourceToUpdate.type === 'file' && !req.file && (!sourceToUpdate.path || !fs.existsSync(sourceToUpdate.path))) {
+            console.warn(`[SOURCES_API] Existing file source ${id} has no file and no new file/URL provided.`);
+            return res.status(400).json({ error: 'Existing file source requires a new file if original is missing.' });
+        }
+
+        if (sourceType === 'm3u' && maxConcurrentChannels !== undefined) {
+            const parsedLimit = parseInt(maxConcurrentChannels, 10);
+            const normalizedLimit = Number.isNaN(parsedLimit) || parsedLimit < 0 ? 0 : parsedLimit;
+            // NEW: A changed value is the admin's own limit; an unchanged one keeps following the XC provider.
+            if (normalizedLimit !== sourceToUpdate.maxConcurrentChannels) delete sourceToUpdate.maxConcurrentFromProvider;
+            sourceToUpdate.maxConcurrentChannels = normalizedLimit;
+        }
+        if (parsedFilterRules) sourceToUpdate.filterRules = parsedFilterRules;
+        if (parsedHttpOptions) {
+            if (hasSourceHttpOptions(parsedHttpOptions)) sourceToUpdate.httpOptions = parsedHttpOptions;
+            else delete sourceToUpdate.httpOptions;
+        }
+        if (sourceType === 'epg') {
+            const bindings = parseEpgBindings(appliesTo, settings);
+            if (bindings) sourceToUpdate.appliesTo = bindings;
+            if (timezone !== undefined) setEpgSourceTimeOptions(sourceToUpdate, epgTimezone, epgShiftMinutes);
+        }
+
+        saveSettings(settings);
+        console.log(`[SOURCES_API] Source ${id} updated successfully.`);
+        res.json({ success: true, message: 'Source updated successfully.', settings: getSettings() });
+
+    } else { // Add new source
+        let newSource;
+        
         // FIX: Unified and corrected logic for adding a new source
         if (xc) { // It's an XC source
              let xcData = {};
@@ -1552,641 +4763,2517 @@ app.post('/api/sources', requireAuth, upload.single('sourceFile'), async (req, r
                  console.error("Failed to parse XC JSON data:", e);
                  return res.status(400).json({ error: 'Invalid XC data format.' });
              }
-             newSource = {
-                 id: `src-${Date.now()}`,
-                 name,
-                 type: 'xc',
-                 path: xcData.server || 'Xtream Codes Source',
-                 xc_data: xc,
-                 isActive: isActive === 'true',
-                 refreshHours: parseInt(refreshHours, 10) || 0,
-                 lastUpdated: new Date().toISOString(),
-                 status: 'Pending',
-                 statusMessage: 'Source added. Process to load data.'
-             };
-        } else { // It's a URL or File source
-            newSource = {
-                id: `src-${Date.now()}`,
-                name,
-                type: req.file ? 'file' : 'url',
-                path: req.file ? req.file.path : url,
-                isActive: isActive === 'true',
-                refreshHours: parseInt(refreshHours, 10) || 0,
-                lastUpdated: new Date().toISOString(),
-                status: 'Pending',
-                statusMessage: 'Source added. Process to load data.'
-            };
+             newSource = {
+                 id: `src-${Date.now()}`,
+                 name,
+                 type: 'xc',
+                 path: xcData.server || 'Xtream Codes Source',
+                 xc_data: xc,
+                 isActive: isActive === 'true',
+                 refreshHours: parseInt(refreshHours, 10) || 0,
+                 lastUpdated: new Date().toISOString(),
+                 status: 'Pending',
+                 statusMessage: 'Source added. Process to load data.'
+             };
+        } else if (resolvedFolderPath) { // NEW: It's a watch-folder source
+            newSource = {
+                id: `src-${Date.now()}`,
+                name,
+                type: 'folder',
+                path: resolvedFolderPath,
+                isActive: isActive === 'true',
+                refreshHours: 0,
+                lastUpdated: new Date().toISOString(),
+                status: 'Pending',
+                statusMessage: 'Source added. Process to load data.'
+            };
+        } else { // It's a URL or File source
+            newSource = {
+                id: `src-${Date.now()}`,
+                name,
+                type: req.file ? 'file' : 'url',
+                path: req.file ? req.file.path : url,
+                isActive: isActive === 'true',
+                refreshHours: parseInt(refreshHours, 10) || 0,
+                lastUpdated: new Date().toISOString(),
+                status: 'Pending',
+                statusMessage: 'Source added. Process to load data.'
+            };
+        }
+        
+        if (newSource.type === 'url' && !newSource.path) {
+            console.warn('[SOURCES_API] New URL source failed: URL is required.');
+            return res.status(400).json({ error: 'URL is required for URL-type source.' });
+        }
+        if (newSource.type === 'file' && !req.file) {
+            console.warn('[SOURCES_API] New file source failed: A file must be selected.');
+            return res.status(400).json({ error: 'A file must be selected for new file-based sources.' });
+        }
+
+        if (req.file) {
+            const extension = sourceType === 'm3u' ? '.m3u' : '.xml';
+            const newPath = path.join(SOURCES_DIR, `${sourceType}_${newSource.id}${extension}`);
+            try {
+                fs.renameSync(req.file.path, newPath);
+                newSource.path = newPath;
+                console.log(`[SOURCES_API] Renamed uploaded file for new source to: ${newPath}`);
+            } catch (e) {
+                console.error('[SOURCES_API] Error renaming new source file:', e);
+                return res.status(500).json({ error: 'Could not save uploaded file.' });
+            }
+        }
+
+        if (sourceType === 'm3u') {
+            const parsedLimit = parseInt(maxConcurrentChannels, 10);
+            newSource.maxConcurrentChannels = Number.isNaN(parsedLimit) || parsedLimit < 0 ? 0 : parsedLimit;
+            newSource.filterRules = parsedFilterRules || [];
+        } else {
+            // NEW: Default new EPG sources to every non-XC playlist when no explicit binding was sent.
+            newSource.appliesTo = parseEpgBindings(appliesTo, settings) || EPG_BINDING_ALL;
+            setEpgSourceTimeOptions(newSource, epgTimezone, epgShiftMinutes);
+        }
+        if (hasSourceHttpOptions(parsedHttpOptions)) newSource.httpOptions = parsedHttpOptions;
+
+        sourceList.push(newSource);
+        saveSettings(settings);
+        console.log(`[SOURCES_API] New source "${name}" added successfully (ID: ${newSource.id}).`);
+        res.json({ success: true, message: 'Source added successfully.', settings: getSettings() });
+    }
+});
+
+
+app.put('/api/sources/:sourceType/:id', requireAuth, (req, res) => {
+    const { sourceType, id } = req.params;
+    const { name, path: newPath, isActive, maxConcurrentChannels } = req.body;
+    console.log(`[SOURCES_API] Partial update source ID: ${id}, Type: ${sourceType}, isActive: ${isActive}`);
+    
+    const settings = getSettings();
+    const sourceList = sourceType === 'm3u' ? settings.m3uSources : settings.epgSources;
+    const sourceIndex = sourceList.findIndex(s => s.id === id);
+
+    if (sourceIndex === -1) {
+        console.warn(`[SOURCES_API] Source ID ${id} not found for partial update.`);
+        return res.status(404).json({ error: 'Source not found.' });
+    }
+
+    const source = sourceList[sourceIndex];
+    source.name = name ?? source.name;
+    source.isActive = isActive ?? source.isActive;
+    if (source.type === 'url' && newPath !== undefined) {
+        source.path = newPath;
+    }
+    source.lastUpdated = new Date().toISOString();
+
+    if (sourceType === 'm3u' && maxConcurrentChannels !== undefined) {
+        const parsedLimit = parseInt(maxConcurrentChannels, 10);
+        source.maxConcurrentChannels = Number.isNaN(parsedLimit) || parsedLimit < 0 ? 0 : parsedLimit;
+    }
+
+    saveSettings(settings);
+    console.log(`[SOURCES_API] Source ${id} partially updated.`);
+    res.json({ success: true, message: 'Source updated.', settings: getSettings() });
+});
+
+// NEW: Sets the EPG source priority. The first source's programmes win; the others fill its gaps.
+app.post('/api/sources/epg/order', requireAuth, (req, res) => {
+    const { ids } = req.body;
+    const settings = getSettings();
+    const epgSources = settings.epgSources || [];
+    if (!Array.isArray(ids) || ids.length !== epgSources.length || !epgSources.every(source => ids.includes(source.id))) {
+        return res.status(400).json({ error: 'The new order must list every EPG source once.' });
+    }
+    settings.epgSources = ids.map(id => epgSources.find(source => source.id === id));
+    saveSettings(settings);
+    console.log(`[SOURCES_API] EPG source priority changed to: ${settings.epgSources.map(source => source.name).join(', ')}`);
+    res.json({ success: true, message: 'EPG priority saved. Process sources to apply it.', settings: getSettings() });
+});
+
+app.delete('/api/sources/:sourceType/:id', requireAuth, (req, res) => {
+    const { sourceType, id } = req.params;
+    console.log(`[SOURCES_API] Deleting source ID: ${id}, Type: ${sourceType}`);
+    
+    const settings = getSettings();
+    let sourceList = sourceType === 'm3u' ? settings.m3uSources : settings.epgSources;
+    const source = sourceList.find(s => s.id === id);
+    
+    if (source && source.type === 'file' && fs.existsSync(source.path)) {
+        try {
+            fs.unlinkSync(source.path);
+            console.log(`[SOURCES_API] Deleted associated file: ${source.path}`);
+        } catch (e) {
+            console.error(`[SOURCES_API] Could not delete source file: ${source.path}`, e);
+        }
+    }
+    // NEW: Remove the downloaded copy kept for URL/XC sources.
+    const downloadedCopyPath = path.join(SOURCES_DIR, `${sourceType}_${id}${sourceType === 'm3u' ? '.m3u' : '.xml'}`);
+    if (source && source.type !== 'file' && fs.existsSync(downloadedCopyPath)) {
+        fs.unlink(downloadedCopyPath, () => {});
+    }
+    removeSourceCaches(sourceType, id); // NEW
+
+    const initialLength = sourceList.length;
+    const newList = sourceList.filter(s => s.id !== id);
+    if (sourceType === 'm3u') {
+        settings.m3uSources = newList;
+        // NEW: Drop the deleted playlist from any EPG "applies to" lists.
+        (settings.epgSources || []).forEach(epg => {
+            if (Array.isArray(epg.appliesTo)) epg.appliesTo = epg.appliesTo.filter(sourceId => sourceId !== id);
+        });
+    } else {
+        settings.epgSources = newList;
+    }
+
+    if (newList.length === initialLength) {
+        console.warn(`[SOURCES_API] Source ID ${id} not found for deletion.`);
+        return res.status(404).json({ error: 'Source not found.' });
+    }
+
+    saveSettings(settings);
+    console.log(`[SOURCES_API] Source ${id} deleted successfully.`);
+    res.json({ success: true, message: 'Source deleted.', settings: getSettings() });
+});
+
+// NEW: Previews how many channels of an M3U source each filter rule keeps or drops,
+// using the copy downloaded during the last merge.
+app.post('/api/sources/m3u/:id/filter-preview', requireAuth, async (req, res) => {
+    const source = getSettings().m3uSources.find(s => s.id === req.params.id);
+    if (!source) {
+        return res.status(404).json({ error: 'Source not found.' });
+    }
+
+    let rules;
+    try {
+        rules = parseM3uFilterRules(req.body.rules) || [];
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    let sourceFilePath = source.type === 'file'
+        ? path.join(SOURCES_DIR, path.basename(source.path))
+        : path.join(SOURCES_DIR, `m3u_${source.id}.m3u`);
+    if (source.type === 'folder') {
+        try {
+            sourceFilePath = findFolderSourceFile(source, 'm3u')?.path;
+        } catch (error) {
+            return res.status(409).json({ error: `The watch folder can't be read: ${error.message}` });
+        }
+        if (!sourceFilePath) return res.status(409).json({ error: 'The watch folder has no playlist file yet.' });
+    }
+    if (!fs.existsSync(sourceFilePath)) {
+        return res.status(409).json({ error: 'This source has not been downloaded yet. Process sources once to preview filter rules.' });
+    }
+
+    try {
+        const { content } = await readSourceText(sourceFilePath);
+        const passesFilterRules = compileM3uFilterRules(rules);
+        const ruleCounts = rules.map(() => ({ kept: 0, dropped: 0 }));
+        const groupCounts = new Map();
+        let total = 0;
+        let kept = 0;
+
+        const lines = content.split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line.startsWith('#EXTINF:')) continue;
+            let url = '';
+            for (let j = i + 1; j < lines.length; j++) {
+                const nextLine = lines[j].trim();
+                if (nextLine && !nextLine.startsWith('#')) {
+                    url = nextLine;
+                    break;
+                }
+            }
+            const commaIndex = line.lastIndexOf(',');
+            const group = (line.match(/group-title="([^"]*)"/) || [])[1] || '';
+            const { keep, decidedBy } = passesFilterRules({ group, name: commaIndex !== -1 ? line.substring(commaIndex + 1).trim() : '', url });
+
+            total++;
+            if (keep) kept++;
+            if (decidedBy !== -1) ruleCounts[decidedBy][keep ? 'kept' : 'dropped']++;
+            groupCounts.set(group, (groupCounts.get(group) || 0) + 1);
+        }
+
+        const groups = [...groupCounts.entries()].filter(([group]) => group).map(([group, count]) => ({ group, count })).sort((a, b) => a.group.localeCompare(b.group));
+        res.json({ total, kept, dropped: total - kept, rules: ruleCounts, groups });
+    } catch (error) {
+        console.error(`[SOURCES_API] Filter preview failed for "${source.name}":`, error);
+        res.status(500).json({ error: `Could not read source: ${error.message}` });
+    }
+});
+
+// NEW: Short EPG (now/next) from the XC provider, for channels the merged guide has no programmes for.
+app.get('/api/channels/:channelId/short-epg', requireAuth, async (req, res) => {
+    const entry = readChannelIndex().find(c => c.key === req.params.channelId);
+    const source = entry && getSettings().m3uSources.find(s => s.id === entry.sourceId && s.type === 'xc' && s.xc_data);
+    const streamIdMatch = entry && (entry.url || '').match(/\/live\/[^/]+\/[^/]+\/(\d+)(\.\w+)?$/);
+    if (!source || !streamIdMatch) {
+        return res.json({ programs: [] });
+    }
+
+    try {
+        const data = await fetchXcApi(JSON.parse(source.xc_data), 'get_short_epg', { stream_id: streamIdMatch[1], limit: 4 }, getSourceFetchOptions(source, XC_FETCH_OPTIONS));
+        const decode = (value) => value ? Buffer.from(value, 'base64').toString('utf-8') : '';
+        const programs = (data.epg_listings || [])
+            .filter(listing => listing.start_timestamp && listing.stop_timestamp)
+            .map(listing => ({
+                title: decode(listing.title) || 'No Title',
+                desc: decode(listing.description),
+                start: new Date(parseInt(listing.start_timestamp, 10) * 1000).toISOString(),
+                stop: new Date(parseInt(listing.stop_timestamp, 10) * 1000).toISOString()
+            }));
+        res.json({ programs });
+    } catch (error) {
+        console.error(`[XC] Short EPG request failed for ${req.params.channelId}: ${error.message}`);
+        res.json({ programs: [] });
+    }
+});
+
+app.post('/api/process-sources', requireAuth, async (req, res) => {
+    console.log('[API] Received request to /api/process-sources (manual trigger).');
+    try {
+        const result = await processAndMergeSources(req); // <-- MODIFIED: Pass req
+
+        if (result.success) {
+            fs.writeFileSync(SETTINGS_PATH, JSON.stringify(result.updatedSettings, null, 2));
+            console.log('[API] Source processing completed and settings saved (manual trigger).');
+            res.json({ success: true, message: 'Sources merged successfully.'});
+        } else {
+            res.status(500).json({ error: result.message || 'Failed to process sources.' });
+        }
+    }
+    catch (error) {
+        console.error("[API] Error during manual source processing:", error);
+        sendProcessingStatus(req, `A critical error occurred: ${error.message}`, 'error'); // <-- MODIFIED
+        res.status(500).json({ error: 'Failed to process sources. Check server logs.' });
+    }
+});
+
+
+// --- NEW: EPG Channel Mapping API ---
+app.get('/api/epg-mappings', requireAuth, requireAdmin, (req, res) => {
+    let epgChannels = [];
+    if (fs.existsSync(EPG_CHANNELS_PATH)) {
+        try {
+            epgChannels = JSON.parse(fs.readFileSync(EPG_CHANNELS_PATH, 'utf-8'));
+        } catch (e) {
+            console.error(`[EPG_MAP] Could not read ${EPG_CHANNELS_PATH}: ${e.message}`);
+        }
+    }
+    const channels = loadMergedChannels().map(c => ({ id: c.id, name: c.displayName || c.name, source: c.source, logo: c.logo }));
+
+    db.all("SELECT * FROM epg_mappings", [], (err, rows) => {
+        if (err) {
+            console.error('[EPG_MAP] Error fetching EPG mappings:', err);
+            return res.status(500).json({ error: 'Could not retrieve EPG mappings.' });
+        }
+        res.json({ mappings: rows, channels, epgChannels, minConfidence: EPG_MATCH_MIN_CONFIDENCE });
+    });
+});
+
+app.put('/api/epg-mappings/:channelKey', requireAuth, requireAdmin, (req, res) => {
+    const { channelKey } = req.params;
+    const { epgSourceId, epgChannelId, epgChannelName, channelName, sourceName } = req.body;
+    // A null epgChannelId is an explicit "no guide data" override.
+    const method = epgChannelId ? 'manual' : 'none';
+    if (epgChannelId && !epgSourceId) {
+        return res.status(400).json({ error: 'An EPG source is required when mapping to an EPG channel.' });
+    }
+
+    db.run(
+        `INSERT OR REPLACE INTO epg_mappings (channel_key, channel_name, source_name, epg_source_id, epg_channel_id, epg_channel_name, confidence, method, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [channelKey, channelName || null, sourceName || null, epgChannelId ? epgSourceId : null, epgChannelId || null, epgChannelId ? (epgChannelName || epgChannelId) : null, 1, method, new Date().toISOString()],
+        (err) => {
+            if (err) {
+                console.error('[EPG_MAP] Error saving EPG mapping:', err);
+                return res.status(500).json({ error: 'Could not save EPG mapping.' });
+            }
+            console.log(`[EPG_MAP] Admin ${req.session.username} set ${method} mapping for ${channelKey} -> ${epgChannelId || '(none)'}.`);
+            res.json({ success: true, message: 'Mapping saved. Process sources to apply it.' });
+        }
+    );
+});
+
+app.delete('/api/epg-mappings/:channelKey', requireAuth, requireAdmin, (req, res) => {
+    db.run("DELETE FROM epg_mappings WHERE channel_key = ? AND method != 'auto'", [req.params.channelKey], function (err) {
+        if (err) {
+            console.error('[EPG_MAP] Error removing EPG mapping override:', err);
+            return res.status(500).json({ error: 'Could not remove EPG mapping.' });
+        }
+        if (this.changes === 0) {
+            return res.status(404).json({ error: 'No manual mapping found for this channel.' });
+        }
+        res.json({ success: true, message: 'Override removed. Process sources to re-run auto-matching.' });
+    });
+});
+
+// --- NEW: Channel Manager API ---
+app.get('/api/channel-overrides', requireAuth, requireAdmin, (req, res) => {
+    const channels = readChannelIndex();
+
+    db.all("SELECT * FROM channel_overrides", [], (err, rows) => {
+        if (err) {
+            console.error('[CHANNELS] Error fetching channel overrides:', err);
+            return res.status(500).json({ error: 'Could not retrieve channel overrides.' });
+        }
+        res.json({ channels, overrides: rows });
+    });
+});
+
+app.put('/api/channel-overrides/:channelKey', requireAuth, requireAdmin, (req, res) => {
+    const { channelKey } = req.params;
+    const clean = (value) => (typeof value === 'string' && value.trim()) ? value.trim() : null;
+    const name = clean(req.body.name);
+    const chno = clean(req.body.chno);
+    const group = clean(req.body.group);
+    const logo = clean(req.body.logo);
+    const failoverGroup = clean(req.body.failoverGroup);
+    const hidden = req.body.hidden ? 1 : 0;
+
+    if (chno && !/^\d+(\.\d+)?$/.test(chno)) {
+        return res.status(400).json({ error: 'Channel number must be numeric (e.g. 101 or 5.1).' });
+    }
+    if (logo && !/^https?:\/\//i.test(logo)) {
+        return res.status(400).json({ error: 'Logo must be an http(s) URL.' });
+    }
+
+    // An override with nothing set is the same as no override.
+    if (!name && !chno && !group && !logo && !failoverGroup && !hidden) {
+        return db.run("DELETE FROM channel_overrides WHERE channel_key = ?", [channelKey], (err) => {
+            if (err) {
+                console.error('[CHANNELS] Error removing channel override:', err);
+                return res.status(500).json({ error: 'Could not save channel override.' });
+            }
+            res.json({ success: true, message: 'Override cleared. Process sources to apply it.' });
+        });
+    }
+
+    db.run(
+        `INSERT OR REPLACE INTO channel_overrides (channel_key, name, chno, group_title, logo, hidden, failover_group, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [channelKey, name, chno, group, logo, hidden, failoverGroup, new Date().toISOString()],
+        (err) => {
+            if (err) {
+                console.error('[CHANNELS] Error saving channel override:', err);
+                return res.status(500).json({ error: 'Could not save channel override.' });
+            }
+            console.log(`[CHANNELS] Admin ${req.session.username} saved override for ${channelKey}${hidden ? ' (hidden)' : ''}.`);
+            res.json({ success: true, message: 'Override saved. Process sources to apply it.' });
+        }
+    );
+});
+
+app.delete('/api/channel-overrides/:channelKey', requireAuth, requireAdmin, (req, res) => {
+    db.run("DELETE FROM channel_overrides WHERE channel_key = ?", [req.params.channelKey], function (err) {
+        if (err) {
+            console.error('[CHANNELS] Error removing channel override:', err);
+            return res.status(500).json({ error: 'Could not remove channel override.' });
+        }
+        if (this.changes === 0) {
+            return res.status(404).json({ error: 'No override found for this channel.' });
+        }
+        res.json({ success: true, message: 'Override removed. Process sources to apply it.' });
+    });
+});
+
+app.post('/api/save/settings', requireAuth, async (req, res) => {
+    console.log('[API] Received request to /api/save/settings.');
+    try {
+        let currentSettings = getSettings();
+        
+        const oldTimezone = currentSettings.timezoneOffset;
+
+        const updatedSettings = { ...currentSettings };
+        for (const key in req.body) {
+            if (!['favorites', 'playerDimensions', 'programDetailsDimensions', 'recentChannels', 'multiviewLayouts'].includes(key)) {
+                updatedSettings[key] = req.body[key];
+            } else {
+                console.warn(`[SETTINGS_SAVE] Attempted to save user-specific key "${key}" to global settings. This is ignored.`);
+            }
+        }
+
+        saveSettings(updatedSettings);
+        
+        // MODIFIED: EPG sources with their own time zone don't use the global offset.
+        const usesGlobalOffset = (updatedSettings.epgSources || []).some(source => source.isActive && !source.timezone)
+            || (updatedSettings.m3uSources || []).some(source => source.isActive && source.type === 'xc');
+        if (updatedSettings.timezoneOffset !== oldTimezone && usesGlobalOffset) {
+            console.log("[API] Timezone setting changed, re-processing sources.");
+            const result = await processAndMergeSources();
+             if (result.success) {
+                fs.writeFileSync(SETTINGS_PATH, JSON.stringify(result.updatedSettings, null, 2));
+             }
+        }
+
+        res.json({ success: true, message: 'Settings saved.', settings: getSettings() });
+    } catch (error) {
+        console.error("[API] Error saving global settings:", error);
+        res.status(500).json({ error: "Could not save settings. Check server logs." });
+    }
+});
+// ... existing endpoint ...
+app.post('/api/user/settings', requireAuth, (req, res) => {
+    const { key, value } = req.body;
+    const userId = req.session.userId;
+    console.log(`[API] Saving user setting for user ${userId}: ${key}`);
+
+    if (!key) {
+        return res.status(400).json({ error: 'A setting key is required.' });
+    }
+    
+    const valueJson = JSON.stringify(value);
+
+    const saveAndRespond = () => {
+        let globalSettings = getSettings();
+        db.all(`SELECT key, value FROM user_settings WHERE user_id = ?`, [userId], (err, rows) => {
+            if (err) {
+                console.error("[API] Error re-fetching user settings after save:", err);
+                return res.status(500).json({ error: 'Could not retrieve updated settings.' });
+            }
+            const userSettings = {};
+            rows.forEach(row => {
+                try { userSettings[row.key] = JSON.parse(row.value); } 
+                catch (e) { userSettings[row.key] = row.value; }
+            });
+
+            const finalSettings = { ...globalSettings, ...userSettings };
+            res.json({ success: true, settings: finalSettings });
+        });
+    };
+
+    db.run(
+        `INSERT INTO user_settings (user_id, key, value) VALUES (?, ?, ?)
+         ON CONFLICT(user_id, key) DO UPDATE SET value = excluded.value`,
+        [userId, key, valueJson],
+        function (err) {
+            if (err) {
+                console.error(`[API] Error saving user setting for user ${userId}, key ${key}:`, err);
+                return res.status(500).json({ error: 'Could not save user setting.' });
+            }
+            console.log(`[API] User setting for user ${userId}, key ${key} saved successfully.`);
+            saveAndRespond();
+        }
+    );
+});
+// --- Notification Endpoints ---
+// ... existing endpoints ...
+app.get('/api/notifications/vapid-public-key', requireAuth, requireNotificationsAccess, (req, res) => {
+    console.log('[PUSH_API] Request for VAPID public key.');
+    if (!vapidKeys.publicKey) {
+        console.error('[PUSH_API] VAPID public key not available on the server.');
+        return res.status(500).json({ error: 'VAPID public key not available on the server.' });
+    }
+    res.send(vapidKeys.publicKey);
+});
+
+app.post('/api/notifications/subscribe', requireAuth, requireNotificationsAccess, (req, res) => {
+    console.log(`[PUSH_API] Subscribe request for user ${req.session.userId}.`);
+    const subscription = req.body;
+    const userId = req.session.userId;
+
+    if (!subscription || !subscription.endpoint || !subscription.keys || !subscription.keys.p256dh || !subscription.keys.auth) {
+        console.warn('[PUSH_API] Invalid subscription object received.');
+        return res.status(400).json({ error: 'Invalid subscription object.' });
+    }
+
+    const { endpoint, keys: { p256dh, auth } } = subscription;
+
+    db.run(
+        `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth) VALUES (?, ?, ?, ?)
+         ON CONFLICT(endpoint) DO UPDATE SET user_id=excluded.user_id, p256dh=excluded.p256dh, auth=excluded.auth`,
+        [userId, endpoint, p256dh, auth],
+        function(err) {
+            if (err) {
+                console.error(`[PUSH_API] Error saving push subscription for user ${userId}:`, err);
+                return res.status(500).json({ error: 'Could not save subscription.' });
+            }
+            console.log(`[PUSH] User ${userId} subscribed with endpoint: ${endpoint}. (ID: ${this.lastID || 'existing'})`);
+            res.status(201).json({ success: true });
+        }
+    );
+});
+
+app.post('/api/notifications/unsubscribe', requireAuth, requireNotificationsAccess, (req, res) => {
+    console.log(`[PUSH_API] Unsubscribe request for user ${req.session.userId}.`);
+    const { endpoint } = req.body;
+    if (!endpoint) {
+        console.warn('[PUSH_API] Unsubscribe failed: Endpoint is required.');
+        return res.status(400).json({ error: 'Endpoint is required to unsubscribe.' });
+    }
+
+    db.run("DELETE FROM push_subscriptions WHERE endpoint = ? AND user_id = ?", [endpoint, req.session.userId], function(err) {
+        if (err) {
+            console.error(`[PUSH_API] Error deleting push subscription for user ${req.session.userId}, endpoint ${endpoint}:`, err);
+            return res.status(500).json({ error: 'Could not unsubscribe.' });
+        }
+        if (this.changes === 0) {
+            console.warn(`[PUSH_API] No subscription found for user ${req.session.userId} with endpoint ${endpoint} for deletion.`);
+            return res.status(404).json({ error: 'Subscription not found or unauthorized.' });
+        }
+        console.log(`[PUSH] User ${req.session.userId} unsubscribed from endpoint: ${endpoint}`);
+        res.json({ success: true });
+    });
+});
+
+app.post('/api/notifications', requireAuth, requireNotificationsAccess, (req, res) => {
+    const { channelId, channelName, channelLogo, programTitle, programDesc, programStart, programStop, scheduledTime, programId } = req.body;
+    const userId = req.session.userId;
+
+    if (!channelId || !programTitle || !programStart || !scheduledTime || !programId || !channelName) {
+        console.error(`[PUSH_API_ERROR] Add notification failed for user ${userId} due to missing data.`, { body: req.body });
+        return res.status(400).json({ error: 'Invalid notification data. All required fields must be provided.' });
+    }
+    
+    console.log(`[PUSH_API] Adding notification for user ${userId}. Program: "${programTitle}", Channel: "${channelName}", Scheduled Time: ${scheduledTime}`);
+
+    db.run(`INSERT INTO notifications (user_id, channelId, channelName, channelLogo, programTitle, programDesc, programStart, programStop, notificationTime, programId, status)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+        [userId, channelId, channelName, channelLogo || '', programTitle, programDesc || '', programStart, programStop, scheduledTime, programId],
+        function (err) {
+            if (err) {
+                console.error(`[PUSH_API_ERROR] Database error adding notification for user ${userId}:`, err);
+                return res.status(500).json({ error: 'Could not add notification to the database.' });
+            }
+            const notificationId = this.lastID;
+            console.log(`[PUSH_API] Notification added successfully for program "${programTitle}" (DB ID: ${notificationId}) for user ${userId}.`);
+            
+            db.all("SELECT id FROM push_subscriptions WHERE user_id = ?", [userId], (subErr, subs) => {
+                if (subErr) {
+                    console.error(`[PUSH_API_ERROR] Could not fetch subscriptions for user ${userId} to create deliveries.`, subErr);
+                    return;
+                }
+                const now = new Date().toISOString();
+                const deliveryStmt = db.prepare("INSERT INTO notification_deliveries (notification_id, subscription_id, status, updatedAt) VALUES (?, ?, 'pending', ?)");
+                subs.forEach(sub => {
+                    deliveryStmt.run(notificationId, sub.id, now);
+                });
+                deliveryStmt.finalize(finalizeErr => {
+                    if (finalizeErr) console.error(`[PUSH_API_ERROR] Error finalizing delivery creation for notification ${notificationId}.`, finalizeErr);
+                    else console.log(`[PUSH_API] Created ${subs.length} delivery records for notification ${notificationId}.`);
+                });
+            });
+
+            res.status(201).json({ success: true, id: notificationId });
+        }
+    );
+});
+app.get('/api/notifications', requireAuth, requireNotificationsAccess, (req, res) => {
+    console.log(`[PUSH_API] Fetching notifications for user ${req.session.userId}.`);
+    const query = `
+        SELECT
+            n.id,
+            n.user_id,
+            n.channelId,
+            n.channelName,
+            n.channelLogo,
+            n.programTitle,
+            n.programDesc,
+            n.programStart,
+            n.programStop,
+            n.notificationTime as scheduledTime,
+            n.programId,
+            -- Determine the overall status based on its deliveries
+            CASE
+                WHEN (SELECT COUNT(*) FROM notification_deliveries WHERE notification_id = n.id AND status = 'sent') > 0 THEN 'sent'
+                WHEN (SELECT COUNT(*) FROM notification_deliveries WHERE notification_id = n.id AND status = 'expired') > 0 THEN 'expired'
+                ELSE n.status
+            END as status,
+            -- Use the latest delivery update time as the triggeredAt time for consistency
+            (SELECT MAX(updatedAt) FROM notification_deliveries WHERE notification_id = n.id AND status = 'sent') as triggeredAt
+        FROM notifications n
+        WHERE n.user_id = ?
+        ORDER BY n.notificationTime DESC
+    `;
+    db.all(query, [req.session.userId], (err, rows) => {
+        if (err) {
+            console.error('[PUSH_API] Error fetching consolidated notifications from database:', err);
+            return res.status(500).json({ error: 'Could not retrieve notifications.' });
+        }
+        console.log(`[PUSH_API] Found ${rows.length} consolidated notifications for user ${req.session.userId}.`);
+        res.json(rows);
+    });
+});
+
+// MODIFIED: Reordered this route to be BEFORE the /:id route to fix the 404 error.
+app.delete('/api/notifications/past', requireAuth, requireNotificationsAccess, (req, res) => {
+    const userId = req.session.userId;
+    const now = new Date().toISOString();
+    console.log(`[PUSH_API] Clearing all past notifications for user ${userId}.`);
+    
+    // This query deletes notifications whose scheduled trigger time is in the past.
+    db.run(`DELETE FROM notifications WHERE user_id = ? AND notificationTime <= ?`,
+        [userId, now],
+        function(err) {
+            if (err) {
+                console.error(`[PUSH_API] Error deleting past notifications for user ${userId}:`, err.message);
+                return res.status(500).json({ error: 'Could not clear past notifications.' });
+            }
+            console.log(`[PUSH_API] Cleared ${this.changes} past notifications for user ${userId}.`);
+            res.json({ success: true, deletedCount: this.changes });
+        }
+    );
+});
+
+app.delete('/api/notifications/:id', requireAuth, requireNotificationsAccess, (req, res) => {
+    const { id } = req.params;
+    console.log(`[PUSH_API] Deleting notification ID: ${id} for user ${req.session.userId}.`);
+    db.run(`DELETE FROM notifications WHERE id = ? AND user_id = ?`,
+        [id, req.session.userId],
+        function (err) {
+            if (err) {
+                console.error(`[PUSH_API] Error deleting notification ${id} from database:`, err);
+                return res.status(500).json({ error: 'Could not delete notification.' });
+            }
+            if (this.changes === 0) {
+                console.warn(`[PUSH_API] Notification ${id} not found or unauthorized for user ${req.session.userId}.`);
+                return res.status(404).json({ error: 'Notification not found or unauthorized.' });
+            }
+            console.log(`[PUSH_API] Notification ${id} deleted successfully for user ${req.session.userId}.`);
+            res.json({ success: true });
+    });
+});
+
+app.delete('/api/data', requireAuth, requireAdmin, (req, res) => {
+    console.log(`[API_RESET] ADMIN ACTION: Received request to /api/data (HARD RESET) from admin ${req.session.username}.`);
+    try {
+        console.log('[API_RESET] Stopping all scheduled tasks...');
+        if (notificationCheckInterval) clearInterval(notificationCheckInterval);
+        for (const timer of sourceRefreshTimers.values()) clearTimeout(timer);
+        sourceRefreshTimers.clear();
+        for (const job of activeDvrJobs.values()) job.cancel();
+        activeDvrJobs.clear();
+        for (const hub of streamHubs.values()) hub.stopped = true; // NEW: No failover while resetting
+        streamHubs.clear();
+        for (const { process: ffmpegProcess } of activeStreamProcesses.values()) {
+             try { ffmpegProcess.kill('SIGKILL'); } catch (e) {}
+        }
+        activeStreamProcesses.clear();
+        for (const pid of runningFFmpegProcesses.values()) {
+            try { process.kill(pid, 'SIGKILL'); } catch (e) {}
         }
+        runningFFmpegProcesses.clear();
+
+        console.log('[API_RESET] Wiping all data files...');
+        const filesToDelete = [MERGED_M3U_PATH, MERGED_EPG_JSON_PATH, EPG_INDEX_PATH, EPG_LOOKUP_PATH, GUIDE_VERSIONS_PATH, EPG_CHANNELS_PATH, CHANNEL_INDEX_PATH, EPG_COVERAGE_PATH, SETTINGS_PATH, VAPID_KEYS_PATH];
+        filesToDelete.forEach(file => {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        });
+        guideVersionCache = { version: undefined }; // NEW
         
-        if (newSource.type === 'url' && !newSource.path) {
-            console.warn('[SOURCES_API] New URL source failed: URL is required.');
-            return res.status(400).json({ error: 'URL is required for URL-type source.' });
+        [SOURCES_DIR, DVR_DIR, IMAGE_CACHE_DIR].forEach(dir => {
+            if(fs.existsSync(dir)) {
+                fs.rmSync(dir, { recursive: true, force: true });
+                fs.mkdirSync(dir, { recursive: true });
+            }
+        });
+        
+        console.log('[API_RESET] Wiping all database tables...');
+        const tables = ['source_change_log', 'channel_health_history', 'channel_health', 'export_tokens', 'vod_progress', 'vod_episodes', 'vod_items', 'channel_overrides', 'epg_mappings', 'stream_history', 'dvr_recordings', 'dvr_jobs', 'notification_deliveries', 'notifications', 'push_subscriptions', 'multiview_layouts', 'user_settings', 'users', 'sessions'];
+        db.serialize(() => {
+            tables.forEach(table => {
+                db.run(`DELETE FROM ${table}`, (err) => {
+                    if (err) console.error(`[API_RESET] Error clearing table ${table}:`, err.message);
+                });
+            });
+        });
+
+        console.log('[API_RESET] Hard reset complete. The application is now in a fresh-install state.');
+        res.json({ success: true, message: 'All application data has been cleared.' });
+
+    } catch (error) {
+        console.error("[API_RESET] Critical error during hard reset:", error);
+        res.status(500).json({ error: "Failed to reset application data." });
+    }
+});
+
+
+// MODIFIED: Stream endpoint now logs to history and has enhanced tracking.
+app.post('/api/stream/check-concurrency', requireAuth, async (req, res) => {
+    const { streamUrl, channelId, channelName } = req.body || {};
+
+    if (!streamUrl && !channelId && !channelName) {
+        return res.json({ allowed: true });
+    }
+
+    const settings = getSettings();
+    const { channel, sourceName, channelKey } = resolveChannelForConcurrency({ streamUrl, channelId, channelName });
+    const check = checkSourceConcurrencyLimit(settings, sourceName, channelKey);
+
+    if (!check.allowed) {
+        // NEW: The stream can still start if a failover upstream has capacity.
+        const candidates = channel ? await getFailoverCandidates({ key: channelKey, url: channel.url, sourceName, name: channel.displayName || channel.name }) : [];
+        if (findAvailableCandidate(settings, candidates, 1).index === -1) {
+            return res.status(429).json({ error: check.message });
         }
-        if (newSource.type === 'file' && !req.file) {
-            console.warn('[SOURCES_API] New file source failed: A file must be selected.');
-            return res.status(400).json({ error: 'A file must be selected for new file-based sources.' });
+    }
+
+    res.json({ allowed: true });
+});
+
+// --- NEW: Stream hub ---
+// Viewers of the same channel with the same stream profile and user agent share one upstream ffmpeg,
+// and so one provider connection. The hub cuts ffmpeg's MPEG-TS output into whole packets, writes it
+// to every client and keeps the current GOP so a late joiner starts on a keyframe. Each viewer still
+// gets a session in activeStreamProcesses with its own stream_history row. Output that isn't cut into
+// MPEG-TS packets can't be joined mid-stream, so later viewers of such a hub get a hub of their own.
+const TS_PACKET_SIZE = 188;
+const TS_SYNC_BYTE = 0x47;
+const STREAM_HUB_GOP_MAX_BYTES = 8 * 1024 * 1024; // Larger GOPs aren't kept; late joiners wait for the next keyframe
+const STREAM_CLIENT_MAX_BUFFERED_BYTES = 4 * 1024 * 1024; // A client further behind skips ahead to the next keyframe
+const STREAM_CLIENT_STALL_TIMEOUT = 20000; // A client that stays behind this long is disconnected
+// NEW: HLS hubs have ffmpeg write segments and a rolling playlist into a temp directory instead. Viewers
+// fetch them through /hls/<session>/, and the janitor ends a session once its player stops polling.
+const HLS_SEGMENT_SECONDS = 4;
+const HLS_PLAYLIST_SIZE = 6;
+const HLS_PLAYLIST_WAIT_MS = 20000; // How long the first playlist request waits for ffmpeg to write it
+const hlsSessions = new Map(); // Session id from the /hls URL -> viewer session in activeStreamProcesses
+
+/**
+ * NEW: Checks whether a stream profile can output HLS. Its command has to write to stdout (pipe:1),
+ * which is replaced by the HLS muxer.
+ * @param {object} profile - The stream profile.
+ * @returns {boolean}
+ */
+const canOutputHls = (profile) => profile.command !== 'redirect' && /(^|\s)pipe:1(\s|$)/.test(profile.command);
+
+/**
+ * NEW: Replaces a profile's stdout output (`[-f <format>] pipe:1`) with HLS output into a directory.
+ * Segment numbers start from the current time, so a failover restart keeps the media sequence increasing.
+ * @param {Array<string>} args - The ffmpeg arguments.
+ * @param {string} dir - The session's HLS directory.
+ * @returns {Array<string>}
+ */
+function buildHlsOutputArgs(args, dir) {
+    const outputIndex = args.lastIndexOf('pipe:1');
+    const start = args[outputIndex - 2] === '-f' ? outputIndex - 2 : outputIndex;
+    return [
+        ...args.slice(0, start),
+        '-f', 'hls',
+        '-hls_time', String(HLS_SEGMENT_SECONDS),
+        '-hls_list_size', String(HLS_PLAYLIST_SIZE),
+        '-hls_flags', 'delete_segments+omit_endlist+discont_start',
+        '-hls_start_number_source', 'epoch',
+        '-hls_segment_filename', path.join(dir, 'segment_%d.ts'),
+        ...args.slice(outputIndex + 1),
+        path.join(dir, 'index.m3u8'),
+    ];
+}
+
+/**
+ * NEW: Checks whether anyone still watches a hub. HLS players have no open connection, so a session
+ * counts while its player keeps fetching the playlist.
+ */
+function isStreamHubWatched(hub) {
+    if (hub.format !== 'hls') return hub.clients.size > 0;
+    const now = Date.now();
+    return Array.from(hub.sessions).some(session => now - session.lastAccess < STREAM_INACTIVITY_TIMEOUT);
+}
+
+const getTsPid = (packet) => ((packet[1] & 0x1f) << 8) | packet[2];
+const isTsPayloadStart = (packet) => (packet[1] & 0x40) !== 0;
+// ffmpeg's muxer sets the random access indicator on the first packet of every keyframe. Audio frames
+// are all keyframes, so only packets on the video PID count.
+const isTsRandomAccessPacket = (packet) => (packet[3] & 0x20) !== 0 && packet[4] > 0 && (packet[5] & 0x40) !== 0;
+// Video stream types in the PMT: MPEG-1/2, MPEG-4 Part 2, H.264, HEVC, VVC, AVS and VC-1.
+const TS_VIDEO_STREAM_TYPES = new Set([0x01, 0x02, 0x10, 0x1b, 0x24, 0x33, 0x42, 0xea]);
+
+/**
+ * Finds the PSI section that starts in a packet.
+ * @param {Buffer} packet - A 188-byte TS packet that starts a section.
+ * @returns {number} The section's offset, or -1 when the packet carries no section header.
+ */
+function getTsSectionOffset(packet) {
+    if (!(packet[3] & 0x10)) return -1;
+    let offset = 4;
+    if (packet[3] & 0x20) offset += 1 + packet[4];
+    offset += 1 + packet[offset]; // pointer_field
+    return offset + 3 <= TS_PACKET_SIZE ? offset : -1;
+}
+
+/**
+ * Reads the PMT PIDs listed in a PAT packet.
+ * @param {Buffer} packet - A 188-byte TS packet on PID 0 that starts a section.
+ * @returns {Array<number>}
+ */
+function parseTsPatPmtPids(packet) {
+    const offset = getTsSectionOffset(packet);
+    if (offset === -1 || offset + 8 > TS_PACKET_SIZE || packet[offset] !== 0x00) return [];
+    const sectionLength = ((packet[offset + 1] & 0x0f) << 8) | packet[offset + 2];
+    const end = Math.min(offset + 3 + sectionLength - 4, TS_PACKET_SIZE); // Stops before the CRC
+    const pids = [];
+    for (let i = offset + 8; i + 4 <= end; i += 4) {
+        const programNumber = (packet[i] << 8) | packet[i + 1];
+        if (programNumber !== 0) pids.push(((packet[i + 2] & 0x1f) << 8) | packet[i + 3]);
+    }
+    return pids;
+}
+
+/**
+ * Reads the PID of the first video stream listed in a PMT packet.
+ * @param {Buffer} packet - A 188-byte TS packet on a PMT PID that starts a section.
+ * @returns {number|null} null when the programme has no video.
+ */
+function parseTsPmtVideoPid(packet) {
+    const offset = getTsSectionOffset(packet);
+    if (offset === -1 || offset + 12 > TS_PACKET_SIZE || packet[offset] !== 0x02) return null;
+    const sectionLength = ((packet[offset + 1] & 0x0f) << 8) | packet[offset + 2];
+    const end = Math.min(offset + 3 + sectionLength - 4, TS_PACKET_SIZE); // Stops before the CRC
+    const programInfoLength = ((packet[offset + 10] & 0x0f) << 8) | packet[offset + 11];
+    let i = offset + 12 + programInfoLength;
+    while (i + 5 <= end) {
+        if (TS_VIDEO_STREAM_TYPES.has(packet[i])) return ((packet[i + 1] & 0x1f) << 8) | packet[i + 2];
+        i += 5 + (((packet[i + 3] & 0x0f) << 8) | packet[i + 4]);
+    }
+    return null;
+}
+
+/**
+ * Stops cutting a hub's output at keyframes: its data is passed through as is, late joiners start
+ * mid-stream and clients that fall too far behind are disconnected.
+ */
+function passThroughStreamHub(hub, reason) {
+    console.warn(`[STREAM_HUB] ${reason} on ${hub.key}. Passing the output through without keyframe buffering.`);
+    hub.isTs = false;
+    hub.gop = [];
+    hub.gopBytes = 0;
+    hub.remainder = null;
+    hub.clients.forEach(client => { client.awaitingKeyframe = false; });
+}
+
+/**
+ * Writes the last PAT and PMT to a client that is about to start on a keyframe, so its demuxer
+ * knows the streams before the first frame arrives.
+ */
+function writeStreamHubTables(hub, res) {
+    if (!hub.pat) return;
+    res.write(hub.pat);
+    hub.pmts.forEach(packet => res.write(packet));
+}
+
+/**
+ * Writes a piece of the stream to one client. A client whose unsent data grows past
+ * STREAM_CLIENT_MAX_BUFFERED_BYTES stops receiving and rejoins at a later keyframe once it has
+ * drained; one that stays behind for STREAM_CLIENT_STALL_TIMEOUT is disconnected.
+ * @param {Buffer} data - Whole TS packets (or raw output for non-TS profiles).
+ * @param {boolean} startsWithKeyframe - Whether data begins with a random access point.
+ */
+function writeToStreamClient(hub, client, data, startsWithKeyframe) {
+    const { res } = client;
+    if (res.destroyed || res.writableEnded) return;
+
+    if (client.awaitingKeyframe) {
+        if (!startsWithKeyframe || res.writableLength > STREAM_CLIENT_MAX_BUFFERED_BYTES / 2) {
+            if (client.behindSince && Date.now() - client.behindSince > STREAM_CLIENT_STALL_TIMEOUT) {
+                console.warn(`[STREAM_HUB] Disconnecting ${client.session.username} from ${hub.key}: the client stopped reading.`);
+                res.destroy();
+            }
+            return;
         }
+        if (client.behindSince) console.log(`[STREAM_HUB] ${client.session.username} caught up on ${hub.key} and resumes at a keyframe.`);
+        client.awaitingKeyframe = false;
+        client.behindSince = 0;
+        writeStreamHubTables(hub, res);
+    } else if (res.writableLength > STREAM_CLIENT_MAX_BUFFERED_BYTES) {
+        if (!hub.isTs) {
+            console.warn(`[STREAM_HUB] Disconnecting ${client.session.username} from ${hub.key}: too far behind.`);
+            res.destroy();
+            return;
+        }
+        console.warn(`[STREAM_HUB] ${client.session.username} is too far behind on ${hub.key}. Skipping to the next keyframe.`);
+        client.awaitingKeyframe = true;
+        client.behindSince = Date.now();
+        return;
+    }
+    res.write(data);
+}
 
-        if (req.file) {
-            const extension = sourceType === 'm3u' ? '.m3u' : '.xml';
-            const newPath = path.join(SOURCES_DIR, `${sourceType}_${newSource.id}${extension}`);
-            try {
-                fs.renameSync(req.file.path, newPath);
-                newSource.path = newPath;
-                console.log(`[SOURCES_API] Renamed uploaded file for new source to: ${newPath}`);
-            } catch (e) {
-                console.error('[SOURCES_API] Error renaming new source file:', e);
-                return res.status(500).json({ error: 'Could not save uploaded file.' });
+/**
+ * Keeps the late-joiner buffer up to date and writes a piece of the stream to every client.
+ */
+function deliverStreamHubData(hub, data, startsWithKeyframe) {
+    if (startsWithKeyframe) {
+        hub.gop = [data];
+        hub.gopBytes = data.length;
+    } else if (hub.gop.length > 0) {
+        hub.gop.push(data);
+        hub.gopBytes += data.length;
+        if (hub.gopBytes > STREAM_HUB_GOP_MAX_BYTES) {
+            hub.gop = [];
+            hub.gopBytes = 0;
+        }
+    }
+    hub.clients.forEach(client => writeToStreamClient(hub, client, data, startsWithKeyframe));
+}
+
+/**
+ * Splits ffmpeg's output into whole TS packets, remembers the PAT/PMT and cuts the data at video keyframes.
+ * Output that isn't MPEG-TS, or has no video, is passed through as is.
+ */
+function handleStreamHubData(hub, chunk) {
+    if (hub.isTs === null) hub.isTs = chunk[0] === TS_SYNC_BYTE;
+    if (!hub.isTs) return deliverStreamHubData(hub, chunk, false);
+
+    const data = hub.remainder ? Buffer.concat([hub.remainder, chunk]) : chunk;
+    const usable = data.length - (data.length % TS_PACKET_SIZE);
+    hub.remainder = usable < data.length ? Buffer.from(data.subarray(usable)) : null;
+
+    let segmentStart = 0;
+    let segmentIsKeyframe = false;
+    for (let offset = 0; offset < usable; offset += TS_PACKET_SIZE) {
+        const packet = data.subarray(offset, offset + TS_PACKET_SIZE);
+        if (packet[0] !== TS_SYNC_BYTE) {
+            passThroughStreamHub(hub, 'Lost MPEG-TS sync');
+            return deliverStreamHubData(hub, data.subarray(segmentStart), false);
+        }
+        const pid = getTsPid(packet);
+        if (pid === 0 && isTsPayloadStart(packet)) {
+            hub.pat = Buffer.from(packet);
+            hub.pmtPids = new Set(parseTsPatPmtPids(packet));
+        } else if (hub.pmtPids.has(pid) && isTsPayloadStart(packet)) {
+            hub.pmts.set(pid, Buffer.from(packet));
+            hub.videoPid = parseTsPmtVideoPid(packet);
+            if (hub.videoPid === null) {
+                passThroughStreamHub(hub, 'No video stream');
+                return deliverStreamHubData(hub, data.subarray(segmentStart), false);
             }
+        } else if (pid === hub.videoPid && isTsRandomAccessPacket(packet)) {
+            if (offset > segmentStart) deliverStreamHubData(hub, data.subarray(segmentStart, offset), segmentIsKeyframe);
+            segmentStart = offset;
+            segmentIsKeyframe = true;
+        }
+    }
+    if (usable > segmentStart) deliverStreamHubData(hub, data.subarray(segmentStart, usable), segmentIsKeyframe);
+}
+
+/**
+ * Spawns ffmpeg for the hub's current upstream and points every session at it.
+ */
+function startStreamHubUpstream(hub) {
+    const proc = hub.spawnUpstream(hub.upstream, hub);
+    Object.assign(hub, { process: proc, isTs: null, remainder: null, gop: [], gopBytes: 0, pat: null, pmtPids: new Set(), pmts: new Map(), videoPid: null });
+    hub.sessions.forEach(session => Object.assign(session, { process: proc, sourceName: hub.upstream.sourceName, channelKey: hub.upstream.key, upstreamUrl: hub.upstream.url }));
+
+    proc.stdout.on('data', (chunk) => {
+        if (hub.process === proc && hub.format !== 'hls') handleStreamHubData(hub, chunk);
+    });
+    proc.stderr.on('data', (data) => console.error(`[FFMPEG_ERROR] Stream: ${hub.key} - ${data.toString().trim()}`));
+    proc.on('close', (code) => {
+        console.log(`[STREAM] ffmpeg process for ${hub.key} exited with code ${code}`);
+        handleStreamHubExit(hub, proc, `ffmpeg exited with code ${code}`);
+    });
+    proc.on('error', (err) => {
+        console.error(`[STREAM] Failed to start ffmpeg process for ${hub.key}: ${err.message}`);
+        handleStreamHubExit(hub, proc, `Failed to start ffmpeg: ${err.message}`);
+    });
+    console.log(`[STREAM_HUB] Started FFMPEG process with PID: ${proc.pid} for ${hub.key} on "${hub.upstream.sourceName}".`);
+}
+
+/**
+ * NEW: Watches an HLS hub's directory for its first playlist, so playlist requests wait on ffmpeg instead of polling.
+ * @returns {Promise<boolean>} Resolves true once index.m3u8 exists, or false when the hub stops first.
+ */
+function watchForHlsPlaylist(hub) {
+    const playlistPath = path.join(hub.hlsDir, 'index.m3u8');
+    return new Promise(resolve => {
+        let watcher = null;
+        const finish = (ready) => {
+            if (watcher) watcher.close();
+            hub.stopHlsPlaylistWatch = null;
+            resolve(ready);
+        };
+        hub.stopHlsPlaylistWatch = () => finish(false);
+        try {
+            watcher = fs.watch(hub.hlsDir, (eventType, fileName) => {
+                if (fileName === 'index.m3u8' && fs.existsSync(playlistPath)) finish(true);
+            });
+            watcher.on('error', () => finish(fs.existsSync(playlistPath)));
+        } catch (error) {
+            console.error(`[STREAM_HUB] Could not watch ${hub.hlsDir}: ${error.message}`);
+            finish(fs.existsSync(playlistPath));
+        }
+    });
+}
+
+/**
+ * Creates and starts a hub.
+ * @param {{key: string, format: ('mpegts'|'hls'), candidates: Array<object>, candidateIndex: number, spawnUpstream: function(object, object): ChildProcess}} options
+ */
+function createStreamHub({ key, format, candidates, candidateIndex, spawnUpstream }) {
+    const hub = {
+        key,
+        format, // NEW
+        hlsDir: format === 'hls' ? path.join(HLS_DIR, crypto.randomBytes(8).toString('hex')) : null, // NEW
+        candidates,
+        candidateIndex,
+        upstream: candidates[candidateIndex],
+        spawnUpstream,
+        clients: new Set(),
+        sessions: new Set(),
+        stopped: false,
+    };
+    if (hub.hlsDir) {
+        fs.mkdirSync(hub.hlsDir, { recursive: true });
+        hub.hlsPlaylistReady = watchForHlsPlaylist(hub); // NEW
+    }
+    streamHubs.set(key, hub);
+    startStreamHubUpstream(hub);
+    return hub;
+}
+
+/**
+ * MODIFIED: When ffmpeg exits while someone is still watching (and nobody stopped the hub),
+ * switch every viewer to the next available upstream instead of ending their responses.
+ */
+function handleStreamHubExit(hub, proc, reason) {
+    if (proc.exitHandled) return;
+    proc.exitHandled = true;
+    if (hub.stopped || hub.process !== proc) return;
+
+    if (isStreamHubWatched(hub)) { // MODIFIED: HLS viewers have no open connection
+        const next = findAvailableCandidate(getSettings(), hub.candidates, hub.candidateIndex + 1);
+        if (next.index !== -1) {
+            const previous = hub.upstream;
+            hub.candidateIndex = next.index;
+            hub.upstream = hub.candidates[next.index];
+            const failover = { time: new Date().toISOString(), from: previous.sourceName, to: hub.upstream.sourceName, reason };
+            console.warn(`[FAILOVER] Stream ${hub.key} on "${previous.sourceName}" failed (${reason}). Switching to "${hub.upstream.sourceName}".`);
+            hub.sessions.forEach(session => {
+                session.failovers.push(failover);
+                recordStreamFailover(session.historyId, session.failovers);
+            });
+            startStreamHubUpstream(hub);
+            broadcastAdminUpdate();
+            return;
+        }
+    }
+    stopStreamHub(hub, reason);
+}
+
+/**
+ * Closes a viewer's stream_history row and removes the session from the live activity list.
+ * @param {object} info - The session from activeStreamProcesses.
+ */
+function finishStreamSession(info) {
+    info.ended = true;
+    if (info.historyId) {
+        const endTime = new Date().toISOString();
+        const duration = Math.round((new Date(endTime).getTime() - new Date(info.startTime).getTime()) / 1000);
+        db.run("UPDATE stream_history SET end_time = ?, duration_seconds = ?, status = 'stopped' WHERE id = ? AND status = 'playing'",
+            [endTime, duration, info.historyId]);
+    }
+    if (activeStreamProcesses.get(info.streamKey) === info) activeStreamProcesses.delete(info.streamKey);
+    if (info.hlsId) hlsSessions.delete(info.hlsId); // NEW
+}
+
+/**
+ * Stops a hub's ffmpeg and ends every client and session still attached to it.
+ * @param {string} [reason] - Why the upstream ended; clients that got no data yet receive an error.
+ */
+function stopStreamHub(hub, reason) {
+    hub.stopped = true;
+    if (streamHubs.get(hub.key) === hub) streamHubs.delete(hub.key);
+    hub.clients.forEach(({ res }) => {
+        if (!res.headersSent && reason) {
+            res.status(500).send(reason.startsWith('Failed to start') ? 'Failed to start streaming service. Check server logs.' : 'FFmpeg stream ended unexpectedly or failed to start.');
+        } else {
+            res.end();
+        }
+    });
+    hub.clients.clear();
+    hub.sessions.forEach(finishStreamSession);
+    hub.sessions.clear();
+    if (hub.process.exitCode === null) hub.process.kill('SIGKILL');
+    if (hub.stopHlsPlaylistWatch) hub.stopHlsPlaylistWatch(); // NEW
+    if (hub.hlsDir) fs.rm(hub.hlsDir, { recursive: true, force: true }, () => {}); // NEW
+    //-- ENHANCEMENT: Notify admins that a stream has ended.
+    broadcastAdminUpdate();
+}
+
+/**
+ * Ends a viewer's session: closes its history row and responses. The hub keeps running for its
+ * other viewers and stops with its last session. VOD sessions own their ffmpeg directly.
+ * @param {object} info - The session from activeStreamProcesses.
+ */
+function stopStreamSession(info) {
+    finishStreamSession(info);
+    const { hub } = info;
+    if (!hub) {
+        info.process.kill('SIGKILL');
+        return;
+    }
+    hub.sessions.delete(info);
+    hub.clients.forEach(client => {
+        if (client.session !== info) return;
+        hub.clients.delete(client);
+        client.res.end();
+    });
+    if (hub.sessions.size === 0 && !hub.stopped) {
+        console.log(`[STREAM_HUB] Last viewer left ${hub.key}. Terminating PID: ${hub.process.pid}.`);
+        stopStreamHub(hub);
+    }
+}
+
+/**
+ * Attaches an HTTP response to a hub. A late joiner first gets the PAT/PMT and the current GOP,
+ * or waits for the next keyframe when none is buffered.
+ */
+function addStreamHubClient(hub, session, req, res) {
+    const client = { res, session, awaitingKeyframe: false, behindSince: 0 };
+    res.setHeader('Content-Type', 'video/mp2t');
+    if (hub.isTs && hub.gop.length > 0) {
+        writeStreamHubTables(hub, res);
+        hub.gop.forEach(data => res.write(data));
+    } else if (hub.isTs) {
+        client.awaitingKeyframe = true;
+    }
+    hub.clients.add(client);
+    console.log(`[STREAM_HUB] ${session.username} joined ${hub.key}. Clients: ${hub.clients.size}.`);
+
+    req.on('close', () => {
+        if (!hub.clients.delete(client)) return;
+        console.log(`[STREAM] Client closed connection for ${session.streamKey}. Decrementing ref count.`);
+        session.references--;
+        session.lastAccess = Date.now();
+        if (session.references <= 0) {
+            console.log(`[STREAM] Last client of ${session.streamKey} disconnected. The session will be cleaned up by the janitor.`);
         }
+    });
+}
+
+/**
+ * MODIFIED: Streams a channel through a stream profile's ffmpeg pipeline, with failover and source
+ * concurrency limits. Viewers of the same channel, profile and user agent share one stream hub.
+ * Shared by /stream and the HDHomeRun tuner endpoints.
+ * @param {{streamUrl: string, profileId: string, userAgentId: string, channelId: (string|undefined), format: (string|undefined)}} options
+ *        format 'hls' redirects a logged-in user to an HLS playlist when the profile supports it; anything else streams MPEG-TS.
+ */
+async function handleStreamRequest(req, res, { streamUrl, profileId, userAgentId, channelId: requestedChannelId, format }) {
+    const userId = req.exportToken ? req.exportToken.user_id : req.session.userId;
+    const username = req.exportToken ? req.exportToken.username : req.session.username;
+    const clientIp = req.clientIp;
+    
+    // A unique key for this user and this stream URL
+    const streamKey = `${userId}::${streamUrl}`;
 
-        if (sourceType === 'm3u') {
-            const parsedLimit = parseInt(maxConcurrentChannels, 10);
-            newSource.maxConcurrentChannels = Number.isNaN(parsedLimit) || parsedLimit < 0 ? 0 : parsedLimit;
-        }
+    const activeStreamInfo = activeStreamProcesses.get(streamKey);
+    // NEW: The player asks for HLS; profiles that can't write it keep streaming MPEG-TS. Export-token
+    // clients always get MPEG-TS, since /hls only serves sessions to a logged-in user.
+    const wantsHls = format === 'hls' && !req.exportToken;
 
-        sourceList.push(newSource);
-        saveSettings(settings);
-        console.log(`[SOURCES_API] New source "${name}" added successfully (ID: ${newSource.id}).`);
-        res.json({ success: true, message: 'Source added successfully.', settings: getSettings() });
+    if (activeStreamInfo && activeStreamInfo.hub && !activeStreamInfo.hub.stopped && (activeStreamInfo.hub.format === 'hls') === wantsHls) {
+        activeStreamInfo.lastAccess = Date.now();
+        if (activeStreamInfo.hlsId) {
+            console.log(`[STREAM] Existing HLS stream requested. Key: ${streamKey}.`);
+            return res.redirect(302, `/hls/${activeStreamInfo.hlsId}/index.m3u8`);
+        }
+        activeStreamInfo.references++;
+        console.log(`[STREAM] Existing stream requested. Key: ${streamKey}. New ref count: ${activeStreamInfo.references}.`);
+        addStreamHubClient(activeStreamInfo.hub, activeStreamInfo, req, res); // MODIFIED: Joins the shared hub
+        return;
     }
-});
 
+    console.log(`[STREAM] New request: URL=${streamUrl}, ProfileID=${profileId}, UserAgentID=${userAgentId}`);
+    if (!streamUrl) return res.status(400).send('Error: `url` query parameter is required.');
 
-app.put('/api/sources/:sourceType/:id', requireAuth, (req, res) => {
-    const { sourceType, id } = req.params;
-    const { name, path: newPath, isActive, maxConcurrentChannels } = req.body;
-    console.log(`[SOURCES_API] Partial update source ID: ${id}, Type: ${sourceType}, isActive: ${isActive}`);
-    
-    const settings = getSettings();
-    const sourceList = sourceType === 'm3u' ? settings.m3uSources : settings.epgSources;
-    const sourceIndex = sourceList.findIndex(s => s.id === id);
+    let settings = getSettings();
+    const profile = (settings.streamProfiles || []).find(p => p.id === profileId);
 
-    if (sourceIndex === -1) {
-        console.warn(`[SOURCES_API] Source ID ${id} not found for partial update.`);
-        return res.status(404).json({ error: 'Source not found.' });
+    if (!profile) {
+        console.error(`[STREAM] Stream profile with ID "${profileId}" not found in settings.`);
+        return res.status(404).send(`Error: Stream profile with ID "${profileId}" not found.`);
     }
+    
+    // NEW: Determine if this is a transcoding or direct stream
+    const isTranscoded = profile.command !== 'redirect';
 
-    const source = sourceList[sourceIndex];
-    source.name = name ?? source.name;
-    source.isActive = isActive ?? source.isActive;
-    if (source.type === 'url' && newPath !== undefined) {
-        source.path = newPath;
+    if (!isTranscoded) {
+        console.log(`[STREAM] Redirecting to stream URL: ${streamUrl}`);
+        return res.redirect(302, streamUrl);
     }
-    source.lastUpdated = new Date().toISOString();
-
-    if (sourceType === 'm3u' && maxConcurrentChannels !== undefined) {
-        const parsedLimit = parseInt(maxConcurrentChannels, 10);
-        source.maxConcurrentChannels = Number.isNaN(parsedLimit) || parsedLimit < 0 ? 0 : parsedLimit;
+    
+    const userAgent = (settings.userAgents || []).find(ua => ua.id === userAgentId);
+    if (!userAgent) {
+        console.error(`[STREAM] User agent with ID "${userAgentId}" not found in settings.`);
+        return res.status(404).send(`Error: User agent with ID "${userAgentId}" not found.`);
     }
 
-    saveSettings(settings);
-    console.log(`[SOURCES_API] Source ${id} partially updated.`);
-    res.json({ success: true, message: 'Source updated.', settings: getSettings() });
-});
+    //-- ENHANCEMENT: Find channel name and logo for logging.
+    const allChannels = parseM3U(fs.existsSync(MERGED_M3U_PATH) ? fs.readFileSync(MERGED_M3U_PATH, 'utf-8') : '');
+    // NEW: Catch-up archive URLs aren't in the playlist, so the player also sends the channel's id.
+    const channel = allChannels.find(c => c.url === streamUrl) || (requestedChannelId ? allChannels.find(c => c.id === requestedChannelId) : null);
+    const isArchive = !!channel && channel.url !== streamUrl;
+    const channelName = channel ? (channel.displayName || channel.name) + (isArchive ? ' (Catch-up)' : '') : 'Direct Stream';
+    const channelId = channel ? channel.id : null;
+    const channelLogo = channel ? channel.logo : null;
+    const sourceName = channel ? channel.source : null;
+    const channelKey = channel ? (channel.id || channel.url || streamUrl) : streamUrl;
+    const streamProfileName = profile ? profile.name : 'Unknown Profile';
+    const outputFormat = wantsHls && canOutputHls(profile) ? 'hls' : 'mpegts'; // NEW
+    // NEW: Catch-up archives are per programme, so they share a hub only with the same archive URL.
+    const hubKey = `${isArchive ? streamUrl : channelKey}::${profile.id}::${userAgent.id}::${outputFormat}`;
+    const failovers = [];
+
+    // NEW: The viewer switched between HLS and MPEG-TS, so the old session ends (and its hub, if nobody else watches).
+    if (activeStreamInfo) stopStreamSession(activeStreamInfo);
+
+    // NEW: Output that isn't MPEG-TS (or lost its packet boundaries) can't be joined mid-stream, so a
+    // viewer arriving after it started gets their own ffmpeg process instead of sharing it.
+    const findJoinableHub = () => {
+        const existing = streamHubs.get(hubKey);
+        return existing && existing.isTs !== false ? existing : null;
+    };
+    let hub = findJoinableHub();
+    if (!hub) {
+        // MODIFIED: A channel may have failover upstreams (same tvg-id on another source, or a manual
+        // failover group). Start on the first one that isn't over its source's concurrency limit.
+        // Archive URLs aren't in the channel index, so they only ever get the requested upstream.
+        const candidates = await getFailoverCandidates({ key: channelKey, url: streamUrl, sourceName, name: channelName });
+        // Another viewer may have started the hub while the candidates were loading.
+        hub = findJoinableHub();
+        if (!hub) {
+            const firstAvailable = findAvailableCandidate(settings, candidates, 0);
+            if (firstAvailable.index === -1) {
+                console.warn(`[CONCURRENCY] Limit reached for source ${sourceName || 'unknown'} while accessing ${channelKey}.`);
+                return res.status(429).type('text/plain').send(firstAvailable.message);
+            }
+            if (firstAvailable.index > 0) {
+                failovers.push({ time: new Date().toISOString(), from: candidates[0].sourceName, to: candidates[firstAvailable.index].sourceName, reason: 'Concurrency limit reached' });
+                console.log(`[FAILOVER] "${channelName}" starting on "${candidates[firstAvailable.index].sourceName}" because "${candidates[0].sourceName}" is at its concurrency limit.`);
+            }
+            console.log(`[STREAM] Using Profile='${profile.name}' (ID=${profile.id}), UserAgent='${userAgent.name}'`);
+
+            // MODIFIED: Takes the failover candidate, whose source's HTTP options fill {headers}, {referer}, {cookies} and {proxy},
+            // and the hub, whose directory receives HLS output.
+            const spawnUpstream = (candidate, { hlsDir }) => {
+                const commandTemplate = fillSourceHttpVariables(profile.command, getSourceHttpOptionsByName(settings, candidate.sourceName))
+                    .replace(/{streamUrl}/g, candidate.url)
+                    .replace(/{userAgent}|{clientUserAgent}/g, userAgent.value);
+                    
+                const profileArgs = (commandTemplate.match(/(?:[^\s"]+|"[^"]*")+/g) || []).map(arg => arg.replace(/^"|"$/g, ''));
+                const args = hlsDir ? buildHlsOutputArgs(profileArgs, hlsDir) : profileArgs;
 
-app.delete('/api/sources/:sourceType/:id', requireAuth, (req, res) => {
-    const { sourceType, id } = req.params;
-    console.log(`[SOURCES_API] Deleting source ID: ${id}, Type: ${sourceType}`);
-    
-    const settings = getSettings();
-    let sourceList = sourceType === 'm3u' ? settings.m3uSources : settings.epgSources;
-    const source = sourceList.find(s => s.id === id);
-    
-    if (source && source.type === 'file' && fs.existsSync(source.path)) {
-        try {
-            fs.unlinkSync(source.path);
-            console.log(`[SOURCES_API] Deleted associated file: ${source.path}`);
-        } catch (e) {
-            console.error(`[SOURCES_API] Could not delete source file: ${source.path}`, e);
+                console.log(`[STREAM] FFmpeg command args: ffmpeg ${args.join(' ')}`);
+                return spawn('ffmpeg', args);
+            };
+            const key = streamHubs.has(hubKey) ? `${hubKey}::${crypto.randomBytes(4).toString('hex')}` : hubKey;
+            hub = createStreamHub({ key, format: outputFormat, candidates, candidateIndex: firstAvailable.index, spawnUpstream });
         }
     }
-    
-    const initialLength = sourceList.length;
-    const newList = sourceList.filter(s => s.id !== id);
-    if (sourceType === 'm3u') settings.m3uSources = newList;
-    else settings.epgSources = newList;
 
-    if (newList.length === initialLength) {
-        console.warn(`[SOURCES_API] Source ID ${id} not found for deletion.`);
-        return res.status(404).json({ error: 'Source not found.' });
-    }
+    // MODIFIED: Each viewer has its own session (and history row) on top of the shared hub.
+    const startTime = new Date().toISOString();
+    const info = {
+        hub, // NEW
+        hlsId: outputFormat === 'hls' ? crypto.randomBytes(16).toString('hex') : null, // NEW: Names the session in /hls URLs
+        process: hub.process,
+        references: outputFormat === 'hls' ? 0 : 1, // NEW: HLS players hold no connection; lastAccess tracks their polling
+        lastAccess: Date.now(),
+        userId,
+        username,
+        channelId,
+        channelName,
+        channelLogo, // Store logo
+        streamProfileName, // Store profile name
+        startTime,
+        historyId: null,
+        clientIp,
+        streamKey,
+        isTranscoded, // NEW: Store transcoding status
+        sourceName: hub.upstream.sourceName, // MODIFIED: The upstream actually in use
+        channelKey: hub.upstream.key,
+        streamUrl,
+        upstreamUrl: hub.upstream.url, // NEW
+        failovers, // NEW
+    };
+    hub.sessions.add(info);
+    activeStreamProcesses.set(streamKey, info);
+    if (info.hlsId) hlsSessions.set(info.hlsId, info);
 
-    saveSettings(settings);
-    console.log(`[SOURCES_API] Source ${id} deleted successfully.`);
-    res.json({ success: true, message: 'Source deleted.', settings: getSettings() });
-});
+    //-- ENHANCEMENT: Log richer stream start data to history.
+    db.run(
+        `INSERT INTO stream_history (user_id, username, channel_id, channel_name, start_time, status, client_ip, channel_logo, stream_profile_name) VALUES (?, ?, ?, ?, ?, 'playing', ?, ?, ?)`,
+        [userId, username, channelId, channelName, startTime, clientIp, channelLogo, streamProfileName],
+        function(err) {
+            if (err) {
+                console.error('[STREAM_HISTORY] Error logging stream start:', err.message);
+                return;
+            }
+            info.historyId = this.lastID;
+            console.log(`[STREAM_HISTORY] Logged stream start with history ID: ${info.historyId}`);
+            recordStreamFailover(info.historyId, info.failovers);
+            // The session may have ended before its row existed.
+            if (info.ended) finishStreamSession(info);
+        }
+    );
+    //-- ENHANCEMENT: Notify admins that a new stream has started.
+    broadcastAdminUpdate();
 
-app.post('/api/process-sources', requireAuth, async (req, res) => {
-    console.log('[API] Received request to /api/process-sources (manual trigger).');
-    try {
-        const result = await processAndMergeSources(req); // <-- MODIFIED: Pass req
+    if (info.hlsId) return res.redirect(302, `/hls/${info.hlsId}/index.m3u8`);
+    addStreamHubClient(hub, info, req, res);
+}
 
-        if (result.success) {
-            fs.writeFileSync(SETTINGS_PATH, JSON.stringify(result.updatedSettings, null, 2));
-            console.log('[API] Source processing completed and settings saved (manual trigger).');
-            res.json({ success: true, message: 'Sources merged successfully.'});
-        } else {
-            res.status(500).json({ error: result.message || 'Failed to process sources.' });
+app.get('/stream', requireAuthOrExportToken, async (req, res) => { // MODIFIED: Exported playlists stream with their token
+    if (req.exportToken) {
+        // An export token only opens the channels its link exports, with the link's own profile and user agent.
+        try {
+            const entry = (await getExportChannels(req.exportToken)).find(e => e.channel.url === req.query.url);
+            if (!entry) return res.status(403).send('Error: This channel is not part of the export link.');
+            return await handleStreamRequest(req, res, { streamUrl: entry.channel.url, ...getExportStreamOptions(req.exportToken), channelId: entry.channel.id });
+        } catch (error) {
+            console.error('[EXPORT] Error starting exported stream:', error);
+            if (!res.headersSent) res.status(500).send('Error: Could not start stream.');
+            return;
         }
     }
-    catch (error) {
-        console.error("[API] Error during manual source processing:", error);
-        sendProcessingStatus(req, `A critical error occurred: ${error.message}`, 'error'); // <-- MODIFIED
-        res.status(500).json({ error: 'Failed to process sources. Check server logs.' });
+    handleStreamRequest(req, res, {
+        streamUrl: req.query.url,
+        profileId: req.query.profileId,
+        userAgentId: req.query.userAgentId,
+        channelId: req.query.channelId,
+        format: req.query.format, // NEW
+    });
+});
+
+// NEW: Serves an HLS session's playlist and segments. Every request keeps the session alive; the
+// janitor ends it once the player has stopped polling for STREAM_INACTIVITY_TIMEOUT.
+app.get('/hls/:sessionId/:file', requireAuth, async (req, res) => {
+    const { sessionId, file } = req.params;
+    const info = hlsSessions.get(sessionId);
+    if (!info || info.userId !== req.session.userId) return res.status(404).send('Error: HLS session not found.');
+    if (file !== 'index.m3u8' && !/^segment_\d+\.ts$/.test(file)) return res.status(404).send('Error: File not found.');
+
+    const filePath = path.join(info.hub.hlsDir, file);
+    info.lastAccess = Date.now();
+    if (file === 'index.m3u8') {
+        // ffmpeg writes the first playlist once the first segment is complete.
+        if (!fs.existsSync(filePath) && !info.ended) {
+            let timer;
+            await Promise.race([
+                info.hub.hlsPlaylistReady,
+                new Promise(resolve => { timer = setTimeout(resolve, HLS_PLAYLIST_WAIT_MS); }),
+            ]);
+            clearTimeout(timer);
+            info.lastAccess = Date.now();
+        }
+        if (info.ended) return res.status(410).send('Error: The stream has ended.');
+        if (!fs.existsSync(filePath)) return res.status(504).send('Error: The stream did not start in time.');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.type('application/vnd.apple.mpegurl');
+    } else {
+        res.setHeader('Cache-Control', 'private, max-age=60');
+        res.type('video/mp2t');
     }
+    res.sendFile(filePath, (err) => {
+        if (err && !res.headersSent) res.status(404).send('Error: File not found.');
+    });
 });
 
 
-app.post('/api/save/settings', requireAuth, async (req, res) => {
-    console.log('[API] Received request to /api/save/settings.');
+// --- NEW: Movies & Series (VOD) API ---
+const VOD_RESUME_MIN_SECONDS = 30; // Shorter positions are not offered as "continue watching"
+const VOD_FINISHED_RATIO = 0.95; // Titles watched past this fraction count as finished
+
+const dbAll = (sql, params = []) => new Promise((resolve, reject) => db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows)));
+const dbGet = (sql, params = []) => new Promise((resolve, reject) => db.get(sql, params, (err, row) => err ? reject(err) : resolve(row)));
+// MODIFIED: Resolves with the statement, which carries lastID and changes.
+const dbRun = (sql, params = []) => new Promise((resolve, reject) => db.run(sql, params, function (err) { return err ? reject(err) : resolve(this); }));
+
+/**
+ * NEW: Returns a VOD item's XC source, or null for other source types.
+ */
+function getVodXcSource(sourceId) {
+    return (getSettings().m3uSources || []).find(s => s.id === sourceId && s.type === 'xc' && s.xc_data) || null;
+}
+
+/**
+ * NEW: Fills in an XC movie's details (get_vod_info) or a series' details and episodes (get_series_info)
+ * the first time it is opened after a refresh. Other items are returned unchanged.
+ * @param {object} item - A vod_items row.
+ */
+async function loadXcVodDetails(item) {
+    const source = item.xc_id && !item.details_fetched_at ? getVodXcSource(item.source_id) : null;
+    if (!source) return item;
+    const xcInfo = JSON.parse(source.xc_data);
+
     try {
-        let currentSettings = getSettings();
-        
-        const oldTimezone = currentSettings.timezoneOffset;
+        const action = item.type === 'movie' ? 'get_vod_info' : 'get_series_info';
+        const data = await fetchXcApi(xcInfo, action, item.type === 'movie' ? { vod_id: item.xc_id } : { series_id: item.xc_id }, getSourceFetchOptions(source, XC_FETCH_OPTIONS));
+        const info = (data && data.info) || {};
+        Object.assign(item, {
+            plot: info.plot || info.description || item.plot,
+            genre: info.genre || item.genre,
+            year: parseVodYear(info.releasedate, info.releaseDate, info.release_date) || item.year,
+            rating: info.rating ? String(info.rating) : item.rating,
+            poster: item.poster || info.movie_image || info.cover_big || info.cover || null,
+            duration_seconds: parseInt(info.duration_secs, 10) || item.duration_seconds,
+            details_fetched_at: new Date().toISOString()
+        });
+        await dbRun("UPDATE vod_items SET plot = ?, genre = ?, year = ?, rating = ?, poster = ?, duration_seconds = ?, details_fetched_at = ? WHERE id = ?",
+            [item.plot, item.genre, item.year, item.rating, item.poster, item.duration_seconds, item.details_fetched_at, item.id]);
+
+        if (item.type === 'series' && data && data.episodes) {
+            const episodes = [];
+            Object.entries(data.episodes).forEach(([seasonKey, list]) => {
+                (Array.isArray(list) ? list : []).forEach(ep => {
+                    if (!ep.id) return;
+                    const epInfo = ep.info || {};
+                    episodes.push([
+                        `${item.source_id}_episode_${ep.id}`, item.id, item.source_id,
+                        parseInt(ep.season, 10) || parseInt(seasonKey, 10) || 1,
+                        parseInt(ep.episode_num, 10) || null,
+                        ep.title || null, epInfo.plot || null, epInfo.movie_image || null,
+                        parseInt(epInfo.duration_secs, 10) || null,
+                        buildXcVodUrl(xcInfo, 'series', ep.id, ep.container_extension)
+                    ]);
+                });
+            });
+            await new Promise((resolve, reject) => {
+                db.serialize(() => {
+                    db.run('BEGIN TRANSACTION');
+                    db.run("DELETE FROM vod_episodes WHERE series_id = ?", [item.id]);
+                    const stmt = db.prepare(`INSERT OR REPLACE INTO vod_episodes (id, series_id, source_id, season, episode, title, plot, poster, duration_seconds, url) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+                    episodes.forEach(row => stmt.run(row));
+                    stmt.finalize();
+                    db.run('COMMIT', (err) => err ? reject(err) : resolve());
+                });
+            });
+        }
+    } catch (error) {
+        console.warn(`[VOD] Could not read details for "${item.name}" from the XC API: ${error.message}`);
+    }
+    return item;
+}
 
-        const updatedSettings = { ...currentSettings };
-        for (const key in req.body) {
-            if (!['favorites', 'playerDimensions', 'programDetailsDimensions', 'recentChannels', 'multiviewLayouts'].includes(key)) {
-                updatedSettings[key] = req.body[key];
-            } else {
-                console.warn(`[SETTINGS_SAVE] Attempted to save user-specific key "${key}" to global settings. This is ignored.`);
+/**
+ * NEW: Resolves a movie or episode ID to what the player needs.
+ * @returns {Promise<object|null>} { id, table, name, sourceName, url, durationSeconds, poster }
+ */
+async function getVodPlayable(itemId) {
+    const movie = await dbGet("SELECT id, name, source_name, url, duration_seconds, poster FROM vod_items WHERE id = ? AND type = 'movie'", [itemId]);
+    if (movie) {
+        return { id: movie.id, table: 'vod_items', name: movie.name, sourceName: movie.source_name, url: movie.url, durationSeconds: movie.duration_seconds, poster: movie.poster };
+    }
+    const episode = await dbGet(`SELECT e.id, e.season, e.episode, e.title, e.url, e.duration_seconds, e.poster, i.name AS series_name, i.source_name, i.poster AS series_poster
+        FROM vod_episodes e JOIN vod_items i ON i.id = e.series_id WHERE e.id = ?`, [itemId]);
+    if (!episode) return null;
+    const code = `S${String(episode.season || 1).padStart(2, '0')}E${String(episode.episode || 0).padStart(2, '0')}`;
+    return { id: episode.id, table: 'vod_episodes', name: `${episode.series_name} ${code}`, sourceName: episode.source_name, url: episode.url, durationSeconds: episode.duration_seconds, poster: episode.poster || episode.series_poster };
+}
+
+/**
+ * NEW: Reads a title's duration with ffprobe, for playlists that don't list one.
+ * @param {object} [httpOptions] - MODIFIED: The title's source HTTP options.
+ * @returns {Promise<number|null>} The duration in seconds, or null if it could not be read.
+ */
+function probeVodDuration(url, userAgent, httpOptions) {
+    const args = ['-v', 'quiet', '-print_format', 'json', '-show_format'];
+    if (userAgent) args.push('-user_agent', userAgent);
+    args.push(...buildSourceHttpInputArgs(httpOptions));
+    args.push(url);
+    return new Promise(resolve => {
+        execFile('ffprobe', args, { timeout: 20000 }, (err, stdout) => {
+            if (err) return resolve(null);
+            try {
+                resolve(Math.round(parseFloat(JSON.parse(stdout).format.duration)) || null);
+            } catch (e) {
+                resolve(null);
             }
-        }
+        });
+    });
+}
 
-        saveSettings(updatedSettings);
-        
-        if (updatedSettings.timezoneOffset !== oldTimezone) {
-            console.log("[API] Timezone setting changed, re-processing sources.");
-            const result = await processAndMergeSources();
-             if (result.success) {
-                fs.writeFileSync(SETTINGS_PATH, JSON.stringify(result.updatedSettings, null, 2));
-             }
-        }
+app.get('/api/vod', requireAuth, requireVodAccess, async (req, res) => {
+    const type = req.query.type === 'series' ? 'series' : 'movie';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 60, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const where = ['type = ?'];
+    const params = [type];
+    if (req.query.category && req.query.category !== 'all') {
+        where.push('category = ?');
+        params.push(req.query.category);
+    }
+    if (req.query.search && req.query.search.trim()) {
+        where.push('name LIKE ?');
+        params.push(`%${req.query.search.trim()}%`);
+    }
+    const orderBy = { added: 'added_at DESC', year: 'year DESC, name COLLATE NOCASE' }[req.query.sort] || 'name COLLATE NOCASE';
 
-        res.json({ success: true, message: 'Settings saved.', settings: getSettings() });
+    try {
+        const items = await dbAll(`SELECT id, type, name, category, poster, year, rating FROM vod_items WHERE ${where.join(' AND ')} ORDER BY ${orderBy} LIMIT ? OFFSET ?`, [...params, limit, offset]);
+        const { total } = await dbGet(`SELECT COUNT(*) AS total FROM vod_items WHERE ${where.join(' AND ')}`, params);
+        const categories = await dbAll("SELECT category, COUNT(*) AS count FROM vod_items WHERE type = ? GROUP BY category ORDER BY category COLLATE NOCASE", [type]);
+        res.json({ items, total, categories });
     } catch (error) {
-        console.error("[API] Error saving global settings:", error);
-        res.status(500).json({ error: "Could not save settings. Check server logs." });
+        console.error('[VOD_API] Error listing the library:', error.message);
+        res.status(500).json({ error: 'Could not load the library.' });
     }
 });
-// ... existing endpoint ...
-app.post('/api/user/settings', requireAuth, (req, res) => {
-    const { key, value } = req.body;
-    const userId = req.session.userId;
-    console.log(`[API] Saving user setting for user ${userId}: ${key}`);
 
-    if (!key) {
-        return res.status(400).json({ error: 'A setting key is required.' });
+app.get('/api/vod/continue', requireAuth, requireVodAccess, async (req, res) => {
+    try {
+        const rows = await dbAll(`
+            SELECT p.item_id, p.position_seconds, p.duration_seconds, p.updated_at,
+                   i.id AS parent_id, i.type, i.name, i.poster, e.season, e.episode, e.title AS episode_title
+            FROM vod_progress p
+            LEFT JOIN vod_episodes e ON e.id = p.item_id
+            JOIN vod_items i ON i.id = COALESCE(e.series_id, p.item_id)
+            WHERE p.user_id = ? AND p.position_seconds >= ?
+              AND (p.duration_seconds IS NULL OR p.position_seconds < p.duration_seconds * ?)
+            ORDER BY p.updated_at DESC
+            LIMIT 20`, [req.session.userId, VOD_RESUME_MIN_SECONDS, VOD_FINISHED_RATIO]);
+        res.json(rows);
+    } catch (error) {
+        console.error('[VOD_API] Error loading continue watching:', error.message);
+        res.status(500).json({ error: 'Could not load continue watching.' });
     }
-    
-    const valueJson = JSON.stringify(value);
+});
 
-    const saveAndRespond = () => {
-        let globalSettings = getSettings();
-        db.all(`SELECT key, value FROM user_settings WHERE user_id = ?`, [userId], (err, rows) => {
-            if (err) {
-                console.error("[API] Error re-fetching user settings after save:", err);
-                return res.status(500).json({ error: 'Could not retrieve updated settings.' });
-            }
-            const userSettings = {};
-            rows.forEach(row => {
-                try { userSettings[row.key] = JSON.parse(row.value); } 
-                catch (e) { userSettings[row.key] = row.value; }
-            });
+app.get('/api/vod/items/:id', requireAuth, requireVodAccess, async (req, res) => {
+    try {
+        const row = await dbGet("SELECT * FROM vod_items WHERE id = ?", [req.params.id]);
+        if (!row) return res.status(404).json({ error: 'Title not found. Sources may have been refreshed.' });
+        const item = await loadXcVodDetails(row);
+        const episodes = item.type === 'series'
+            ? await dbAll("SELECT id, season, episode, title, plot, poster, duration_seconds FROM vod_episodes WHERE series_id = ? ORDER BY season, episode, rowid", [item.id])
+            : [];
+        const ids = item.type === 'series' ? episodes.map(e => e.id) : [item.id];
+        const progressRows = ids.length > 0
+            ? await dbAll(`SELECT item_id, position_seconds, duration_seconds FROM vod_progress WHERE user_id = ? AND item_id IN (${ids.map(() => '?').join(', ')})`, [req.session.userId, ...ids])
+            : [];
+        const progress = Object.fromEntries(progressRows.map(p => [p.item_id, { position: p.position_seconds, duration: p.duration_seconds }]));
+        const { url, xc_id, details_fetched_at, ...details } = item;
+        res.json({ item: details, episodes, progress });
+    } catch (error) {
+        console.error('[VOD_API] Error loading title details:', error.message);
+        res.status(500).json({ error: 'Could not load title details.' });
+    }
+});
 
-            const finalSettings = { ...globalSettings, ...userSettings };
-            res.json({ success: true, settings: finalSettings });
-        });
-    };
+// Prepares playback: checks the source's connection limit and returns the duration and saved position.
+app.get('/api/vod/playback/:id', requireAuth, requireVodAccess, async (req, res) => {
+    try {
+        const playable = await getVodPlayable(req.params.id);
+        if (!playable) return res.status(404).json({ error: 'Title not found. Sources may have been refreshed.' });
 
-    db.run(
-        `INSERT INTO user_settings (user_id, key, value) VALUES (?, ?, ?)
-         ON CONFLICT(user_id, key) DO UPDATE SET value = excluded.value`,
-        [userId, key, valueJson],
-        function (err) {
-            if (err) {
-                console.error(`[API] Error saving user setting for user ${userId}, key ${key}:`, err);
-                return res.status(500).json({ error: 'Could not save user setting.' });
+        const settings = getSettings();
+        const isSeek = activeStreamProcesses.has(`${req.session.userId}::vod::${playable.id}`);
+        const concurrency = isSeek ? { allowed: true } : checkSourceConcurrencyLimit(settings, playable.sourceName, `vod:${playable.id}`);
+        if (!concurrency.allowed) return res.status(429).json({ error: concurrency.message });
+
+        if (!playable.durationSeconds) {
+            const userAgent = (settings.userAgents || []).find(ua => ua.id === req.query.userAgentId);
+            playable.durationSeconds = await probeVodDuration(playable.url, userAgent && userAgent.value, getSourceHttpOptionsByName(settings, playable.sourceName));
+            if (playable.durationSeconds) {
+                await dbRun(`UPDATE ${playable.table} SET duration_seconds = ? WHERE id = ?`, [playable.durationSeconds, playable.id]);
             }
-            console.log(`[API] User setting for user ${userId}, key ${key} saved successfully.`);
-            saveAndRespond();
         }
-    );
+        const progress = await dbGet("SELECT position_seconds FROM vod_progress WHERE user_id = ? AND item_id = ?", [req.session.userId, playable.id]);
+        res.json({ id: playable.id, name: playable.name, poster: playable.poster, durationSeconds: playable.durationSeconds, position: progress ? progress.position_seconds : 0 });
+    } catch (error) {
+        console.error('[VOD_API] Error preparing playback:', error.message);
+        res.status(500).json({ error: 'Could not prepare playback.' });
+    }
 });
-// --- Notification Endpoints ---
-// ... existing endpoints ...
-app.get('/api/notifications/vapid-public-key', requireAuth, requireNotificationsAccess, (req, res) => {
-    console.log('[PUSH_API] Request for VAPID public key.');
-    if (!vapidKeys.publicKey) {
-        console.error('[PUSH_API] VAPID public key not available on the server.');
-        return res.status(500).json({ error: 'VAPID public key not available on the server.' });
+
+app.put('/api/vod/progress/:id', requireAuth, requireVodAccess, async (req, res) => {
+    const position = parseFloat(req.body.position);
+    const duration = parseFloat(req.body.duration);
+    if (!Number.isFinite(position) || position < 0) {
+        return res.status(400).json({ error: 'A valid position is required.' });
+    }
+    try {
+        await dbRun(`INSERT OR REPLACE INTO vod_progress (user_id, item_id, position_seconds, duration_seconds, updated_at) VALUES (?, ?, ?, ?, ?)`,
+            [req.session.userId, req.params.id, position, Number.isFinite(duration) && duration > 0 ? duration : null, new Date().toISOString()]);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[VOD_API] Error saving progress:', error.message);
+        res.status(500).json({ error: 'Could not save progress.' });
+    }
+});
+
+app.delete('/api/vod/progress/:id', requireAuth, requireVodAccess, async (req, res) => {
+    try {
+        await dbRun("DELETE FROM vod_progress WHERE user_id = ? AND item_id = ?", [req.session.userId, req.params.id]);
+        res.json({ success: true, message: 'Removed from Continue Watching.' });
+    } catch (error) {
+        console.error('[VOD_API] Error removing progress:', error.message);
+        res.status(500).json({ error: 'Could not remove the title.' });
     }
-    res.send(vapidKeys.publicKey);
 });
 
-app.post('/api/notifications/subscribe', requireAuth, requireNotificationsAccess, (req, res) => {
-    console.log(`[PUSH_API] Subscribe request for user ${req.session.userId}.`);
-    const subscription = req.body;
+// Streams a movie or episode through the user's stream profile. `start` (seconds) seeks by restarting
+// ffmpeg at that position; the replaced process keeps the viewing session in the activity history.
+app.get('/vod/stream/:id', requireAuth, requireVodAccess, async (req, res) => {
+    const { profileId, userAgentId } = req.query;
+    const startSeconds = Math.max(parseFloat(req.query.start) || 0, 0);
     const userId = req.session.userId;
 
-    if (!subscription || !subscription.endpoint || !subscription.keys || !subscription.keys.p256dh || !subscription.keys.auth) {
-        console.warn('[PUSH_API] Invalid subscription object received.');
-        return res.status(400).json({ error: 'Invalid subscription object.' });
+    let playable;
+    try {
+        playable = await getVodPlayable(req.params.id);
+    } catch (error) {
+        console.error(`[VOD_STREAM] Error resolving ${req.params.id}: ${error.message}`);
     }
+    if (!playable) return res.status(404).send('Error: Title not found.');
 
-    const { endpoint, keys: { p256dh, auth } } = subscription;
+    const settings = getSettings();
+    const profile = (settings.streamProfiles || []).find(p => p.id === profileId);
+    if (!profile) return res.status(404).send(`Error: Stream profile with ID "${profileId}" not found.`);
+    if (profile.command === 'redirect') {
+        console.log(`[VOD_STREAM] Redirecting to ${playable.name}.`);
+        return res.redirect(302, playable.url);
+    }
+    const userAgent = (settings.userAgents || []).find(ua => ua.id === userAgentId);
+    if (!userAgent) return res.status(404).send(`Error: User agent with ID "${userAgentId}" not found.`);
 
-    db.run(
-        `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth) VALUES (?, ?, ?, ?)
-         ON CONFLICT(endpoint) DO UPDATE SET user_id=excluded.user_id, p256dh=excluded.p256dh, auth=excluded.auth`,
-        [userId, endpoint, p256dh, auth],
-        function(err) {
-            if (err) {
-                console.error(`[PUSH_API] Error saving push subscription for user ${userId}:`, err);
-                return res.status(500).json({ error: 'Could not save subscription.' });
-            }
-            console.log(`[PUSH] User ${userId} subscribed with endpoint: ${endpoint}. (ID: ${this.lastID || 'existing'})`);
-            res.status(201).json({ success: true });
-        }
-    );
-});
+    const streamKey = `${userId}::vod::${playable.id}`;
+    const channelKey = `vod:${playable.id}`;
+    const previous = activeStreamProcesses.get(streamKey);
+    if (previous) {
+        previous.process.kill('SIGKILL');
+    } else {
+        const concurrency = checkSourceConcurrencyLimit(settings, playable.sourceName, channelKey);
+        if (!concurrency.allowed) return res.status(429).type('text/plain').send(concurrency.message);
+    }
 
-app.post('/api/notifications/unsubscribe', requireAuth, requireNotificationsAccess, (req, res) => {
-    console.log(`[PUSH_API] Unsubscribe request for user ${req.session.userId}.`);
-    const { endpoint } = req.body;
-    if (!endpoint) {
-        console.warn('[PUSH_API] Unsubscribe failed: Endpoint is required.');
-        return res.status(400).json({ error: 'Endpoint is required to unsubscribe.' });
+    const commandTemplate = fillSourceHttpVariables(profile.command, getSourceHttpOptionsByName(settings, playable.sourceName))
+        .replace(/{streamUrl}/g, playable.url)
+        .replace(/{userAgent}|{clientUserAgent}/g, userAgent.value);
+    const args = (commandTemplate.match(/(?:[^\s"]+|"[^"]*")+/g) || []).map(arg => arg.replace(/^"|"$/g, ''));
+    const inputIndex = args.indexOf('-i');
+    if (startSeconds > 0 && inputIndex !== -1) {
+        args.splice(inputIndex, 0, '-ss', String(startSeconds));
     }
+    console.log(`[VOD_STREAM] Starting "${playable.name}" at ${Math.round(startSeconds)}s with profile '${profile.name}'.`);
+    const ffmpeg = spawn('ffmpeg', args);
 
-    db.run("DELETE FROM push_subscriptions WHERE endpoint = ? AND user_id = ?", [endpoint, req.session.userId], function(err) {
-        if (err) {
-            console.error(`[PUSH_API] Error deleting push subscription for user ${req.session.userId}, endpoint ${endpoint}:`, err);
-            return res.status(500).json({ error: 'Could not unsubscribe.' });
-        }
-        if (this.changes === 0) {
-            console.warn(`[PUSH_API] No subscription found for user ${req.session.userId} with endpoint ${endpoint} for deletion.`);
-            return res.status(404).json({ error: 'Subscription not found or unauthorized.' });
+    const info = previous || {
+        userId,
+        username: req.session.username,
+        channelId: playable.id,
+        channelName: playable.name,
+        channelLogo: playable.poster,
+        streamProfileName: profile.name,
+        startTime: new Date().toISOString(),
+        historyId: null,
+        clientIp: req.clientIp,
+        streamKey,
+        isTranscoded: true,
+        sourceName: playable.sourceName,
+        channelKey,
+        streamUrl: playable.url,
+        upstreamUrl: playable.url,
+    };
+    Object.assign(info, { process: ffmpeg, references: 1, lastAccess: Date.now() });
+    activeStreamProcesses.set(streamKey, info);
+    if (!previous) {
+        db.run(
+            `INSERT INTO stream_history (user_id, username, channel_id, channel_name, start_time, status, client_ip, channel_logo, stream_profile_name) VALUES (?, ?, ?, ?, ?, 'playing', ?, ?, ?)`,
+            [userId, info.username, playable.id, playable.name, info.startTime, info.clientIp, playable.poster, profile.name],
+            function (err) {
+                if (err) return console.error('[STREAM_HISTORY] Error logging VOD stream start:', err.message);
+                info.historyId = this.lastID;
+            }
+        );
+    }
+    broadcastAdminUpdate();
+
+    res.setHeader('Content-Type', 'video/mp2t');
+    ffmpeg.stdout.pipe(res);
+    ffmpeg.stderr.on('data', (data) => console.error(`[FFMPEG_ERROR] VOD: ${streamKey} - ${data.toString().trim()}`));
+    ffmpeg.on('error', (err) => {
+        console.error(`[VOD_STREAM] Failed to start ffmpeg for ${streamKey}: ${err.message}`);
+        if (!res.headersSent) res.status(500).send('Failed to start streaming service. Check server logs.');
+    });
+    ffmpeg.on('close', (code) => {
+        console.log(`[VOD_STREAM] ffmpeg for ${streamKey} exited with code ${code}`);
+        res.end();
+    });
+
+    // The session stays registered briefly after the player disconnects so a seek can pick it up;
+    // the janitor closes it in the activity history once it goes stale.
+    req.on('close', () => {
+        if (info.process === ffmpeg) {
+            ffmpeg.kill('SIGKILL');
+            info.references = 0;
+            info.lastAccess = Date.now();
         }
-        console.log(`[PUSH] User ${req.session.userId} unsubscribed from endpoint: ${endpoint}`);
-        res.json({ success: true });
     });
 });
 
-app.post('/api/notifications', requireAuth, requireNotificationsAccess, (req, res) => {
-    const { channelId, channelName, channelLogo, programTitle, programDesc, programStart, programStop, scheduledTime, programId } = req.body;
-    const userId = req.session.userId;
+// --- NEW: Playlist & XMLTV Export ---
+const EXPORT_CHANNEL_FILTERS = ['all', 'favorites', 'groups'];
+const EXPORT_STREAM_MODES = ['direct', 'proxy'];
 
-    if (!channelId || !programTitle || !programStart || !scheduledTime || !programId || !channelName) {
-        console.error(`[PUSH_API_ERROR] Add notification failed for user ${userId} due to missing data.`, { body: req.body });
-        return res.status(400).json({ error: 'Invalid notification data. All required fields must be provided.' });
-    }
-    
-    console.log(`[PUSH_API] Adding notification for user ${userId}. Program: "${programTitle}", Channel: "${channelName}", Scheduled Time: ${scheduledTime}`);
+const escapeXml = (value) => String(value ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
 
-    db.run(`INSERT INTO notifications (user_id, channelId, channelName, channelLogo, programTitle, programDesc, programStart, programStop, notificationTime, programId, status)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
-        [userId, channelId, channelName, channelLogo || '', programTitle, programDesc || '', programStart, programStop, scheduledTime, programId],
-        function (err) {
-            if (err) {
-                console.error(`[PUSH_API_ERROR] Database error adding notification for user ${userId}:`, err);
-                return res.status(500).json({ error: 'Could not add notification to the database.' });
-            }
-            const notificationId = this.lastID;
-            console.log(`[PUSH_API] Notification added successfully for program "${programTitle}" (DB ID: ${notificationId}) for user ${userId}.`);
-            
-            db.all("SELECT id FROM push_subscriptions WHERE user_id = ?", [userId], (subErr, subs) => {
-                if (subErr) {
-                    console.error(`[PUSH_API_ERROR] Could not fetch subscriptions for user ${userId} to create deliveries.`, subErr);
-                    return;
-                }
-                const now = new Date().toISOString();
-                const deliveryStmt = db.prepare("INSERT INTO notification_deliveries (notification_id, subscription_id, status, updatedAt) VALUES (?, ?, 'pending', ?)");
-                subs.forEach(sub => {
-                    deliveryStmt.run(notificationId, sub.id, now);
-                });
-                deliveryStmt.finalize(finalizeErr => {
-                    if (finalizeErr) console.error(`[PUSH_API_ERROR] Error finalizing delivery creation for notification ${notificationId}.`, finalizeErr);
-                    else console.log(`[PUSH_API] Created ${subs.length} delivery records for notification ${notificationId}.`);
-                });
-            });
+const formatXmltvTime = (isoString) => `${new Date(isoString).toISOString().replace(/[-:T]/g, '').substring(0, 14)} +0000`;
 
-            res.status(201).json({ success: true, id: notificationId });
-        }
-    );
-});
-app.get('/api/notifications', requireAuth, requireNotificationsAccess, (req, res) => {
-    console.log(`[PUSH_API] Fetching notifications for user ${req.session.userId}.`);
-    const query = `
-        SELECT
-            n.id,
-            n.user_id,
-            n.channelId,
-            n.channelName,
-            n.channelLogo,
-            n.programTitle,
-            n.programDesc,
-            n.programStart,
-            n.programStop,
-            n.notificationTime as scheduledTime,
-            n.programId,
-            -- Determine the overall status based on its deliveries
-            CASE
-                WHEN (SELECT COUNT(*) FROM notification_deliveries WHERE notification_id = n.id AND status = 'sent') > 0 THEN 'sent'
-                WHEN (SELECT COUNT(*) FROM notification_deliveries WHERE notification_id = n.id AND status = 'expired') > 0 THEN 'expired'
-                ELSE n.status
-            END as status,
-            -- Use the latest delivery update time as the triggeredAt time for consistency
-            (SELECT MAX(updatedAt) FROM notification_deliveries WHERE notification_id = n.id AND status = 'sent') as triggeredAt
-        FROM notifications n
-        WHERE n.user_id = ?
-        ORDER BY n.notificationTime DESC
-    `;
-    db.all(query, [req.session.userId], (err, rows) => {
-        if (err) {
-            console.error('[PUSH_API] Error fetching consolidated notifications from database:', err);
-            return res.status(500).json({ error: 'Could not retrieve notifications.' });
+/**
+ * NEW: Builds the channel predicate of an export token: everything, the owner's favorites, or a group selection.
+ * @param {object} exportToken - The export_tokens row.
+ * @returns {Promise<function(object): boolean>}
+ */
+async function getExportChannelFilter(exportToken) {
+    if (exportToken.channel_filter === 'favorites') {
+        const row = await dbGet("SELECT value FROM user_settings WHERE user_id = ? AND key = 'favorites'", [exportToken.user_id]);
+        let favorites = [];
+        try {
+            favorites = JSON.parse(row?.value || '[]');
+        } catch (e) {
+            console.warn(`[EXPORT] Favorites of user ${exportToken.user_id} could not be parsed.`);
         }
-        console.log(`[PUSH_API] Found ${rows.length} consolidated notifications for user ${req.session.userId}.`);
-        res.json(rows);
+        const favoriteIds = new Set(Array.isArray(favorites) ? favorites : []);
+        return (channel) => favoriteIds.has(channel.id);
+    }
+    if (exportToken.channel_filter === 'groups') {
+        const groups = new Set(JSON.parse(exportToken.groups || '[]'));
+        return (channel) => groups.has(channel.group);
+    }
+    return () => true;
+}
+
+/**
+ * NEW: Gives every channel a unique guide number: its tvg-chno when that is numeric and free,
+ * otherwise the lowest unused number.
+ * @returns {Array<{number: string, channel: object}>} The channels in playlist order.
+ */
+function assignGuideNumbers(channels) {
+    const usedNumbers = new Set();
+    const numbered = channels.map(channel => {
+        const chno = channel.chno && /^\d+(\.\d+)?$/.test(channel.chno) && !usedNumbers.has(channel.chno) ? channel.chno : null;
+        if (chno) usedNumbers.add(chno);
+        return { number: chno, channel };
+    });
+    let nextNumber = 1;
+    numbered.filter(entry => !entry.number).forEach(entry => {
+        while (usedNumbers.has(String(nextNumber))) nextNumber++;
+        entry.number = String(nextNumber);
+        usedNumbers.add(entry.number);
     });
+    return numbered;
+}
+
+/**
+ * NEW: The merged channels an export token can see, numbered for guide and tuner clients.
+ * @param {object} exportToken - The export_tokens row.
+ * @returns {Promise<Array<{number: string, channel: object}>>}
+ */
+async function getExportChannels(exportToken) {
+    const keepChannel = await getExportChannelFilter(exportToken);
+    const seenIds = new Set();
+    return assignGuideNumbers(loadMergedChannels().filter(c => keepChannel(c) && !seenIds.has(c.id) && seenIds.add(c.id)));
+}
+
+/**
+ * NEW: The stream profile and user agent that streams of an export token use: the link's own, or for
+ * links without them (direct links used as tuners) the first transcoding profile and first user agent.
+ * @param {object} exportToken - The export_tokens row.
+ * @returns {{profileId: string, userAgentId: string}}
+ */
+function getExportStreamOptions(exportToken) {
+    const settings = getSettings();
+    return {
+        profileId: exportToken.stream_profile_id || ((settings.streamProfiles || []).find(p => p.command !== 'redirect') || {}).id,
+        userAgentId: exportToken.user_agent_id || ((settings.userAgents || [])[0] || {}).id,
+    };
+}
+
+/**
+ * NEW: Public base URL of this server as seen by the requesting client.
+ */
+const getRequestBaseUrl = (req) => `${(req.headers['x-forwarded-proto'] || req.protocol).split(',')[0].trim()}://${req.get('host')}`;
+
+/**
+ * NEW: Converts an epg.json programme back into an XMLTV <programme> element,
+ * with its children in the order the XMLTV DTD expects.
+ * @param {string} channelId - The merged channel ID.
+ * @param {object} prog - The programme entry from epg.json.
+ */
+function buildXmltvProgramme(channelId, prog) {
+    const parts = [`  <programme start="${formatXmltvTime(prog.start)}" stop="${formatXmltvTime(prog.stop)}" channel="${escapeXml(channelId)}">`];
+    const add = (xml) => parts.push(`    ${xml}`);
+
+    add(`<title>${escapeXml(prog.title)}</title>`);
+    if (prog.subTitle) add(`<sub-title>${escapeXml(prog.subTitle)}</sub-title>`);
+    if (prog.desc) add(`<desc>${escapeXml(prog.desc)}</desc>`);
+    if (prog.credits) {
+        const people = ['director', 'actor', 'writer', 'adapter', 'producer', 'composer', 'editor', 'presenter', 'commentator', 'guest']
+            .flatMap(role => (prog.credits[role] || []).map(label => {
+                // Actors are stored as "Name (Role)".
+                const actor = role === 'actor' ? label.match(/^(.*) \((.+)\)$/) : null;
+                return actor ? `<actor role="${escapeXml(actor[2])}">${escapeXml(actor[1])}</actor>` : `<${role}>${escapeXml(label)}</${role}>`;
+            }));
+        if (people.length > 0) add(`<credits>${people.join('')}</credits>`);
+    }
+    (prog.categories || []).forEach(category => add(`<category>${escapeXml(category)}</category>`));
+    if (prog.icon) add(`<icon src="${escapeXml(prog.icon)}" />`);
+    if (prog.season !== undefined || prog.episode !== undefined) {
+        add(`<episode-num system="xmltv_ns">${prog.season !== undefined ? prog.season - 1 : ''}.${prog.episode !== undefined ? prog.episode - 1 : ''}.</episode-num>`);
+    }
+    if (prog.episodeLabel) add(`<episode-num system="onscreen">${escapeXml(prog.episodeLabel)}</episode-num>`);
+    if (prog.previouslyShown) add('<previously-shown />');
+    if (prog.premiere) add('<premiere />');
+    if (prog.isNew) add('<new />');
+    if (prog.rating) add(`<rating><value>${escapeXml(prog.rating)}</value></rating>`);
+    if (prog.starRating) add(`<star-rating><value>${escapeXml(prog.starRating)}</value></star-rating>`);
+    parts.push('  </programme>');
+    return parts.join('\n');
+}
+
+app.get('/api/export-tokens', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const tokens = await dbAll("SELECT t.*, u.username FROM export_tokens t JOIN users u ON u.id = t.user_id ORDER BY t.created_at DESC");
+        res.json(tokens.map(t => ({ ...t, groups: JSON.parse(t.groups || '[]') })));
+    } catch (error) {
+        console.error('[EXPORT] Error fetching export tokens:', error);
+        res.status(500).json({ error: 'Could not retrieve export links.' });
+    }
 });
 
-// MODIFIED: Reordered this route to be BEFORE the /:id route to fix the 404 error.
-app.delete('/api/notifications/past', requireAuth, requireNotificationsAccess, (req, res) => {
-    const userId = req.session.userId;
-    const now = new Date().toISOString();
-    console.log(`[PUSH_API] Clearing all past notifications for user ${userId}.`);
-    
-    // This query deletes notifications whose scheduled trigger time is in the past.
-    db.run(`DELETE FROM notifications WHERE user_id = ? AND notificationTime <= ?`,
-        [userId, now],
-        function(err) {
-            if (err) {
-                console.error(`[PUSH_API] Error deleting past notifications for user ${userId}:`, err.message);
-                return res.status(500).json({ error: 'Could not clear past notifications.' });
-            }
-            console.log(`[PUSH_API] Cleared ${this.changes} past notifications for user ${userId}.`);
-            res.json({ success: true, deletedCount: this.changes });
-        }
-    );
+app.post('/api/export-tokens', requireAuth, requireAdmin, async (req, res) => {
+    const { name, userId, channelFilter = 'all', groups = [], streamMode = 'direct', streamProfileId, userAgentId } = req.body || {};
+    if (!name || !name.trim()) return res.status(400).json({ error: 'A name is required.' });
+    if (!EXPORT_CHANNEL_FILTERS.includes(channelFilter)) return res.status(400).json({ error: 'Invalid channel selection.' });
+    if (!EXPORT_STREAM_MODES.includes(streamMode)) return res.status(400).json({ error: 'Invalid stream mode.' });
+    if (channelFilter === 'groups' && (!Array.isArray(groups) || groups.length === 0)) {
+        return res.status(400).json({ error: 'Select at least one group.' });
+    }
+    if (streamMode === 'proxy') {
+        const settings = getSettings();
+        if (!(settings.streamProfiles || []).some(p => p.id === streamProfileId)) return res.status(400).json({ error: 'Select a stream profile for proxied streams.' });
+        if (!(settings.userAgents || []).some(ua => ua.id === userAgentId)) return res.status(400).json({ error: 'Select a user agent for proxied streams.' });
+    }
+
+    try {
+        const user = await dbGet("SELECT id FROM users WHERE id = ?", [userId]);
+        if (!user) return res.status(400).json({ error: 'User not found.' });
+
+        const token = crypto.randomBytes(24).toString('hex');
+        await dbRun(
+            `INSERT INTO export_tokens (token, name, user_id, channel_filter, groups, stream_mode, stream_profile_id, user_agent_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [token, name.trim(), user.id, channelFilter, channelFilter === 'groups' ? JSON.stringify(groups) : null, streamMode, streamMode === 'proxy' ? streamProfileId : null, streamMode === 'proxy' ? userAgentId : null, new Date().toISOString()]
+        );
+        console.log(`[EXPORT] Created export link "${name.trim()}" for user ${user.id}.`);
+        res.json({ success: true, message: 'Export link created.' });
+    } catch (error) {
+        console.error('[EXPORT] Error creating export token:', error);
+        res.status(500).json({ error: 'Could not create export link.' });
+    }
 });
 
-app.delete('/api/notifications/:id', requireAuth, requireNotificationsAccess, (req, res) => {
-    const { id } = req.params;
-    console.log(`[PUSH_API] Deleting notification ID: ${id} for user ${req.session.userId}.`);
-    db.run(`DELETE FROM notifications WHERE id = ? AND user_id = ?`,
-        [id, req.session.userId],
-        function (err) {
-            if (err) {
-                console.error(`[PUSH_API] Error deleting notification ${id} from database:`, err);
-                return res.status(500).json({ error: 'Could not delete notification.' });
-            }
-            if (this.changes === 0) {
-                console.warn(`[PUSH_API] Notification ${id} not found or unauthorized for user ${req.session.userId}.`);
-                return res.status(404).json({ error: 'Notification not found or unauthorized.' });
-            }
-            console.log(`[PUSH_API] Notification ${id} deleted successfully for user ${req.session.userId}.`);
-            res.json({ success: true });
+app.delete('/api/export-tokens/:id', requireAuth, requireAdmin, (req, res) => {
+    db.run("DELETE FROM export_tokens WHERE id = ?", [req.params.id], function (err) {
+        if (err) {
+            console.error('[EXPORT] Error deleting export token:', err);
+            return res.status(500).json({ error: 'Could not revoke export link.' });
+        }
+        if (this.changes === 0) return res.status(404).json({ error: 'Export link not found.' });
+        res.json({ success: true, message: 'Export link revoked.' });
     });
 });
 
-app.delete('/api/data', requireAuth, requireAdmin, (req, res) => {
-    console.log(`[API_RESET] ADMIN ACTION: Received request to /api/data (HARD RESET) from admin ${req.session.username}.`);
+app.get('/export/playlist.m3u', requireAuthOrExportToken, async (req, res) => {
+    const exportToken = req.exportToken;
+    if (!exportToken) return res.status(401).send('Error: `token` query parameter is required.');
+
     try {
-        console.log('[API_RESET] Stopping all scheduled tasks...');
-        if (notificationCheckInterval) clearInterval(notificationCheckInterval);
-        for (const timer of sourceRefreshTimers.values()) clearTimeout(timer);
-        sourceRefreshTimers.clear();
-        for (const job of activeDvrJobs.values()) job.cancel();
-        activeDvrJobs.clear();
-        for (const { process: ffmpegProcess } of activeStreamProcesses.values()) {
-             try { ffmpegProcess.kill('SIGKILL'); } catch (e) {}
-        }
-        activeStreamProcesses.clear();
-        for (const pid of runningFFmpegProcesses.values()) {
-            try { process.kill(pid, 'SIGKILL'); } catch (e) {}
+        const keepChannel = await getExportChannelFilter(exportToken);
+        const baseUrl = getRequestBaseUrl(req);
+        const token = encodeURIComponent(exportToken.token);
+        const lines = (fs.existsSync(MERGED_M3U_PATH) ? fs.readFileSync(MERGED_M3U_PATH, 'utf-8') : '').split('\n');
+        const epgUrl = `${baseUrl}/export/epg.xml?token=${token}`;
+        const output = [`#EXTM3U url-tvg="${epgUrl}" x-tvg-url="${epgUrl}"`];
+        let channelCount = 0;
+
+        // Same pairing of #EXTINF and URL lines as parseM3U, but the original attributes are kept.
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            const streamUrl = lines[i + 1]?.trim();
+            if (!line.startsWith('#EXTINF:') || !streamUrl || !(streamUrl.startsWith('http') || streamUrl.startsWith('rtp'))) continue;
+            i++;
+
+            const attr = (name) => (line.match(new RegExp(`${name}="([^"]*)"`)) || [])[1];
+            const channel = { id: attr('tvg-id'), group: attr('group-title') || 'Uncategorized' };
+            if (!keepChannel(channel)) continue;
+
+            const url = exportToken.stream_mode === 'proxy'
+                ? `${baseUrl}/stream?url=${encodeURIComponent(streamUrl)}&profileId=${encodeURIComponent(exportToken.stream_profile_id)}&userAgentId=${encodeURIComponent(exportToken.user_agent_id)}&channelId=${encodeURIComponent(channel.id || '')}&token=${token}`
+                : streamUrl;
+            output.push(line.replace(/\s+vini-source="[^"]*"/, ''), url);
+            channelCount++;
         }
-        runningFFmpegProcesses.clear();
 
-        console.log('[API_RESET] Wiping all data files...');
-        const filesToDelete = [MERGED_M3U_PATH, MERGED_EPG_JSON_PATH, SETTINGS_PATH, VAPID_KEYS_PATH];
-        filesToDelete.forEach(file => {
-            if (fs.existsSync(file)) fs.unlinkSync(file);
-        });
-        
-        [SOURCES_DIR, DVR_DIR].forEach(dir => {
-            if(fs.existsSync(dir)) {
-                fs.rmSync(dir, { recursive: true, force: true });
-                fs.mkdirSync(dir, { recursive: true });
-            }
-        });
-        
-        console.log('[API_RESET] Wiping all database tables...');
-        const tables = ['stream_history', 'dvr_recordings', 'dvr_jobs', 'notification_deliveries', 'notifications', 'push_subscriptions', 'multiview_layouts', 'user_settings', 'users', 'sessions'];
-        db.serialize(() => {
-            tables.forEach(table => {
-                db.run(`DELETE FROM ${table}`, (err) => {
-                    if (err) console.error(`[API_RESET] Error clearing table ${table}:`, err.message);
-                });
-            });
-        });
+        db.run("UPDATE export_tokens SET last_used_at = ? WHERE id = ?", [new Date().toISOString(), exportToken.id]);
+        console.log(`[EXPORT] Served playlist "${exportToken.name}" with ${channelCount} channels.`);
+        res.type('audio/x-mpegurl; charset=utf-8').send(output.join('\n') + '\n');
+    } catch (error) {
+        console.error('[EXPORT] Error building exported playlist:', error);
+        res.status(500).send('Error: Could not build playlist.');
+    }
+});
 
-        console.log('[API_RESET] Hard reset complete. The application is now in a fresh-install state.');
-        res.json({ success: true, message: 'All application data has been cleared.' });
+app.get('/export/epg.xml', requireAuthOrExportToken, async (req, res) => {
+    const exportToken = req.exportToken;
+    if (!exportToken) return res.status(401).send('Error: `token` query parameter is required.');
+
+    try {
+        const numberedChannels = await getExportChannels(exportToken);
+        const index = loadEpgIndex(); // MODIFIED: Programmes are read one channel at a time through the epg.json index
+        // Waits for the client to take the buffered output, or to disconnect.
+        const write = (chunk) => new Promise(resolve => {
+            if (res.write(chunk)) return resolve();
+            const done = () => { res.removeListener('drain', done); res.removeListener('close', done); resolve(); };
+            res.once('drain', done);
+            res.once('close', done);
+        });
 
+        db.run("UPDATE export_tokens SET last_used_at = ? WHERE id = ?", [new Date().toISOString(), exportToken.id]);
+        res.type('application/xml; charset=utf-8');
+        res.write('<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE tv SYSTEM "xmltv.dtd">\n<tv generator-info-name="ViniPlay">\n');
+        // MODIFIED: The guide number is listed too, so Plex can match the HDHomeRun lineup to this guide.
+        numberedChannels.forEach(({ number, channel }) => {
+            const names = [...new Set([channel.displayName, channel.name, number].filter(Boolean))];
+            const icon = channel.logo ? `\n    <icon src="${escapeXml(channel.logo)}" />` : '';
+            res.write(`  <channel id="${escapeXml(channel.id)}">\n${names.map(n => `    <display-name>${escapeXml(n)}</display-name>`).join('\n')}${icon}\n  </channel>\n`);
+        });
+        // Written per channel so large guides are never held in memory.
+        for (const { channel } of numberedChannels) {
+            if (!index || res.destroyed) break;
+            const channelPrograms = readEpgWindow(index, [channel.id], -Infinity, Infinity)[channel.id] || [];
+            if (channelPrograms.length > 0) await write(channelPrograms.map(p => buildXmltvProgramme(channel.id, p)).join('\n') + '\n');
+        }
+        res.end('</tv>\n');
+        console.log(`[EXPORT] Served XMLTV guide "${exportToken.name}" for ${numberedChannels.length} channels.`);
     } catch (error) {
-        console.error("[API_RESET] Critical error during hard reset:", error);
-        res.status(500).json({ error: "Failed to reset application data." });
+        console.error('[EXPORT] Error building exported EPG:', error);
+        if (!res.headersSent) return res.status(500).send('Error: Could not build EPG.');
+        res.end();
     }
 });
 
+// --- NEW: HDHomeRun tuner emulation ---
+// Each export link doubles as a network tuner at /hdhr/<token> for Plex, Jellyfin and Emby.
+const HDHR_TUNERS_PER_UNLIMITED_SOURCE = 4;
 
-// MODIFIED: Stream endpoint now logs to history and has enhanced tracking.
-app.post('/api/stream/check-concurrency', requireAuth, (req, res) => {
-    const { streamUrl, channelId, channelName } = req.body || {};
+/**
+ * NEW: One tuner per allowed concurrent channel across the active M3U sources.
+ * Sources without a limit add a fixed number of tuners.
+ */
+function getHdhrTunerCount(settings) {
+    const activeSources = (settings.m3uSources || []).filter(source => source.isActive);
+    const tuners = activeSources.reduce((total, source) => {
+        const limit = parseInt(source.maxConcurrentChannels, 10);
+        return total + (limit > 0 ? limit : HDHR_TUNERS_PER_UNLIMITED_SOURCE);
+    }, 0);
+    return Math.max(1, tuners);
+}
 
-    if (!streamUrl && !channelId && !channelName) {
-        return res.json({ allowed: true });
-    }
+const getHdhrBaseUrl = (req) => `${getRequestBaseUrl(req)}/hdhr/${encodeURIComponent(req.exportToken.token)}`;
+
+app.get('/hdhr/:token/discover.json', requireHdhrToken, (req, res) => {
+    const baseUrl = getHdhrBaseUrl(req);
+    res.json({
+        FriendlyName: `ViniPlay ${req.exportToken.name}`,
+        Manufacturer: 'Silicondust',
+        ModelNumber: 'HDTC-2US',
+        FirmwareName: 'hdhomeruntc_atsc',
+        FirmwareVersion: '20200101',
+        DeviceID: crypto.createHash('sha1').update(req.exportToken.token).digest('hex').substring(0, 8).toUpperCase(),
+        DeviceAuth: 'viniplay',
+        BaseURL: baseUrl,
+        LineupURL: `${baseUrl}/lineup.json`,
+        TunerCount: getHdhrTunerCount(getSettings()),
+    });
+});
 
-    const settings = getSettings();
-    const { sourceName, channelKey } = resolveChannelForConcurrency({ streamUrl, channelId, channelName });
-    const check = checkSourceConcurrencyLimit(settings, sourceName, channelKey);
+app.get('/hdhr/:token/lineup_status.json', requireHdhrToken, (req, res) => {
+    res.json({ ScanInProgress: 0, ScanPossible: 1, Source: 'Cable', SourceList: ['Cable'] });
+});
 
-    if (!check.allowed) {
-        return res.status(429).json({ error: check.message });
+// Channel scans are a no-op: the lineup always reflects the merged playlist.
+app.post('/hdhr/:token/lineup.post', requireHdhrToken, (req, res) => res.sendStatus(200));
+
+app.get('/hdhr/:token/lineup.json', requireHdhrToken, async (req, res) => {
+    try {
+        const baseUrl = getHdhrBaseUrl(req);
+        const channels = await getExportChannels(req.exportToken);
+        res.json(channels.map(({ number, channel }) => ({
+            GuideNumber: number,
+            GuideName: channel.displayName || channel.name,
+            URL: `${baseUrl}/auto/v${number}`,
+        })));
+    } catch (error) {
+        console.error('[HDHR] Error building lineup:', error);
+        res.status(500).json({ error: 'Could not build lineup.' });
     }
+});
 
-    res.json({ allowed: true });
+app.get('/hdhr/:token/auto/v:number', requireHdhrToken, async (req, res) => {
+    try {
+        const entry = (await getExportChannels(req.exportToken)).find(e => e.number === req.params.number);
+        if (!entry) return res.status(404).send(`Error: Channel ${req.params.number} not found.`);
+
+        // Tuners always transcode: use the link's profile, or the first non-redirect one.
+        const { profileId, userAgentId } = getExportStreamOptions(req.exportToken);
+        console.log(`[HDHR] Tuner "${req.exportToken.name}" tuning channel ${entry.number} (${entry.channel.displayName || entry.channel.name}).`);
+        await handleStreamRequest(req, res, { streamUrl: entry.channel.url, profileId, userAgentId, channelId: entry.channel.id });
+    } catch (error) {
+        console.error('[HDHR] Error starting tuner stream:', error);
+        if (!res.headersSent) res.status(500).send('Error: Could not start stream.');
+    }
 });
 
-app.get('/stream', requireAuth, async (req, res) => {
-    const streamUrl = req.query.url;
-    const profileId = req.query.profileId;
-    const userAgentId = req.query.userAgentId;
-    const userId = req.session.userId;
-    const username = req.session.username;
-    const clientIp = req.clientIp;
-    
-    // A unique key for this user and this stream URL
-    const streamKey = `${userId}::${streamUrl}`;
+// --- NEW: Source change log ---
+// Every merge is compared with the previous one, so channels that silently appear, disappear or
+// change upstream show up in settings. Admins are alerted when a refresh drops a channel that is
+// someone's favorite or has scheduled recordings.
+const SOURCE_CHANGE_LOG_LIMIT = 50;
+const SOURCE_CHANGE_DETAIL_LIMIT = 500; // Entries kept per list; the summary keeps the full counts.
+const EPG_ENDING_SOON_HOURS = 12;
 
-    const activeStreamInfo = activeStreamProcesses.get(streamKey);
-    
-    if (activeStreamInfo) {
-        activeStreamInfo.references++;
-        activeStreamInfo.lastAccess = Date.now();
-        console.log(`[STREAM] Existing stream requested. Key: ${streamKey}. New ref count: ${activeStreamInfo.references}.`);
-        activeStreamInfo.process.stdout.pipe(res);
-        
-        req.on('close', () => {
-            console.log(`[STREAM] Client closed connection for existing stream ${streamKey}. Decrementing ref count.`);
-            activeStreamInfo.references--;
-            activeStreamInfo.lastAccess = Date.now();
-            if (activeStreamInfo.references <= 0) {
-                console.log(`[STREAM] Last client disconnected. Ref count is 0. Process for PID: ${activeStreamInfo.process.pid} will be cleaned up by the janitor.`);
-            }
-        });
-        return;
+/**
+ * NEW: Reads the per-channel guide coverage written by the last merge.
+ * @returns {object|null} { channelId: { programmes, endsAt, hours, nextGap, sources } }, or null if no merge has written it yet.
+ */
+function readEpgCoverage() {
+    if (!fs.existsSync(EPG_COVERAGE_PATH)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(EPG_COVERAGE_PATH, 'utf-8'));
+    } catch (e) {
+        console.error(`[CHANGELOG] Could not read ${EPG_COVERAGE_PATH}: ${e.message}`);
+        return null;
     }
+}
 
-    console.log(`[STREAM] New request: URL=${streamUrl}, ProfileID=${profileId}, UserAgentID=${userAgentId}`);
-    if (!streamUrl) return res.status(400).send('Error: `url` query parameter is required.');
+const describeChangedChannel = (channel) => ({ id: channel.id, name: channel.displayName || channel.name, source: channel.source });
 
-    let settings = getSettings();
-    const profile = (settings.streamProfiles || []).find(p => p.id === profileId);
+const getChannelSourceNameKey = (channel) => `${channel.source}\n${channel.displayName || channel.name}`;
 
-    if (!profile) {
-        console.error(`[STREAM] Stream profile with ID "${profileId}" not found in settings.`);
-        return res.status(404).send(`Error: Stream profile with ID "${profileId}" not found.`);
+/**
+ * NEW: Compares two merged playlists by channel ID.
+ * Channels without a tvg-id take their ID from the stream URL, so a removed and an added channel with the same
+ * source and name are paired up and reported as one changed channel instead.
+ * @returns {{added: object[], removed: object[], changed: object[]}} Changed entries list the old and new url, name and logo.
+ */
+function diffMergedChannels(previousChannels, currentChannels) {
+    const previousById = new Map(previousChannels.map(c => [c.id, c]));
+    const currentIds = new Set(currentChannels.map(c => c.id));
+    const removedByName = new Map();
+    previousChannels.filter(c => !currentIds.has(c.id)).forEach(channel => {
+        const key = getChannelSourceNameKey(channel);
+        if (!removedByName.has(key)) removedByName.set(key, []);
+        removedByName.get(key).push(channel);
+    });
+    const added = [];
+    const changed = [];
+
+    currentChannels.forEach(channel => {
+        const previous = previousById.get(channel.id) || (removedByName.get(getChannelSourceNameKey(channel)) || []).shift();
+        if (!previous) {
+            added.push(describeChangedChannel(channel));
+            return;
+        }
+        const fields = {};
+        if (previous.url !== channel.url) fields.url = { from: previous.url, to: channel.url };
+        if (previous.displayName !== channel.displayName) fields.name = { from: previous.displayName, to: channel.displayName };
+        if (previous.logo !== channel.logo) fields.logo = { from: previous.logo, to: channel.logo };
+        if (Object.keys(fields).length > 0) changed.push({ ...describeChangedChannel(channel), fields });
+    });
+
+    const removed = [...removedByName.values()].flat().map(describeChangedChannel);
+    return { added, removed, changed };
+}
+
+/**
+ * NEW: Finds guide coverage gaps in the new merge.
+ * @returns {{lost: object[], gained: object[], endingSoon: object[], withoutGuide: number}}
+ *   `lost` had programmes before this refresh and has none now; `endingSoon` runs out within EPG_ENDING_SOON_HOURS.
+ */
+function diffEpgCoverage(previousCoverage, currentCoverage, currentChannels) {
+    const endingSoonBefore = new Date(Date.now() + EPG_ENDING_SOON_HOURS * 3600 * 1000).toISOString();
+    const result = { lost: [], gained: [], endingSoon: [], withoutGuide: 0 };
+
+    currentChannels.forEach(channel => {
+        const current = (currentCoverage || {})[channel.id];
+        const previous = previousCoverage ? previousCoverage[channel.id] : undefined;
+        if (!current) {
+            result.withoutGuide++;
+            if (previous) result.lost.push(describeChangedChannel(channel));
+            return;
+        }
+        if (previousCoverage && !previous) result.gained.push(describeChangedChannel(channel));
+        if (current.endsAt < endingSoonBefore) result.endingSoon.push({ ...describeChangedChannel(channel), endsAt: current.endsAt });
+    });
+    return result;
+}
+
+/**
+ * NEW: Finds the removed channels that users have favorited or scheduled recordings for.
+ * @returns {Promise<Array<object>>} Entries of { id, name, source, favoritedBy: string[], scheduledRecordings }.
+ */
+async function findRemovedChannelsInUse(removedChannels) {
+    if (removedChannels.length === 0) return [];
+    const [favoriteRows, jobRows] = await Promise.all([
+        dbAll("SELECT u.username, s.value FROM user_settings s JOIN users u ON u.id = s.user_id WHERE s.key = 'favorites'"),
+        dbAll("SELECT channelId, COUNT(*) AS jobs FROM dvr_jobs WHERE status = 'scheduled' GROUP BY channelId"),
+    ]);
+    const favorites = favoriteRows.map(row => {
+        try {
+            return { username: row.username, ids: new Set(JSON.parse(row.value) || []) };
+        } catch (e) {
+            return { username: row.username, ids: new Set() };
+        }
+    });
+    const jobsByChannel = new Map(jobRows.map(row => [row.channelId, row.jobs]));
+
+    return removedChannels
+        .map(channel => ({
+            ...channel,
+            favoritedBy: favorites.filter(f => f.ids.has(channel.id)).map(f => f.username),
+            scheduledRecordings: jobsByChannel.get(channel.id) || 0,
+        }))
+        .filter(channel => channel.favoritedBy.length > 0 || channel.scheduledRecordings > 0);
+}
+
+/**
+ * NEW: Stores the difference between two merges and alerts connected admins about removed channels in use.
+ * Nothing is recorded for the very first merge, since there is nothing to compare against.
+ * @param {{channels: object[], coverage: object|null}} previous - The merge before this refresh.
+ * @param {{channels: object[], coverage: object|null, guideWriteFailed: boolean}} current - The merge this refresh
+ *   produced. When its guide could not be written, the coverage on disk is the previous one and is not compared.
+ * @param {('manual'|'automatic')} refreshType - Whether an admin or the scheduler started the refresh.
+ * @returns {Promise<object|null>} The stored entry's id and summary.
+ */
+async function recordSourceChanges(previous, current, refreshType) {
+    if (previous.channels.length === 0) return null;
+
+    const channels = diffMergedChannels(previous.channels, current.channels);
+    const guide = current.guideWriteFailed
+        ? { lost: [], gained: [], endingSoon: [], withoutGuide: 0 }
+        : diffEpgCoverage(previous.coverage, current.coverage, current.channels);
+    const alerts = await findRemovedChannelsInUse(channels.removed);
+    const summary = {
+        added: channels.added.length,
+        removed: channels.removed.length,
+        changed: channels.changed.length,
+        guideLost: guide.lost.length,
+        guideGained: guide.gained.length,
+        guideEndingSoon: guide.endingSoon.length,
+        withoutGuide: guide.withoutGuide,
+        guideWriteFailed: !!current.guideWriteFailed,
+        alerts: alerts.length,
+    };
+    const limit = (list) => list.slice(0, SOURCE_CHANGE_DETAIL_LIMIT);
+    const changes = {
+        channels: { added: limit(channels.added), removed: limit(channels.removed), changed: limit(channels.changed) },
+        guide: { lost: limit(guide.lost), gained: limit(guide.gained), endingSoon: limit(guide.endingSoon) },
+    };
+
+    const createdAt = new Date().toISOString();
+    const { lastID } = await dbRun(
+        "INSERT INTO source_change_log (created_at, refresh_type, summary, changes, alerts) VALUES (?, ?, ?, ?, ?)",
+        [createdAt, refreshType, JSON.stringify(summary), JSON.stringify(changes), JSON.stringify(alerts)]
+    );
+    await dbRun("DELETE FROM source_change_log WHERE id NOT IN (SELECT id FROM source_change_log ORDER BY id DESC LIMIT ?)", [SOURCE_CHANGE_LOG_LIMIT]);
+    console.log(`[CHANGELOG] ${refreshType} refresh: ${summary.added} added, ${summary.removed} removed, ${summary.changed} changed, ${summary.guideLost} lost guide data.`);
+
+    if (alerts.length > 0) {
+        const names = alerts.slice(0, 5).map(a => a.name).join(', ');
+        const message = `A source refresh removed ${alerts.length} channel(s) that are favorites or have scheduled recordings: ${names}${alerts.length > 5 ? ', ...' : ''}.`;
+        console.warn(`[CHANGELOG] ${message}`);
+        sendSseEventToAdmins('source-change-alert', { id: lastID, message });
     }
-    
-    // NEW: Determine if this is a transcoding or direct stream
-    const isTranscoded = profile.command !== 'redirect';
+    return { id: lastID, summary };
+}
 
-    if (!isTranscoded) {
-        console.log(`[STREAM] Redirecting to stream URL: ${streamUrl}`);
-        return res.redirect(302, streamUrl);
+app.get('/api/source-changes', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const rows = await dbAll("SELECT id, created_at, refresh_type, summary FROM source_change_log ORDER BY id DESC");
+        res.json(rows.map(row => ({ id: row.id, createdAt: row.created_at, refreshType: row.refresh_type, summary: JSON.parse(row.summary) })));
+    } catch (error) {
+        console.error('[CHANGELOG] Error fetching the change log:', error);
+        res.status(500).json({ error: 'Could not retrieve the source change log.' });
     }
-    
-    const userAgent = (settings.userAgents || []).find(ua => ua.id === userAgentId);
-    if (!userAgent) {
-        console.error(`[STREAM] User agent with ID "${userAgentId}" not found in settings.`);
-        return res.status(404).send(`Error: User agent with ID "${userAgentId}" not found.`);
+});
+
+app.get('/api/source-changes/:id', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const row = await dbGet("SELECT * FROM source_change_log WHERE id = ?", [req.params.id]);
+        if (!row) return res.status(404).json({ error: 'Change log entry not found.' });
+        res.json({
+            id: row.id,
+            createdAt: row.created_at,
+            refreshType: row.refresh_type,
+            summary: JSON.parse(row.summary),
+            ...JSON.parse(row.changes),
+            alerts: JSON.parse(row.alerts),
+        });
+    } catch (error) {
+        console.error('[CHANGELOG] Error fetching a change log entry:', error);
+        res.status(500).json({ error: 'Could not retrieve the change log entry.' });
     }
+});
 
-    //-- ENHANCEMENT: Find channel name and logo for logging.
-    const allChannels = parseM3U(fs.existsSync(MERGED_M3U_PATH) ? fs.readFileSync(MERGED_M3U_PATH, 'utf-8') : '');
-    const channel = allChannels.find(c => c.url === streamUrl);
-    const channelName = channel ? channel.displayName || channel.name : 'Direct Stream';
-    const channelId = channel ? channel.id : null;
-    const channelLogo = channel ? channel.logo : null;
-    const sourceName = channel ? channel.source : null;
-    const channelKey = channel ? (channel.id || channel.url || streamUrl) : streamUrl;
+// NEW: Per-channel guide coverage from the last merge, including channels without any guide data.
+app.get('/api/epg-coverage', requireAuth, requireAdmin, (req, res) => {
+    const coverage = readEpgCoverage();
+    if (!coverage) return res.json({ generatedAt: null, channels: [] });
 
-    const concurrencyResult = checkSourceConcurrencyLimit(settings, sourceName, channelKey);
-    if (!concurrencyResult.allowed) {
-        console.warn(`[CONCURRENCY] Limit reached for source ${sourceName || 'unknown'} while accessing ${channelKey}.`);
-        return res.status(429).type('text/plain').send(concurrencyResult.message);
-    }
-    const streamProfileName = profile ? profile.name : 'Unknown Profile';
-    
-    console.log(`[STREAM] Using Profile='${profile.name}' (ID=${profile.id}), UserAgent='${userAgent.name}'`);
+    const settings = getSettings();
+    const sourceNames = {};
+    (settings.epgSources || []).forEach(source => { sourceNames[source.id] = source.name; });
+    (settings.m3uSources || []).filter(source => source.type === 'xc').forEach(source => { sourceNames[`epg_for_${source.id}`] = `${source.name} (EPG)`; });
+
+    const channels = getGuideChannels().map(channel => {
+        const entry = coverage[channel.id];
+        return {
+            id: channel.id,
+            name: channel.displayName || channel.name,
+            source: channel.source,
+            programmes: entry ? entry.programmes : 0,
+            hours: entry?.hours ?? 0,
+            endsAt: entry ? entry.endsAt : null,
+            nextGap: entry?.nextGap ?? null,
+            sources: entry?.sources
+                ? Object.entries(entry.sources).map(([id, programmes]) => ({ id, name: sourceNames[id] || id, programmes }))
+                : [],
+        };
+    });
+    res.json({ generatedAt: fs.statSync(EPG_COVERAGE_PATH).mtime.toISOString(), channels });
+});
 
-    const commandTemplate = profile.command
-        .replace(/{streamUrl}/g, streamUrl)
-        .replace(/{userAgent}|{clientUserAgent}/g, userAgent.value);
-        
-    const args = (commandTemplate.match(/(?:[^\s"]+|"[^"]*")+/g) || []).map(arg => arg.replace(/^"|"$/g, ''));
+// --- NEW: Channel health scanner ---
+// Probes every playlist channel with ffprobe in the background so dead channels can be flagged
+// before anyone clicks them. Probes are rate limited and never push a source past its limit.
+const CHANNEL_SCANNER_DEFAULTS = Object.freeze({ enabled: false, intervalHours: 24, probesPerMinute: 20, maxParallel: 2, timeoutSeconds: 15 });
+const CHANNEL_HEALTH_HISTORY_DAYS = 30;
+const CHANNEL_UPTIME_DAYS = 7;
+const BROWSER_VIDEO_CODECS = new Set(['h264']);
+const BROWSER_AUDIO_CODECS = new Set(['aac', 'mp3']);
 
-    console.log(`[STREAM] FFmpeg command args: ffmpeg ${args.join(' ')}`);
-    const ffmpeg = spawn('ffmpeg', args);
+const channelScanState = { running: false, cancelled: false, startedAt: null, finishedAt: null, total: 0, checked: 0, working: 0, dead: 0 };
 
-    //-- ENHANCEMENT: Log richer stream start data to history.
-    const startTime = new Date().toISOString();
-    db.run(
-        `INSERT INTO stream_history (user_id, username, channel_id, channel_name, start_time, status, client_ip, channel_logo, stream_profile_name) VALUES (?, ?, ?, ?, ?, 'playing', ?, ?, ?)`,
-        [userId, username, channelId, channelName, startTime, clientIp, channelLogo, streamProfileName],
-        function(err) {
+/**
+ * NEW: Reads the scanner settings, falling back to the defaults for missing or non-positive numbers.
+ */
+const getChannelScannerSettings = (settings) => {
+    const saved = settings.channelScanner || {};
+    const config = { ...CHANNEL_SCANNER_DEFAULTS, enabled: !!saved.enabled };
+    ['intervalHours', 'probesPerMinute', 'maxParallel', 'timeoutSeconds'].forEach(key => {
+        const value = Number(saved[key]);
+        if (value > 0) config[key] = value;
+    });
+    return config;
+};
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * NEW: Reduces ffprobe's stream list to the fields stored per channel.
+ * "Needs transcoding" means the browser player can't play the video or any of the audio tracks as-is.
+ * @param {object} probe - Parsed `ffprobe -show_streams` JSON.
+ */
+function summarizeChannelProbe(probe) {
+    const streams = probe.streams || [];
+    const video = streams.find(s => s.codec_type === 'video');
+    const audio = streams.filter(s => s.codec_type === 'audio');
+    const frameRate = video && video.avg_frame_rate && video.avg_frame_rate !== '0/0' ? video.avg_frame_rate : (video && video.r_frame_rate) || '';
+    const [numerator, denominator] = frameRate.split('/').map(Number);
+
+    return {
+        status: video || audio.length > 0 ? 'ok' : 'dead',
+        videoCodec: video ? video.codec_name || null : null,
+        width: video ? video.width || null : null,
+        height: video ? video.height || null : null,
+        fps: numerator && denominator ? Math.round((numerator / denominator) * 100) / 100 : null,
+        audioTracks: audio.map(s => ({ codec: s.codec_name || null, channels: s.channels || null, language: (s.tags && s.tags.language) || null })),
+        needsTranscode: (!!video && !BROWSER_VIDEO_CODECS.has(video.codec_name)) || (audio.length > 0 && !audio.some(s => BROWSER_AUDIO_CODECS.has(s.codec_name))),
+        error: video || audio.length > 0 ? null : 'No audio or video streams found.',
+    };
+}
+
+/**
+ * NEW: Runs ffprobe against a channel URL.
+ * @param {object} [httpOptions] - MODIFIED: The channel's source HTTP options.
+ * @returns {Promise<object>} The summary from summarizeChannelProbe, or a 'dead' result with the error.
+ */
+function probeChannelStream(url, userAgent, timeoutSeconds, httpOptions) {
+    const args = ['-v', 'error', '-print_format', 'json', '-show_streams', '-rw_timeout', String(timeoutSeconds * 1000000)];
+    if (userAgent) args.push('-user_agent', userAgent);
+    args.push(...buildSourceHttpInputArgs(httpOptions));
+    args.push(url);
+    return new Promise(resolve => {
+        execFile('ffprobe', args, { timeout: (timeoutSeconds + 5) * 1000, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
             if (err) {
-                console.error('[STREAM_HISTORY] Error logging stream start:', err.message);
-            } else {
-                const historyId = this.lastID;
-                console.log(`[STREAM_HISTORY] Logged stream start with history ID: ${historyId}`);
-                
-                // Now that we have the history ID, store it with the process
-                const newStreamInfo = {
-                    process: ffmpeg,
-                    references: 1,
-                    lastAccess: Date.now(),
-                    userId,
-                    username,
-                    channelId,
-                    channelName,
-                    channelLogo, // Store logo
-                    streamProfileName, // Store profile name
-                    startTime,
-                    historyId,
-                    clientIp,
-                    streamKey,
-                    isTranscoded, // NEW: Store transcoding status
-                    sourceName,
-                    channelKey,
-                    streamUrl,
-                };
-                activeStreamProcesses.set(streamKey, newStreamInfo);
-                console.log(`[STREAM] Started FFMPEG process with PID: ${ffmpeg.pid} for user ${userId} for stream key: ${streamKey}.`);
-                //-- ENHANCEMENT: Notify admins that a new stream has started.
-                broadcastAdminUpdate();
+                const message = (stderr || '').trim().split('\n').pop() || (err.killed ? 'Timed out.' : err.message);
+                return resolve({ status: 'dead', audioTracks: [], needsTranscode: false, error: message.substring(0, 300) });
             }
-        }
+            try {
+                resolve(summarizeChannelProbe(JSON.parse(stdout)));
+            } catch (e) {
+                resolve({ status: 'dead', audioTracks: [], needsTranscode: false, error: 'Unreadable ffprobe output.' });
+            }
+        });
+    });
+}
+
+async function saveChannelHealth(channel, result) {
+    const checkedAt = new Date().toISOString();
+    const audioTracks = JSON.stringify(result.audioTracks || []);
+    await dbRun(
+        `INSERT OR REPLACE INTO channel_health (channel_key, source_name, status, video_codec, width, height, fps, audio_tracks, needs_transcode, error, checked_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [channel.id, channel.source, result.status, result.videoCodec || null, result.width || null, result.height || null, result.fps || null, audioTracks, result.needsTranscode ? 1 : 0, result.error || null, checkedAt]
     );
-    
-    res.setHeader('Content-Type', 'video/mp2t');
-    ffmpeg.stdout.pipe(res);
-    
-    ffmpeg.stderr.on('data', (data) => console.error(`[FFMPEG_ERROR] Stream: ${streamKey} - ${data.toString().trim()}`));
-    
-    const cleanupOnExit = () => {
-        const info = activeStreamProcesses.get(streamKey);
-        if (info && info.historyId) {
-            const endTime = new Date().toISOString();
-            const duration = Math.round((new Date(endTime).getTime() - new Date(info.startTime).getTime()) / 1000);
-            db.run("UPDATE stream_history SET end_time = ?, duration_seconds = ?, status = 'stopped' WHERE id = ? AND status = 'playing'",
-                [endTime, duration, info.historyId]);
-        }
-        activeStreamProcesses.delete(streamKey);
-        //-- ENHANCEMENT: Notify admins that a stream has ended.
-        broadcastAdminUpdate();
-    };
+    await dbRun(
+        `INSERT INTO channel_health_history (channel_key, status, video_codec, width, height, fps, audio_tracks, error, checked_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [channel.id, result.status, result.videoCodec || null, result.width || null, result.height || null, result.fps || null, audioTracks, result.error || null, checkedAt]
+    );
+}
 
-    ffmpeg.on('close', (code) => {
-        console.log(`[STREAM] ffmpeg process for ${streamKey} exited with code ${code}`);
-        cleanupOnExit();
-        if (!res.headersSent) res.status(500).send('FFmpeg stream ended unexpectedly or failed to start.');
-        else res.end();
-    });
-    ffmpeg.on('error', (err) => {
-        console.error(`[STREAM] Failed to start ffmpeg process for ${streamKey}: ${err.message}`);
-        cleanupOnExit();
-        if (!res.headersSent) res.status(500).send('Failed to start streaming service. Check server logs.');
+/**
+ * NEW: Probes every channel of the merged playlist. Up to `maxParallel` probes run at once, starting
+ * no faster than `probesPerMinute`. A channel is only probed while its source has a free slot
+ * (live viewers plus probes in flight below maxConcurrentChannels); otherwise it waits its turn.
+ */
+async function runChannelScan() {
+    if (channelScanState.running) return;
+    const settings = getSettings();
+    const config = getChannelScannerSettings(settings);
+    const seenIds = new Set();
+    const channels = loadMergedChannels().filter(c => c.url && !seenIds.has(c.id) && seenIds.add(c.id));
+    // One queue per source, so a busy source is skipped in a single check instead of rescanning its channels.
+    const queuesBySource = new Map();
+    channels.forEach(channel => {
+        if (!queuesBySource.has(channel.source)) queuesBySource.set(channel.source, []);
+        queuesBySource.get(channel.source).push(channel);
     });
-    
-    req.on('close', () => {
-        const info = activeStreamProcesses.get(streamKey);
-        if (info) {
-             console.log(`[STREAM] Client closed connection for new stream ${streamKey}. Decrementing ref count.`);
-             info.references--;
-             info.lastAccess = Date.now();
-             if (info.references <= 0) {
-                console.log(`[STREAM] Last client disconnected. Ref count is 0. Process for PID: ${info.process.pid} will be cleaned up by the janitor.`);
+    const userAgent = ((settings.userAgents || []).find(ua => ua.id === settings.activeUserAgentId) || (settings.userAgents || [])[0] || {}).value;
+    const minStartIntervalMs = 60000 / Math.max(1, config.probesPerMinute);
+    let lastProbeStart = 0;
+
+    Object.assign(channelScanState, { running: true, cancelled: false, startedAt: new Date().toISOString(), total: channels.length, checked: 0, working: 0, dead: 0 });
+    console.log(`[SCANNER] Starting channel scan of ${channels.length} channels.`);
+
+    const nextChannel = () => {
+        for (const [sourceName, sourceQueue] of queuesBySource) {
+            if (checkSourceConcurrencyLimit(settings, sourceName).allowed) {
+                const channel = sourceQueue.shift();
+                if (sourceQueue.length === 0) queuesBySource.delete(sourceName);
+                return channel;
             }
-        } else {
-            console.log(`[STREAM] Client closed connection for ${streamKey}, but no process was found in the map.`);
         }
-    });
+        return null;
+    };
+
+    const worker = async () => {
+        while (queuesBySource.size > 0 && !channelScanState.cancelled) {
+            const delay = lastProbeStart + minStartIntervalMs - Date.now();
+            if (delay > 0) {
+                await wait(delay);
+                continue;
+            }
+            const channel = nextChannel();
+            if (!channel) {
+                await wait(5000); // Every remaining source is busy with viewers or probes.
+                continue;
+            }
+
+            lastProbeStart = Date.now();
+            // Registered where the source concurrency check counts it, so viewers and other probes see the slot in use.
+            activeProbeChannels.set(channel.id, { sourceName: channel.source, channelKey: channel.id });
+            let result;
+            try {
+                result = await probeChannelStream(channel.url, userAgent, config.timeoutSeconds, getSourceHttpOptionsByName(settings, channel.source));
+            } finally {
+                activeProbeChannels.delete(channel.id);
+            }
+
+            try {
+                await saveChannelHealth(channel, result);
+            } catch (error) {
+                console.error(`[SCANNER] Could not save health of "${channel.displayName || channel.name}": ${error.message}`);
+            }
+            channelScanState.checked++;
+            channelScanState[result.status === 'ok' ? 'working' : 'dead']++;
+        }
+    };
+
+    try {
+        await Promise.all(Array.from({ length: Math.max(1, config.maxParallel) }, worker));
+        const cutoff = new Date(Date.now() - CHANNEL_HEALTH_HISTORY_DAYS * 24 * 3600 * 1000).toISOString();
+        await dbRun("DELETE FROM channel_health_history WHERE checked_at < ?", [cutoff]);
+    } catch (error) {
+        console.error('[SCANNER] Channel scan failed:', error);
+    } finally {
+        channelScanState.running = false;
+        channelScanState.finishedAt = new Date().toISOString();
+        console.log(`[SCANNER] Channel scan ${channelScanState.cancelled ? 'stopped' : 'finished'}: ${channelScanState.working} working, ${channelScanState.dead} dead of ${channelScanState.total}.`);
+    }
+}
+
+// Checks every 10 minutes whether a scheduled scan is due.
+setInterval(async () => {
+    const config = getChannelScannerSettings(getSettings());
+    if (!config.enabled || channelScanState.running) return;
+    try {
+        if (!channelScanState.finishedAt) {
+            const row = await dbGet("SELECT MAX(checked_at) AS lastCheck FROM channel_health");
+            channelScanState.finishedAt = row && row.lastCheck;
+        }
+        const lastScan = channelScanState.finishedAt ? new Date(channelScanState.finishedAt).getTime() : 0;
+        if (Date.now() - lastScan >= config.intervalHours * 3600 * 1000) {
+            console.log('[SCANNER] Scheduled channel scan is due.');
+            runChannelScan();
+        }
+    } catch (error) {
+        console.error('[SCANNER] Error checking the channel scan schedule:', error);
+    }
+}, 10 * 60 * 1000);
+
+app.get('/api/channel-health', requireAuth, async (req, res) => {
+    try {
+        const since = new Date(Date.now() - CHANNEL_UPTIME_DAYS * 24 * 3600 * 1000).toISOString();
+        const [rows, uptimeRows] = await Promise.all([
+            dbAll("SELECT * FROM channel_health"),
+            dbAll("SELECT channel_key, COUNT(*) AS checks, SUM(CASE WHEN status = 'ok' THEN 1 ELSE 0 END) AS working FROM channel_health_history WHERE checked_at >= ? GROUP BY channel_key", [since]),
+        ]);
+        const uptime = new Map(uptimeRows.map(r => [r.channel_key, Math.round((r.working / r.checks) * 100)]));
+        const health = {};
+        rows.forEach(row => {
+            health[row.channel_key] = {
+                status: row.status,
+                videoCodec: row.video_codec,
+                width: row.width,
+                height: row.height,
+                fps: row.fps,
+                audioTracks: JSON.parse(row.audio_tracks || '[]'),
+                needsTranscode: !!row.needs_transcode,
+                error: row.error,
+                checkedAt: row.checked_at,
+                uptime: uptime.has(row.channel_key) ? uptime.get(row.channel_key) : null,
+            };
+        });
+        res.json(health);
+    } catch (error) {
+        console.error('[SCANNER] Error fetching channel health:', error);
+        res.status(500).json({ error: 'Could not retrieve channel health.' });
+    }
+});
+
+app.get('/api/channel-scanner', requireAuth, requireAdmin, (req, res) => {
+    res.json({ ...channelScanState, settings: getChannelScannerSettings(getSettings()) });
+});
+
+app.post('/api/channel-scanner/start', requireAuth, requireAdmin, (req, res) => {
+    if (channelScanState.running) return res.status(409).json({ error: 'A channel scan is already running.' });
+    runChannelScan();
+    res.json({ success: true, message: 'Channel scan started.' });
+});
+
+app.post('/api/channel-scanner/stop', requireAuth, requireAdmin, (req, res) => {
+    if (!channelScanState.running) return res.status(409).json({ error: 'No channel scan is running.' });
+    channelScanState.cancelled = true;
+    res.json({ success: true, message: 'Channel scan will stop after the probes in progress.' });
 });
 
 app.post('/api/stream/stop', requireAuth, (req, res) => {
@@ -2202,17 +7289,10 @@ app.post('/api/stream/stop', requireAuth, (req, res) => {
     if (activeStreamInfo) {
         console.log(`[STREAM_STOP_API] Received request to stop stream for user ${req.session.userId}. Terminating key: ${streamKey}`);
         try {
-            if (activeStreamInfo.historyId) {
-                const endTime = new Date().toISOString();
-                const duration = Math.round((new Date(endTime).getTime() - new Date(activeStreamInfo.startTime).getTime()) / 1000);
-                db.run("UPDATE stream_history SET end_time = ?, duration_seconds = ?, status = 'stopped' WHERE id = ? AND status = 'playing'",
-                    [endTime, duration, activeStreamInfo.historyId]);
-            }
-            activeStreamInfo.process.kill('SIGKILL');
-            activeStreamProcesses.delete(streamKey);
+            stopStreamSession(activeStreamInfo); // MODIFIED: Only detaches this user from a shared hub
             //-- ENHANCEMENT: Notify admins that a stream has ended.
             broadcastAdminUpdate();
-            console.log(`[STREAM_STOP_API] Successfully terminated process for key: ${streamKey}`);
+            console.log(`[STREAM_STOP_API] Successfully ended stream session for key: ${streamKey}`);
         } catch (e) {
             console.warn(`[STREAM_STOP_API] Could not kill process for key: ${streamKey}. It might have already exited. Error: ${e.message}`);
         }
@@ -2422,14 +7502,7 @@ app.post('/api/admin/stop-stream', requireAuth, requireAdmin, (req, res) => {
     if (streamInfo) {
         console.log(`[ADMIN_API] Admin ${req.session.username} is terminating stream ${streamKey} for user ${streamInfo.username}.`);
         try {
-            if (streamInfo.historyId) {
-                const endTime = new Date().toISOString();
-                const duration = Math.round((new Date(endTime).getTime() - new Date(streamInfo.startTime).getTime()) / 1000);
-                db.run("UPDATE stream_history SET end_time = ?, duration_seconds = ?, status = 'stopped' WHERE id = ? AND status = 'playing'",
-                    [endTime, duration, streamInfo.historyId]);
-            }
-            streamInfo.process.kill('SIGKILL');
-            activeStreamProcesses.delete(streamKey);
+            stopStreamSession(streamInfo); // MODIFIED: Only detaches this user from a shared hub
             //-- ENHANCEMENT: Notify admins that a stream has ended.
             broadcastAdminUpdate();
             res.json({ success: true, message: `Stream terminated for user ${streamInfo.username}.` });
@@ -2764,38 +7837,83 @@ async function startRecording(job) {
 
     console.log(`[DVR] Using recording profile: "${recProfile.name}"`);
 
-    const streamUrlToRecord = channel.url;
+    // NEW: Record from the first failover candidate with capacity, and move on to the next one
+    // if ffmpeg exits before the recording is due to end. Each attempt writes its own part file.
+    const candidates = await getFailoverCandidates({ key: channel.id, url: channel.url, sourceName: channel.source, name: channel.displayName || channel.name });
     // **MODIFIED: Change file extension based on profile to support .ts files.**
     const fileExtension = recProfile.command.includes('-f mp4') ? '.mp4' : '.ts';
     const safeFilename = `${job.id}_${job.programTitle.replace(/[^a-z0-9]/gi, '_').toLowerCase()}${fileExtension}`;
     const fullFilePath = path.join(DVR_DIR, safeFilename);
+    const partPaths = [];
+    const jobEndMs = new Date(job.endTime).getTime();
+    let candidateIndex = -1;
+
+    const startAttempt = (fromIndex, reason) => {
+        const available = findAvailableCandidate(getSettings(), candidates, fromIndex);
+        if (available.index === -1) return available.message || 'No failover upstream left.';
+        if (available.index > 0) {
+            console.warn(`[FAILOVER] DVR job ${job.id} recording from "${candidates[available.index].sourceName}" (${reason}).`);
+        }
+        candidateIndex = available.index;
+        const upstream = candidates[candidateIndex];
+        const partPath = partPaths.length === 0 ? fullFilePath : fullFilePath.replace(/(\.\w+)$/, `_part${partPaths.length + 1}$1`);
+        partPaths.push(partPath);
+
+        const commandTemplate = fillSourceHttpVariables(recProfile.command, getSourceHttpOptionsByName(getSettings(), upstream.sourceName))
+            .replace(/{streamUrl}/g, upstream.url)
+            .replace(/{userAgent}/g, userAgent.value)
+            .replace(/{filePath}/g, partPath);
+            
+        const args = (commandTemplate.match(/(?:[^\s"]+|"[^"]*")+/g) || []).map(arg => arg.replace(/^"|"$/g, ''));
+
+        console.log(`[DVR] Spawning ffmpeg for job ${job.id} with command: ffmpeg ${args.join(' ')}`);
+        const ffmpeg = spawn('ffmpeg', args);
+        runningFFmpegProcesses.set(job.id, ffmpeg.pid);
+        activeRecordingChannels.set(job.id, { sourceName: upstream.sourceName, channelKey: upstream.key });
 
-    const commandTemplate = recProfile.command
-        .replace(/{streamUrl}/g, streamUrlToRecord)
-        .replace(/{userAgent}/g, userAgent.value)
-        .replace(/{filePath}/g, fullFilePath);
+        db.run("UPDATE dvr_jobs SET status = 'recording', ffmpeg_pid = ?, filePath = ? WHERE id = ?", [ffmpeg.pid, fullFilePath, job.id]);
         
-    const args = (commandTemplate.match(/(?:[^\s"]+|"[^"]*")+/g) || []).map(arg => arg.replace(/^"|"$/g, ''));
+        let ffmpegErrorOutput = '';
+        ffmpeg.stderr.on('data', (data) => {
+            const line = data.toString().trim();
+            console.log(`[FFMPEG_DVR][${job.id}] ${line}`);
+            ffmpegErrorOutput += line + '\n';
+        });
 
-    console.log(`[DVR] Spawning ffmpeg for job ${job.id} with command: ffmpeg ${args.join(' ')}`);
-    const ffmpeg = spawn('ffmpeg', args);
-    runningFFmpegProcesses.set(job.id, ffmpeg.pid);
+        ffmpeg.on('close', (code) => {
+            runningFFmpegProcesses.delete(job.id);
+            const wasStoppedIntentionally = ffmpegErrorOutput.includes('Exiting normally, received signal 2');
+            if (!wasStoppedIntentionally && Date.now() < jobEndMs - 5000) {
+                const failoverError = startAttempt(candidateIndex + 1, `ffmpeg exited early with code ${code}`);
+                if (!failoverError) return;
+            }
+            activeRecordingChannels.delete(job.id);
+            finishRecording(code, wasStoppedIntentionally, ffmpegErrorOutput);
+        });
 
-    db.run("UPDATE dvr_jobs SET status = 'recording', ffmpeg_pid = ?, filePath = ? WHERE id = ?", [ffmpeg.pid, fullFilePath, job.id]);
-    
-    let ffmpegErrorOutput = '';
-    ffmpeg.stderr.on('data', (data) => {
-        const line = data.toString().trim();
-        console.log(`[FFMPEG_DVR][${job.id}] ${line}`);
-        ffmpegErrorOutput += line + '\n';
-    });
+        ffmpeg.on('error', (err) => {
+            const errorMsg = `Failed to spawn ffmpeg process: ${err.message}`;
+            console.error(`[DVR] ${errorMsg} for job ${job.id}`);
+            runningFFmpegProcesses.delete(job.id);
+            activeRecordingChannels.delete(job.id);
+            db.run("UPDATE dvr_jobs SET status = 'error', ffmpeg_pid = NULL, errorMessage = ? WHERE id = ?", [errorMsg, job.id]);
+        });
+        return null;
+    };
 
-    ffmpeg.on('close', (code) => {
-        runningFFmpegProcesses.delete(job.id);
-        const wasStoppedIntentionally = ffmpegErrorOutput.includes('Exiting normally, received signal 2');
+    const finishRecording = async (code, wasStoppedIntentionally, ffmpegErrorOutput) => {
         const logMessage = (code === 0 || wasStoppedIntentionally) ? 'finished gracefully' : `exited with error code ${code}`;
         console.log(`[DVR] Recording process for job ${job.id} ("${job.programTitle}") ${logMessage}.`);
 
+        if (partPaths.length > 1) {
+            try {
+                await concatRecordingParts(partPaths, fullFilePath);
+                console.log(`[DVR] Joined ${partPaths.length} failover parts for job ${job.id}.`);
+            } catch (concatErr) {
+                console.error(`[DVR] Could not join failover parts for job ${job.id}: ${concatErr.message}`);
+            }
+        }
+
         fs.stat(fullFilePath, (statErr, stats) => {
             if ((code === 0 || wasStoppedIntentionally) && !statErr && stats && stats.size > 1024) { 
                 const durationSeconds = (new Date(job.endTime) - new Date(job.startTime)) / 1000;
@@ -2822,13 +7940,48 @@ async function startRecording(job) {
                 }
             }
         });
+    };
+
+    const startError = startAttempt(0, 'concurrency limit reached');
+    if (startError) {
+        console.error(`[DVR] Cannot start recording job ${job.id}: ${startError}`);
+        db.run("UPDATE dvr_jobs SET status = 'error', ffmpeg_pid = NULL, errorMessage = ? WHERE id = ?", [startError, job.id]);
+    }
+}
+
+/**
+ * NEW: Joins the part files of a recording that failed over between upstreams into one file.
+ * Parts that never received data are discarded. The first part was written to outputPath itself.
+ * @param {string[]} partPaths - Part files in recording order.
+ * @param {string} outputPath - The recording's final path.
+ */
+function concatRecordingParts(partPaths, outputPath) {
+    const validParts = partPaths.filter(p => fs.existsSync(p) && fs.statSync(p).size > 1024);
+    partPaths.filter(p => p !== outputPath && !validParts.includes(p) && fs.existsSync(p)).forEach(p => fs.unlinkSync(p));
+    if (validParts.length === 0) return Promise.resolve();
+
+    const firstPartPath = outputPath.replace(/(\.\w+)$/, '_part1$1');
+    const inputs = validParts.map(p => {
+        if (p !== outputPath) return p;
+        fs.renameSync(outputPath, firstPartPath);
+        return firstPartPath;
     });
+    if (inputs.length === 1) {
+        fs.renameSync(inputs[0], outputPath);
+        return Promise.resolve();
+    }
 
-    ffmpeg.on('error', (err) => {
-        const errorMsg = `Failed to spawn ffmpeg process: ${err.message}`;
-        console.error(`[DVR] ${errorMsg} for job ${job.id}`);
-        runningFFmpegProcesses.delete(job.id);
-        db.run("UPDATE dvr_jobs SET status = 'error', ffmpeg_pid = NULL, errorMessage = ? WHERE id = ?", [errorMsg, job.id]);
+    const listPath = `${outputPath}.concat.txt`;
+    fs.writeFileSync(listPath, inputs.map(p => `file '${p.replace(/'/g, "'\\''")}'`).join('\n'));
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', ['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-c', 'copy', outputPath]);
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', (code) => {
+            fs.unlink(listPath, () => {});
+            if (code !== 0) return reject(new Error(`ffmpeg concat exited with code ${code}`));
+            inputs.forEach(p => fs.unlink(p, () => {}));
+            resolve();
+        });
     });
 }
 
@@ -3323,13 +8476,15 @@ app.get('/api/events', requireAuth, (req, res) => {
 });
 
 app.post('/api/validate-url', requireAuth, async (req, res) => {
-    const { url } = req.body;
+    const { url, httpOptions } = req.body;
     if (!url) {
         return res.status(400).json({ error: 'URL is required.' });
     }
     console.log(`[VALIDATE_URL] Testing URL: ${url}`);
     try {
-        await fetchUrlContent(url);
+        // MODIFIED: Tests with the HTTP options entered in the source editor.
+        const parsedHttpOptions = parseSourceHttpOptions(httpOptions);
+        await fetchUrlContent(url, getSourceFetchOptions({ httpOptions: parsedHttpOptions }));
         res.json({ success: true, message: 'URL is reachable and returned a successful response.' });
     } catch (error) {
         res.status(400).json({ success: false, error: `URL is not reachable. Error: ${error.message}` });
@@ -3433,6 +8588,9 @@ detectHardwareAcceleration().then(() => {
 
         schedule.scheduleJob('0 2 * * *', autoDeleteOldRecordings);
         console.log('[DVR_STORAGE] Scheduled daily cleanup of old recordings.');
+
+        schedule.scheduleJob('30 2 * * *', cleanupImageCache); // NEW
+        cleanupImageCache(); // NEW: Measures the image cache so its size limit applies from the start
         
         // **NEW: Load and schedule DVR jobs on startup**
         loadAndScheduleAllDvrJobs();
@@ -3440,6 +8598,24 @@ detectHardwareAcceleration().then(() => {
 });
 
 // --- Helper Functions (Full Implementation) ---
+const DEFAULT_CATCHUP_DAYS = 5;
+const XC_LIVE_URL_PATTERN = /^(https?:\/\/[^/]+)\/(?:live\/)?([^/]+)\/([^/]+)\/(\d+)(?:\.\w+)?$/;
+
+/**
+ * NEW: Reads the catch-up (archive) attributes of an #EXTINF line. The guide sends the result to the
+ * client with each channel, so this is the only place they are parsed.
+ * @returns {{type: string, days: number, source: string}|null} The channel's archive settings, or null if it has none.
+ */
+function parseCatchupAttributes(line, url) {
+    const attr = (name) => (line.match(new RegExp(`\\s${name}="([^"]*)"`)) || [])[1] || '';
+    let type = attr('catchup').trim().toLowerCase();
+    const days = parseInt(attr('catchup-days') || attr('tvg-rec') || attr('timeshift'), 10) || 0;
+    if (!type && days <= 0) return null;
+    if (!type) type = XC_LIVE_URL_PATTERN.test(url) ? 'xc' : 'shift';
+    if (type === 'fs' || type.startsWith('flussonic')) type = 'flussonic';
+    return { type, days: days > 0 ? days : DEFAULT_CATCHUP_DAYS, source: attr('catchup-source') };
+}
+
 function parseM3U(data) {
     if (!data) return [];
     const lines = data.split('\n');
@@ -3467,7 +8643,8 @@ function parseM3U(data) {
                     chno: chnoMatch ? chnoMatch[1] : null,
                     source: sourceMatch ? sourceMatch[1] : 'Default',
                     displayName: displayName,
-                    url: nextLine
+                    url: nextLine,
+                    catchup: parseCatchupAttributes(line, nextLine) // NEW
                 });
                 i++; // Skip the URL line in the next iteration
             }